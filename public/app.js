@@ -265,8 +265,22 @@ components:
 let editor = null;
 let swaggerUi = null;
 let renderTimer = null;
-const STORAGE_KEY = 'swagger-editor-yaml';
+let activeDocumentPath = ''; // workspace-relative; anchors relative external $refs
+const STORAGE_KEY = 'swagger-editor-yaml'; // single-document storage from before workspaces
+const DOCUMENTS_KEY = 'swagger-editor-documents';
+const HISTORY_KEY = 'swagger-editor-history';
+const MOCK_KEY = 'swagger-editor-mock';
+const VALIDATE_KEY = 'swagger-editor-validate';
 const THEME_KEY = 'swagger-editor-theme';
+const RULESET_KEY = 'swagger-editor-ruleset';
+const CUSTOM_RULESET_KEY = 'swagger-editor-ruleset-custom';
+const SNIPPET_LANGUAGE_KEY = 'swagger-editor-snippet-language';
+const REQUESTS_KEY = 'swagger-editor-requests';
+const REQUESTS_REDACT_KEY = 'swagger-editor-requests-redact';
+const ENVIRONMENTS_KEY = 'swagger-editor-environments';
+const COLLAB_NAME_KEY = 'swagger-editor-collab-name';
+const OUTLINE_KEY = 'swagger-editor-outline';
+const FORMAT_KEY = 'swagger-editor-format';
 const RENDER_DELAY = 600;
 
 /* ═══════════════════════════════════════════════════════════════════════════
@@ -279,18 +293,29 @@ document.addEventListener('DOMContentLoaded', () => {
 
     applyStoredTheme();
     initEditor();
+    initCompletion();
     initResizer();
     initSearch();
+    initRulesets();
+    initMock();
+    initValidation();
+    initSourceBar();
+    initRequestHistory();
+    initEnvironments();
+    initCollab();
+    initOutline();
+    initReferences();
+    initFormatting();
     bindToolbarActions();
     bindThemeSwitch();
 
-    // Load from localStorage or use the default spec
-    const saved = localStorage.getItem(STORAGE_KEY);
-    const initial = saved || DEFAULT_SPEC;
-    editor.setValue(initial);
-
-    // Initial render
-    renderSpec(initial);
+    // Restore open documents (localStorage), then sync with the workspace
+    initDocuments();
+    initHistory();
+    document.getElementById('btn-compare').addEventListener('click', openCompare);
+    document.getElementById('btn-import').addEventListener('click', openImport);
+    document.getElementById('btn-import-url').addEventListener('click', openUrlImport);
+    document.getElementById('btn-convert').addEventListener('click', openConvert);
 
     // Dismiss page loader
     setTimeout(() => {
@@ -320,7 +345,7 @@ function initEditor() {
         tabSize: 2,
         indentWithTabs: false,
         gutters: ['CodeMirror-lint-markers', 'CodeMirror-foldgutter'],
-        lint: true,
+        lint: { getAnnotations: getLintAnnotations, async: true, lintOnChange: false },
         foldGutter: true,
         foldOptions: { widget: '…' },
         extraKeys: {
@@ -332,7 +357,9 @@ function initEditor() {
     // Live preview on change (debounced)
     editor.on('change', () => {
         const value = editor.getValue();
-        saveToLocalStorage(value);
+        saveToLocalStorage();
+        refreshActiveTab();
+        renderSourceBar();
         clearTimeout(renderTimer);
         renderTimer = setTimeout(() => renderSpec(value), RENDER_DELAY);
     });
@@ -349,19 +376,15 @@ function initEditor() {
    ═══════════════════════════════════════════════════════════════════════════ */
 
 function renderSpec(yamlStr) {
-    const errorOutput = document.getElementById('error-output');
-    const errorCount = document.getElementById('error-count');
     const badge = document.getElementById('validation-badge');
     const spinner = document.getElementById('loading-spinner');
     const container = document.getElementById('swagger-ui-container');
 
-    // Reset
-    errorOutput.textContent = '';
-    errorOutput.classList.remove('has-error');
-    errorCount.style.display = 'none';
-
     // Empty input – show empty state
     if (!yamlStr.trim()) {
+        problemsState.requestId++;
+        showProblems([]);
+        showOutline([]);
         badge.textContent = '— Empty';
         badge.className = 'badge badge-error';
         showEmptyState(container);
@@ -373,12 +396,16 @@ function renderSpec(yamlStr) {
     try {
         spec = jsyaml.load(yamlStr);
     } catch (err) {
+        problemsState.requestId++;
         showError(err);
         showToast('YAML syntax error found', 'error');
         return;
     }
 
-    // Validate
+    // Full schema validation runs on the server; the structural checks
+    // below only decide whether the preview can be rendered at all.
+    validateSpec(yamlStr);
+
     if (!spec || typeof spec !== 'object') {
         showError(new Error('Document is not a valid OpenAPI object.'));
         return;
@@ -396,13 +423,15 @@ function renderSpec(yamlStr) {
         return;
     }
 
-    // Valid
-    badge.textContent = '✓ Valid';
-    badge.className = 'badge badge-ok';
     spinner.style.display = '';
 
     try {
         if (swaggerUi) container.innerHTML = '';
+        resolveExternalRefs(spec);
+        if (mockState.enabled || validationState.enabled) registerSpec(yamlStr);
+        // The mock server, when on, takes precedence over the environment's server
+        applyEnvironmentServer(spec);
+        if (mockState.enabled) useMockServer(spec);
 
         swaggerUi = SwaggerUIBundle({
             spec,
@@ -414,10 +443,24 @@ function renderSpec(yamlStr) {
             showExtensions: true,
             showCommonExtensions: true,
             requestInterceptor: (req) => {
+                const entry = getActiveDocument();
+                if (validationState.enabled && entry) req.headers['X-Validate-Spec'] = entry.uid;
+                applyEnvironment(req, spec);
                 const originalUrl = req.url;
-                req.url = `/api/proxy?url=${encodeURIComponent(originalUrl)}`;
+                // Same-origin requests (the mock server) need no proxy
+                if (new URL(originalUrl, window.location.href).origin !== window.location.origin) {
+                    req.url = `/api/proxy?url=${encodeURIComponent(originalUrl)}`;
+                }
+                recordRequest(req, originalUrl, spec);
                 return req;
             },
+            responseInterceptor: (res) => {
+                recordResponse(res);
+                const headers = res.headers || {};
+                if (headers['x-validation-report']) showValidationReport(headers['x-validation-report']);
+                else if (headers['x-validation']) showToast(`Validation ${headers['x-validation']}`, 'warning', 5000);
+                return res;
+            },
         });
     } catch (err) {
         showError(err);
@@ -443,25 +486,17 @@ function showEmptyState(container) {
   `;
 }
 
-/** Display error in the problems console */
+/** Display a single error (YAML syntax or rendering) in the problems console */
 function showError(err) {
-    const errorOutput = document.getElementById('error-output');
-    const errorCount = document.getElementById('error-count');
-    const badge = document.getElementById('validation-badge');
-
-    let message = '';
+    const problem = { source: 'syntax', severity: 'error', path: '', line: 1, column: 1 };
     if (err.mark) {
-        message = `Line ${err.mark.line + 1}, Column ${err.mark.column + 1}: ${err.reason || err.message}`;
+        problem.message = err.reason || err.message;
+        problem.line = err.mark.line + 1;
+        problem.column = err.mark.column + 1;
     } else {
-        message = err.message || String(err);
+        problem.message = err.message || String(err);
     }
-
-    errorOutput.textContent = message;
-    errorOutput.classList.add('has-error');
-    errorCount.textContent = '1';
-    errorCount.style.display = '';
-    badge.textContent = '✗ Error';
-    badge.className = 'badge badge-error';
+    showProblems([problem]);
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════
@@ -529,35 +564,22 @@ function escapeHtml(text) {
    ═══════════════════════════════════════════════════════════════════════════ */
 
 function bindToolbarActions() {
-    // Auto-format YAML
-    document.getElementById('btn-format').addEventListener('click', () => {
-        try {
-            const parsed = jsyaml.load(editor.getValue());
-            const formatted = jsyaml.dump(parsed, {
-                indent: 2,
-                lineWidth: 120,
-                noRefs: true,
-                sortKeys: false,
-            });
-            editor.setValue(formatted);
-            showToast('YAML formatted successfully', 'success');
-        } catch {
-            showToast('Cannot format — fix YAML errors first', 'error');
-        }
-    });
+    // Format the document or the selection
+    document.getElementById('btn-format').addEventListener('click', formatEditor);
+    document.getElementById('btn-format-options').addEventListener('click', openFormatOptions);
 
     // Clear editor
     document.getElementById('btn-clear').addEventListener('click', () => {
-        if (confirm('Clear the editor? This cannot be undone.')) {
+        if (confirm('Clear the editor? The current contents are kept in History.')) {
+            recordRevision('Before clear');
             editor.setValue('');
-            localStorage.removeItem(STORAGE_KEY);
             showToast('Editor cleared', 'info');
         }
     });
 
     // Download YAML
     document.getElementById('btn-download-yaml').addEventListener('click', () => {
-        downloadFile(editor.getValue(), 'openapi.yaml', 'text/yaml');
+        downloadFile(editor.getValue(), `${getDocumentBaseName()}.yaml`, 'text/yaml');
         showToast('YAML file downloaded', 'success');
     });
 
@@ -566,12 +588,44 @@ function bindToolbarActions() {
         try {
             const parsed = jsyaml.load(editor.getValue());
             const json = JSON.stringify(parsed, null, 2);
-            downloadFile(json, 'openapi.json', 'application/json');
+            downloadFile(json, `${getDocumentBaseName()}.json`, 'application/json');
             showToast('JSON file downloaded', 'success');
         } catch {
             showToast('Cannot convert to JSON — fix YAML errors first', 'error');
         }
     });
+
+    // Export Postman collection
+    document.getElementById('btn-download-postman').addEventListener('click', exportPostmanCollection);
+
+    // Code snippets
+    document.getElementById('btn-snippets').addEventListener('click', openSnippets);
+
+    // Static documentation
+    document.getElementById('btn-export-docs').addEventListener('click', openDocsExport);
+}
+
+/** Convert the document on the server and download the collection */
+async function exportPostmanCollection() {
+    const entry = getActiveDocument();
+    let res;
+    try {
+        res = await fetch('/api/export/postman', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: editor.getValue(), documentPath: entry?.path || '' }),
+        });
+    } catch {
+        showToast('Postman export needs the server — is it running?', 'error');
+        return;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        showToast(`Postman export failed: ${data.error || `HTTP ${res.status}`}`, 'error');
+        return;
+    }
+    downloadFile(JSON.stringify(data, null, 2), `${getDocumentBaseName()}.postman_collection.json`, 'application/json');
+    showToast('Postman collection downloaded', 'success');
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════
@@ -668,9 +722,10 @@ function initResizer() {
    10. Utilities
    ═══════════════════════════════════════════════════════════════════════════ */
 
-function saveToLocalStorage(value) {
+/** Persist every open document (offline fallback for the workspace) */
+function saveToLocalStorage() {
     try {
-        localStorage.setItem(STORAGE_KEY, value);
+        localStorage.setItem(DOCUMENTS_KEY, JSON.stringify(serialiseDocuments()));
     } catch {
         // Storage full – silently ignore
     }
@@ -692,20 +747,30 @@ function downloadFile(content, filename, mimeType) {
    11. Search System
    ═══════════════════════════════════════════════════════════════════════════ */
 
+// Matches highlighted at most; Replace All still replaces every one
+const MAX_SEARCH_MATCHES = 10000;
+
 const search = {
     isOpen: false,
     query: '',
     matchCase: false,
     wholeWord: false,
     useRegex: false,
+    usePath: false,
+    replaceOpen: false,
+    replacement: '',
     matches: [],
+    truncated: false,
     currentIndex: -1,
     markers: [],
     currentMarker: null,
+    queryId: 0,
+    queryTimer: null,
 };
 
 function initSearch() {
     const searchInput = document.getElementById('search-input');
+    const replaceInput = document.getElementById('replace-input');
 
     // Toggle buttons
     document.getElementById('search-toggle-case').addEventListener('click', () => {
@@ -726,46 +791,82 @@ function initSearch() {
         performSearch();
     });
 
+    document.getElementById('search-toggle-path').addEventListener('click', () => {
+        search.usePath = !search.usePath;
+        renderSearchMode();
+        performSearch();
+    });
+
+    document.getElementById('search-toggle-replace').addEventListener('click', () => {
+        setReplaceOpen(!search.replaceOpen);
+        (search.replaceOpen ? replaceInput : searchInput).focus();
+    });
+
     document.getElementById('search-prev').addEventListener('click', () => navigateMatch(-1));
     document.getElementById('search-next').addEventListener('click', () => navigateMatch(1));
     document.getElementById('search-close').addEventListener('click', closeSearch);
+    document.getElementById('replace-one').addEventListener('click', replaceCurrent);
+    document.getElementById('replace-all').addEventListener('click', replaceAll);
 
     searchInput.addEventListener('input', () => {
         search.query = searchInput.value;
         performSearch();
     });
 
+    replaceInput.addEventListener('input', () => {
+        search.replacement = replaceInput.value;
+    });
+
+    const onToggleKeys = (e) => {
+        if (!e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.key === 'c' || e.key === 'C') { e.preventDefault(); document.getElementById('search-toggle-case').click(); }
+        else if (e.key === 'w' || e.key === 'W') { e.preventDefault(); document.getElementById('search-toggle-word').click(); }
+        else if (e.key === 'r' || e.key === 'R') { e.preventDefault(); document.getElementById('search-toggle-regex').click(); }
+        else if (e.key === 'j' || e.key === 'J') { e.preventDefault(); document.getElementById('search-toggle-path').click(); }
+    };
+
     searchInput.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') { e.preventDefault(); closeSearch(); return; }
         if (e.key === 'Enter') { e.preventDefault(); navigateMatch(e.shiftKey ? -1 : 1); return; }
-        if (e.altKey) {
-            if (e.key === 'c' || e.key === 'C') { e.preventDefault(); document.getElementById('search-toggle-case').click(); }
-            else if (e.key === 'w' || e.key === 'W') { e.preventDefault(); document.getElementById('search-toggle-word').click(); }
-            else if (e.key === 'r' || e.key === 'R') { e.preventDefault(); document.getElementById('search-toggle-regex').click(); }
+        onToggleKeys(e);
+    });
+
+    replaceInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') { e.preventDefault(); closeSearch(); return; }
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if ((e.ctrlKey || e.metaKey) && e.altKey) replaceAll();
+            else replaceCurrent();
+            return;
         }
+        onToggleKeys(e);
     });
 
     document.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 'f') { e.preventDefault(); openSearch(); }
+        if (e.ctrlKey && !e.metaKey && e.key === 'h') { e.preventDefault(); openSearch(true); }
         if (e.key === 'Escape' && search.isOpen) closeSearch();
     });
 }
 
-function openSearch() {
+/** @param {boolean} [withReplace] – also show the replace field (Ctrl+H) */
+function openSearch(withReplace = false) {
     const searchBar = document.getElementById('search-bar');
     const searchInput = document.getElementById('search-input');
 
+    if (withReplace) setReplaceOpen(true);
     if (search.isOpen) { searchInput.focus(); searchInput.select(); return; }
 
     search.isOpen = true;
     searchBar.classList.remove('closing');
     searchBar.style.display = 'flex';
 
-    // Override CodeMirror's Ctrl+F
+    // Override CodeMirror's Ctrl+F and Ctrl+H
     editor.setOption('extraKeys', {
         ...editor.getOption('extraKeys'),
         'Cmd-F': () => openSearch(),
         'Ctrl-F': () => openSearch(),
+        'Ctrl-H': () => openSearch(true),
     });
 
     const selection = editor.getSelection();
@@ -785,45 +886,106 @@ function closeSearch() {
         searchBar.style.display = 'none';
         searchBar.classList.remove('closing');
         search.isOpen = false;
+        clearTimeout(search.queryTimer);
+        search.queryId++;
         clearHighlights();
         editor.focus();
     });
 }
 
+function setReplaceOpen(open) {
+    search.replaceOpen = open;
+    document.getElementById('replace-row').style.display = open ? 'flex' : 'none';
+    document.getElementById('search-toggle-replace').classList.toggle('expanded', open);
+}
+
+/**
+ * JSONPath mode matches document nodes on the server, so the text options
+ * and replacing do not apply to it.
+ */
+function renderSearchMode() {
+    document.getElementById('search-toggle-path').classList.toggle('active', search.usePath);
+    ['search-toggle-case', 'search-toggle-word', 'search-toggle-regex', 'replace-one', 'replace-all', 'replace-input'].forEach((id) => {
+        document.getElementById(id).disabled = search.usePath;
+    });
+    document.getElementById('search-input').placeholder = search.usePath ? '$.paths[*][*].operationId' : 'Find…';
+}
+
+/** The search as a RegExp, or null when the pattern does not compile */
+function buildSearchRegex(flags = 'g') {
+    const query = search.query;
+    try {
+        if (search.useRegex) return new RegExp(query, search.matchCase ? flags : `${flags}i`);
+        let escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (search.wholeWord) escaped = `\\b${escaped}\\b`;
+        return new RegExp(escaped, search.matchCase ? flags : `${flags}i`);
+    } catch {
+        return null;
+    }
+}
+
 function performSearch() {
     clearHighlights();
     search.matches = [];
+    search.truncated = false;
     search.currentIndex = -1;
+    clearTimeout(search.queryTimer);
+    search.queryId++;
 
-    const query = search.query;
-    if (!query) { updateSearchCounter(); return; }
+    if (!search.query) { updateSearchCounter(); return; }
 
-    const content = editor.getValue();
-    let regex;
-    try {
-        if (search.useRegex) {
-            regex = new RegExp(query, search.matchCase ? 'g' : 'gi');
-        } else {
-            let escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            if (search.wholeWord) escaped = `\\b${escaped}\\b`;
-            regex = new RegExp(escaped, search.matchCase ? 'g' : 'gi');
-        }
-    } catch {
-        const counter = document.getElementById('search-counter');
-        counter.textContent = 'Bad pattern';
-        counter.className = 'search-counter no-results';
+    if (search.usePath) {
+        const queryId = search.queryId;
+        search.queryTimer = setTimeout(() => performQuery(queryId), 200);
         return;
     }
 
+    const regex = buildSearchRegex();
+    if (!regex) { showSearchError('Bad pattern'); return; }
+
+    const content = editor.getValue();
     let match;
     while ((match = regex.exec(content)) !== null) {
         if (match[0].length === 0) { regex.lastIndex++; continue; }
         const from = editor.posFromIndex(match.index);
         const to = editor.posFromIndex(match.index + match[0].length);
-        search.matches.push({ from, to });
-        if (search.matches.length > 10000) break;
+        if (search.matches.length === MAX_SEARCH_MATCHES) { search.truncated = true; break; }
+        search.matches.push({ from, to, text: match[0] });
+    }
+
+    showMatches();
+}
+
+/** Run the JSONPath query on the server; answers for an edited document or an older query are dropped */
+async function performQuery(queryId) {
+    const doc = editor.getDoc();
+    const generation = doc.changeGeneration();
+    let res;
+    try {
+        const response = await fetch('/api/query', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: doc.getValue(), path: search.query }),
+        });
+        res = { ok: response.ok, data: await response.json().catch(() => ({})) };
+    } catch {
+        res = { ok: false, data: { error: 'Server unavailable — JSONPath queries need the server' } };
     }
+    if (queryId !== search.queryId) return;
+    if (editor.getDoc() !== doc || doc.changeGeneration() !== generation) { performSearch(); return; }
+    if (!res.ok) { showSearchError('Bad query', res.data.error || 'Query failed'); return; }
+
+    search.matches = res.data.matches.map((m) => ({
+        from: CodeMirror.Pos(m.line - 1, m.column - 1),
+        to: CodeMirror.Pos(m.endLine - 1, m.endColumn - 1),
+        path: m.path,
+    }));
+    search.truncated = res.data.truncated;
+    showMatches();
+}
 
+/** Mark every match and make the first one at or after the cursor current */
+function showMatches() {
     search.matches.forEach((m) => {
         search.markers.push(editor.markText(m.from, m.to, { className: 'cm-search-highlight' }));
     });
@@ -842,8 +1004,24 @@ function performSearch() {
     updateSearchCounter();
 }
 
+function showSearchError(label, detail = '') {
+    const counter = document.getElementById('search-counter');
+    counter.textContent = label;
+    counter.title = detail;
+    counter.className = 'search-counter no-results';
+    document.getElementById('search-prev').disabled = true;
+    document.getElementById('search-next').disabled = true;
+}
+
 function navigateMatch(direction) {
     if (search.matches.length === 0) return;
+    let index = search.currentIndex + direction;
+    if (index >= search.matches.length) index = 0;
+    if (index < 0) index = search.matches.length - 1;
+    selectMatch(index);
+}
+
+function selectMatch(index) {
     if (search.currentMarker) {
         search.currentMarker.clear();
         search.currentMarker = null;
@@ -852,9 +1030,7 @@ function navigateMatch(direction) {
             search.markers[search.currentIndex] = editor.markText(m.from, m.to, { className: 'cm-search-highlight' });
         }
     }
-    search.currentIndex += direction;
-    if (search.currentIndex >= search.matches.length) search.currentIndex = 0;
-    if (search.currentIndex < 0) search.currentIndex = search.matches.length - 1;
+    search.currentIndex = index;
     highlightCurrentMatch();
     updateSearchCounter();
 }
@@ -873,10 +1049,94 @@ function clearHighlights() {
     if (search.currentMarker) { try { search.currentMarker.clear(); } catch { } search.currentMarker = null; }
 }
 
+/**
+ * Expand $$, $&, $`, $', $1…$99 and $<name> in the replacement for one
+ * match, as String.prototype.replace does.
+ * @param {{ text: string, index: number, captures: string[], groups?: object }} match
+ */
+function expandReplacement(match, content) {
+    return search.replacement.replace(/\$(\$|&|`|'|\d\d?|<([^>]*)>)/g, (token, key, name) => {
+        if (key === '$') return '$';
+        if (key === '&') return match.text;
+        if (key === '`') return content.slice(0, match.index);
+        if (key === "'") return content.slice(match.index + match.text.length);
+        if (name !== undefined) return match.groups ? match.groups[name] ?? '' : token;
+        const count = match.captures.length;
+        if (Number(key) >= 1 && Number(key) <= count) return match.captures[Number(key) - 1] ?? '';
+        if (Number(key[0]) >= 1 && Number(key[0]) <= count) return (match.captures[Number(key[0]) - 1] ?? '') + key.slice(1);
+        return token;
+    });
+}
+
+/**
+ * The text that replaces a match. In regex mode the replacement may use
+ * $1, $<name>, $& and the rest; the pattern is re-run sticky at the match
+ * against the whole document so lookarounds and anchors see what the
+ * search saw.
+ */
+function replacementFor(match, content) {
+    if (!search.useRegex) return search.replacement;
+    const regex = buildSearchRegex('y');
+    regex.lastIndex = editor.indexFromPos(match.from);
+    const found = regex.exec(content);
+    if (!found) return search.replacement;
+    return expandReplacement({ text: found[0], index: found.index, captures: found.slice(1), groups: found.groups }, content);
+}
+
+function replaceCurrent() {
+    if (search.usePath || search.currentIndex < 0) return;
+    const match = search.matches[search.currentIndex];
+
+    // The document changed under the match; find it again rather than replace the wrong text
+    if (editor.getRange(match.from, match.to) !== match.text) { performSearch(); return; }
+
+    const start = editor.indexFromPos(match.from);
+    const text = replacementFor(match, editor.getValue());
+    editor.replaceRange(text, match.from, match.to, 'replace');
+    performSearch();
+
+    // Carry on from after the replacement, so text that matches again is not replaced twice
+    if (search.matches.length === 0) return;
+    const after = editor.posFromIndex(start + text.length);
+    const next = search.matches.findIndex((m) => CodeMirror.cmpPos(m.from, after) >= 0);
+    selectMatch(next === -1 ? 0 : next);
+}
+
+function replaceAll() {
+    if (search.usePath || !search.query) return;
+    const regex = buildSearchRegex();
+    if (!regex) { showSearchError('Bad pattern'); return; }
+
+    // One pass over the document, not capped like the highlighted matches
+    const content = editor.getValue();
+    const edits = [];
+    content.replace(regex, (text, ...rest) => {
+        const groups = typeof rest[rest.length - 1] === 'object' ? rest.pop() : undefined;
+        const index = rest[rest.length - 2];
+        if (text.length === 0) return text;
+        const replacement = search.useRegex
+            ? expandReplacement({ text, index, captures: rest.slice(0, -2), groups }, content)
+            : search.replacement;
+        edits.push({ start: index, end: index + text.length, text: replacement });
+        return text;
+    });
+    if (edits.length === 0) { performSearch(); showToast('Nothing to replace', 'info'); return; }
+
+    // Back to front so earlier positions stay valid; one operation is one undo step
+    editor.operation(() => {
+        for (let i = edits.length - 1; i >= 0; i--) {
+            editor.replaceRange(edits[i].text, editor.posFromIndex(edits[i].start), editor.posFromIndex(edits[i].end), 'replace');
+        }
+    });
+    performSearch();
+    showToast(`Replaced ${edits.length} occurrence${edits.length === 1 ? '' : 's'}`, 'success');
+}
+
 function updateSearchCounter() {
     const counter = document.getElementById('search-counter');
     const prevBtn = document.getElementById('search-prev');
     const nextBtn = document.getElementById('search-next');
+    counter.title = '';
 
     if (!search.query) {
         counter.textContent = 'No results';
@@ -893,9 +1153,5186 @@ function updateSearchCounter() {
         prevBtn.disabled = true;
         nextBtn.disabled = true;
     } else {
-        counter.textContent = `${search.currentIndex + 1}/${total}`;
+        counter.textContent = `${search.currentIndex + 1}/${total}${search.truncated ? '+' : ''}`;
         counter.className = 'search-counter has-results';
+        if (search.usePath) counter.title = search.matches[search.currentIndex].path;
         prevBtn.disabled = false;
         nextBtn.disabled = false;
     }
 }
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   12. Problems Console
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const problemsState = {
+    problems: [],
+    requestId: 0,
+};
+
+const SEVERITY_ICONS = {
+    error: '✗',
+    warning: '⚠',
+    info: 'ℹ',
+    hint: 'ℹ',
+};
+
+/**
+ * Validate the document on the server against the OpenAPI JSON Schema for
+ * its version, plus the selected lint ruleset. Responses for stale editor
+ * contents are dropped.
+ */
+async function validateSpec(yamlStr) {
+    const requestId = ++problemsState.requestId;
+    try {
+        const res = await fetch('/api/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                source: yamlStr,
+                ruleset: getRulesetRequest(),
+                documentPath: activeDocumentPath,
+            }),
+        });
+        if (!res.ok) throw new Error(`Validation failed (${res.status})`);
+        const result = await res.json();
+        if (requestId !== problemsState.requestId) return;
+        reportRulesetError(result.rulesetError);
+        showProblems(result.problems);
+        showOutline(result.outline);
+    } catch {
+        // Server unavailable – keep whatever the local structural checks found
+        if (requestId !== problemsState.requestId) return;
+        if (!problemsState.problems.length) showProblems([]);
+    }
+}
+
+/** Render every problem in the console and refresh the gutter markers */
+function showProblems(problems) {
+    const errorOutput = document.getElementById('error-output');
+    const errorCount = document.getElementById('error-count');
+    const badge = document.getElementById('validation-badge');
+
+    problemsState.problems = problems;
+
+    errorOutput.innerHTML = '';
+    problems.forEach((problem, index) => {
+        const item = document.createElement('li');
+        item.className = `problem problem-${problem.severity}`;
+        item.dataset.index = index;
+        item.title = 'Go to problem';
+        item.innerHTML = `
+      <span class="problem-icon">${SEVERITY_ICONS[problem.severity] || 'ℹ'}</span>
+      <span class="problem-message">${escapeHtml(problem.message)}</span>
+      ${problem.path ? `<span class="problem-path">${escapeHtml(problem.path)}</span>` : ''}
+      <span class="problem-location">Ln ${problem.line}, Col ${problem.column}</span>
+    `;
+        item.addEventListener('click', () => jumpToProblem(problem));
+        errorOutput.appendChild(item);
+    });
+
+    const errors = problems.filter((p) => p.severity === 'error').length;
+    const warnings = problems.filter((p) => p.severity === 'warning').length;
+
+    errorOutput.classList.toggle('has-error', errors > 0);
+    errorCount.textContent = String(problems.length);
+    errorCount.style.display = problems.length ? '' : 'none';
+    errorCount.className = `badge ${errors ? 'badge-error' : 'badge-warning'}`;
+
+    if (errors) {
+        badge.textContent = `✗ ${errors} error${errors === 1 ? '' : 's'}`;
+        badge.className = 'badge badge-error';
+    } else if (warnings) {
+        badge.textContent = `⚠ ${warnings} warning${warnings === 1 ? '' : 's'}`;
+        badge.className = 'badge badge-warning';
+    } else {
+        badge.textContent = '✓ Valid';
+        badge.className = 'badge badge-ok';
+    }
+
+    if (editor) editor.performLint();
+}
+
+/** Move the editor cursor to a problem */
+function jumpToProblem(problem) {
+    const from = CodeMirror.Pos(problem.line - 1, problem.column - 1);
+    editor.focus();
+    editor.setCursor(from);
+    editor.scrollIntoView(from, 60);
+}
+
+/** CodeMirror lint source – feeds the current problems into the gutter */
+function getLintAnnotations(_text, updateLinting) {
+    updateLinting(problemsState.problems.map((problem) => {
+        const from = CodeMirror.Pos(problem.line - 1, problem.column - 1);
+        const endLine = (problem.endLine || problem.line) - 1;
+        const endCh = (problem.endColumn || problem.column + 1) - 1;
+        const to = CodeMirror.Pos(endLine, endLine === from.line ? Math.max(endCh, from.ch + 1) : endCh);
+        return {
+            from,
+            to,
+            message: problem.path ? `${problem.message} (${problem.path})` : problem.message,
+            severity: problem.severity === 'hint' ? 'info' : problem.severity,
+        };
+    }));
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   13. Lint Rulesets
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const rulesetState = {
+    selected: '',
+    lastError: null,
+};
+
+const EXAMPLE_RULESET = `extends: [recommended]
+rules:
+  info-contact: off
+  operation-description:
+    description: Every operation should have a description.
+    severity: info
+    given: $.paths[*][get,put,post,delete,patch]
+    then:
+      field: description
+      function: truthy
+`;
+
+/** Load the server's rulesets into the selector and restore the last choice */
+async function initRulesets() {
+    const select = document.getElementById('ruleset-select');
+    rulesetState.selected = localStorage.getItem(RULESET_KEY) ?? 'recommended';
+
+    select.addEventListener('change', () => {
+        rulesetState.selected = select.value;
+        localStorage.setItem(RULESET_KEY, select.value);
+        if (select.value === 'custom:' && !localStorage.getItem(CUSTOM_RULESET_KEY)) {
+            openRulesetEditor();
+            return;
+        }
+        revalidate();
+    });
+
+    document.getElementById('btn-edit-ruleset').addEventListener('click', openRulesetEditor);
+
+    try {
+        const res = await fetch('/api/rulesets');
+        const { rulesets } = await res.json();
+        const customOption = select.querySelector('option[value="custom:"]');
+        rulesets.forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.insertBefore(option, customOption);
+        });
+    } catch {
+        // Server rulesets unavailable – "None" and "Custom" still work
+    }
+
+    const available = [...select.options].map((o) => o.value);
+    if (!available.includes(rulesetState.selected)) rulesetState.selected = '';
+    select.value = rulesetState.selected;
+    revalidate();
+}
+
+/** The `ruleset` field sent with each validation request */
+function getRulesetRequest() {
+    if (!rulesetState.selected) return null;
+    if (rulesetState.selected === 'custom:') {
+        const source = localStorage.getItem(CUSTOM_RULESET_KEY);
+        return source ? { source } : null;
+    }
+    return { name: rulesetState.selected };
+}
+
+function reportRulesetError(message) {
+    if (message && message !== rulesetState.lastError) {
+        showToast(`Ruleset error: ${message}`, 'warning', 5000);
+    }
+    rulesetState.lastError = message || null;
+}
+
+/** Re-run validation (not the preview) for the current editor contents */
+function revalidate() {
+    if (editor && editor.getValue().trim()) validateSpec(editor.getValue());
+}
+
+/** Paste or edit the custom ruleset (YAML or JSON) */
+async function openRulesetEditor() {
+    let source = localStorage.getItem(CUSTOM_RULESET_KEY);
+    if (!source && rulesetState.selected && rulesetState.selected !== 'custom:') {
+        // Start from the selected server ruleset so it is easy to extend
+        source = `extends: [${rulesetState.selected}]\nrules: {}\n`;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'modal-textarea';
+    textarea.spellcheck = false;
+    textarea.value = source || EXAMPLE_RULESET;
+
+    openModal({
+        title: 'Custom Lint Ruleset',
+        description: 'Spectral-style rules: JSONPath "given", built-in functions truthy, falsy, defined, '
+            + 'undefined, pattern, enumeration, casing, length, alphabetical and schema.',
+        content: textarea,
+        actions: [
+            { label: 'Cancel', variant: 'secondary' },
+            {
+                label: 'Use Ruleset',
+                variant: 'primary',
+                onClick: () => {
+                    localStorage.setItem(CUSTOM_RULESET_KEY, textarea.value);
+                    const select = document.getElementById('ruleset-select');
+                    select.value = 'custom:';
+                    rulesetState.selected = 'custom:';
+                    rulesetState.lastError = null;
+                    localStorage.setItem(RULESET_KEY, 'custom:');
+                    revalidate();
+                    showToast('Custom ruleset applied', 'success');
+                },
+            },
+        ],
+    });
+    textarea.focus();
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   14. Modal Dialogs
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Open a modal dialog.
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.description] – short help text under the title
+ * @param {HTMLElement|string} options.content – element or trusted HTML
+ * @param {Array<{label: string, variant?: string, onClick?: Function}>} [options.actions]
+ *   onClick may return false to keep the dialog open
+ * @param {boolean} [options.wide]
+ * @param {Function} [options.onClose] – called once however the dialog closes
+ * @returns {{ close: Function, body: HTMLElement }}
+ */
+function openModal({ title, description = '', content, actions = [], wide = false, onClose = null }) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+    <div class="modal${wide ? ' modal-wide' : ''}" role="dialog" aria-modal="true">
+      <div class="modal-header">
+        <span class="modal-title"></span>
+        <button class="modal-close" title="Close (Esc)">✕</button>
+      </div>
+      ${description ? '<p class="modal-description"></p>' : ''}
+      <div class="modal-body"></div>
+      <div class="modal-actions"></div>
+    </div>
+  `;
+    overlay.querySelector('.modal-title').textContent = title;
+    if (description) overlay.querySelector('.modal-description').textContent = description;
+
+    const body = overlay.querySelector('.modal-body');
+    if (typeof content === 'string') body.innerHTML = content;
+    else if (content) body.appendChild(content);
+
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        document.removeEventListener('keydown', onKeydown, true);
+        if (onClose) onClose();
+        overlay.classList.add('closing');
+        overlay.addEventListener('animationend', () => overlay.remove());
+    };
+
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        }
+    };
+
+    const actionBar = overlay.querySelector('.modal-actions');
+    actions.forEach((action) => {
+        const button = document.createElement('button');
+        button.className = `modal-button modal-button-${action.variant || 'secondary'}`;
+        button.textContent = action.label;
+        button.addEventListener('click', async () => {
+            const keepOpen = action.onClick ? (await action.onClick(close)) === false : false;
+            if (!keepOpen) close();
+        });
+        actionBar.appendChild(button);
+    });
+    if (!actions.length) actionBar.remove();
+
+    overlay.querySelector('.modal-close').addEventListener('click', close);
+    overlay.addEventListener('mousedown', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.addEventListener('keydown', onKeydown, true);
+
+    document.body.appendChild(overlay);
+    return { close, body };
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   15. External References
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Point relative external $refs ("./schemas/pet.yaml#/Pet") at the server's
+ * /workspace route so Swagger UI can fetch and follow them. Refs inside the
+ * fetched files are then resolved relative to their own URLs.
+ */
+function resolveExternalRefs(spec) {
+    const docDir = activeDocumentPath.includes('/') ? activeDocumentPath.replace(/[^/]*$/, '') : '';
+    const base = new URL(`/workspace/${docDir}`, window.location.origin);
+
+    (function visit(node) {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+        } else if (node && typeof node === 'object') {
+            if (typeof node.$ref === 'string' && !node.$ref.startsWith('#') && !/^[a-z][a-z\d+.-]*:/i.test(node.$ref)) {
+                node.$ref = new URL(node.$ref, base).href;
+            }
+            Object.keys(node).forEach((key) => {
+                if (key !== 'example' && !key.startsWith('x-')) visit(node[key]);
+            });
+        }
+    })(spec);
+
+    return spec;
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   16. Documents & Workspace
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const NEW_DOCUMENT_TEMPLATE = `openapi: 3.0.3
+info:
+  title: New API
+  version: 1.0.0
+paths: {}
+`;
+
+/**
+ * Open documents. Each one owns a CodeMirror.Doc (own undo history) and
+ * remembers the workspace `version` it was loaded from, which is sent back
+ * on save so the server can reject writes over someone else's changes.
+ * `path` is null for documents that have never been saved. Documents
+ * imported from a URL keep that `source` ({ url, content, version }) so
+ * they can be re-synced later.
+ */
+const documentsState = {
+    documents: [],
+    activeId: null,
+    nextId: 1,
+};
+
+function getActiveDocument() {
+    return documentsState.documents.find((d) => d.id === documentsState.activeId) || null;
+}
+
+function isDocumentDirty(entry) {
+    return entry.doc.getValue() !== entry.savedContent;
+}
+
+function documentName(entry) {
+    return entry.path ? entry.path.split('/').pop() : entry.name;
+}
+
+/** File name for downloads, without extension */
+function getDocumentBaseName() {
+    const entry = getActiveDocument();
+    const name = entry ? documentName(entry).replace(/\.(ya?ml|json)$/i, '') : '';
+    return name || 'openapi';
+}
+
+function createDocumentEntry({ uid = null, path = null, name = null, content = '', savedContent = null, version = null, source = null, collab = null }) {
+    const id = documentsState.nextId++;
+    const entry = {
+        id,
+        uid: uid || `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        path,
+        name: name || `untitled-${id}.yaml`,
+        doc: CodeMirror.Doc(content, 'yaml'),
+        savedContent: savedContent === null ? content : savedContent,
+        version,
+        source,
+        collab,
+        remote: null,
+    };
+    documentsState.documents.push(entry);
+    return entry;
+}
+
+function serialiseDocuments() {
+    const active = getActiveDocument();
+    return {
+        activeIndex: active ? documentsState.documents.indexOf(active) : 0,
+        documents: documentsState.documents.map((entry) => ({
+            uid: entry.uid,
+            path: entry.path,
+            name: entry.name,
+            content: entry.doc.getValue(),
+            savedContent: entry.savedContent,
+            version: entry.version,
+            source: entry.source,
+            collab: entry.collab,
+        })),
+    };
+}
+
+function initDocuments() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(DOCUMENTS_KEY));
+    } catch {
+        stored = null;
+    }
+
+    if (stored && Array.isArray(stored.documents) && stored.documents.length) {
+        stored.documents.forEach((item) => createDocumentEntry(item));
+    } else {
+        // Carry over the single document saved by earlier versions
+        const legacy = localStorage.getItem(STORAGE_KEY);
+        createDocumentEntry({ content: legacy || DEFAULT_SPEC, savedContent: '' });
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    const initial = documentsState.documents[stored?.activeIndex] || documentsState.documents[0];
+    activateDocument(initial.id);
+    bindDocumentActions();
+    checkForRemoteChanges();
+}
+
+function bindDocumentActions() {
+    document.getElementById('btn-save').addEventListener('click', () => saveDocument());
+    document.getElementById('btn-new-document').addEventListener('click', () => {
+        const entry = createDocumentEntry({ content: NEW_DOCUMENT_TEMPLATE, savedContent: '' });
+        activateDocument(entry.id);
+        saveToLocalStorage();
+    });
+    document.getElementById('btn-open-document').addEventListener('click', openWorkspaceBrowser);
+
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            saveDocument();
+        }
+    });
+
+    window.addEventListener('focus', checkForRemoteChanges);
+    window.addEventListener('focus', () => checkSourceUrl(getActiveDocument()));
+    window.addEventListener('beforeunload', (e) => {
+        if (documentsState.documents.some((entry) => entry.path && isDocumentDirty(entry))) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+}
+
+/** Show a document in the editor and re-render the preview */
+function activateDocument(id) {
+    const entry = documentsState.documents.find((d) => d.id === id);
+    if (!entry) return;
+
+    clearHighlights();
+    search.matches = [];
+    search.currentIndex = -1;
+
+    documentsState.activeId = id;
+    activeDocumentPath = entry.path || '';
+    if (editor.getDoc() !== entry.doc) editor.swapDoc(entry.doc);
+
+    renderDocumentTabs();
+    renderSourceBar();
+    checkSourceUrl(entry);
+    clearTimeout(renderTimer);
+    renderSpec(editor.getValue());
+    if (search.isOpen) performSearch();
+}
+
+function renderDocumentTabs() {
+    const list = document.getElementById('tab-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    documentsState.documents.forEach((entry) => {
+        const tab = document.createElement('div');
+        tab.className = 'document-tab';
+        tab.dataset.id = entry.id;
+        tab.setAttribute('role', 'tab');
+        if (entry.id === documentsState.activeId) tab.classList.add('active');
+        if (isDocumentDirty(entry)) tab.classList.add('dirty');
+        if (entry === collabState.entry) tab.classList.add('live');
+        tab.title = entry.path ? `workspace/${entry.path}` : 'Not saved to the workspace yet';
+        if (entry === collabState.entry) tab.title += ` – live session "${collabState.room}"`;
+
+        const name = document.createElement('span');
+        name.className = 'document-tab-name';
+        name.textContent = documentName(entry);
+        if (!entry.path) name.classList.add('untitled');
+
+        const close = document.createElement('button');
+        close.className = 'document-tab-close';
+        close.title = 'Close';
+        close.textContent = '✕';
+        close.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeDocument(entry.id);
+        });
+
+        tab.append(name, close);
+        tab.addEventListener('click', () => {
+            if (entry.id !== documentsState.activeId) {
+                activateDocument(entry.id);
+                saveToLocalStorage();
+            }
+        });
+        tab.addEventListener('dblclick', () => renameDocument(entry.id));
+        list.appendChild(tab);
+    });
+
+    const active = list.querySelector('.document-tab.active');
+    if (active) active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+/** Update the active tab's unsaved marker (runs on every edit) */
+function refreshActiveTab() {
+    const entry = getActiveDocument();
+    const tab = entry && document.querySelector(`.document-tab[data-id="${entry.id}"]`);
+    if (tab) tab.classList.toggle('dirty', isDocumentDirty(entry));
+}
+
+function closeDocument(id) {
+    const entry = documentsState.documents.find((d) => d.id === id);
+    if (!entry) return;
+    if (isDocumentDirty(entry) && !confirm(`"${documentName(entry)}" has unsaved changes. Close it anyway?`)) return;
+
+    if (entry === collabState.entry) leaveCollab();
+
+    const index = documentsState.documents.indexOf(entry);
+    documentsState.documents.splice(index, 1);
+    if (!entry.path) dropHistory(historyKey(entry));
+    if (!documentsState.documents.length) {
+        createDocumentEntry({ content: NEW_DOCUMENT_TEMPLATE, savedContent: '' });
+    }
+    if (id === documentsState.activeId) {
+        const next = documentsState.documents[Math.min(index, documentsState.documents.length - 1)];
+        activateDocument(next.id);
+    } else {
+        renderDocumentTabs();
+    }
+    saveToLocalStorage();
+}
+
+/**
+ * Call the workspace API.
+ * @returns {Promise<{ ok: boolean, status: number, data: object }>}
+ *   status 0 when the server could not be reached
+ */
+async function specsRequest(method, specPath = '', body = null, query = '') {
+    const encoded = specPath ? `/${specPath.split('/').map(encodeURIComponent).join('/')}` : '';
+    const url = `/api/specs${encoded}${query ? `?${query}` : ''}`;
+    try {
+        const res = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const data = res.status === 204 ? {} : await res.json().catch(() => ({}));
+        return { ok: res.ok, status: res.status, data };
+    } catch {
+        return { ok: false, status: 0, data: {} };
+    }
+}
+
+function reportOffline() {
+    showToast('Server unavailable — changes kept in this browser', 'warning', 5000);
+}
+
+/** Ask for a workspace path; resolves to null when cancelled */
+function promptForPath(title, initial) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'modal-input';
+        input.value = initial;
+        input.spellcheck = false;
+
+        let result = null;
+        const modal = openModal({
+            onClose: () => resolve(result),
+            title,
+            description: 'Path inside the workspace, e.g. "petstore.yaml" or "apis/orders.yaml".',
+            content: input,
+            actions: [
+                { label: 'Cancel' },
+                {
+                    label: 'OK',
+                    variant: 'primary',
+                    onClick: () => {
+                        if (!/\.(ya?ml|json)$/i.test(input.value.trim())) {
+                            showToast('Spec files must end in .yaml, .yml or .json', 'error');
+                            return false;
+                        }
+                        result = input.value.trim();
+                        return undefined;
+                    },
+                },
+            ],
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') modal.body.parentElement.querySelector('.modal-button-primary').click();
+        });
+        setTimeout(() => { input.focus(); input.select(); }, 0);
+    });
+}
+
+/**
+ * Save a document (the active one by default), creating it in the
+ * workspace on first save. `force` skips the version check.
+ */
+async function saveDocument(entry = getActiveDocument(), { force = false } = {}) {
+    if (!entry) return;
+    const content = entry.doc.getValue();
+
+    if (!entry.path) {
+        const target = await promptForPath('Save to Workspace', entry.name);
+        if (!target) return;
+        const res = await specsRequest('POST', '', { path: target, content });
+        if (res.status === 0) return reportOffline();
+        if (!res.ok) return showToast(res.data.error || 'Could not create the spec', 'error');
+        markSaved(entry, res.data, content);
+        recordRevision('Saved', entry);
+        showToast(`Saved ${entry.path}`, 'success');
+        return;
+    }
+
+    const res = await specsRequest('PUT', entry.path, { content, version: force ? null : entry.version });
+    if (res.status === 0) return reportOffline();
+    if (res.status === 409 && 'current' in res.data) return showSaveConflict(entry, res.data.current);
+    if (!res.ok) return showToast(res.data.error || 'Could not save the spec', 'error');
+    markSaved(entry, res.data, content);
+    recordRevision('Saved', entry);
+    showToast(`Saved ${entry.path}`, 'success');
+}
+
+/** Move a document to a workspace path (null = unsaved), keeping its history */
+function setDocumentPath(entry, path) {
+    const oldKey = historyKey(entry);
+    entry.path = path;
+    moveHistory(oldKey, historyKey(entry));
+    if (entry.id === documentsState.activeId) activeDocumentPath = entry.path || '';
+}
+
+function markSaved(entry, { path, version }, content) {
+    setDocumentPath(entry, path);
+    entry.version = version;
+    entry.savedContent = content;
+    renderDocumentTabs();
+    saveToLocalStorage();
+}
+
+/** Replace a document's contents with the workspace copy */
+function loadRemoteContent(entry, { content, version }) {
+    recordRevision('Before reload', entry);
+    entry.version = version;
+    entry.savedContent = content;
+    entry.doc.setValue(content);
+    renderDocumentTabs();
+    saveToLocalStorage();
+}
+
+/** `current` is the workspace copy, or null when the file was deleted */
+function showSaveConflict(entry, current) {
+    if (!current) {
+        openModal({
+            title: 'Save Conflict',
+            description: `"${entry.path}" was deleted from the workspace after you opened it. `
+                + 'Save to create it again with your version.',
+            content: '',
+            actions: [
+                { label: 'Cancel' },
+                { label: 'Save Again', variant: 'primary', onClick: () => { saveDocument(entry, { force: true }); } },
+            ],
+        });
+        return;
+    }
+    openModal({
+        title: 'Save Conflict',
+        description: `"${entry.path}" was changed in the workspace after you opened it. `
+            + 'Load their version (your edits are lost) or overwrite it with yours.',
+        content: '',
+        actions: [
+            { label: 'Cancel' },
+            { label: 'Load Theirs', onClick: () => loadRemoteContent(entry, current) },
+            { label: 'Overwrite', variant: 'danger', onClick: () => { saveDocument(entry, { force: true }); } },
+        ],
+    });
+}
+
+/**
+ * Pick up edits made outside this tab. Clean documents are reloaded
+ * silently; dirty ones are left alone until the next save reports the
+ * conflict.
+ */
+async function checkForRemoteChanges() {
+    const entry = getActiveDocument();
+    if (!entry || !entry.path) return;
+
+    const res = await specsRequest('GET', entry.path);
+    if (!res.ok || res.data.version === entry.version) return;
+    if (!isDocumentDirty(entry)) {
+        loadRemoteContent(entry, res.data);
+        showToast(`Reloaded ${entry.path} — it changed in the workspace`, 'info');
+    }
+}
+
+async function renameDocument(id) {
+    const entry = documentsState.documents.find((d) => d.id === id);
+    if (!entry) return;
+
+    const target = await promptForPath('Rename Document', entry.path || entry.name);
+    if (!target || target === (entry.path || entry.name)) return;
+
+    if (!entry.path) {
+        entry.name = target.split('/').pop();
+    } else {
+        const res = await specsRequest('PATCH', entry.path, { path: target });
+        if (res.status === 0) return reportOffline();
+        if (!res.ok) return showToast(res.data.error || 'Could not rename the spec', 'error');
+        setDocumentPath(entry, res.data.path);
+    }
+    renderDocumentTabs();
+    saveToLocalStorage();
+}
+
+async function openWorkspaceDocument(specPath) {
+    const open = documentsState.documents.find((d) => d.path === specPath);
+    if (open) return activateDocument(open.id);
+
+    const res = await specsRequest('GET', specPath);
+    if (res.status === 0) return reportOffline();
+    if (!res.ok) return showToast(res.data.error || 'Could not open the spec', 'error');
+
+    const entry = createDocumentEntry({ path: res.data.path, content: res.data.content, version: res.data.version });
+    activateDocument(entry.id);
+    saveToLocalStorage();
+}
+
+async function deleteWorkspaceDocument(specPath) {
+    if (!confirm(`Delete "${specPath}" from the workspace? This cannot be undone.`)) return false;
+    const open = documentsState.documents.find((d) => d.path === specPath);
+    const res = await specsRequest('DELETE', specPath, null, open && open.version ? `version=${open.version}` : '');
+    if (res.status === 0) { reportOffline(); return false; }
+    if (!res.ok) { showToast(res.data.error || 'Could not delete the spec', 'error'); return false; }
+
+    if (open) {
+        // Keep the contents around as an unsaved document
+        setDocumentPath(open, null);
+        open.name = specPath.split('/').pop();
+        open.version = null;
+        open.savedContent = '';
+        renderDocumentTabs();
+        saveToLocalStorage();
+    }
+    showToast(`Deleted ${specPath}`, 'success');
+    return true;
+}
+
+async function openWorkspaceBrowser() {
+    const res = await specsRequest('GET');
+    if (res.status === 0) return reportOffline();
+    if (!res.ok) return showToast(res.data.error || 'Could not list the workspace', 'error');
+
+    const list = document.createElement('ul');
+    list.className = 'file-list';
+    const modal = openModal({
+        title: 'Open from Workspace',
+        description: res.data.specs.length ? '' : 'The workspace is empty. Save a document to add it.',
+        content: list,
+        actions: [{ label: 'Close' }],
+    });
+
+    res.data.specs.forEach((spec) => {
+        const item = document.createElement('li');
+        item.className = 'file-list-item';
+        item.innerHTML = `
+      <span class="file-list-name"></span>
+      <span class="file-list-meta"></span>
+      <button class="console-button file-list-delete" title="Delete from the workspace">
+        <i data-lucide="trash-2" style="width:12px;height:12px"></i>
+      </button>
+    `;
+        item.querySelector('.file-list-name').textContent = spec.path;
+        item.querySelector('.file-list-meta').textContent = `${(spec.size / 1024).toFixed(1)} KB · ${new Date(spec.modified).toLocaleString()}`;
+        item.addEventListener('click', () => {
+            modal.close();
+            openWorkspaceDocument(spec.path);
+        });
+        item.querySelector('.file-list-delete').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (await deleteWorkspaceDocument(spec.path)) item.remove();
+        });
+        list.appendChild(item);
+    });
+    if (window.lucide) lucide.createIcons();
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   17. Revision History & Diff
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const MAX_REVISIONS = 40;           // per document
+const SNAPSHOT_INTERVAL = 120000;   // periodic snapshot while editing (ms)
+
+/**
+ * Snapshots of each document, newest last, persisted to localStorage.
+ * Saved documents are keyed by workspace path so their history survives
+ * closing and reopening them; unsaved ones by their document uid.
+ */
+const historyState = {
+    revisions: {},
+    selected: [],
+};
+
+function historyKey(entry) {
+    return entry.path ? `path:${entry.path}` : `draft:${entry.uid}`;
+}
+
+function initHistory() {
+    try {
+        historyState.revisions = JSON.parse(localStorage.getItem(HISTORY_KEY)) || {};
+    } catch {
+        historyState.revisions = {};
+    }
+    document.getElementById('btn-history').addEventListener('click', openHistory);
+    setInterval(() => recordRevision('Auto-snapshot'), SNAPSHOT_INTERVAL);
+}
+
+function persistHistory() {
+    // When storage is full, give up the oldest snapshots until it fits
+    for (;;) {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(historyState.revisions));
+            return;
+        } catch {
+            const oldest = Object.entries(historyState.revisions)
+                .filter(([, list]) => list.length)
+                .sort(([, a], [, b]) => a[0].time.localeCompare(b[0].time))[0];
+            if (!oldest) return;
+            oldest[1].shift();
+        }
+    }
+}
+
+/**
+ * Snapshot a document (the active one by default). Skipped when nothing
+ * changed since the last snapshot or the document is empty.
+ */
+function recordRevision(label, entry = getActiveDocument()) {
+    if (!entry) return;
+    const content = entry.doc.getValue();
+    const key = historyKey(entry);
+    const list = historyState.revisions[key] || (historyState.revisions[key] = []);
+    if (!content.trim() || (list.length && list[list.length - 1].content === content)) return;
+
+    list.push({ id: `${Date.now()}-${list.length}`, time: new Date().toISOString(), label, content });
+    if (list.length > MAX_REVISIONS) list.splice(0, list.length - MAX_REVISIONS);
+    persistHistory();
+}
+
+function moveHistory(fromKey, toKey) {
+    if (fromKey === toKey || !historyState.revisions[fromKey]) return;
+    historyState.revisions[toKey] = [...(historyState.revisions[toKey] || []), ...historyState.revisions[fromKey]]
+        .sort((a, b) => a.time.localeCompare(b.time))
+        .slice(-MAX_REVISIONS);
+    delete historyState.revisions[fromKey];
+    persistHistory();
+}
+
+function dropHistory(key) {
+    if (!historyState.revisions[key]) return;
+    delete historyState.revisions[key];
+    persistHistory();
+}
+
+/** Put a revision back into the editor; the current buffer is snapshotted first */
+function restoreRevision(revision) {
+    recordRevision('Before restore');
+    editor.setValue(revision.content);
+    showToast(`Restored revision from ${formatRevisionTime(revision)}`, 'success');
+}
+
+function formatRevisionTime(revision) {
+    return new Date(revision.time).toLocaleString();
+}
+
+function countLines(text) {
+    return text ? text.split('\n').length : 0;
+}
+
+/**
+ * History dialog: select up to two revisions (or one revision and the
+ * current buffer) to compare, or restore any revision directly.
+ */
+function openHistory() {
+    const entry = getActiveDocument();
+    if (!entry) return;
+
+    const current = { id: 'current', label: 'Current buffer', time: new Date().toISOString(), content: entry.doc.getValue() };
+    const revisions = [...(historyState.revisions[historyKey(entry)] || [])].reverse();
+    historyState.selected = revisions.length ? [revisions[0].id] : [];
+
+    const list = document.createElement('ul');
+    list.className = 'history-list';
+
+    const modal = openModal({
+        title: `History — ${documentName(entry)}`,
+        description: revisions.length
+            ? 'Select two revisions to compare, or one to compare with the current buffer.'
+            : 'No snapshots yet. They are taken on save, format, clear and every few minutes while you edit.',
+        content: list,
+        actions: [
+            { label: 'Close' },
+            {
+                label: 'Compare',
+                variant: 'primary',
+                onClick: () => {
+                    const picked = [current, ...revisions].filter((r) => historyState.selected.includes(r.id));
+                    if (!picked.length) {
+                        showToast('Select a revision to compare', 'info');
+                        return false;
+                    }
+                    if (picked.length === 1) picked.unshift(current);
+                    // Older revision on the left
+                    const [left, right] = picked.sort((a, b) => a.time.localeCompare(b.time));
+                    openDiffView(entry, left, right);
+                    return undefined;
+                },
+            },
+        ],
+    });
+
+    const renderList = () => {
+        list.innerHTML = '';
+        [current, ...revisions].forEach((revision) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            if (historyState.selected.includes(revision.id)) item.classList.add('selected');
+            item.innerHTML = `
+      <span class="history-check"></span>
+      <span class="history-label"></span>
+      <span class="history-meta"></span>
+    `;
+            item.querySelector('.history-label').textContent = revision.label;
+            item.querySelector('.history-meta').textContent = revision.id === 'current'
+                ? `${countLines(revision.content)} lines`
+                : `${formatRevisionTime(revision)} · ${countLines(revision.content)} lines`;
+
+            if (revision.id !== 'current') {
+                const restore = document.createElement('button');
+                restore.className = 'console-button history-restore';
+                restore.title = 'Restore this revision';
+                restore.innerHTML = '<i data-lucide="rotate-ccw" style="width:12px;height:12px"></i>';
+                restore.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    restoreRevision(revision);
+                    modal.close();
+                });
+                item.appendChild(restore);
+            }
+
+            item.addEventListener('click', () => {
+                const selected = historyState.selected.filter((id) => id !== revision.id);
+                if (selected.length === historyState.selected.length) selected.push(revision.id);
+                historyState.selected = selected.slice(-2);
+                renderList();
+            });
+            list.appendChild(item);
+        });
+        if (window.lucide) lucide.createIcons();
+    };
+    renderList();
+}
+
+/** Side-by-side diff of two revisions (left = older) */
+function openDiffView(entry, left, right) {
+    const container = document.createElement('div');
+    container.className = 'diff-view';
+    container.innerHTML = `
+    <div class="diff-captions">
+      <span class="diff-caption"></span>
+      <span class="diff-caption"></span>
+    </div>
+    <div class="diff-editors"></div>
+  `;
+    const caption = (revision) => (revision.id === 'current'
+        ? 'Current buffer'
+        : `${revision.label} · ${formatRevisionTime(revision)}`);
+    const [leftCaption, rightCaption] = container.querySelectorAll('.diff-caption');
+    leftCaption.textContent = caption(left);
+    rightCaption.textContent = caption(right);
+
+    const restorable = [left, right].filter((r) => r.id !== 'current');
+    openModal({
+        title: `Compare — ${documentName(entry)}`,
+        content: container,
+        wide: true,
+        actions: [
+            { label: 'Close' },
+            ...restorable.map((revision) => ({
+                label: restorable.length > 1 ? `Restore ${revision === left ? 'Left' : 'Right'}` : 'Restore',
+                variant: 'primary',
+                onClick: () => restoreRevision(revision),
+            })),
+        ],
+    });
+
+    // MergeView measures itself, so create it once the dialog is in the DOM
+    const isDark = document.body.classList.contains('dark-theme');
+    CodeMirror.MergeView(container.querySelector('.diff-editors'), {
+        origLeft: left.content,
+        value: right.content,
+        mode: 'yaml',
+        theme: isDark ? 'material-darker' : 'eclipse',
+        lineNumbers: true,
+        readOnly: true,
+        revertButtons: false,
+        highlightDifferences: true,
+        connect: 'align',
+        collapseIdentical: false,
+    });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   18. Breaking-Change Detection
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const BASELINE_SOURCES = {
+    revision: 'Saved revision',
+    workspace: 'Workspace spec',
+    file: 'Local file',
+    url: 'URL',
+};
+
+/** Baseline picker: compares the editor document against an older version */
+async function openCompare() {
+    const entry = getActiveDocument();
+    if (!entry) return;
+
+    const revisions = [...(historyState.revisions[historyKey(entry)] || [])].reverse();
+    const specsRes = await specsRequest('GET');
+    const specs = specsRes.ok ? specsRes.data.specs : [];
+
+    const form = document.createElement('div');
+    form.className = 'modal-form';
+    form.innerHTML = `
+    <label class="modal-field">
+      <span class="modal-label">Baseline</span>
+      <select class="modal-select" data-field="source"></select>
+    </label>
+    <label class="modal-field" data-for="revision">
+      <span class="modal-label">Revision</span>
+      <select class="modal-select" data-field="revision"></select>
+    </label>
+    <label class="modal-field" data-for="workspace">
+      <span class="modal-label">Spec</span>
+      <select class="modal-select" data-field="workspace"></select>
+    </label>
+    <label class="modal-field" data-for="file">
+      <span class="modal-label">File</span>
+      <input type="file" class="modal-input" data-field="file" accept=".yaml,.yml,.json" />
+    </label>
+    <label class="modal-field" data-for="url">
+      <span class="modal-label">URL</span>
+      <input type="text" class="modal-input" data-field="url" placeholder="https://example.com/openapi.yaml" spellcheck="false" />
+    </label>
+  `;
+    const field = (name) => form.querySelector(`[data-field="${name}"]`);
+    const addOptions = (select, options) => options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    addOptions(field('source'), Object.entries(BASELINE_SOURCES));
+    addOptions(field('revision'), revisions.map((r) => [r.id, `${r.label} · ${formatRevisionTime(r)}`]));
+    addOptions(field('workspace'), specs.filter((s) => s.path !== entry.path).map((s) => [s.path, s.path]));
+    if (!revisions.length) field('source').value = specs.length ? 'workspace' : 'file';
+
+    const showField = () => {
+        form.querySelectorAll('[data-for]').forEach((el) => {
+            el.style.display = el.dataset.for === field('source').value ? '' : 'none';
+        });
+    };
+    field('source').addEventListener('change', showField);
+    showField();
+
+    openModal({
+        title: 'Breaking Changes',
+        description: `Compare "${documentName(entry)}" with a baseline to see which changes would break existing clients.`,
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Compare',
+                variant: 'primary',
+                onClick: async () => {
+                    const baseline = await loadBaseline(field('source').value, {
+                        revision: revisions.find((r) => r.id === field('revision').value),
+                        workspace: field('workspace').value,
+                        file: field('file').files[0],
+                        url: field('url').value.trim(),
+                    });
+                    if (!baseline) return false;
+                    return runComparison(entry, baseline) ? undefined : false;
+                },
+            },
+        ],
+    });
+}
+
+/**
+ * Fetch the baseline source text.
+ * @returns {Promise<{ content: string, label: string }|null>} null after reporting a problem
+ */
+async function loadBaseline(source, { revision, workspace, file, url }) {
+    const fail = (message) => {
+        showToast(message, 'error');
+        return null;
+    };
+
+    if (source === 'revision') {
+        if (!revision) return fail('No saved revisions yet');
+        return { content: revision.content, label: `${revision.label} (${formatRevisionTime(revision)})` };
+    }
+
+    if (source === 'workspace') {
+        if (!workspace) return fail('Pick a workspace spec');
+        const res = await specsRequest('GET', workspace);
+        if (res.status === 0) {
+            reportOffline();
+            return null;
+        }
+        if (!res.ok) return fail(res.data.error || 'Could not read the spec');
+        return { content: res.data.content, label: workspace };
+    }
+
+    if (source === 'file') {
+        if (!file) return fail('Choose a file');
+        return { content: await file.text(), label: file.name };
+    }
+
+    if (!/^https?:\/\//i.test(url)) return fail('Enter an http(s) URL');
+    try {
+        // Through the server proxy – most spec hosts do not allow CORS
+        const res = await fetch(`/api/proxy?url=${encodeURIComponent(url)}`);
+        const text = await res.text();
+        if (!res.ok) {
+            let message = `HTTP ${res.status}`;
+            try { message = JSON.parse(text).error || message; } catch { }
+            return fail(`Could not fetch baseline: ${message}`);
+        }
+        return { content: text, label: url };
+    } catch {
+        reportOffline();
+        return null;
+    }
+}
+
+/** Ask the server for the changelog; resolves to false when it failed */
+async function runComparison(entry, baseline) {
+    const body = {
+        base: baseline.content,
+        revision: entry.doc.getValue(),
+        documentPath: entry.path || '',
+        labels: { base: baseline.label, revision: documentName(entry) },
+    };
+
+    let report;
+    try {
+        const res = await fetch('/api/compare', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        report = await res.json();
+        if (!res.ok) {
+            showToast(report.error || 'Comparison failed', 'error', 5000);
+            return false;
+        }
+    } catch {
+        showToast('Comparison needs the server — is it running?', 'error');
+        return false;
+    }
+
+    showChangeReport(entry, baseline, body, report);
+    return true;
+}
+
+function showChangeReport(entry, baseline, request, report) {
+    const container = document.createElement('div');
+    container.className = 'change-report';
+
+    const summary = document.createElement('div');
+    summary.className = 'change-summary';
+    summary.innerHTML = `
+    <span class="badge ${report.summary.breaking ? 'badge-error' : 'badge-ok'}"></span>
+    <span class="badge badge-neutral"></span>
+  `;
+    const [breakingBadge, otherBadge] = summary.querySelectorAll('.badge');
+    breakingBadge.textContent = `${report.summary.breaking} breaking`;
+    otherBadge.textContent = `${report.summary.nonBreaking} non-breaking`;
+    container.appendChild(summary);
+
+    if (!report.changes.length) {
+        const empty = document.createElement('p');
+        empty.className = 'change-empty';
+        empty.textContent = 'No API changes found.';
+        container.appendChild(empty);
+    }
+
+    const modal = openModal({
+        title: `Changes since ${baseline.label}`,
+        content: container,
+        wide: true,
+        actions: [
+            { label: 'Close' },
+            {
+                label: 'Download JSON',
+                onClick: () => {
+                    downloadFile(JSON.stringify({ base: baseline.label, revision: documentName(entry), ...report }, null, 2),
+                        `${getDocumentBaseName()}-changes.json`, 'application/json');
+                    return false;
+                },
+            },
+            {
+                label: 'Download Markdown',
+                variant: 'primary',
+                onClick: async () => {
+                    try {
+                        const res = await fetch('/api/compare?format=markdown', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(request),
+                        });
+                        if (!res.ok) throw new Error();
+                        downloadFile(await res.text(), `${getDocumentBaseName()}-changes.md`, 'text/markdown');
+                    } catch {
+                        showToast('Could not generate the Markdown changelog', 'error');
+                    }
+                    return false;
+                },
+            },
+        ],
+    });
+
+    // Group by operation; changes located in the editor document are clickable
+    const groups = new Map();
+    report.changes.forEach((change) => {
+        const group = change.operation || 'General';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(change);
+    });
+
+    groups.forEach((changes, group) => {
+        const heading = document.createElement('h4');
+        heading.className = 'change-group';
+        heading.textContent = group;
+        container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'problem-list';
+        changes.forEach((change) => {
+            const item = document.createElement('li');
+            const breaking = change.level === 'breaking';
+            item.className = `problem ${breaking ? 'problem-error' : 'problem-info'}`;
+            item.innerHTML = `
+      <span class="problem-icon"></span>
+      <span class="problem-message"></span>
+      <span class="problem-location"></span>
+    `;
+            item.querySelector('.problem-icon').textContent = breaking ? '✗' : '•';
+            item.querySelector('.problem-message').textContent = change.message;
+            item.querySelector('.problem-location').textContent = change.side === 'revision'
+                ? `Ln ${change.line}` : 'baseline';
+            item.title = `${change.code} · ${change.path}`;
+
+            if (change.side === 'revision' && entry.id === documentsState.activeId) {
+                item.addEventListener('click', () => {
+                    modal.close();
+                    jumpToProblem(change);
+                });
+            } else {
+                item.style.cursor = 'default';
+            }
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   19. Mock Server
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * While mock mode is on, every render pushes the document to the server's
+ * mock registry (keyed by the document uid) and points the preview's
+ * servers at it, so "Try it out" gets example responses.
+ */
+const mockState = {
+    enabled: false,
+    lastError: '',
+};
+
+function initMock() {
+    mockState.enabled = localStorage.getItem(MOCK_KEY) === 'on';
+    updateMockToggle();
+
+    document.getElementById('mock-toggle').addEventListener('click', () => {
+        const entry = getActiveDocument();
+        mockState.enabled = !mockState.enabled;
+        localStorage.setItem(MOCK_KEY, mockState.enabled ? 'on' : 'off');
+        updateMockToggle();
+
+        if (mockState.enabled) {
+            showToast(`Try it out now calls the mock at ${getMockUrl(entry)}`, 'info', 4000);
+        } else if (entry && !validationState.enabled) {
+            fetch(`/api/mocks/${entry.uid}`, { method: 'DELETE' }).catch(() => { });
+        }
+        renderSpec(editor.getValue());
+    });
+}
+
+function getMockUrl(entry) {
+    return entry ? `${window.location.origin}/api/mock/${entry.uid}` : '';
+}
+
+function updateMockToggle() {
+    const toggle = document.getElementById('mock-toggle');
+    toggle.classList.toggle('active', mockState.enabled);
+    toggle.title = mockState.enabled
+        ? `Mock mode on – requests go to ${getMockUrl(getActiveDocument())}`
+        : 'Send "Try it out" requests to a mock server generated from this spec';
+}
+
+/** Register the document with the server (the mock and validation both use it) */
+function registerSpec(source) {
+    const entry = getActiveDocument();
+    if (!entry) return;
+
+    fetch(`/api/mocks/${entry.uid}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source, documentPath: entry.path || '' }),
+    })
+        .then(async (res) => {
+            const data = await res.json().catch(() => ({}));
+            const error = res.ok ? '' : data.error || `HTTP ${res.status}`;
+            if (error && error !== mockState.lastError) showToast(`Mock server: ${error}`, 'error');
+            mockState.lastError = error;
+        })
+        .catch(() => {
+            if (mockState.lastError !== 'offline') showToast('Mock server unavailable — is the server running?', 'error');
+            mockState.lastError = 'offline';
+        });
+}
+
+/** Aim the preview's servers at the mock */
+function useMockServer(spec) {
+    const entry = getActiveDocument();
+    if (!entry) return;
+    const url = new URL(getMockUrl(entry));
+
+    if (spec.swagger !== undefined) {
+        spec.host = url.host;
+        spec.schemes = [url.protocol.replace(':', '')];
+        spec.basePath = url.pathname;
+    } else {
+        spec.servers = [{ url: url.href, description: 'Mock server' }];
+        // Path- and operation-level servers would bypass the mock
+        Object.values(spec.paths || {}).forEach((pathItem) => {
+            if (!pathItem || typeof pathItem !== 'object') return;
+            delete pathItem.servers;
+            Object.values(pathItem).forEach((operation) => {
+                if (operation && typeof operation === 'object') delete operation.servers;
+            });
+        });
+    }
+    updateMockToggle();
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   20. Contract Validation
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * With validation on, "Try it out" requests carry X-Validate-Spec so the
+ * proxy (or the mock) checks the exchange against this document. The
+ * verdict is fetched from the report the response links to and shown
+ * under the live response; the response itself is left untouched.
+ */
+const validationState = {
+    enabled: false,
+};
+
+function initValidation() {
+    validationState.enabled = localStorage.getItem(VALIDATE_KEY) === 'on';
+    updateValidateToggle();
+
+    document.getElementById('validate-toggle').addEventListener('click', () => {
+        const entry = getActiveDocument();
+        validationState.enabled = !validationState.enabled;
+        localStorage.setItem(VALIDATE_KEY, validationState.enabled ? 'on' : 'off');
+        updateValidateToggle();
+
+        if (validationState.enabled) {
+            showToast('Try it out requests and responses will be checked against this spec', 'info', 4000);
+        } else if (entry && !mockState.enabled) {
+            fetch(`/api/mocks/${entry.uid}`, { method: 'DELETE' }).catch(() => { });
+        }
+        renderSpec(editor.getValue());
+    });
+}
+
+function updateValidateToggle() {
+    const toggle = document.getElementById('validate-toggle');
+    toggle.classList.toggle('active', validationState.enabled);
+    toggle.title = validationState.enabled
+        ? 'Validation on – "Try it out" traffic is checked against this spec'
+        : 'Check "Try it out" requests and responses against this spec';
+}
+
+/** Fetch the report a validated response points at and show it */
+async function showValidationReport(reportUrl) {
+    let report;
+    try {
+        const res = await fetch(reportUrl);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        report = await res.json();
+    } catch (err) {
+        showToast(`Could not load the validation report: ${err.message}`, 'error');
+        return;
+    }
+
+    const count = report.violations.length + (report.truncated || 0);
+    const label = report.operation || `${report.method} ${report.url}`;
+    if (report.valid) showToast(`${label} matches the spec`, 'success');
+    else showToast(`${label}: ${count} contract violation${count === 1 ? '' : 's'}`, 'error', 5000);
+
+    // Swagger UI renders the live response after the interceptor returns
+    setTimeout(() => renderValidationReport(report), 50);
+}
+
+/** The preview's operation block for "GET /pets/{petId}" */
+function findOperationBlock(operation) {
+    if (!operation) return null;
+    return [...document.querySelectorAll('#swagger-ui-container .opblock')]
+        .find((block) => operationOfBlock(block) === operation) || null;
+}
+
+/** "METHOD /path" of a Swagger UI operation block */
+function operationOfBlock(block) {
+    const methodEl = block?.querySelector('.opblock-summary-method');
+    const pathEl = block?.querySelector('.opblock-summary-path');
+    if (!methodEl || !pathEl) return null;
+    const path = pathEl.dataset.path || pathEl.textContent.replace(/\u200b/g, '').trim();
+    return `${methodEl.textContent.trim().toUpperCase()} ${path}`;
+}
+
+function renderValidationReport(report) {
+    const block = findOperationBlock(report.operation);
+    if (!block) return;
+    block.querySelectorAll('.validation-report').forEach((el) => el.remove());
+    const anchor = block.querySelector('.live-responses-table') || block.querySelector('.responses-inner');
+    if (!anchor) return;
+
+    const count = report.violations.length + (report.truncated || 0);
+    const items = report.violations.map((v) => `
+        <li><strong>${escapeHtml(v.direction)}</strong> <code>${escapeHtml(v.location + (v.pointer || ''))}</code> ${escapeHtml(v.message)}</li>`).join('');
+    const el = document.createElement('div');
+    el.className = `validation-report${report.valid ? '' : ' failed'}`;
+    el.innerHTML = `
+      <div class="validation-report-title">${report.valid ? 'Contract check passed' : `Contract check failed – ${count} violation${count === 1 ? '' : 's'}`}</div>
+      ${items ? `<ul>${items}</ul>` : ''}
+      ${report.truncated ? `<div class="validation-report-note">…and ${report.truncated} more</div>` : ''}
+      ${report.notes.map((note) => `<div class="validation-report-note">${escapeHtml(note)}</div>`).join('')}
+    `;
+
+    if (anchor.classList.contains('live-responses-table')) anchor.after(el);
+    else anchor.prepend(el);
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   21. Import from Postman & HAR
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const IMPORT_MODES = {
+    replace: 'Replace the current document',
+    merge: 'Merge into the current document',
+};
+
+const IMPORT_FORMATS = { postman: 'Postman collection', har: 'HAR capture' };
+
+function openImport() {
+    const entry = getActiveDocument();
+    if (!entry) return;
+
+    const form = document.createElement('div');
+    form.className = 'modal-form';
+    form.innerHTML = `
+    <label class="modal-field">
+      <span class="modal-label">File</span>
+      <input type="file" class="modal-input" data-field="file" accept=".json,.har" />
+    </label>
+    <label class="modal-field">
+      <span class="modal-label">Mode</span>
+      <select class="modal-select" data-field="mode"></select>
+    </label>
+  `;
+    const field = (name) => form.querySelector(`[data-field="${name}"]`);
+    Object.entries(IMPORT_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        field('mode').appendChild(option);
+    });
+
+    openModal({
+        title: 'Import',
+        description: 'Generate a draft OpenAPI 3 document from a Postman v2.1 collection or a HAR capture. Path parameters and schemas are inferred from the recorded requests.',
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Import',
+                variant: 'primary',
+                onClick: async () => {
+                    const file = field('file').files[0];
+                    if (!file) {
+                        showToast('Choose a Postman collection or HAR file', 'warning');
+                        return false;
+                    }
+                    return (await importTraffic(entry, await file.text(), field('mode').value)) ? undefined : false;
+                },
+            },
+        ],
+    });
+}
+
+/** Send the file to the server and put the draft into the editor */
+async function importTraffic(entry, content, mode) {
+    let res;
+    try {
+        res = await fetch('/api/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, ...(mode === 'merge' ? { merge: editor.getValue() } : {}) }),
+        });
+    } catch {
+        showToast('Import needs the server — is it running?', 'error');
+        return false;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        showToast(`Import failed: ${data.error || `HTTP ${res.status}`}`, 'error', 5000);
+        return false;
+    }
+
+    recordRevision('Before import', entry);
+    editor.setValue(data.source);
+
+    const { summary } = data;
+    const source = IMPORT_FORMATS[data.format] || 'file';
+    showToast(mode === 'merge'
+        ? `Merged ${summary.added} operation${summary.added === 1 ? '' : 's'} from the ${source}${summary.skipped ? ` (${summary.skipped} already documented)` : ''}`
+        : `Imported ${summary.operations} operation${summary.operations === 1 ? '' : 's'} from ${summary.requests} request${summary.requests === 1 ? '' : 's'}`, 'success', 4000);
+    return true;
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   22. Spec Conversion
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+// Conversions on offer for each document version (2.0 → 3.1 chains through 3.0)
+const CONVERT_TARGETS = {
+    '2.0': { '3.0': 'OpenAPI 3.0', '3.1': 'OpenAPI 3.1' },
+    '3.0': { '3.1': 'OpenAPI 3.1' },
+};
+
+/** Version of the editor document: '2.0', '3.0', '3.1' or null */
+function documentVersion() {
+    try {
+        const spec = jsyaml.load(editor.getValue());
+        if (!spec || typeof spec !== 'object') return null;
+        if (spec.swagger !== undefined) return String(spec.swagger) === '2.0' ? '2.0' : null;
+        const match = /^3\.([01])\./.exec(String(spec.openapi));
+        return match ? `3.${match[1]}` : null;
+    } catch {
+        return null;
+    }
+}
+
+function openConvert() {
+    const entry = getActiveDocument();
+    if (!entry) return;
+
+    const version = documentVersion();
+    const targets = CONVERT_TARGETS[version];
+    if (!targets) {
+        showToast(version === '3.1'
+            ? 'The document is already OpenAPI 3.1'
+            : 'Only Swagger 2.0 and OpenAPI 3.0 documents can be converted — fix YAML errors first', 'info', 4000);
+        return;
+    }
+
+    const form = document.createElement('div');
+    form.className = 'modal-form';
+    form.innerHTML = `
+    <label class="modal-field">
+      <span class="modal-label">Convert to</span>
+      <select class="modal-select" data-field="target"></select>
+    </label>
+  `;
+    const select = form.querySelector('[data-field="target"]');
+    Object.entries(targets).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    openModal({
+        title: `Convert ${version === '2.0' ? 'Swagger 2.0' : `OpenAPI ${version}`}`,
+        description: 'Rewrite the document for a newer OpenAPI version. The current contents are kept in History; comments and anchors are not carried over.',
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Convert',
+                variant: 'primary',
+                onClick: async () => ((await convertDocument(entry, select.value)) ? undefined : false),
+            },
+        ],
+    });
+}
+
+/** Convert on the server, put the result into the editor and list what did not carry over */
+async function convertDocument(entry, target) {
+    let res;
+    try {
+        res = await fetch('/api/convert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: editor.getValue(), target }),
+        });
+    } catch {
+        showToast('Conversion needs the server — is it running?', 'error');
+        return false;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        showToast(`Conversion failed: ${data.error || `HTTP ${res.status}`}`, 'error', 5000);
+        return false;
+    }
+
+    recordRevision('Before conversion', entry);
+    editor.setValue(data.source);
+
+    if (!data.notes.length) {
+        showToast(`Converted to OpenAPI ${data.version}`, 'success');
+        return true;
+    }
+    // Let the form modal close before opening the report
+    setTimeout(() => showConversionNotes(data), 0);
+    return true;
+}
+
+function showConversionNotes(data) {
+    const container = document.createElement('div');
+    container.className = 'change-report';
+
+    const list = document.createElement('ul');
+    list.className = 'problem-list';
+    data.notes.forEach((note) => {
+        const item = document.createElement('li');
+        item.className = 'problem problem-warning';
+        item.style.cursor = 'default';
+        item.innerHTML = `
+      <span class="problem-icon">⚠</span>
+      <span class="problem-message"></span>
+      <span class="problem-path"></span>
+    `;
+        item.querySelector('.problem-message').textContent = note.message;
+        item.querySelector('.problem-path').textContent = note.path;
+        item.title = note.path;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    openModal({
+        title: `Converted to OpenAPI ${data.version}`,
+        description: `${data.notes.length} item${data.notes.length === 1 ? '' : 's'} could not be translated exactly. Paths refer to the original document, which is in History as "Before conversion".`,
+        content: container,
+        wide: true,
+        actions: [{ label: 'Close', variant: 'primary' }],
+    });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   23. Import from URL
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+// Re-check a document's source at most this often (window focus, tab switches)
+const SOURCE_CHECK_INTERVAL = 60 * 1000;
+
+const SOURCE_STATUS = {
+    synced: { text: 'In sync with the source', warn: false },
+    edited: { text: 'Local copy differs from the source', warn: true },
+    behind: { text: 'The source has changed — re-sync to update', warn: false },
+    diverged: { text: 'Both the local copy and the source have changed', warn: true },
+};
+
+/** Fetch a spec through the server; resolves to { url, content, format, version } or null */
+async function fetchSpecFromUrl(url) {
+    let res;
+    try {
+        res = await fetch('/api/import/url', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url }),
+        });
+    } catch {
+        showToast('Importing from a URL needs the server — is it running?', 'error');
+        return null;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        showToast(`Could not import ${url}: ${data.error || `HTTP ${res.status}`}`, 'error', 5000);
+        return null;
+    }
+    return data;
+}
+
+function openUrlImport() {
+    const input = document.createElement('input');
+    input.type = 'url';
+    input.className = 'modal-input';
+    input.placeholder = 'https://example.com/openapi.yaml';
+    input.spellcheck = false;
+
+    const modal = openModal({
+        title: 'Import from URL',
+        description: 'Fetch a YAML or JSON spec through the server and open it in a new tab. The tab remembers the URL so you can re-sync it later.',
+        content: input,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Import',
+                variant: 'primary',
+                onClick: async () => {
+                    const url = input.value.trim();
+                    if (!/^https?:\/\//i.test(url)) {
+                        showToast('Enter an http(s) URL', 'warning');
+                        return false;
+                    }
+                    return (await importFromUrl(url)) ? undefined : false;
+                },
+            },
+        ],
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') modal.body.parentElement.querySelector('.modal-button-primary').click();
+    });
+    setTimeout(() => input.focus(), 0);
+}
+
+async function importFromUrl(url) {
+    const open = documentsState.documents.find((d) => d.source?.url === url);
+    if (open) {
+        activateDocument(open.id);
+        showToast('Already open — use Re-sync to update it', 'info');
+        return true;
+    }
+
+    const data = await fetchSpecFromUrl(url);
+    if (!data) return false;
+
+    const fileName = decodeURIComponent(new URL(data.url).pathname.split('/').pop() || '') || 'openapi';
+    const entry = createDocumentEntry({
+        name: /\.(ya?ml|json)$/i.test(fileName) ? fileName : `${fileName}.${data.format}`,
+        content: data.content,
+        savedContent: '',
+        source: { url: data.url, content: data.content, version: data.version },
+    });
+    entry.remote = { version: data.version, checked: Date.now() };
+    activateDocument(entry.id);
+    saveToLocalStorage();
+    showToast(`Imported ${documentName(entry)}`, 'success');
+    return true;
+}
+
+function sourceStatus(entry) {
+    const edited = entry.doc.getValue() !== entry.source.content;
+    const changed = Boolean(entry.remote?.version) && entry.remote.version !== entry.source.version;
+    if (edited && changed) return 'diverged';
+    if (changed) return 'behind';
+    return edited ? 'edited' : 'synced';
+}
+
+function initSourceBar() {
+    document.getElementById('source-check').addEventListener('click', () => checkSourceUrl(getActiveDocument(), { force: true }));
+    document.getElementById('source-resync').addEventListener('click', () => resyncDocument(getActiveDocument()));
+    document.getElementById('source-unlink').addEventListener('click', () => {
+        const entry = getActiveDocument();
+        if (!entry?.source || !confirm('Forget the source URL of this document?')) return;
+        entry.source = null;
+        entry.remote = null;
+        renderSourceBar();
+        saveToLocalStorage();
+    });
+}
+
+/** Show the active document's source URL and whether it is in sync */
+function renderSourceBar() {
+    const bar = document.getElementById('source-bar');
+    if (!bar) return;
+    const entry = getActiveDocument();
+    if (!entry?.source) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    const status = SOURCE_STATUS[sourceStatus(entry)];
+    const link = document.getElementById('source-url');
+    link.href = entry.source.url;
+    link.textContent = entry.source.url;
+    link.title = entry.source.url;
+
+    const label = document.getElementById('source-status');
+    label.textContent = entry.remote?.error ? `Could not check: ${entry.remote.error}` : status.text;
+    if (entry.remote?.checked) label.title = `Checked ${new Date(entry.remote.checked).toLocaleTimeString()}`;
+    bar.classList.toggle('warn', status.warn);
+    bar.style.display = '';
+}
+
+/** Compare the source with what was imported (throttled unless forced) */
+async function checkSourceUrl(entry, { force = false } = {}) {
+    if (!entry?.source) return;
+    if (!force && entry.remote && Date.now() - entry.remote.checked < SOURCE_CHECK_INTERVAL) return;
+
+    const { url } = entry.source;
+    entry.remote = { ...entry.remote, checked: Date.now() };
+    let data;
+    try {
+        const res = await fetch('/api/import/url', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url }),
+        });
+        data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    } catch (err) {
+        if (entry.source?.url === url) entry.remote = { ...entry.remote, error: err.message };
+        renderSourceBar();
+        return;
+    }
+    if (entry.source?.url !== url) return;
+
+    entry.remote = { version: data.version, checked: Date.now() };
+    renderSourceBar();
+    if (force) showToast(SOURCE_STATUS[sourceStatus(entry)].text, 'info');
+}
+
+/** Replace the document with the current source; local edits go to History */
+async function resyncDocument(entry) {
+    if (!entry?.source) return;
+    const data = await fetchSpecFromUrl(entry.source.url);
+    if (!data) return;
+
+    const edited = entry.doc.getValue() !== entry.source.content;
+    if (edited && entry.doc.getValue() !== data.content
+        && !confirm('Replace your local changes with the source? They are kept in History.')) return;
+
+    recordRevision('Before re-sync', entry);
+    entry.source = { url: entry.source.url, content: data.content, version: data.version };
+    entry.remote = { version: data.version, checked: Date.now() };
+    if (entry.doc.getValue() !== data.content) entry.doc.setValue(data.content);
+    renderSourceBar();
+    saveToLocalStorage();
+    showToast('Re-synced with the source', 'success');
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   24. Code Snippets
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/** Ask the server for snippets; resolves to the JSON result, a Markdown string, or null */
+async function requestSnippets(server, format = 'json') {
+    const entry = getActiveDocument();
+    let res;
+    try {
+        res = await fetch(`/api/export/snippets${format === 'markdown' ? '?format=markdown' : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: editor.getValue(), documentPath: entry?.path || '', ...(server === undefined ? {} : { server }) }),
+        });
+    } catch {
+        showToast('Code snippets need the server — is it running?', 'error');
+        return null;
+    }
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        showToast(`Could not generate snippets: ${data.error || `HTTP ${res.status}`}`, 'error', 5000);
+        return null;
+    }
+    return format === 'markdown' ? res.text() : res.json();
+}
+
+async function openSnippets() {
+    let result = await requestSnippets();
+    if (!result) return;
+    if (!result.operations.length) {
+        showToast('The document has no operations yet', 'info');
+        return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'snippets';
+    container.innerHTML = `
+    <div class="snippets-controls">
+      <label class="modal-field">
+        <span class="modal-label">Server</span>
+        <select class="modal-select" data-field="server"></select>
+      </label>
+      <label class="modal-field">
+        <span class="modal-label">Operation</span>
+        <select class="modal-select" data-field="operation"></select>
+      </label>
+    </div>
+    <div class="snippets-tabs" role="tablist"></div>
+    <div class="snippets-code">
+      <button class="snippets-copy" title="Copy to clipboard">Copy</button>
+      <pre><code></code></pre>
+    </div>
+  `;
+    const field = (name) => container.querySelector(`[data-field="${name}"]`);
+    const tabs = container.querySelector('.snippets-tabs');
+    const code = container.querySelector('code');
+    let language = localStorage.getItem(SNIPPET_LANGUAGE_KEY);
+    if (!result.languages[language]) [language] = Object.keys(result.languages);
+
+    result.servers.forEach((url) => {
+        const option = document.createElement('option');
+        option.value = url;
+        option.textContent = url || '(relative to the document)';
+        field('server').appendChild(option);
+    });
+
+    const operationKey = (op) => `${op.method} ${op.path}`;
+    const fillOperations = (selected) => {
+        const select = field('operation');
+        select.innerHTML = '';
+        result.operations.forEach((op) => {
+            const option = document.createElement('option');
+            option.value = operationKey(op);
+            option.textContent = `${operationKey(op)}${op.summary ? ` — ${op.summary}` : ''}`;
+            select.appendChild(option);
+        });
+        if (selected && result.operations.some((op) => operationKey(op) === selected)) select.value = selected;
+    };
+
+    const render = () => {
+        tabs.querySelectorAll('.snippets-tab').forEach((tab) => tab.classList.toggle('active', tab.dataset.language === language));
+        const op = result.operations.find((o) => operationKey(o) === field('operation').value) || result.operations[0];
+        code.textContent = op.snippets[language];
+    };
+
+    Object.entries(result.languages).forEach(([key, { label }]) => {
+        const tab = document.createElement('button');
+        tab.className = 'snippets-tab';
+        tab.dataset.language = key;
+        tab.setAttribute('role', 'tab');
+        tab.textContent = label;
+        tab.addEventListener('click', () => {
+            language = key;
+            localStorage.setItem(SNIPPET_LANGUAGE_KEY, key);
+            render();
+        });
+        tabs.appendChild(tab);
+    });
+
+    // Start with the operation expanded in the preview – usually the one just tried
+    fillOperations(operationOfBlock(document.querySelector('#swagger-ui-container .opblock.is-open')));
+    render();
+
+    field('operation').addEventListener('change', render);
+    field('server').addEventListener('change', async () => {
+        const next = await requestSnippets(field('server').value);
+        if (!next) return;
+        const selected = field('operation').value;
+        result = next;
+        fillOperations(selected);
+        render();
+    });
+    container.querySelector('.snippets-copy').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            showToast('Snippet copied', 'success', 1500);
+        } catch {
+            showToast('Could not copy — select the code and copy it manually', 'warning');
+        }
+    });
+
+    openModal({
+        title: 'Code Snippets',
+        description: 'Ready-to-run calls for each operation. Credentials are placeholders such as YOUR_TOKEN.',
+        content: container,
+        wide: true,
+        actions: [
+            { label: 'Close' },
+            {
+                label: 'Download Markdown',
+                variant: 'primary',
+                onClick: async () => {
+                    const markdown = await requestSnippets(field('server').value, 'markdown');
+                    if (markdown !== null) downloadFile(markdown, `${getDocumentBaseName()}-snippets.md`, 'text/markdown');
+                    return false;
+                },
+            },
+        ],
+    });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   25. Documentation Export
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const DOCS_FORMATS = {
+    html: { label: 'Single HTML file (works offline)', endpoint: '/api/export/html', suffix: '-docs.html' },
+    markdown: { label: 'Markdown pages, one per tag (.zip)', endpoint: '/api/export/markdown', suffix: '-docs.zip' },
+};
+
+function openDocsExport() {
+    const form = document.createElement('div');
+    form.className = 'modal-form';
+    form.innerHTML = `
+    <label class="modal-field">
+      <span class="modal-label">Format</span>
+      <select class="modal-select" data-field="format"></select>
+    </label>
+  `;
+    const select = form.querySelector('[data-field="format"]');
+    Object.entries(DOCS_FORMATS).forEach(([value, { label }]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    openModal({
+        title: 'Export Documentation',
+        description: 'Documentation that works without the editor. The HTML file embeds the spec and Swagger UI; its "Try it out" only sends GET, HEAD and OPTIONS requests.',
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Download',
+                variant: 'primary',
+                onClick: async () => ((await exportDocs(select.value)) ? undefined : false),
+            },
+        ],
+    });
+}
+
+/** Render the docs on the server and download them; resolves to true on success */
+async function exportDocs(format) {
+    const entry = getActiveDocument();
+    const { endpoint, suffix } = DOCS_FORMATS[format];
+    let res;
+    try {
+        res = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: editor.getValue(), documentPath: entry?.path || '' }),
+        });
+    } catch {
+        showToast('Documentation export needs the server — is it running?', 'error');
+        return false;
+    }
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        showToast(`Documentation export failed: ${data.error || `HTTP ${res.status}`}`, 'error', 5000);
+        return false;
+    }
+
+    const blob = await res.blob();
+    downloadFile(blob, `${getDocumentBaseName()}${suffix}`, blob.type);
+    const unresolved = Number(res.headers.get('X-Unresolved-Refs'));
+    if (unresolved) {
+        showToast(`Documentation downloaded — ${unresolved} $ref(s) could not be inlined`, 'warning', 5000);
+    } else {
+        showToast('Documentation downloaded', 'success');
+    }
+    return true;
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   26. Request History
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const MAX_REQUESTS = 100;           // unpinned calls kept
+const MAX_RECORDED_BODY = 100000;   // characters of each body kept
+const REDACTED = '[redacted]';
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key', 'x-auth-token', 'x-oauth-grant'];
+const INTERNAL_HEADERS = ['x-validate-spec'];
+const STATUS_FILTERS = { '': 'Any status', '2': '2xx', '3': '3xx', '4': '4xx', '5': '5xx' };
+
+/**
+ * Every "Try it out" call, newest first, persisted to localStorage.
+ * Requests are matched to their responses by the URL they were fetched
+ * from. Sensitive headers – and API keys the spec declares – are redacted
+ * before anything is stored unless redaction is switched off.
+ */
+const requestHistoryState = {
+    calls: [],
+    pending: [],
+    redact: true,
+    render: null,   // re-renders the open history dialog
+};
+
+function initRequestHistory() {
+    try {
+        requestHistoryState.calls = JSON.parse(localStorage.getItem(REQUESTS_KEY)) || [];
+    } catch {
+        requestHistoryState.calls = [];
+    }
+    requestHistoryState.redact = localStorage.getItem(REQUESTS_REDACT_KEY) !== 'off';
+    document.getElementById('btn-requests').addEventListener('click', openRequestHistory);
+    updateRequestCount();
+}
+
+function persistRequests() {
+    // When storage is full, give up the oldest unpinned calls until it fits
+    for (;;) {
+        try {
+            localStorage.setItem(REQUESTS_KEY, JSON.stringify(requestHistoryState.calls));
+            return;
+        } catch {
+            const index = requestHistoryState.calls.map((call) => call.pinned).lastIndexOf(false);
+            if (index === -1) return;
+            requestHistoryState.calls.splice(index, 1);
+        }
+    }
+}
+
+function updateRequestCount() {
+    const count = document.getElementById('requests-count');
+    count.textContent = requestHistoryState.calls.length;
+    count.style.display = requestHistoryState.calls.length ? '' : 'none';
+}
+
+/** Header and query parameter names the spec uses for API keys */
+function apiKeyNames(spec) {
+    const schemes = spec?.swagger !== undefined ? spec.securityDefinitions : spec?.components?.securitySchemes;
+    const names = { header: [], query: [] };
+    Object.values(schemes || {}).forEach((scheme) => {
+        if (scheme?.type === 'apiKey' && names[scheme.in] && scheme.name) names[scheme.in].push(String(scheme.name).toLowerCase());
+    });
+    return names;
+}
+
+/** API key names of the document in the editor */
+function editorApiKeyNames() {
+    try {
+        return apiKeyNames(jsyaml.load(editor.getValue()));
+    } catch {
+        return { header: [], query: [] };
+    }
+}
+
+/** Headers as [{ name, value }], internal ones dropped and secrets redacted */
+function recordHeaders(headers, secretNames) {
+    return Object.entries(headers || {})
+        .filter(([name]) => !INTERNAL_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => ({
+            name,
+            value: requestHistoryState.redact && secretNames.includes(name.toLowerCase()) ? REDACTED : String(value),
+        }));
+}
+
+function redactUrl(url, queryNames) {
+    if (!requestHistoryState.redact || !queryNames.length) return url;
+    try {
+        const parsed = new URL(url, window.location.href);
+        queryNames.forEach((name) => {
+            [...parsed.searchParams.keys()].filter((key) => key.toLowerCase() === name).forEach((key) => parsed.searchParams.set(key, REDACTED));
+        });
+        return parsed.href;
+    } catch {
+        return url;
+    }
+}
+
+/** A body as text, cut to MAX_RECORDED_BODY; form data lists its fields */
+function recordBody(body) {
+    if (body === undefined || body === null || body === '') return { text: '' };
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        const params = [...body.entries()].map(([name, value]) => (typeof value === 'string'
+            ? { name, value }
+            : { name, fileName: value.name || 'blob', contentType: value.type }));
+        return { text: '', params };
+    }
+    if (typeof body !== 'string') {
+        if (typeof Blob !== 'undefined' && body instanceof Blob) return { text: `[binary, ${body.size} bytes]`, binary: true };
+        body = JSON.stringify(body);
+    }
+    return body.length > MAX_RECORDED_BODY
+        ? { text: body.slice(0, MAX_RECORDED_BODY), truncated: true }
+        : { text: body };
+}
+
+/** The spec path template ("/pets/{petId}") a request URL matches */
+function pathTemplateForUrl(spec, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url, window.location.href).pathname);
+    } catch {
+        return null;
+    }
+    let best = null;
+    Object.keys(spec?.paths || {}).forEach((template) => {
+        const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{[^}]+\\?\}/g, '[^/]+');
+        if (!new RegExp(`${pattern}$`).test(pathname)) return;
+        // Prefer the template with the most literal characters
+        const literal = template.replace(/\{[^}]+\}/g, '').length;
+        if (!best || literal > best.literal) best = { template, literal };
+    });
+    return best ? best.template : null;
+}
+
+/** "GET /pets/{petId}" for a request URL, matched against the spec's paths */
+function operationForUrl(spec, method, url) {
+    const template = pathTemplateForUrl(spec, url);
+    return template ? `${method.toUpperCase()} ${template}` : null;
+}
+
+/** Called from the request interceptor with the URL before proxying */
+function recordRequest(req, originalUrl, spec) {
+    // Spec and $ref fetches are not calls
+    if (req.loadSpec || new URL(originalUrl, window.location.href).pathname.startsWith('/workspace/')) return;
+    const secrets = apiKeyNames(spec);
+    const method = (req.method || 'GET').toUpperCase();
+    requestHistoryState.pending.push({
+        fetchUrl: req.url,
+        started: performance.now(),
+        call: {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            time: new Date().toISOString(),
+            operation: operationForUrl(spec, method, originalUrl),
+            pinned: false,
+            request: {
+                method,
+                url: redactUrl(originalUrl, secrets.query),
+                headers: recordHeaders(req.headers, [...SENSITIVE_HEADERS, ...secrets.header]),
+                body: recordBody(req.body),
+            },
+            secrets: [...SENSITIVE_HEADERS, ...secrets.header],
+        },
+    });
+    // Requests that never got an answer (network errors) are dropped
+    if (requestHistoryState.pending.length > 20) requestHistoryState.pending.shift();
+}
+
+/** Called from the response interceptor */
+function recordResponse(res) {
+    const index = requestHistoryState.pending.findIndex((pending) => pending.fetchUrl === res.url);
+    if (index === -1) return;
+    const [{ started, call }] = requestHistoryState.pending.splice(index, 1);
+    call.duration = Math.round(performance.now() - started);
+    call.response = {
+        status: res.status,
+        statusText: res.statusText || '',
+        headers: recordHeaders(res.headers, call.secrets),
+        body: recordBody(typeof res.text === 'string' ? res.text : res.data),
+    };
+    delete call.secrets;
+    addCall(call);
+}
+
+function addCall(call) {
+    const { calls } = requestHistoryState;
+    calls.unshift(call);
+    const unpinned = calls.filter((c) => !c.pinned);
+    if (unpinned.length > MAX_REQUESTS) {
+        const dropped = new Set(unpinned.slice(MAX_REQUESTS));
+        requestHistoryState.calls = calls.filter((c) => !dropped.has(c));
+    }
+    persistRequests();
+    updateRequestCount();
+    if (requestHistoryState.render) requestHistoryState.render(call.id);
+}
+
+function headerValue(headers, name) {
+    return headers.find((header) => header.name.toLowerCase() === name)?.value || '';
+}
+
+function statusClass(status) {
+    if (!status) return 'status-error';
+    return status < 300 ? 'status-ok' : status < 400 ? 'status-redirect' : 'status-error';
+}
+
+/** Body text for display – JSON pretty-printed */
+function displayBody(body, headers) {
+    if (body.params) {
+        return body.params.map((param) => (param.fileName ? `${param.name}: @${param.fileName}` : `${param.name}: ${param.value}`)).join('\n');
+    }
+    if (/json/i.test(headerValue(headers, 'content-type'))) {
+        try {
+            return JSON.stringify(JSON.parse(body.text), null, 2);
+        } catch { }
+    }
+    return body.text + (body.truncated ? '\n… (truncated)' : '');
+}
+
+function openRequestHistory() {
+    const container = document.createElement('div');
+    container.className = 'requests';
+    container.innerHTML = `
+    <div class="requests-filters">
+      <select class="modal-select" data-field="operation"></select>
+      <select class="modal-select" data-field="status"></select>
+      <label class="requests-check"><input type="checkbox" data-field="pinned" /> Pinned only</label>
+      <label class="requests-check" title="Replace Authorization, cookies and API keys with ${REDACTED} before storing calls">
+        <input type="checkbox" data-field="redact" /> Redact secrets
+      </label>
+    </div>
+    <div class="requests-main">
+      <ul class="requests-list"></ul>
+      <div class="requests-detail"></div>
+    </div>
+  `;
+    const field = (name) => container.querySelector(`[data-field="${name}"]`);
+    const list = container.querySelector('.requests-list');
+    const detail = container.querySelector('.requests-detail');
+    let selectedId = requestHistoryState.calls[0]?.id || null;
+    let editing = false;
+
+    Object.entries(STATUS_FILTERS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        field('status').appendChild(option);
+    });
+    field('redact').checked = requestHistoryState.redact;
+
+    const visibleCalls = () => requestHistoryState.calls.filter((call) => {
+        const status = String(call.response?.status || '');
+        return (!field('operation').value || call.operation === field('operation').value)
+            && (!field('status').value || status.startsWith(field('status').value))
+            && (!field('pinned').checked || call.pinned);
+    });
+
+    const fillOperations = () => {
+        const select = field('operation');
+        const current = select.value;
+        const operations = [...new Set(requestHistoryState.calls.map((call) => call.operation).filter(Boolean))].sort();
+        select.innerHTML = '<option value="">All operations</option>';
+        operations.forEach((operation) => {
+            const option = document.createElement('option');
+            option.value = operation;
+            option.textContent = operation;
+            select.appendChild(option);
+        });
+        if (operations.includes(current)) select.value = current;
+    };
+
+    const renderList = () => {
+        const calls = visibleCalls();
+        if (!calls.some((call) => call.id === selectedId)) selectedId = calls[0]?.id || null;
+        list.innerHTML = '';
+        if (!calls.length) {
+            list.innerHTML = `<li class="requests-empty">${requestHistoryState.calls.length ? 'No calls match the filters.' : 'No calls yet. Use "Try it out" in the preview.'}</li>`;
+        }
+        calls.forEach((call) => {
+            const item = document.createElement('li');
+            item.className = `requests-item${call.id === selectedId ? ' selected' : ''}`;
+            item.innerHTML = `
+        <span class="requests-method"></span>
+        <span class="requests-status"></span>
+        <span class="requests-path"></span>
+        <span class="requests-meta"></span>
+        ${call.pinned ? '<i data-lucide="pin" style="width:11px;height:11px"></i>' : ''}
+      `;
+            item.querySelector('.requests-method').textContent = call.request.method;
+            const status = item.querySelector('.requests-status');
+            status.textContent = call.response?.status || '—';
+            status.classList.add(statusClass(call.response?.status));
+            let path = call.request.url;
+            try { path = new URL(path, window.location.href).pathname; } catch { }
+            item.querySelector('.requests-path').textContent = call.operation ? call.operation.replace(/^\S+ /, '') : path;
+            item.querySelector('.requests-meta').textContent = `${new Date(call.time).toLocaleTimeString()} · ${call.duration ?? '?'} ms`;
+            item.addEventListener('click', () => {
+                selectedId = call.id;
+                editing = false;
+                renderList();
+                renderDetail();
+            });
+            list.appendChild(item);
+        });
+        if (window.lucide) lucide.createIcons();
+    };
+
+    const section = (title, rows, body) => {
+        const el = document.createElement('div');
+        el.className = 'requests-section';
+        el.innerHTML = '<div class="requests-section-title"></div>';
+        el.firstElementChild.textContent = title;
+        if (rows?.length) {
+            const table = document.createElement('table');
+            table.className = 'requests-headers';
+            rows.forEach(({ name, value }) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = name;
+                row.insertCell().textContent = value;
+            });
+            el.appendChild(table);
+        }
+        if (body) {
+            const pre = document.createElement('pre');
+            pre.textContent = body;
+            el.appendChild(pre);
+        }
+        return el;
+    };
+
+    const renderDetail = () => {
+        const call = requestHistoryState.calls.find((c) => c.id === selectedId);
+        detail.innerHTML = '';
+        if (!call) return;
+        if (editing) {
+            renderReplayForm(call);
+            return;
+        }
+
+        const head = document.createElement('div');
+        head.className = 'requests-detail-head';
+        head.innerHTML = `
+      <div class="requests-detail-url"><strong></strong> <code></code></div>
+      <div class="requests-detail-meta"></div>
+      <div class="requests-detail-actions">
+        <button class="console-button" data-action="pin"></button>
+        <button class="console-button" data-action="replay">Edit &amp; replay</button>
+        <button class="console-button" data-action="delete">Delete</button>
+      </div>
+    `;
+        head.querySelector('strong').textContent = call.request.method;
+        head.querySelector('code').textContent = call.request.url;
+        head.querySelector('.requests-detail-meta').textContent = [
+            call.response ? `${call.response.status} ${call.response.statusText}`.trim() : 'No response',
+            `${call.duration ?? '?'} ms`,
+            new Date(call.time).toLocaleString(),
+            call.operation,
+            call.replayOf ? 'replay' : '',
+        ].filter(Boolean).join(' · ');
+        head.querySelector('[data-action="pin"]').textContent = call.pinned ? 'Unpin' : 'Pin';
+        head.querySelector('[data-action="pin"]').addEventListener('click', () => {
+            call.pinned = !call.pinned;
+            persistRequests();
+            renderList();
+            renderDetail();
+        });
+        head.querySelector('[data-action="replay"]').addEventListener('click', () => {
+            editing = true;
+            renderDetail();
+        });
+        head.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            requestHistoryState.calls = requestHistoryState.calls.filter((c) => c !== call);
+            persistRequests();
+            updateRequestCount();
+            fillOperations();
+            renderList();
+            renderDetail();
+        });
+        detail.appendChild(head);
+
+        detail.appendChild(section('Request headers', call.request.headers));
+        const requestBody = displayBody(call.request.body, call.request.headers);
+        if (requestBody) detail.appendChild(section('Request body', null, requestBody));
+        if (call.response) {
+            detail.appendChild(section('Response headers', call.response.headers));
+            const responseBody = displayBody(call.response.body, call.response.headers);
+            if (responseBody) detail.appendChild(section('Response body', null, responseBody));
+        }
+    };
+
+    const renderReplayForm = (call) => {
+        const form = document.createElement('div');
+        form.className = 'modal-form requests-replay';
+        form.innerHTML = `
+      <div class="modal-field">
+        <select class="modal-select requests-replay-method" data-replay="method"></select>
+        <input type="text" class="modal-input" data-replay="url" spellcheck="false" />
+      </div>
+      <label class="requests-section-title">Headers – one "Name: value" per line</label>
+      <textarea class="modal-textarea" data-replay="headers" rows="6" spellcheck="false"></textarea>
+      <label class="requests-section-title">Body</label>
+      <textarea class="modal-textarea" data-replay="body" rows="10" spellcheck="false"></textarea>
+      <div class="requests-detail-actions">
+        <button class="console-button" data-action="cancel">Cancel</button>
+        <button class="modal-button modal-button-primary" data-action="send">Send</button>
+      </div>
+    `;
+        const input = (name) => form.querySelector(`[data-replay="${name}"]`);
+        ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'].forEach((method) => {
+            const option = document.createElement('option');
+            option.value = method;
+            option.textContent = method;
+            input('method').appendChild(option);
+        });
+        input('method').value = call.request.method;
+        input('url').value = call.request.url;
+        input('headers').value = call.request.headers.map(({ name, value }) => `${name}: ${value}`).join('\n');
+        const { body } = call.request;
+        input('body').value = body.params
+            ? JSON.stringify(Object.fromEntries(body.params.filter((p) => !p.fileName).map((p) => [p.name, p.value])), null, 2)
+            : body.text;
+
+        form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            editing = false;
+            renderDetail();
+        });
+        form.querySelector('[data-action="send"]').addEventListener('click', async (e) => {
+            const headers = input('headers').value.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+                const colon = line.indexOf(':');
+                return colon === -1 ? { name: line, value: '' } : { name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() };
+            });
+            const url = input('url').value;
+            if (headers.some((header) => header.value === REDACTED) || url.includes(REDACTED) || url.includes(encodeURIComponent(REDACTED))) {
+                showToast(`Replace the ${REDACTED} values before replaying`, 'warning', 4000);
+                return;
+            }
+            if (body.params?.some((p) => p.fileName)) showToast('File fields are not kept in the history and are left out', 'warning', 4000);
+            e.target.disabled = true;
+            const replayed = await replayRequest(call, {
+                method: input('method').value,
+                url: input('url').value.trim(),
+                headers,
+                body: input('body').value,
+            });
+            e.target.disabled = false;
+            if (replayed) {
+                editing = false;
+                selectedId = replayed.id;
+                fillOperations();
+                renderList();
+                renderDetail();
+            }
+        });
+        detail.appendChild(form);
+    };
+
+    requestHistoryState.render = (newId) => {
+        if (!editing && newId) selectedId = newId;
+        fillOperations();
+        renderList();
+        if (!editing) renderDetail();
+    };
+
+    ['operation', 'status', 'pinned'].forEach((name) => field(name).addEventListener('change', () => {
+        editing = false;
+        renderList();
+        renderDetail();
+    }));
+    field('redact').addEventListener('change', () => {
+        requestHistoryState.redact = field('redact').checked;
+        localStorage.setItem(REQUESTS_REDACT_KEY, requestHistoryState.redact ? 'on' : 'off');
+        if (!requestHistoryState.redact) showToast('New calls will be stored with their credentials', 'warning', 4000);
+    });
+
+    fillOperations();
+    renderList();
+    renderDetail();
+
+    openModal({
+        title: 'Request History',
+        description: 'Calls made with "Try it out". Pinned calls are kept when the history is cleared or full.',
+        content: container,
+        wide: true,
+        onClose: () => { requestHistoryState.render = null; },
+        actions: [
+            { label: 'Close' },
+            {
+                label: 'Clear',
+                onClick: () => {
+                    requestHistoryState.calls = requestHistoryState.calls.filter((call) => call.pinned);
+                    persistRequests();
+                    updateRequestCount();
+                    fillOperations();
+                    renderList();
+                    renderDetail();
+                    return false;
+                },
+            },
+            {
+                label: 'Export HAR',
+                variant: 'primary',
+                onClick: () => {
+                    const calls = visibleCalls();
+                    if (!calls.length) {
+                        showToast('No calls to export', 'info');
+                        return false;
+                    }
+                    downloadFile(JSON.stringify(toHar(calls), null, 2), `${getDocumentBaseName()}-requests.har`, 'application/json');
+                    showToast(`${calls.length} call${calls.length === 1 ? '' : 's'} exported`, 'success');
+                    return false;
+                },
+            },
+        ],
+    });
+}
+
+/**
+ * Send an edited call again – through the proxy's JSON envelope, or
+ * directly for same-origin URLs (the mock server) – and record it.
+ * @returns {Promise<object|null>} the recorded call
+ */
+async function replayRequest(original, { method, url, headers, body }) {
+    let target;
+    try {
+        target = new URL(url, window.location.href);
+    } catch {
+        showToast('Enter a valid URL', 'warning');
+        return null;
+    }
+    const sameOrigin = target.origin === window.location.origin;
+    const canHaveBody = !['GET', 'HEAD'].includes(method) && body !== '';
+    const contentType = headerValue(headers, 'content-type');
+    const headerMap = Object.fromEntries(headers.map(({ name, value }) => [name, value]));
+
+    // Form fields were recorded as a JSON object; the proxy encodes them again
+    let payload = canHaveBody ? body : undefined;
+    if (canHaveBody && /multipart\/form-data/i.test(contentType)) {
+        try { payload = JSON.parse(body); } catch { }
+    }
+
+    const started = performance.now();
+    let res;
+    try {
+        if (sameOrigin) {
+            let directBody = payload;
+            if (payload && typeof payload === 'object') {
+                directBody = new FormData();
+                Object.entries(payload).forEach(([name, value]) => directBody.append(name, String(value)));
+                Object.keys(headerMap).filter((name) => name.toLowerCase() === 'content-type').forEach((name) => delete headerMap[name]);
+            }
+            res = await fetch(target.href, { method, headers: headerMap, body: directBody });
+        } else {
+            res = await fetch('/api/proxy', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url: target.href, method, headers: headerMap, body: payload }),
+            });
+        }
+    } catch {
+        showToast('Replay failed — is the server running?', 'error');
+        return null;
+    }
+
+    const secrets = editorApiKeyNames();
+    const secretHeaders = [...SENSITIVE_HEADERS, ...secrets.header];
+    const responseHeaders = [];
+    res.headers.forEach((value, name) => responseHeaders.push({ name, value }));
+    const blob = await res.blob();
+    const isText = /^text\/|json|xml|javascript|yaml|x-www-form-urlencoded/i.test(blob.type) || !blob.type;
+    const call = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        time: new Date().toISOString(),
+        operation: original.operation && original.request.method === method ? original.operation : null,
+        pinned: false,
+        replayOf: original.id,
+        duration: Math.round(performance.now() - started),
+        request: {
+            method,
+            url: redactUrl(target.href, secrets.query),
+            headers: recordHeaders(headerMap, secretHeaders),
+            body: recordBody(canHaveBody ? body : ''),
+        },
+        response: {
+            status: res.status,
+            statusText: res.statusText,
+            headers: recordHeaders(Object.fromEntries(responseHeaders.map(({ name, value }) => [name, value])), secretHeaders),
+            body: recordBody(isText ? await blob.text() : blob),
+        },
+    };
+    addCall(call);
+    showToast(`Replayed — ${res.status} in ${call.duration} ms`, res.ok ? 'success' : 'warning');
+    return call;
+}
+
+/** HAR 1.2 log of recorded calls */
+function toHar(calls) {
+    const harHeaders = (headers) => headers.map(({ name, value }) => ({ name, value }));
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'Swagger Editor', version: '1.0' },
+            entries: [...calls].reverse().map((call) => {
+                let queryString = [];
+                try {
+                    queryString = [...new URL(call.request.url, window.location.href).searchParams].map(([name, value]) => ({ name, value }));
+                } catch { }
+                const { body } = call.request;
+                const requestType = headerValue(call.request.headers, 'content-type');
+                const response = call.response || { status: 0, statusText: '', headers: [], body: { text: '' } };
+                return {
+                    startedDateTime: call.time,
+                    time: call.duration || 0,
+                    request: {
+                        method: call.request.method,
+                        url: new URL(call.request.url, window.location.href).href,
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: harHeaders(call.request.headers),
+                        queryString,
+                        ...(body.text || body.params ? {
+                            postData: {
+                                mimeType: requestType || (body.params ? 'multipart/form-data' : 'text/plain'),
+                                ...(body.params ? { params: body.params } : { text: body.text }),
+                            },
+                        } : {}),
+                        headersSize: -1,
+                        bodySize: body.text ? body.text.length : 0,
+                    },
+                    response: {
+                        status: response.status,
+                        statusText: response.statusText,
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: harHeaders(response.headers),
+                        content: {
+                            size: response.body.text.length,
+                            mimeType: headerValue(response.headers, 'content-type') || 'text/plain',
+                            text: response.body.text,
+                        },
+                        redirectURL: headerValue(response.headers, 'location'),
+                        headersSize: -1,
+                        bodySize: -1,
+                    },
+                    cache: {},
+                    timings: { send: 0, wait: call.duration || 0, receive: 0 },
+                    ...(call.operation ? { comment: call.operation } : {}),
+                };
+            }),
+        },
+    };
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   27. Environments
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const ENVIRONMENT_DB = 'swagger-editor';
+const AUTH_SECRET_FIELDS = ['password', 'token', 'value', 'clientSecret', 'grant'];
+const OAUTH_FLOW_LABELS = {
+    clientCredentials: 'Client credentials',
+    password: 'Password',
+    authorizationCode: 'Authorization code (PKCE)',
+};
+
+/**
+ * Named sets of variables, a server and credentials for "Try it out".
+ * The active environment picks the preview's server when the spec is
+ * rendered; the request interceptor substitutes {{variables}} and adds
+ * credentials for the operation's security requirement.
+ *
+ * OAuth2 and OpenID Connect tokens can be typed in, or obtained by the
+ * server (/api/oauth): the environment then keeps the server's grant id,
+ * and the proxy adds a fresh access token to each request.
+ *
+ * Secrets – auth values and variables marked secret – are encrypted with
+ * AES-GCM before they reach localStorage. The key is a non-extractable
+ * CryptoKey kept in IndexedDB, so the stored environments are useless
+ * without this browser profile. Where Web Crypto is unavailable (plain
+ * http on a non-local host) secrets live in memory only.
+ */
+const environmentState = {
+    environments: [],   // [{ id, name, server: { url, variables }, variables: [{ name, value, secret }], auth: { [scheme]: {...} } }]
+    activeId: '',
+    key: null,
+    loaded: false,
+};
+
+async function initEnvironments() {
+    const select = document.getElementById('environment-select');
+    select.addEventListener('change', () => {
+        environmentState.activeId = select.value;
+        saveEnvironments();
+        const env = activeEnvironment();
+        showToast(env ? `Environment: ${env.name}` : 'No environment – requests are sent as the spec describes them', 'info', 2500);
+        renderSpec(editor.getValue());
+    });
+    document.getElementById('btn-environments').addEventListener('click', openEnvironments);
+
+    await loadEnvironments();
+    renderEnvironmentSelect();
+    if (activeEnvironment()) renderSpec(editor.getValue());
+}
+
+function activeEnvironment() {
+    return environmentState.environments.find((env) => env.id === environmentState.activeId) || null;
+}
+
+function renderEnvironmentSelect() {
+    const select = document.getElementById('environment-select');
+    select.innerHTML = '<option value="">No environment</option>';
+    environmentState.environments.forEach((env) => {
+        const option = document.createElement('option');
+        option.value = env.id;
+        option.textContent = env.name;
+        select.appendChild(option);
+    });
+    select.value = activeEnvironment() ? environmentState.activeId : '';
+}
+
+// ── Secret storage ────────────────────────────────────────────────────────
+
+function canEncrypt() {
+    return Boolean(window.crypto?.subtle && window.indexedDB);
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/** The AES key for environment secrets, created on first use */
+async function environmentKey() {
+    if (environmentState.key) return environmentState.key;
+    const open = indexedDB.open(ENVIRONMENT_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore('keys');
+    const db = await idbRequest(open);
+    let key = await idbRequest(db.transaction('keys').objectStore('keys').get('environments'));
+    if (!key) {
+        key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await idbRequest(db.transaction('keys', 'readwrite').objectStore('keys').put(key, 'environments'));
+    }
+    db.close();
+    environmentState.key = key;
+    return key;
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+async function encryptSecret(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await environmentKey(), new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptSecret(sealed) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, await environmentKey(), fromBase64(sealed.data));
+    return new TextDecoder().decode(data);
+}
+
+/**
+ * Apply `transform` to every secret of an environment, returning a copy.
+ * Secrets are auth passwords, tokens and key values, and secret variables.
+ */
+async function mapSecrets(env, transform) {
+    const copy = JSON.parse(JSON.stringify(env));
+    for (const variable of copy.variables) {
+        if (variable.secret && variable.value !== undefined) variable.value = await transform(variable.value);
+    }
+    for (const values of Object.values(copy.auth)) {
+        for (const field of AUTH_SECRET_FIELDS) {
+            if (values[field] !== undefined && values[field] !== '') values[field] = await transform(values[field]);
+        }
+    }
+    return copy;
+}
+
+async function saveEnvironments() {
+    const encrypt = canEncrypt();
+    const environments = [];
+    for (const env of environmentState.environments) {
+        environments.push(await mapSecrets(env, async (value) => {
+            if (!encrypt || typeof value !== 'string') return undefined;
+            try {
+                return await encryptSecret(value);
+            } catch {
+                return undefined;
+            }
+        }));
+    }
+    localStorage.setItem(ENVIRONMENTS_KEY, JSON.stringify({ activeId: environmentState.activeId, environments }));
+}
+
+async function loadEnvironments() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(ENVIRONMENTS_KEY)) || {};
+    } catch {
+        stored = {};
+    }
+    let lost = 0;
+    const environments = [];
+    for (const env of Array.isArray(stored.environments) ? stored.environments : []) {
+        environments.push(await mapSecrets({ variables: [], auth: {}, server: {}, ...env }, async (sealed) => {
+            if (!sealed || typeof sealed !== 'object' || !canEncrypt()) return undefined;
+            try {
+                return await decryptSecret(sealed);
+            } catch {
+                lost++;
+                return undefined;
+            }
+        }));
+    }
+    environmentState.environments = environments;
+    environmentState.activeId = stored.activeId || '';
+    environmentState.loaded = true;
+    if (lost) showToast(`${lost} environment secret${lost === 1 ? '' : 's'} could not be decrypted and must be entered again`, 'warning', 5000);
+}
+
+// ── Applying an environment ───────────────────────────────────────────────
+
+function environmentVariables(env) {
+    return Object.fromEntries(env.variables.filter((v) => v.name).map((v) => [v.name, v.value ?? '']));
+}
+
+/** Replace {{name}} with the variable's value; unknown names are left alone */
+function substituteVariables(text, variables, { encoded = false } = {}) {
+    if (typeof text !== 'string') return text;
+    const replace = (match, name) => (name in variables
+        ? (encoded ? encodeURIComponent(variables[name]) : variables[name])
+        : match);
+    let result = text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, replace);
+    // Swagger UI percent-encodes braces typed into path and query parameters
+    if (encoded) result = result.replace(/%7B%7B\s*([\w.-]+)\s*%7D%7D/gi, replace);
+    return result;
+}
+
+/** The environment's server URL with server and environment variables filled in */
+function environmentServerUrl(env, spec) {
+    const url = env.server?.url;
+    if (!url) return '';
+    const declared = (spec.servers || []).find((server) => server?.url === url);
+    const values = env.server.variables || {};
+    const withServerVariables = url.replace(/\{([^{}]+)\}/g, (match, name) => {
+        if (values[name] !== undefined && values[name] !== '') return values[name];
+        const fallback = declared?.variables?.[name]?.default;
+        return fallback === undefined ? match : fallback;
+    });
+    return substituteVariables(withServerVariables, environmentVariables(env));
+}
+
+/** Point the rendered spec at the active environment's server */
+function applyEnvironmentServer(spec) {
+    const env = activeEnvironment();
+    const url = env && environmentServerUrl(env, spec);
+    if (!url) return;
+
+    if (spec.swagger !== undefined) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            spec.host = parsed.host;
+            spec.schemes = [parsed.protocol.replace(':', '')];
+            spec.basePath = parsed.pathname.replace(/\/$/, '') || '/';
+        } catch { }
+        return;
+    }
+    spec.servers = [{ url, description: `Environment: ${env.name}` }];
+}
+
+function securitySchemesOf(spec) {
+    return (spec?.swagger !== undefined ? spec.securityDefinitions : spec?.components?.securitySchemes) || {};
+}
+
+/** How a scheme is filled in: 'basic', 'bearer', 'apiKey' or null when unsupported */
+function authKind(scheme) {
+    if (!scheme || typeof scheme !== 'object') return null;
+    if (scheme.type === 'basic' || (scheme.type === 'http' && /^basic$/i.test(scheme.scheme))) return 'basic';
+    if ((scheme.type === 'http' && /^bearer$/i.test(scheme.scheme)) || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') return 'bearer';
+    if (scheme.type === 'apiKey' && ['header', 'query'].includes(scheme.in)) return 'apiKey';
+    return null;
+}
+
+function hasAuthValues(kind, values) {
+    if (!values) return false;
+    if (kind === 'basic') return Boolean(values.username || values.password);
+    if (kind === 'bearer') return Boolean(values.token || values.grant);
+    if (kind === 'apiKey') return Boolean(values.value);
+    return false;
+}
+
+function findHeader(headers, name) {
+    return Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Substitute variables and add credentials to a "Try it out" request.
+ * Credentials follow the operation's security (or the spec's): the first
+ * alternative the environment has values for is used. Values the user
+ * entered with Swagger UI's Authorize dialog are left in place.
+ */
+function applyEnvironment(req, spec) {
+    const env = activeEnvironment();
+    if (!env || req.loadSpec) return;
+    const variables = environmentVariables(env);
+    req.url = substituteVariables(req.url, variables, { encoded: true });
+    Object.keys(req.headers || {}).forEach((name) => {
+        req.headers[name] = substituteVariables(req.headers[name], variables);
+    });
+    if (typeof req.body === 'string') req.body = substituteVariables(req.body, variables);
+
+    const template = pathTemplateForUrl(spec, req.url);
+    const operation = template ? spec.paths[template]?.[(req.method || 'get').toLowerCase()] : null;
+    if (!operation) return;
+    const schemes = securitySchemesOf(spec);
+    const requirements = Array.isArray(operation.security) ? operation.security : (Array.isArray(spec.security) ? spec.security : []);
+    const chosen = requirements.find((requirement) => requirement && Object.keys(requirement).length
+        && Object.keys(requirement).every((name) => hasAuthValues(authKind(schemes[name]), env.auth[name])));
+    if (!chosen) return;
+
+    req.headers = req.headers || {};
+    Object.keys(chosen).forEach((name) => {
+        const scheme = schemes[name];
+        const values = env.auth[name];
+        const kind = authKind(scheme);
+        const value = (text) => substituteVariables(text || '', variables);
+        if (kind === 'bearer' && !values.token) {
+            // A server-side grant; the proxy adds the token
+            if (!findHeader(req.headers, 'Authorization')) req.headers['X-OAuth-Grant'] = values.grant;
+        } else if (kind === 'basic' || kind === 'bearer') {
+            if (findHeader(req.headers, 'Authorization')) return;
+            req.headers.Authorization = kind === 'basic'
+                ? `Basic ${btoa(unescape(encodeURIComponent(`${value(values.username)}:${value(values.password)}`)))}`
+                : `Bearer ${value(values.token)}`;
+        } else if (kind === 'apiKey' && scheme.in === 'header') {
+            if (!findHeader(req.headers, scheme.name)) req.headers[scheme.name] = value(values.value);
+        } else if (kind === 'apiKey') {
+            const url = new URL(req.url, window.location.href);
+            if (!url.searchParams.has(scheme.name)) url.searchParams.set(scheme.name, value(values.value));
+            req.url = url.href;
+        }
+    });
+}
+
+// ── Editor dialog ─────────────────────────────────────────────────────────
+
+function newEnvironment(name) {
+    return {
+        id: `env-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        server: { url: '', variables: {} },
+        variables: [],
+        auth: {},
+    };
+}
+
+function openEnvironments() {
+    let spec = {};
+    try {
+        spec = jsyaml.load(editor.getValue()) || {};
+    } catch { }
+    const specServers = (Array.isArray(spec.servers) ? spec.servers : []).filter((server) => server && typeof server.url === 'string');
+    const schemes = securitySchemesOf(spec);
+
+    // Work on copies; Save replaces the stored environments
+    const drafts = JSON.parse(JSON.stringify(environmentState.environments));
+    let current = drafts.find((env) => env.id === environmentState.activeId) || drafts[0] || null;
+
+    const container = document.createElement('div');
+    container.className = 'environments';
+    container.innerHTML = `
+    <div class="environments-bar">
+      <select class="modal-select" data-field="environment"></select>
+      <button class="console-button" data-action="new">New</button>
+      <button class="console-button" data-action="duplicate">Duplicate</button>
+      <button class="console-button" data-action="delete">Delete</button>
+    </div>
+    <div class="modal-form environment-form"></div>
+  `;
+    const picker = container.querySelector('[data-field="environment"]');
+    const form = container.querySelector('.environment-form');
+
+    const input = (value, { type = 'text', placeholder = '', onInput }) => {
+        const el = document.createElement('input');
+        el.type = type;
+        el.className = 'modal-input';
+        el.value = value ?? '';
+        el.placeholder = placeholder;
+        el.spellcheck = false;
+        el.autocomplete = 'off';
+        el.addEventListener('input', () => onInput(el.value));
+        return el;
+    };
+    const row = (label, control) => {
+        const field = document.createElement('label');
+        field.className = 'modal-field';
+        field.innerHTML = '<span class="modal-label"></span>';
+        field.firstChild.textContent = label;
+        field.appendChild(control);
+        return field;
+    };
+    const heading = (text) => {
+        const el = document.createElement('div');
+        el.className = 'environment-heading';
+        el.textContent = text;
+        return el;
+    };
+
+    const renderPicker = () => {
+        picker.innerHTML = '';
+        drafts.forEach((env) => {
+            const option = document.createElement('option');
+            option.value = env.id;
+            option.textContent = env.name || '(unnamed)';
+            picker.appendChild(option);
+        });
+        picker.disabled = !drafts.length;
+        if (current) picker.value = current.id;
+    };
+
+    const renderForm = () => {
+        form.innerHTML = '';
+        if (!current) {
+            form.innerHTML = '<p class="environment-empty">No environments yet. Create one for each place you test against – local, staging, production.</p>';
+            return;
+        }
+        const env = current;
+        form.appendChild(row('Name', input(env.name, {
+            onInput: (value) => {
+                env.name = value;
+                picker.selectedOptions[0].textContent = value || '(unnamed)';
+            },
+        })));
+
+        // Server: one of the spec's, a custom URL, or the spec's default
+        form.appendChild(heading('Server'));
+        const serverSelect = document.createElement('select');
+        serverSelect.className = 'modal-select';
+        serverSelect.innerHTML = '<option value="">As in the spec</option>';
+        specServers.forEach((server, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = server.description ? `${server.url} – ${server.description}` : server.url;
+            serverSelect.appendChild(option);
+        });
+        serverSelect.insertAdjacentHTML('beforeend', '<option value="custom">Custom URL…</option>');
+        const declaredIndex = specServers.findIndex((server) => server.url === env.server.url);
+        serverSelect.value = !env.server.url ? '' : declaredIndex === -1 ? 'custom' : String(declaredIndex);
+        form.appendChild(row('Server', serverSelect));
+
+        const serverDetails = document.createElement('div');
+        serverDetails.className = 'modal-form';
+        form.appendChild(serverDetails);
+        const renderServerDetails = () => {
+            serverDetails.innerHTML = '';
+            if (serverSelect.value === 'custom') {
+                serverDetails.appendChild(row('URL', input(env.server.url, {
+                    placeholder: 'https://staging.example.com/v1 – {{variables}} allowed',
+                    onInput: (value) => { env.server.url = value; },
+                })));
+                return;
+            }
+            const server = specServers[Number(serverSelect.value)];
+            if (serverSelect.value === '' || !server) return;
+            Object.entries(server.variables || {}).forEach(([name, variable]) => {
+                let control;
+                if (Array.isArray(variable?.enum) && variable.enum.length) {
+                    control = document.createElement('select');
+                    control.className = 'modal-select';
+                    variable.enum.forEach((choice) => {
+                        const option = document.createElement('option');
+                        option.value = String(choice);
+                        option.textContent = String(choice);
+                        control.appendChild(option);
+                    });
+                    control.value = env.server.variables[name] ?? String(variable.default ?? variable.enum[0]);
+                    env.server.variables[name] = control.value;
+                    control.addEventListener('change', () => { env.server.variables[name] = control.value; });
+                } else {
+                    control = input(env.server.variables[name], {
+                        placeholder: variable?.default !== undefined ? String(variable.default) : '',
+                        onInput: (value) => { env.server.variables[name] = value; },
+                    });
+                }
+                serverDetails.appendChild(row(`{${name}}`, control));
+            });
+        };
+        serverSelect.addEventListener('change', () => {
+            const server = specServers[Number(serverSelect.value)];
+            env.server = { url: serverSelect.value === 'custom' ? env.server.url : (server?.url || ''), variables: {} };
+            renderServerDetails();
+        });
+        renderServerDetails();
+
+        // Variables
+        form.appendChild(heading('Variables – use as {{name}} in parameters, headers, bodies and the server URL'));
+        const variableList = document.createElement('div');
+        variableList.className = 'environment-variables';
+        form.appendChild(variableList);
+        const renderVariables = () => {
+            variableList.innerHTML = '';
+            env.variables.forEach((variable, index) => {
+                const line = document.createElement('div');
+                line.className = 'environment-variable';
+                line.appendChild(input(variable.name, { placeholder: 'name', onInput: (value) => { variable.name = value.trim(); } }));
+                const valueInput = input(variable.value, {
+                    type: variable.secret ? 'password' : 'text',
+                    placeholder: 'value',
+                    onInput: (value) => { variable.value = value; },
+                });
+                line.appendChild(valueInput);
+                const secret = document.createElement('label');
+                secret.className = 'environment-secret';
+                secret.title = 'Encrypt this value and hide it';
+                secret.innerHTML = '<input type="checkbox" /> Secret';
+                secret.firstChild.checked = Boolean(variable.secret);
+                secret.firstChild.addEventListener('change', (e) => {
+                    variable.secret = e.target.checked;
+                    valueInput.type = variable.secret ? 'password' : 'text';
+                });
+                line.appendChild(secret);
+                const remove = document.createElement('button');
+                remove.className = 'console-button';
+                remove.title = 'Remove variable';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => {
+                    env.variables.splice(index, 1);
+                    renderVariables();
+                });
+                line.appendChild(remove);
+                variableList.appendChild(line);
+            });
+            const add = document.createElement('button');
+            add.className = 'console-button environment-add';
+            add.textContent = '+ Add variable';
+            add.addEventListener('click', () => {
+                env.variables.push({ name: '', value: '', secret: false });
+                renderVariables();
+                variableList.querySelector('.environment-variable:last-of-type input')?.focus();
+            });
+            variableList.appendChild(add);
+        };
+        renderVariables();
+
+        // Credentials for each security scheme of the document
+        form.appendChild(heading('Authentication'));
+        const names = Object.keys(schemes);
+        if (!names.length) {
+            form.insertAdjacentHTML('beforeend', '<p class="environment-empty">The document declares no security schemes.</p>');
+        }
+        names.forEach((name) => {
+            const scheme = schemes[name];
+            const kind = authKind(scheme);
+            const values = env.auth[name] || (env.auth[name] = {});
+            const set = (field) => (value) => { values[field] = value; };
+            if (kind === 'basic') {
+                form.appendChild(row(name, input(values.username, { placeholder: 'username', onInput: set('username') })));
+                form.appendChild(row('', input(values.password, { type: 'password', placeholder: 'password', onInput: set('password') })));
+            } else if (kind === 'bearer') {
+                const tokenInput = input(values.token, {
+                    type: 'password',
+                    placeholder: scheme.type === 'http' ? 'bearer token' : 'access token – or sign in below',
+                    onInput: set('token'),
+                });
+                form.appendChild(row(name, tokenInput));
+                if (scheme.type !== 'http') form.appendChild(oauthControls(scheme, values, { row, input, tokenInput }));
+            } else if (kind === 'apiKey') {
+                form.appendChild(row(name, input(values.value, {
+                    type: 'password',
+                    placeholder: `${scheme.name} (${scheme.in})`,
+                    onInput: set('value'),
+                })));
+            } else {
+                const note = document.createElement('span');
+                note.className = 'environment-empty';
+                note.textContent = `${scheme?.type || 'unknown'}${scheme?.in ? ` in ${scheme.in}` : ''} – not supported`;
+                form.appendChild(row(name, note));
+            }
+        });
+    };
+
+    picker.addEventListener('change', () => {
+        current = drafts.find((env) => env.id === picker.value) || null;
+        renderForm();
+    });
+    container.querySelector('[data-action="new"]').addEventListener('click', () => {
+        current = newEnvironment(`Environment ${drafts.length + 1}`);
+        drafts.push(current);
+        renderPicker();
+        renderForm();
+        form.querySelector('input')?.select();
+    });
+    container.querySelector('[data-action="duplicate"]').addEventListener('click', () => {
+        if (!current) return;
+        current = { ...JSON.parse(JSON.stringify(current)), id: newEnvironment('').id, name: `${current.name} copy` };
+        drafts.push(current);
+        renderPicker();
+        renderForm();
+    });
+    container.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!current) return;
+        drafts.splice(drafts.indexOf(current), 1);
+        current = drafts[0] || null;
+        renderPicker();
+        renderForm();
+    });
+
+    renderPicker();
+    renderForm();
+
+    openModal({
+        title: 'Environments',
+        description: canEncrypt()
+            ? 'Servers, variables and credentials applied to "Try it out". Secrets are encrypted before they are stored in this browser.'
+            : 'Servers, variables and credentials applied to "Try it out". This page is not a secure context, so secrets are kept until you reload only.',
+        content: container,
+        wide: true,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Save',
+                variant: 'primary',
+                onClick: async () => {
+                    drafts.forEach((env) => {
+                        env.name = env.name.trim() || 'Unnamed';
+                        env.variables = env.variables.filter((variable) => variable.name);
+                        Object.keys(env.auth).forEach((name) => {
+                            if (!Object.values(env.auth[name]).some(Boolean)) delete env.auth[name];
+                        });
+                    });
+                    environmentState.environments = drafts;
+                    if (!activeEnvironment()) environmentState.activeId = '';
+                    await saveEnvironments();
+                    renderEnvironmentSelect();
+                    renderSpec(editor.getValue());
+                    showToast('Environments saved', 'success');
+                },
+            },
+        ],
+    });
+}
+
+// ── OAuth sign-in ─────────────────────────────────────────────────────────
+
+function describeGrant(values) {
+    if (!values.grant) return 'Not signed in';
+    const until = values.grantExpires ? new Date(values.grantExpires).toLocaleTimeString() : '';
+    return `Signed in${until ? ` – token valid until ${until}` : ''}${values.grantRefreshable ? ', renewed by the server' : ''}`;
+}
+
+/**
+ * Controls that have the server run an oauth2 / openIdConnect scheme's
+ * flow. The resulting grant id is stored with the environment's values.
+ * @param {object} scheme – the security scheme object
+ * @param {object} values – the environment's auth values for the scheme
+ * @param {object} fields – the dialog's row and input builders, and the
+ *   token input, cleared once a grant replaces the typed-in token
+ */
+function oauthControls(scheme, values, { row, input, tokenInput }) {
+    const box = document.createElement('div');
+    box.className = 'modal-form environment-oauth';
+    const set = (field) => (value) => { values[field] = value; };
+
+    const flowSelect = document.createElement('select');
+    flowSelect.className = 'modal-select';
+    flowSelect.innerHTML = '<option value="">Loading flows…</option>';
+    flowSelect.disabled = true;
+
+    box.appendChild(row('Client ID', input(values.clientId, { onInput: set('clientId') })));
+    box.appendChild(row('Client secret', input(values.clientSecret, {
+        type: 'password',
+        placeholder: 'leave empty for public clients',
+        onInput: set('clientSecret'),
+    })));
+    box.appendChild(row('Flow', flowSelect));
+    const scopes = input(values.scopes, { placeholder: 'space-separated', onInput: set('scopes') });
+    box.appendChild(row('Scopes', scopes));
+    const userFields = document.createElement('div');
+    userFields.className = 'modal-form';
+    userFields.appendChild(row('Username', input(values.username, { onInput: set('username') })));
+    userFields.appendChild(row('Password', input(values.password, { type: 'password', onInput: set('password') })));
+    box.appendChild(userFields);
+
+    const actions = document.createElement('div');
+    actions.className = 'environment-oauth-actions';
+    actions.innerHTML = '<button class="console-button" data-action="sign-in">Get token</button><button class="console-button" data-action="sign-out">Forget</button><span class="environment-empty"></span>';
+    const [signIn, signOut, status] = actions.children;
+    box.appendChild(actions);
+
+    const showStatus = (text = describeGrant(values)) => {
+        status.textContent = text;
+        signOut.style.display = values.grant ? '' : 'none';
+    };
+    const showUserFields = () => { userFields.style.display = flowSelect.value === 'password' ? '' : 'none'; };
+    showStatus();
+    showUserFields();
+
+    fetch('/api/oauth/flows', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scheme }),
+    }).then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        const flows = Object.keys(data.flows);
+        if (!flows.length) throw new Error('The scheme has no flow the server can run');
+        flowSelect.innerHTML = '';
+        flows.forEach((flow) => {
+            const option = document.createElement('option');
+            option.value = flow;
+            option.textContent = OAUTH_FLOW_LABELS[flow] || flow;
+            flowSelect.appendChild(option);
+        });
+        flowSelect.value = flows.includes(values.flow) ? values.flow : flows[0];
+        values.flow = flowSelect.value;
+        flowSelect.disabled = false;
+        const available = Object.keys(data.flows[values.flow].scopes || {});
+        if (available.length) scopes.placeholder = available.join(' ');
+        if (data.flows.authorizationCode) scopes.title = `Redirect URI to register: ${data.redirectUri}`;
+        showUserFields();
+    }).catch((err) => {
+        flowSelect.innerHTML = '<option value="">Unavailable</option>';
+        showStatus(`Cannot sign in: ${err.message}`);
+    });
+    flowSelect.addEventListener('change', () => {
+        values.flow = flowSelect.value;
+        showUserFields();
+    });
+
+    const signedIn = (grant) => {
+        values.grant = grant.grant;
+        values.grantExpires = grant.expiresAt;
+        values.grantRefreshable = grant.refreshable;
+        values.token = '';
+        tokenInput.value = '';
+        showStatus(`${describeGrant(values)}. Save to use it.`);
+    };
+
+    signIn.addEventListener('click', async () => {
+        if (!values.flow) return;
+        const body = JSON.stringify({
+            scheme,
+            flow: values.flow,
+            clientId: values.clientId,
+            clientSecret: values.clientSecret,
+            username: values.username,
+            password: values.password,
+            scopes: values.scopes || '',
+        });
+        const headers = { 'Content-Type': 'application/json' };
+        // Opened now, while the click still counts as a user gesture
+        const popup = values.flow === 'authorizationCode' ? window.open('', 'oauth-sign-in', 'width=520,height=680') : null;
+        showStatus('Signing in…');
+        try {
+            const res = await fetch(values.flow === 'authorizationCode' ? '/api/oauth/authorize' : '/api/oauth/token', { method: 'POST', headers, body });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+            if (values.flow !== 'authorizationCode') {
+                signedIn(data);
+                return;
+            }
+            if (!popup) throw new Error('the sign-in window was blocked – allow pop-ups for the editor');
+            popup.location.href = data.authorizationUrl;
+            const onMessage = (event) => {
+                if (event.origin !== window.location.origin || event.data?.type !== 'oauth-callback' || event.data.state !== data.state) return;
+                window.removeEventListener('message', onMessage);
+                if (event.data.error) showStatus(`Sign-in failed: ${event.data.error}`);
+                else signedIn(event.data);
+            };
+            window.addEventListener('message', onMessage);
+        } catch (err) {
+            popup?.close();
+            showStatus(`Sign-in failed: ${err.message}`);
+        }
+    });
+
+    signOut.addEventListener('click', () => {
+        if (values.grant) fetch(`/api/oauth/grants/${encodeURIComponent(values.grant)}`, { method: 'DELETE' }).catch(() => { });
+        delete values.grant;
+        delete values.grantExpires;
+        delete values.grantRefreshable;
+        showStatus();
+    });
+
+    return box;
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   28. Live Collaboration
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const COLLAB_RECONNECT_MAX = 15000;     // longest wait between reconnects (ms)
+const COLLAB_SELECTION_DELAY = 100;     // selection updates are batched (ms)
+
+/**
+ * A live editing session over the /api/collab WebSocket, bound to one
+ * document tab. Edits travel as text operations (text-operation.js): one
+ * operation is in flight at a time (`pending`), later edits are composed
+ * into `buffer` until the server acknowledges it, and edits from others are
+ * transformed past both before they are applied – the classic OT client.
+ * Other participants' selections are kept as document offsets and drawn as
+ * CodeMirror marks with a labelled cursor.
+ */
+const collabState = {
+    socket: null,
+    room: '',
+    name: '',
+    entry: null,
+    id: null,
+    color: '',
+    revision: 0,
+    pending: null,
+    buffer: null,
+    length: 0,
+    applying: false,
+    participants: new Map(),    // id → { name, color, ranges, marks }
+    reconnectDelay: 1000,
+    reconnectTimer: null,
+    selectionTimer: null,
+    leaving: false,
+};
+
+function initCollab() {
+    document.getElementById('btn-collab').addEventListener('click', openCollab);
+    const room = new URLSearchParams(window.location.search).get('collab');
+    if (room) openCollab({ room });
+}
+
+function isCollabActive() {
+    return Boolean(collabState.entry);
+}
+
+function collabLink(room) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('collab', room);
+    return url.href;
+}
+
+// ── Session dialog ────────────────────────────────────────────────────────
+
+async function openCollab({ room = '' } = {}) {
+    if (isCollabActive()) {
+        openCollabSession();
+        return;
+    }
+    const entry = getActiveDocument();
+    const suggested = room || (entry ? documentName(entry).replace(/\.(ya?ml|json)$/i, '') : 'api')
+        .toLowerCase().replace(/[^\w.-]+/g, '-').slice(0, 64);
+
+    const form = document.createElement('div');
+    form.className = 'modal-form';
+    form.innerHTML = `
+    <label class="modal-field">
+      <span class="modal-label">Session</span>
+      <input class="modal-input" data-field="room" spellcheck="false" />
+    </label>
+    <label class="modal-field">
+      <span class="modal-label">Your name</span>
+      <input class="modal-input" data-field="name" spellcheck="false" />
+    </label>
+    <div class="collab-rooms"></div>
+  `;
+    const roomInput = form.querySelector('[data-field="room"]');
+    const nameInput = form.querySelector('[data-field="name"]');
+    roomInput.value = suggested;
+    nameInput.value = localStorage.getItem(COLLAB_NAME_KEY) || '';
+    nameInput.placeholder = 'Shown next to your cursor';
+
+    const rooms = form.querySelector('.collab-rooms');
+    fetch('/api/collab/rooms').then((res) => res.json()).then(({ rooms: list }) => {
+        if (!list?.length) return;
+        rooms.innerHTML = '<span class="modal-label">Sessions</span>';
+        list.slice(0, 8).forEach((item) => {
+            const button = document.createElement('button');
+            button.className = 'collab-room';
+            button.innerHTML = '<span class="collab-room-name"></span><span class="collab-room-people"></span>';
+            button.firstChild.textContent = item.name;
+            button.lastChild.textContent = item.participants.length
+                ? item.participants.map((p) => p.name).join(', ')
+                : 'nobody editing';
+            button.addEventListener('click', () => { roomInput.value = item.name; });
+            rooms.appendChild(button);
+        });
+    }).catch(() => { });
+
+    openModal({
+        title: 'Live collaboration',
+        description: 'Edit one document together. A new session starts from the current tab; joining an existing one opens it in a tab of its own.',
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Join',
+                variant: 'primary',
+                onClick: () => {
+                    const name = nameInput.value.trim();
+                    const target = roomInput.value.trim();
+                    if (!/^[\w.-]{1,64}$/.test(target)) {
+                        showToast('Session names may only contain letters, digits, ".", "-" and "_"', 'error');
+                        return false;
+                    }
+                    if (!name) {
+                        showToast('Enter the name others will see', 'error');
+                        nameInput.focus();
+                        return false;
+                    }
+                    localStorage.setItem(COLLAB_NAME_KEY, name);
+                    joinCollab(target, name);
+                },
+            },
+        ],
+    });
+    (nameInput.value ? roomInput : nameInput).focus();
+}
+
+function openCollabSession() {
+    const content = document.createElement('div');
+    content.className = 'modal-form';
+    content.innerHTML = `
+    <div class="modal-field">
+      <span class="modal-label">Link</span>
+      <input class="modal-input" readonly />
+      <button class="console-button" data-action="copy">Copy</button>
+    </div>
+    <div class="collab-people"></div>
+  `;
+    const link = content.querySelector('input');
+    link.value = collabLink(collabState.room);
+    content.querySelector('[data-action="copy"]').addEventListener('click', () => {
+        navigator.clipboard?.writeText(link.value)
+            .then(() => showToast('Link copied', 'success'))
+            .catch(() => link.select());
+    });
+    const people = content.querySelector('.collab-people');
+    [{ name: `${collabState.name} (you)`, color: collabState.color }, ...collabState.participants.values()].forEach((person) => {
+        const row = document.createElement('div');
+        row.className = 'collab-person';
+        row.innerHTML = '<span class="collab-dot"></span><span></span>';
+        row.firstChild.style.background = person.color;
+        row.lastChild.textContent = person.name;
+        people.appendChild(row);
+    });
+
+    openModal({
+        title: `Session "${collabState.room}"`,
+        description: collabState.socket?.readyState === WebSocket.OPEN
+            ? 'Everyone with the link edits this document with you. The server keeps it for late joiners.'
+            : 'Reconnecting… Edits you make meanwhile are sent once the connection is back.',
+        content,
+        actions: [
+            { label: 'Leave session', onClick: () => leaveCollab() },
+            { label: 'Close', variant: 'primary' },
+        ],
+    });
+}
+
+// ── Connection ────────────────────────────────────────────────────────────
+
+function joinCollab(room, name) {
+    if (isCollabActive()) leaveCollab();
+    collabState.room = room;
+    collabState.name = name;
+    collabState.leaving = false;
+    collabState.revision = 0;
+    collabState.pending = null;
+    collabState.buffer = null;
+    collabState.reconnectDelay = 1000;
+    connectCollab({ content: getActiveDocument()?.doc.getValue() || '' });
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('collab', room);
+    history.replaceState(null, '', url.href);
+}
+
+/**
+ * Open the socket and join. `join` adds to the join message: the content
+ * seeding a new room, or the revision and unsent edits when reconnecting.
+ */
+function connectCollab(join) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/api/collab`);
+    collabState.socket = socket;
+    renderPresence();
+
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'join', room: collabState.room, name: collabState.name, ...join }));
+    });
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+        handleCollabMessage(message);
+    });
+    socket.addEventListener('close', () => {
+        if (collabState.socket !== socket) return;
+        collabState.socket = null;
+        if (collabState.leaving) return;
+        if (!collabState.entry) {
+            showToast('Could not join the session — is the server running?', 'error');
+            return;
+        }
+        renderPresence();
+        scheduleReconnect();
+    });
+}
+
+function scheduleReconnect() {
+    clearTimeout(collabState.reconnectTimer);
+    collabState.reconnectTimer = setTimeout(() => {
+        const unsent = collabState.pending && collabState.buffer
+            ? TextOperation.compose(collabState.pending, collabState.buffer)
+            : collabState.pending || collabState.buffer;
+        connectCollab(unsent ? { revision: collabState.revision, ops: unsent } : {});
+    }, collabState.reconnectDelay);
+    collabState.reconnectDelay = Math.min(collabState.reconnectDelay * 2, COLLAB_RECONNECT_MAX);
+}
+
+function leaveCollab() {
+    collabState.leaving = true;
+    clearTimeout(collabState.reconnectTimer);
+    clearTimeout(collabState.selectionTimer);
+    if (collabState.socket) collabState.socket.close();
+    collabState.socket = null;
+    if (collabState.entry) {
+        unbindCollabDocument(collabState.entry);
+        collabState.entry.collab = null;
+    }
+    collabState.entry = null;
+    collabState.participants.clear();
+    renderPresence();
+    renderDocumentTabs();
+    saveToLocalStorage();
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('collab');
+    history.replaceState(null, '', url.href);
+}
+
+function handleCollabMessage(message) {
+    switch (message.type) {
+        case 'joined':
+            onCollabJoined(message);
+            break;
+        case 'ack':
+            collabState.revision = message.revision;
+            collabState.pending = collabState.buffer;
+            collabState.buffer = null;
+            if (collabState.pending) sendCollabOperation(collabState.pending);
+            else sendSelection();
+            break;
+        case 'op':
+            applyRemoteOperation(message);
+            break;
+        case 'selection': {
+            const participant = collabState.participants.get(message.id);
+            if (participant) {
+                participant.ranges = message.ranges;
+                drawParticipant(participant);
+            }
+            break;
+        }
+        case 'presence':
+            updateParticipants(message.clients);
+            break;
+        case 'error':
+            if (message.resync) {
+                // Start over from the server's copy
+                showToast(`Session out of step (${message.error}) — resyncing`, 'warning', 5000);
+                collabState.socket?.close();
+            } else {
+                showToast(`Live session: ${message.error}`, 'error', 5000);
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+function onCollabJoined(message) {
+    const first = !collabState.entry;
+    if (first) {
+        // A new room holds the active tab's content; an existing one gets its own tab
+        let entry = getActiveDocument();
+        if (!message.created) {
+            entry = documentsState.documents.find((d) => d.collab === collabState.room)
+                || createDocumentEntry({ name: `${collabState.room}.yaml`, content: '', savedContent: '' });
+        }
+        entry.collab = collabState.room;
+        collabState.entry = entry;
+        bindCollabDocument(entry);
+        if (entry !== getActiveDocument()) activateDocument(entry.id);
+        else renderDocumentTabs();
+        showToast(message.created ? `Session "${collabState.room}" started — share the link to invite others` : `Joined "${collabState.room}"`, 'success');
+    } else if (collabState.pending || collabState.buffer) {
+        showToast(message.replayed
+            ? 'Reconnected — your offline edits were merged'
+            : 'Reconnected — edits made while offline could not be merged and were replaced by the shared document', message.replayed ? 'success' : 'warning', 6000);
+    }
+
+    collabState.id = message.id;
+    collabState.color = message.color;
+    collabState.revision = message.revision;
+    collabState.pending = null;
+    collabState.buffer = null;
+    collabState.reconnectDelay = 1000;
+    replaceDocumentText(collabState.entry.doc, message.doc);
+
+    collabState.participants.forEach((participant) => clearParticipantMarks(participant));
+    collabState.participants.clear();
+    message.clients.forEach((client) => {
+        collabState.participants.set(client.id, { name: client.name, color: client.color, ranges: client.ranges || [], marks: [] });
+    });
+    collabState.participants.forEach(drawParticipant);
+    renderPresence();
+    sendSelection();
+}
+
+function updateParticipants(clients) {
+    const present = new Set(clients.map((client) => client.id));
+    collabState.participants.forEach((participant, id) => {
+        if (present.has(id)) return;
+        clearParticipantMarks(participant);
+        collabState.participants.delete(id);
+    });
+    clients.forEach((client) => {
+        if (client.id === collabState.id || collabState.participants.has(client.id)) return;
+        collabState.participants.set(client.id, { name: client.name, color: client.color, ranges: [], marks: [] });
+    });
+    renderPresence();
+}
+
+function renderPresence() {
+    const container = document.getElementById('collab-presence');
+    const button = document.getElementById('btn-collab');
+    container.innerHTML = '';
+    button.classList.toggle('active', isCollabActive());
+    button.classList.toggle('offline', isCollabActive() && collabState.socket?.readyState !== WebSocket.OPEN);
+    if (!isCollabActive()) {
+        container.style.display = 'none';
+        button.title = 'Live collaboration – edit this document together';
+        return;
+    }
+    container.style.display = '';
+    button.title = collabState.socket?.readyState === WebSocket.OPEN
+        ? `Session "${collabState.room}" – share the link, see who is here`
+        : `Session "${collabState.room}" – reconnecting…`;
+    [{ name: `${collabState.name} (you)`, color: collabState.color }, ...collabState.participants.values()].forEach((person) => {
+        const avatar = document.createElement('span');
+        avatar.className = 'collab-avatar';
+        avatar.style.background = person.color || 'var(--text-muted)';
+        avatar.textContent = person.name.trim().charAt(0).toUpperCase() || '?';
+        avatar.title = person.name;
+        container.appendChild(avatar);
+    });
+}
+
+// ── Document binding ──────────────────────────────────────────────────────
+
+function bindCollabDocument(entry) {
+    collabState.length = entry.doc.getValue().length;
+    entry.doc.on('change', onCollabChange);
+    entry.doc.on('cursorActivity', onCollabCursor);
+}
+
+function unbindCollabDocument(entry) {
+    entry.doc.off('change', onCollabChange);
+    entry.doc.off('cursorActivity', onCollabCursor);
+    collabState.participants.forEach(clearParticipantMarks);
+}
+
+/** Turn a CodeMirror change into an operation and send or queue it */
+function onCollabChange(doc, change) {
+    const removed = change.removed.join('\n');
+    const inserted = change.text.join('\n');
+    const before = collabState.length;
+    collabState.length = before - removed.length + inserted.length;
+    if (collabState.applying) return;
+
+    const from = doc.indexFromPos(change.from);
+    const ops = [];
+    TextOperation.retain(ops, from);
+    TextOperation.remove(ops, removed.length);
+    TextOperation.insert(ops, inserted);
+    TextOperation.retain(ops, before - from - removed.length);
+    if (TextOperation.isNoop(ops)) return;
+
+    collabState.participants.forEach((participant) => transformRanges(participant, ops));
+    if (collabState.pending) {
+        collabState.buffer = collabState.buffer ? TextOperation.compose(collabState.buffer, ops) : ops;
+    } else {
+        collabState.pending = ops;
+        sendCollabOperation(ops);
+    }
+}
+
+function sendCollabOperation(ops) {
+    if (collabState.socket?.readyState !== WebSocket.OPEN) return;
+    collabState.socket.send(JSON.stringify({ type: 'op', revision: collabState.revision, ops }));
+}
+
+function applyRemoteOperation(message) {
+    let ops = message.ops;
+    collabState.revision = message.revision;
+    if (collabState.pending) [collabState.pending, ops] = TextOperation.transform(collabState.pending, ops);
+    if (collabState.buffer) [collabState.buffer, ops] = TextOperation.transform(collabState.buffer, ops);
+
+    const { doc } = collabState.entry;
+    collabState.applying = true;
+    try {
+        editor.operation(() => {
+            let index = 0;
+            ops.forEach((c) => {
+                if (typeof c === 'string') {
+                    doc.replaceRange(c, doc.posFromIndex(index), undefined, 'collab');
+                    index += c.length;
+                } else if (c > 0) {
+                    index += c;
+                } else {
+                    doc.replaceRange('', doc.posFromIndex(index), doc.posFromIndex(index - c), 'collab');
+                }
+            });
+        });
+    } finally {
+        collabState.applying = false;
+    }
+    collabState.participants.forEach((participant) => {
+        transformRanges(participant, ops);
+        drawParticipant(participant);
+    });
+}
+
+/** Make a document read `text`, replacing only the part that differs */
+function replaceDocumentText(doc, text, origin = 'collab') {
+    const current = doc.getValue();
+    if (current === text) return;
+    let start = 0;
+    while (start < current.length && start < text.length && current[start] === text[start]) start++;
+    let end = 0;
+    while (end < current.length - start && end < text.length - start
+        && current[current.length - 1 - end] === text[text.length - 1 - end]) end++;
+    // Only remote edits are kept from being sent back to the session
+    collabState.applying = origin === 'collab';
+    try {
+        doc.replaceRange(text.slice(start, text.length - end), doc.posFromIndex(start), doc.posFromIndex(current.length - end), origin);
+    } finally {
+        collabState.applying = false;
+    }
+}
+
+// ── Selections ────────────────────────────────────────────────────────────
+
+function onCollabCursor() {
+    clearTimeout(collabState.selectionTimer);
+    collabState.selectionTimer = setTimeout(sendSelection, COLLAB_SELECTION_DELAY);
+}
+
+function sendSelection() {
+    // Offsets include edits the server has not acknowledged yet; send after the ack
+    if (collabState.pending || collabState.socket?.readyState !== WebSocket.OPEN || !collabState.entry) return;
+    const { doc } = collabState.entry;
+    const ranges = doc.listSelections().map((range) => ({
+        anchor: doc.indexFromPos(range.anchor),
+        head: doc.indexFromPos(range.head),
+    }));
+    collabState.socket.send(JSON.stringify({ type: 'selection', ranges }));
+}
+
+function transformRanges(participant, ops) {
+    participant.ranges = participant.ranges.map((range) => ({
+        anchor: TextOperation.transformIndex(range.anchor, ops),
+        head: TextOperation.transformIndex(range.head, ops),
+    }));
+}
+
+function clearParticipantMarks(participant) {
+    participant.marks.forEach((mark) => mark.clear());
+    participant.marks = [];
+}
+
+/** Draw a participant's selections, and a cursor labelled with their name */
+function drawParticipant(participant) {
+    clearParticipantMarks(participant);
+    const { doc } = collabState.entry;
+    const length = collabState.length;
+    participant.ranges.forEach((range) => {
+        const anchor = doc.posFromIndex(Math.min(range.anchor, length));
+        const head = doc.posFromIndex(Math.min(range.head, length));
+        const [from, to] = range.anchor <= range.head ? [anchor, head] : [head, anchor];
+        if (range.anchor !== range.head) {
+            participant.marks.push(doc.markText(from, to, {
+                className: 'collab-selection',
+                css: `background-color: ${participant.color}33`,
+            }));
+        }
+        const cursor = document.createElement('span');
+        cursor.className = 'collab-cursor';
+        cursor.style.borderLeftColor = participant.color;
+        const label = document.createElement('span');
+        label.className = 'collab-cursor-label';
+        label.style.background = participant.color;
+        label.textContent = participant.name;
+        cursor.appendChild(label);
+        participant.marks.push(doc.setBookmark(head, { widget: cursor, insertLeft: true }));
+    });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   29. Autocompletion
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * OpenAPI-aware completion and key descriptions. The server boils the
+ * official JSON Schema of each version down to a vocabulary (see
+ * server/lib/completion.js); here the YAML around the cursor is read back
+ * to the path of keys it sits under, and that path is walked through the
+ * vocabulary. Reading indentation rather than parsing keeps it working
+ * while the document is half typed.
+ */
+const completionState = {
+    vocabularies: {},   // version → vocabulary, or a pending Promise
+    expanded: new Map(),
+    spec: null,         // last document that parsed, for $ref and tag names
+    tooltip: null,
+    hoverTimer: null,
+};
+
+const YAML_KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s|$)/;
+const BLOCK_SCALAR = /^[|>][-+0-9]*$/;
+
+// Definition names (lower case, without dashes) → where reusable ones live
+const COMPONENT_SECTIONS = {
+    schema: 'schemas',
+    response: 'responses',
+    parameter: 'parameters',
+    example: 'examples',
+    requestbody: 'requestBodies',
+    header: 'headers',
+    securityscheme: 'securitySchemes',
+    link: 'links',
+    callback: 'callbacks',
+    callbacks: 'callbacks',
+    pathitem: 'pathItems',
+};
+const SWAGGER2_SECTIONS = { schema: 'definitions', parameter: 'parameters', response: 'responses' };
+
+function initCompletion() {
+    editor.addKeyMap({ 'Ctrl-Space': (cm) => showCompletions(cm) });
+
+    // Offer completions while typing a key, and for the value after "key: "
+    editor.on('inputRead', (cm, change) => {
+        if (change.origin !== '+input' || cm.state.completionActive || cm.somethingSelected()) return;
+        const typed = change.text[change.text.length - 1];
+        const before = cm.getLine(change.to.line).slice(0, cm.getCursor().ch);
+        if (/^[\w$/'"-]$/.test(typed) || (typed === ' ' && /:\s$/.test(before)) || (typed === ' ' && /^\s*-\s$/.test(before))) {
+            showCompletions(cm);
+        }
+    });
+
+    const wrapper = editor.getWrapperElement();
+    wrapper.addEventListener('mousemove', (e) => {
+        clearTimeout(completionState.hoverTimer);
+        completionState.hoverTimer = setTimeout(() => showKeyDescription(e.clientX, e.clientY), 250);
+    });
+    wrapper.addEventListener('mouseleave', () => {
+        clearTimeout(completionState.hoverTimer);
+        hideKeyDescription();
+    });
+    editor.on('keydown', hideKeyDescription);
+    editor.on('scroll', hideKeyDescription);
+}
+
+function showCompletions(cm) {
+    cm.showHint({ hint: openApiHint, completeSingle: false });
+}
+
+function specVersionOf(text) {
+    if (/^["']?swagger["']?\s*:\s*["']?2/m.test(text)) return '2.0';
+    if (/^["']?openapi["']?\s*:\s*["']?3\.1/m.test(text)) return '3.1';
+    return '3.0';
+}
+
+/** The completion vocabulary for a version, fetched once */
+function loadVocabulary(version) {
+    const cached = completionState.vocabularies[version];
+    if (cached) return Promise.resolve(cached);
+    const request = fetch(`/api/completions/${version}`)
+        .then((res) => (res.ok ? res.json() : null))
+        .catch(() => null)
+        .then((vocabulary) => {
+            // Ask again next time if the server could not be reached
+            if (vocabulary) completionState.vocabularies[version] = vocabulary;
+            else delete completionState.vocabularies[version];
+            return vocabulary;
+        });
+    completionState.vocabularies[version] = request;
+    return request;
+}
+
+// ── Vocabulary nodes ──────────────────────────────────────────────────────
+
+/** A node with the definitions it refers to merged in; `definitions` lists them */
+function expandNode(vocabulary, node) {
+    if (!node) return null;
+    const cached = completionState.expanded.get(node);
+    if (cached) return cached;
+
+    const result = { ...node, keys: { ...node.keys }, patterns: [...(node.patterns || [])], definitions: [] };
+    const seen = new Set();
+    const queue = [...(node.refs || [])];
+    while (queue.length) {
+        const name = queue.shift();
+        if (seen.has(name)) continue;
+        seen.add(name);
+        result.definitions.push(name);
+        const definition = vocabulary.definitions[name];
+        if (!definition) continue;
+        queue.push(...(definition.refs || []));
+        mergeNodes(result, definition);
+    }
+    completionState.expanded.set(node, result);
+    return result;
+}
+
+/** Merge `source` into `target` without touching the vocabulary's own nodes */
+function mergeNodes(target, source) {
+    target.type = target.type || source.type;
+    target.values = source.values ? [...new Set([...(target.values || []), ...source.values])] : target.values;
+    Object.entries(source.keys || {}).forEach(([key, node]) => {
+        const existing = target.keys[key];
+        if (!existing) {
+            target.keys[key] = node;
+            return;
+        }
+        const merged = { ...existing, keys: { ...existing.keys } };
+        merged.refs = [...new Set([...(existing.refs || []), ...(node.refs || [])])];
+        merged.patterns = [...(existing.patterns || [])];
+        merged.description = existing.description || node.description;
+        merged.required = existing.required || node.required;
+        merged.items = existing.items || node.items;
+        merged.additional = existing.additional || node.additional;
+        mergeNodes(merged, node);
+        target.keys[key] = merged;
+    });
+    target.patterns.push(...(source.patterns || []));
+    target.additional = target.additional || source.additional;
+    target.items = target.items || source.items;
+}
+
+/** The expanded node at a path of keys ('[]' for an array element), or null */
+function vocabularyNodeAt(vocabulary, path) {
+    let node = expandNode(vocabulary, vocabulary.root);
+    for (const segment of path) {
+        if (!node) return null;
+        let next;
+        if (segment === '[]') {
+            next = node.items;
+        } else if (Object.prototype.hasOwnProperty.call(node.keys, segment)) {
+            next = node.keys[segment];
+        } else {
+            const pattern = node.patterns.find(([regex]) => patternMatches(regex, segment));
+            next = pattern ? pattern[1] : node.additional;
+        }
+        node = expandNode(vocabulary, next);
+    }
+    return node;
+}
+
+function patternMatches(regex, text) {
+    try {
+        return new RegExp(regex).test(text);
+    } catch {
+        return false;
+    }
+}
+
+function isStatusCodeMap(node) {
+    return node.patterns.some(([regex]) => patternMatches(regex, '200'));
+}
+
+function isMediaTypeMap(node, path) {
+    return path[path.length - 1] === 'content' && Boolean(node.additional);
+}
+
+// ── Reading the YAML around the cursor ────────────────────────────────────
+
+function unquoteYamlKey(text) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text.slice(1, -1);
+        }
+    }
+    if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+    return text;
+}
+
+/**
+ * One line of block YAML: where its content starts (after any "- "),
+ * whether it opens an array element, and its key and value if it has one.
+ * Null for blank and comment lines.
+ */
+function parseYamlLine(text) {
+    const [, spaces, dashes, rest] = /^(\s*)((?:-(?:\s+|$))*)(.*)$/.exec(text);
+    if (!dashes && (!rest.trim() || rest.startsWith('#'))) return null;
+    const key = YAML_KEY.exec(rest);
+    const column = spaces.length + dashes.length;
+    return {
+        indent: spaces.length,
+        dash: dashes.length > 0,
+        column,
+        key: key ? unquoteYamlKey(key[1]) : null,
+        keyEnd: key ? column + key[1].length : column,
+        value: (key ? rest.slice(key[0].length) : rest).replace(/(^|\s)#.*$/, '').trim(),
+    };
+}
+
+/**
+ * Keys leading to the block whose content starts at `column` on line
+ * `lineNo`, outermost first; '[]' stands for an array element. Null when
+ * the line is inside a block scalar.
+ */
+function yamlPathAt(cm, lineNo, column, dash) {
+    const path = [];
+    let col = column;
+    let inItem = false;     // looking for the key that owns an array at `col`
+    if (dash) {
+        path.unshift('[]');
+        col = parseYamlLine(cm.getLine(lineNo)).indent;
+        inItem = true;
+    }
+    for (let l = lineNo - 1; l >= 0 && (col > 0 || inItem); l--) {
+        const line = parseYamlLine(cm.getLine(l));
+        if (!line) continue;
+        if (inItem) {
+            // Other elements of the same array, and their content
+            if (line.column > col || (line.dash && line.indent === col)) continue;
+        } else if (line.column >= col) {
+            if (line.dash && line.column === col) {
+                // The first line of the array element this block is
+                path.unshift('[]');
+                col = line.indent;
+                inItem = true;
+            }
+            continue;
+        }
+        if (line.key === null) return path;
+        if (BLOCK_SCALAR.test(line.value)) return null;
+        path.unshift(line.key);
+        inItem = line.dash;
+        if (line.dash) path.unshift('[]');
+        col = line.dash ? line.indent : line.column;
+    }
+    return path;
+}
+
+/** Keys already present in the block a key at `column` on line `lineNo` belongs to */
+function siblingKeys(cm, lineNo, column) {
+    const keys = new Set();
+    const own = parseYamlLine(cm.getLine(lineNo));
+    if (own?.dash && own.column === column) {
+        // First key of an array element: only the lines below count
+    } else {
+        for (let l = lineNo - 1; l >= 0; l--) {
+            const line = parseYamlLine(cm.getLine(l));
+            if (!line || line.column > column) continue;
+            if (line.column < column) break;
+            if (line.key !== null) keys.add(line.key);
+            if (line.dash) break;
+        }
+    }
+    for (let l = lineNo + 1; l < cm.lineCount(); l++) {
+        const line = parseYamlLine(cm.getLine(l));
+        if (!line || line.column > column) continue;
+        if (line.column < column || line.dash) break;
+        if (line.key !== null) keys.add(line.key);
+    }
+    return keys;
+}
+
+/**
+ * What is being typed at the cursor: a key (mode 'key', with `path` the
+ * block it goes in) or the value of `key` (mode 'value'). `from`/`to`
+ * span the text a completion replaces.
+ */
+function completionContext(cm, cursor) {
+    const text = cm.getLine(cursor.line);
+    const before = text.slice(0, cursor.ch);
+    const [, spaces, dashes, rest] = /^(\s*)((?:-\s+)*)(.*)$/.exec(before);
+    const column = spaces.length + dashes.length;
+    const tail = /^[^\s:]*/.exec(text.slice(cursor.ch))[0];
+
+    const keyMatch = YAML_KEY.exec(rest);
+    if (keyMatch) {
+        const valueStart = column + keyMatch[0].length;
+        const typed = before.slice(valueStart);
+        if (keyMatch[0].endsWith(':') || /^\s|\s#/.test(typed)) return null;
+        const path = yamlPathAt(cm, cursor.line, column, dashes.length > 0);
+        if (!path) return null;
+        return {
+            mode: 'value',
+            path,
+            key: unquoteYamlKey(keyMatch[1]),
+            prefix: typed,
+            from: CodeMirror.Pos(cursor.line, valueStart),
+            to: CodeMirror.Pos(cursor.line, Math.max(cursor.ch, text.replace(/\s+#.*$/, '').trimEnd().length)),
+        };
+    }
+    if (/[\s:#]/.test(rest)) return null;
+
+    const path = yamlPathAt(cm, cursor.line, column, dashes.length > 0);
+    if (!path) return null;
+    return {
+        mode: 'key',
+        path,
+        item: dashes.length > 0,
+        prefix: rest,
+        column,
+        keyExists: /^\s*:/.test(text.slice(cursor.ch + tail.length)),
+        siblings: siblingKeys(cm, cursor.line, column),
+        from: CodeMirror.Pos(cursor.line, column),
+        to: CodeMirror.Pos(cursor.line, cursor.ch + tail.length),
+    };
+}
+
+// ── Suggestions ───────────────────────────────────────────────────────────
+
+function parsedSpec(text) {
+    try {
+        const spec = jsyaml.load(text);
+        if (spec && typeof spec === 'object') completionState.spec = spec;
+    } catch {
+        // Half-typed documents fall back to the last one that parsed
+    }
+    return completionState.spec || {};
+}
+
+/**
+ * Text inserted for a key, leaving the cursor where its value goes; just
+ * the key when the line already has the colon.
+ */
+function keyInsertion(key, node, context) {
+    const quoted = /^[\w$./{}-]+$/.test(key) && !/^\d+$/.test(key) ? key : `'${key.replace(/'/g, "''")}'`;
+    const indent = ' '.repeat(context.column + 2);
+    if (context.keyExists) return quoted;
+    if (node && node.type === 'array') return `${quoted}:\n${indent}- `;
+    if (node && (node.type === 'object' || Object.keys(node.keys || {}).length || node.additional || node.patterns?.length)) {
+        return `${quoted}:\n${indent}`;
+    }
+    return `${quoted}: `;
+}
+
+function keySuggestions(vocabulary, context, spec) {
+    const node = vocabularyNodeAt(vocabulary, context.path);
+    if (!node) return [];
+    const suggestions = [];
+    const add = (key, child, description, className = '') => {
+        if (context.siblings.has(key)) return;
+        suggestions.push({
+            displayText: key,
+            text: keyInsertion(key, child, context),
+            description,
+            className: `completion-key ${className}`.trim(),
+            valueNext: !context.keyExists && (!child || !['object', 'array'].includes(child.type)),
+        });
+    };
+
+    Object.entries(node.keys).forEach(([key, child]) => {
+        const expanded = expandNode(vocabulary, child);
+        add(key, expanded, child.description, child.required ? 'completion-required' : '');
+    });
+    if (isStatusCodeMap(node)) {
+        Object.entries(vocabulary.statusCodes).forEach(([code, reason]) => {
+            add(code, { type: 'object' }, reason);
+        });
+        if (node.patterns.some(([regex]) => patternMatches(regex, '2XX'))) {
+            ['1XX', '2XX', '3XX', '4XX', '5XX'].forEach((range) => {
+                add(range, { type: 'object' }, `Any ${range.charAt(0)}xx status`);
+            });
+        }
+    }
+    if (isMediaTypeMap(node, context.path)) {
+        vocabulary.mediaTypes.forEach((type) => add(type, { type: 'object' }));
+    }
+    // Security requirements name the document's security schemes
+    if (context.path[context.path.length - 2] === 'security' && node.additional) {
+        const schemes = spec.components?.securitySchemes || spec.securityDefinitions || {};
+        Object.keys(schemes).forEach((name) => add(name, { type: 'array' }, 'Security scheme'));
+    }
+    if (context.item) suggestions.push(...valueSuggestions(vocabulary, node, context, spec));
+    return suggestions;
+}
+
+function valueSuggestions(vocabulary, node, context, spec) {
+    if (!node) return [];
+    const suggestions = [];
+    const add = (value, description) => suggestions.push({
+        displayText: String(value),
+        text: typeof value === 'string' && /^[#&*!|>%@`'"{[]|^(true|false|null|~|-?\d[\d.e+-]*)$|:\s|\s#/i.test(value)
+            ? `'${value.replace(/'/g, "''")}'`
+            : String(value),
+        description,
+        className: 'completion-value',
+    });
+
+    const key = context.mode === 'value' ? context.key : context.path[context.path.length - 2];
+    if (key === '$ref') {
+        referenceTargets(vocabulary, context, spec).forEach(({ ref, preferred }) => add(ref, preferred ? 'Reference' : undefined));
+        return suggestions;
+    }
+    (node.values || []).forEach((value) => add(value));
+    if (node.type === 'boolean' && !node.values) [true, false].forEach((value) => add(value));
+    if (['consumes', 'produces'].includes(key) || (key === 'contentType' && context.mode === 'value')) {
+        vocabulary.mediaTypes.forEach((type) => add(type));
+    }
+    if (key === 'tags' && context.mode === 'key' && context.path.length > 3) {
+        (spec.tags || []).forEach((tag) => tag?.name && add(tag.name, tag.description));
+    }
+    return suggestions;
+}
+
+/** Local references to reusable objects, those of the expected kind first */
+function referenceTargets(vocabulary, context, spec) {
+    const owner = vocabularyNodeAt(vocabulary, context.path);
+    const kinds = new Set((owner?.definitions || []).map((name) => name
+        .replace(/^.*\//, '')
+        .replace(/[^a-z0-9]/gi, '')
+        .toLowerCase()
+        .replace(/orreference$/, '')
+        .replace(/^.*parameter.*$/, 'parameter')));
+    const swagger2 = vocabulary.version === '2.0';
+    const sections = swagger2
+        ? Object.values(SWAGGER2_SECTIONS).map((section) => [section, spec[section], `#/${section}/`])
+        : [...new Set(Object.values(COMPONENT_SECTIONS))].map((section) => [section, spec.components?.[section], `#/components/${section}/`]);
+    const expected = new Set([...kinds].map((kind) => (swagger2 ? SWAGGER2_SECTIONS : COMPONENT_SECTIONS)[kind]).filter(Boolean));
+
+    const targets = [];
+    sections.forEach(([section, entries, prefix]) => {
+        if (!entries || typeof entries !== 'object') return;
+        Object.keys(entries).forEach((name) => {
+            const ref = prefix + name.replace(/~/g, '~0').replace(/\//g, '~1');
+            if (!targets.some((target) => target.ref === ref)) targets.push({ ref, preferred: expected.has(section) });
+        });
+    });
+    return targets.sort((a, b) => b.preferred - a.preferred);
+}
+
+function matchesPrefix(suggestions, prefix) {
+    const typed = prefix.replace(/^['"]/, '').toLowerCase();
+    if (!typed) return suggestions;
+    const starts = suggestions.filter((s) => s.displayText.toLowerCase().startsWith(typed));
+    const contains = suggestions.filter((s) => !starts.includes(s) && s.displayText.toLowerCase().includes(typed));
+    return [...starts, ...contains];
+}
+
+function renderCompletion(element, _data, completion) {
+    const name = document.createElement('span');
+    name.className = 'completion-name';
+    name.textContent = completion.displayText;
+    element.appendChild(name);
+    if (completion.description) {
+        const detail = document.createElement('span');
+        detail.className = 'completion-detail';
+        detail.textContent = completion.description;
+        element.appendChild(detail);
+    }
+}
+
+/** CodeMirror show-hint source */
+function openApiHint(cm, callback) {
+    const cursor = cm.getCursor();
+    const text = cm.getValue();
+    const context = completionContext(cm, cursor);
+    if (!context) {
+        callback(null);
+        return;
+    }
+    loadVocabulary(specVersionOf(text)).then((vocabulary) => {
+        if (!vocabulary) {
+            callback(null);
+            return;
+        }
+        const spec = parsedSpec(text);
+        const suggestions = context.mode === 'key'
+            ? keySuggestions(vocabulary, context, spec)
+            : valueSuggestions(vocabulary, vocabularyNodeAt(vocabulary, [...context.path, context.key]), context, spec);
+        const list = matchesPrefix(suggestions, context.prefix).map((suggestion) => ({
+            ...suggestion,
+            render: renderCompletion,
+            hint: (instance, data, completion) => {
+                instance.replaceRange(completion.text, data.from, data.to, 'complete');
+                // Straight on to the value of a key, when it has known values
+                if (context.mode === 'key' && completion.valueNext && completion.className.includes('completion-key')) {
+                    setTimeout(() => showCompletions(instance), 0);
+                }
+            },
+        }));
+        callback(list.length ? { list, from: context.from, to: context.to } : null);
+    });
+}
+openApiHint.async = true;
+
+// ── Key descriptions on hover ─────────────────────────────────────────────
+
+async function showKeyDescription(x, y) {
+    const pos = editor.coordsChar({ left: x, top: y }, 'window');
+    const line = parseYamlLine(editor.getLine(pos.line) || '');
+    if (!line || line.key === null || pos.ch < line.column || pos.ch >= line.keyEnd || pos.outside) {
+        hideKeyDescription();
+        return;
+    }
+    const vocabulary = await loadVocabulary(specVersionOf(editor.getValue()));
+    const path = vocabulary && yamlPathAt(editor, pos.line, line.column, line.dash);
+    if (!path) return;
+    const node = vocabularyNodeAt(vocabulary, path);
+    if (!node) return;
+
+    let description = node.keys[line.key]?.description;
+    if (!description && isStatusCodeMap(node)) {
+        const reason = vocabulary.statusCodes[line.key];
+        if (reason) description = `${line.key} ${reason}`;
+        else if (/^[1-5]XX$/.test(line.key)) description = `Any ${line.key.charAt(0)}xx status`;
+    }
+    if (!description) {
+        hideKeyDescription();
+        return;
+    }
+
+    if (!completionState.tooltip) {
+        completionState.tooltip = document.createElement('div');
+        completionState.tooltip.className = 'completion-tooltip';
+        document.body.appendChild(completionState.tooltip);
+    }
+    const tooltip = completionState.tooltip;
+    const coords = editor.charCoords({ line: pos.line, ch: line.column }, 'window');
+    tooltip.textContent = description;
+    tooltip.style.left = `${coords.left}px`;
+    tooltip.style.top = `${coords.bottom + 4}px`;
+    tooltip.style.display = '';
+}
+
+function hideKeyDescription() {
+    if (completionState.tooltip) completionState.tooltip.style.display = 'none';
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   30. Outline
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * A navigable tree of the document: info, servers, tags, operations and
+ * components. The server builds it alongside the problems
+ * (server/lib/outline.js); between validations its line numbers are moved
+ * along with the edits so following the cursor stays accurate.
+ */
+const outlineState = {
+    entries: [],
+    byId: new Map(),
+    parents: new Map(),  // id → parent id
+    rows: new Map(),     // id → row element
+    collapsed: new Set(),
+    activeId: null,
+    open: false,
+    syncPreview: true,
+    cursorTimer: null,
+};
+
+const OUTLINE_METHOD_LABELS = { delete: 'DEL', options: 'OPT' };
+
+function initOutline() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OUTLINE_KEY) || '{}');
+        outlineState.open = stored.open === true;
+        outlineState.syncPreview = stored.syncPreview !== false;
+    } catch { }
+
+    document.getElementById('btn-outline').addEventListener('click', () => setOutlineOpen(!outlineState.open));
+    document.getElementById('outline-sync').addEventListener('click', () => {
+        outlineState.syncPreview = !outlineState.syncPreview;
+        saveOutlineSettings();
+        renderOutlineSync();
+        if (outlineState.syncPreview) scrollPreviewTo(outlineState.byId.get(outlineState.activeId));
+    });
+    document.getElementById('outline-tree').addEventListener('click', onOutlineClick);
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && (e.key === 'o' || e.key === 'O')) {
+            e.preventDefault();
+            setOutlineOpen(!outlineState.open);
+        }
+    });
+
+    editor.on('change', (_cm, change) => shiftOutline(change));
+    editor.on('cursorActivity', () => {
+        clearTimeout(outlineState.cursorTimer);
+        outlineState.cursorTimer = setTimeout(followCursor, 150);
+    });
+
+    setOutlineOpen(outlineState.open);
+    renderOutlineSync();
+}
+
+function saveOutlineSettings() {
+    localStorage.setItem(OUTLINE_KEY, JSON.stringify({ open: outlineState.open, syncPreview: outlineState.syncPreview }));
+}
+
+function setOutlineOpen(open) {
+    outlineState.open = open;
+    document.getElementById('outline-panel').style.display = open ? '' : 'none';
+    document.getElementById('btn-outline').classList.toggle('active', open);
+    saveOutlineSettings();
+    editor.refresh();
+    if (open) followCursor();
+}
+
+function renderOutlineSync() {
+    document.getElementById('outline-sync').classList.toggle('active', outlineState.syncPreview);
+}
+
+/**
+ * Replace the outline with a fresh one from the server. A null outline
+ * (the document does not parse) keeps the last one.
+ */
+function showOutline(entries) {
+    if (!entries) return;
+    outlineState.entries = entries;
+    outlineState.byId.clear();
+    outlineState.parents.clear();
+    const index = (list, parentId) => list.forEach((entry) => {
+        outlineState.byId.set(entry.id, entry);
+        if (parentId) outlineState.parents.set(entry.id, parentId);
+        if (entry.children) index(entry.children, entry.id);
+    });
+    index(entries, null);
+    renderOutline();
+    followCursor();
+}
+
+function renderOutline() {
+    const tree = document.getElementById('outline-tree');
+    tree.innerHTML = '';
+    outlineState.rows.clear();
+    if (!outlineState.entries.length) {
+        tree.innerHTML = '<li class="outline-empty">Nothing to outline yet</li>';
+        return;
+    }
+    const build = (list, parent, depth) => list.forEach((entry) => {
+        const item = document.createElement('li');
+        item.setAttribute('role', 'treeitem');
+        const hasChildren = Boolean(entry.children?.length);
+        const collapsed = outlineState.collapsed.has(entry.id);
+        if (hasChildren) item.setAttribute('aria-expanded', String(!collapsed));
+
+        const row = document.createElement('div');
+        row.className = `outline-row outline-${entry.kind}${entry.deprecated ? ' deprecated' : ''}`;
+        row.dataset.id = entry.id;
+        row.style.paddingLeft = `${6 + depth * 12}px`;
+        row.title = `Line ${entry.line}`;
+        const label = entry.label || entry.operation || entry.method;
+        row.innerHTML = `
+          <span class="outline-twisty">${hasChildren ? (collapsed ? '▸' : '▾') : ''}</span>
+          ${entry.method ? `<span class="outline-method method-${entry.method}">${OUTLINE_METHOD_LABELS[entry.method] || entry.method.toUpperCase()}</span>` : ''}
+          <span class="outline-label">${escapeHtml(label)}</span>
+          ${entry.detail ? `<span class="outline-detail">${escapeHtml(entry.detail)}</span>` : ''}
+        `;
+        item.appendChild(row);
+        outlineState.rows.set(entry.id, row);
+
+        if (hasChildren && !collapsed) {
+            const children = document.createElement('ul');
+            children.setAttribute('role', 'group');
+            build(entry.children, children, depth + 1);
+            item.appendChild(children);
+        }
+        parent.appendChild(item);
+    });
+    build(outlineState.entries, tree, 0);
+    const active = outlineState.rows.get(outlineState.activeId);
+    if (active) active.classList.add('active');
+}
+
+function onOutlineClick(e) {
+    const row = e.target.closest('.outline-row');
+    const entry = row && outlineState.byId.get(row.dataset.id);
+    if (!entry) return;
+
+    if (e.target.closest('.outline-twisty') && entry.children?.length) {
+        if (outlineState.collapsed.has(entry.id)) outlineState.collapsed.delete(entry.id);
+        else outlineState.collapsed.add(entry.id);
+        renderOutline();
+        return;
+    }
+
+    // Start of the key, not the indentation in front of it
+    const line = Math.min(entry.line, editor.lineCount()) - 1;
+    const from = CodeMirror.Pos(line, Math.max(0, editor.getLine(line).search(/\S/)));
+    editor.focus();
+    editor.setCursor(from);
+    editor.scrollIntoView(from, 60);
+    setActiveOutlineEntry(entry.id);
+    if (outlineState.syncPreview) scrollPreviewTo(entry);
+}
+
+/** Keep line numbers in step with an edit until the next outline arrives */
+function shiftOutline(change) {
+    if (!outlineState.byId.size || change.origin === 'setValue') return;
+    const delta = change.text.length - change.removed.length;
+    if (!delta) return;
+    const fromLine = change.from.line + 1;
+    const toLine = change.to.line + 1;
+    outlineState.byId.forEach((entry) => {
+        if (entry.line > toLine) {
+            entry.line += delta;
+            entry.endLine += delta;
+        } else if (entry.endLine >= fromLine) {
+            entry.endLine = Math.max(entry.line, entry.endLine + delta);
+        }
+    });
+}
+
+/** The innermost entry covering a (1-based) line */
+function outlineEntryAt(line) {
+    let found = null;
+    let list = outlineState.entries;
+    while (list) {
+        const entry = list.find((candidate) => candidate.line <= line && line <= candidate.endLine);
+        if (!entry) break;
+        found = entry;
+        list = entry.children;
+    }
+    return found;
+}
+
+function followCursor() {
+    if (!outlineState.open || !editor) return;
+    const entry = outlineEntryAt(editor.getCursor().line + 1);
+    const id = entry ? entry.id : null;
+    if (id === outlineState.activeId) return;
+    setActiveOutlineEntry(id);
+    if (entry && outlineState.syncPreview) scrollPreviewTo(entry);
+}
+
+/** Highlight an entry, opening the groups it is in */
+function setActiveOutlineEntry(id) {
+    outlineState.activeId = id;
+    let expanded = false;
+    for (let parent = outlineState.parents.get(id); parent; parent = outlineState.parents.get(parent)) {
+        expanded = outlineState.collapsed.delete(parent) || expanded;
+    }
+    if (expanded) renderOutline();
+
+    outlineState.rows.forEach((row, rowId) => row.classList.toggle('active', rowId === id));
+    const row = outlineState.rows.get(id);
+    if (row && outlineState.open) row.scrollIntoView({ block: 'nearest' });
+}
+
+/** Bring the preview's operation or model for an entry (or its parent) into view */
+function scrollPreviewTo(entry) {
+    for (let current = entry; current; current = outlineState.byId.get(outlineState.parents.get(current.id))) {
+        let target = null;
+        if (current.operation) target = findOperationBlock(current.operation);
+        else if (current.model) target = document.getElementById(`model-${current.model}`);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            target.classList.remove('outline-flash');
+            void target.offsetWidth; // restart the animation
+            target.classList.add('outline-flash');
+            return;
+        }
+    }
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   31. References
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Go to definition (F12 or Ctrl/Cmd-click on a $ref), find references
+ * (Shift+F12) and rename (F2) for components. The server reads the whole
+ * workspace (server/lib/references.js); open documents are sent along so
+ * their unsaved edits count, and a rename changes them in the editor while
+ * the server rewrites the files that are not open.
+ */
+const referencesState = {
+    link: null,   // underlined $ref while Ctrl/Cmd is held
+};
+
+const REF_LINE = /(^|[\s{,])["']?\$ref["']?\s*:/;
+
+function initReferences() {
+    editor.addKeyMap({
+        F12: () => goToDefinition(),
+        'Shift-F12': () => findReferences(),
+        F2: () => renameComponent(),
+    });
+
+    // Ctrl/Cmd-click follows a $ref; anywhere else it keeps adding a cursor
+    editor.on('mousedown', (cm, e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.button !== 0) return;
+        const pos = cm.coordsChar({ left: e.clientX, top: e.clientY }, 'window');
+        if (pos.outside || !REF_LINE.test(cm.getLine(pos.line))) return;
+        e.preventDefault();
+        goToDefinition(pos);
+    });
+    editor.getWrapperElement().addEventListener('mousemove', (e) => underlineReference(e));
+    editor.getWrapperElement().addEventListener('mouseleave', clearReferenceLink);
+    document.addEventListener('keyup', (e) => {
+        if (e.key === 'Control' || e.key === 'Meta') clearReferenceLink();
+    });
+}
+
+/** Underline the $ref value under the mouse while Ctrl/Cmd is held */
+function underlineReference(e) {
+    if (!(e.ctrlKey || e.metaKey)) return clearReferenceLink();
+    const pos = editor.coordsChar({ left: e.clientX, top: e.clientY }, 'window');
+    const text = editor.getLine(pos.line) || '';
+    const match = REF_LINE.exec(text);
+    if (pos.outside || !match) return clearReferenceLink();
+    const rest = text.slice(match.index + match[0].length);
+    const value = /^(\s*)("[^"]*"|'[^']*'|[^\s,}#]+)/.exec(rest);
+    if (referencesState.link?.find()?.from.line === pos.line) return;
+    clearReferenceLink();
+    if (value) {
+        const start = match.index + match[0].length + value[1].length;
+        referencesState.link = editor.markText(CodeMirror.Pos(pos.line, start), CodeMirror.Pos(pos.line, start + value[2].length), { className: 'cm-ref-link' });
+    }
+}
+
+function clearReferenceLink() {
+    if (referencesState.link) referencesState.link.clear();
+    referencesState.link = null;
+}
+
+/**
+ * Ask the server about the symbol at a position of the active document.
+ * @returns {Promise<{ ok: boolean, status: number, data: object }>}
+ *   status 0 when the server could not be reached
+ */
+async function referencesRequest(route, pos, extra = {}) {
+    const active = getActiveDocument();
+    try {
+        const res = await fetch(`/api/references${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                source: editor.getValue(),
+                documentPath: activeDocumentPath,
+                documents: documentsState.documents
+                    .filter((entry) => entry.path && entry !== active)
+                    .map((entry) => ({ path: entry.path, content: entry.doc.getValue() })),
+                line: pos.line + 1,
+                column: pos.ch + 1,
+                ...extra,
+            }),
+        });
+        return { ok: res.ok, status: res.status, data: await res.json().catch(() => ({})) };
+    } catch {
+        return { ok: false, status: 0, data: {} };
+    }
+}
+
+function reportReferenceError(res, fallback) {
+    if (res.status === 0) return showToast('Server unavailable — references need the server', 'error');
+    showToast(res.data.error || fallback, res.status === 404 ? 'info' : 'error');
+}
+
+/** Open (if needed) the document a location is in and move the cursor there */
+async function revealLocation(location) {
+    if (location.path && location.path !== activeDocumentPath) {
+        await openWorkspaceDocument(location.path);
+        if (activeDocumentPath !== location.path) return;
+    }
+    jumpToProblem(location);
+}
+
+async function goToDefinition(pos = editor.getCursor()) {
+    const res = await referencesRequest('/definition', pos);
+    if (!res.ok) return reportReferenceError(res, 'Could not find the definition');
+    revealLocation(res.data);
+}
+
+/** Name of the document a location is in, for lists */
+function locationFileName(location) {
+    return location.path || documentName(getActiveDocument());
+}
+
+/** A source line with the part at column…endColumn highlighted */
+function highlightedLine({ lineText, column, endColumn, line, endLine }, replacement = null) {
+    const end = endLine === line ? endColumn - 1 : lineText.length;
+    const before = lineText.slice(0, column - 1).trimStart();
+    const match = lineText.slice(column - 1, end);
+    const after = lineText.slice(end);
+    const marked = replacement === null
+        ? `<mark>${escapeHtml(match)}</mark>`
+        : `<del>${escapeHtml(match)}</del><ins>${escapeHtml(replacement)}</ins>`;
+    return `${escapeHtml(before)}${marked}${escapeHtml(after)}`;
+}
+
+async function findReferences() {
+    const res = await referencesRequest('', editor.getCursor());
+    if (!res.ok) return reportReferenceError(res, 'Could not find references');
+    const { symbol, references, skipped } = res.data;
+
+    const list = document.createElement('ul');
+    list.className = 'reference-list';
+    const modal = openModal({
+        title: `References to "${symbol.name}"`,
+        description: `${references.length} reference${references.length === 1 ? '' : 's'} to ${symbol.section}/${symbol.name}`
+            + (skipped.length ? `. Not searched (syntax errors): ${skipped.join(', ')}` : ''),
+        content: list,
+        wide: true,
+        actions: [{ label: 'Close' }],
+    });
+
+    const addItem = (location, label) => {
+        const item = document.createElement('li');
+        item.className = 'reference-item';
+        item.innerHTML = `
+      <span class="reference-location"></span>
+      <code class="reference-line">${highlightedLine(location)}</code>
+    `;
+        item.querySelector('.reference-location').textContent = `${label || locationFileName(location)}:${location.line}`;
+        item.addEventListener('click', () => {
+            modal.close();
+            revealLocation(location);
+        });
+        list.appendChild(item);
+    };
+    addItem(symbol.definition, `Definition · ${locationFileName(symbol.definition)}`);
+    references.forEach((reference) => addItem(reference));
+}
+
+async function renameComponent() {
+    const pos = editor.getCursor();
+    const res = await referencesRequest('', pos);
+    if (!res.ok) return reportReferenceError(res, 'Nothing to rename here');
+    const { symbol } = res.data;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'modal-input';
+    input.value = symbol.name;
+    input.spellcheck = false;
+    const modal = openModal({
+        title: 'Rename Component',
+        description: `New name for ${symbol.section}/${symbol.name}. Every reference to it is rewritten, including those in other workspace files.`,
+        content: input,
+        actions: [
+            { label: 'Cancel' },
+            {
+                label: 'Preview',
+                variant: 'primary',
+                onClick: async () => {
+                    const newName = input.value.trim();
+                    const preview = await referencesRequest('/rename', pos, { newName });
+                    if (!preview.ok) {
+                        reportReferenceError(preview, 'Could not rename the component');
+                        return false;
+                    }
+                    showRenamePreview(pos, preview.data);
+                    return undefined;
+                },
+            },
+        ],
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') modal.body.parentElement.querySelector('.modal-button-primary').click();
+    });
+    setTimeout(() => { input.focus(); input.select(); }, 0);
+}
+
+/** List every edit a rename makes and apply them once confirmed */
+function showRenamePreview(pos, plan) {
+    const content = document.createElement('div');
+    content.className = 'reference-list';
+    plan.files.forEach((file) => {
+        const group = document.createElement('div');
+        group.className = 'reference-file';
+        group.innerHTML = `
+      <div class="reference-file-name"><span></span><span class="reference-file-note">${file.open ? 'open – changed in the editor' : 'saved to the workspace'}</span></div>
+      ${file.edits.map((edit) => `
+      <div class="reference-item">
+        <span class="reference-location">${edit.line}</span>
+        <code class="reference-line">${highlightedLine(edit, edit.newText)}</code>
+      </div>`).join('')}
+    `;
+        group.querySelector('.reference-file-name span').textContent = locationFileName(file);
+        content.appendChild(group);
+    });
+
+    const edits = plan.files.reduce((sum, file) => sum + file.edits.length, 0);
+    openModal({
+        title: `Rename "${plan.symbol.name}" to "${plan.newName}"`,
+        description: `${edits} change${edits === 1 ? '' : 's'} in ${plan.files.length} file${plan.files.length === 1 ? '' : 's'}`
+            + (plan.skipped.length ? `. Not searched (syntax errors): ${plan.skipped.join(', ')}` : ''),
+        content,
+        wide: true,
+        actions: [
+            { label: 'Cancel' },
+            { label: 'Rename', variant: 'primary', onClick: () => applyRename(pos, plan) },
+        ],
+    });
+}
+
+async function applyRename(pos, plan) {
+    const versions = Object.fromEntries(plan.files.filter((file) => !file.open).map((file) => [file.path, file.version]));
+    const res = await referencesRequest('/rename/apply', pos, { newName: plan.newName, versions });
+    if (!res.ok) return reportReferenceError(res, 'Could not rename the component');
+
+    // The workspace files are written; now the open documents, one undo step each
+    const active = getActiveDocument();
+    res.data.files.filter((file) => file.open).forEach((file) => {
+        const entry = file.path && file.path !== active.path
+            ? documentsState.documents.find((candidate) => candidate.path === file.path)
+            : active;
+        if (!entry) return;
+        recordRevision('Before rename', entry);
+        entry.doc.operation(() => {
+            [...file.edits].reverse().forEach((edit) => {
+                entry.doc.replaceRange(edit.newText,
+                    CodeMirror.Pos(edit.line - 1, edit.column - 1),
+                    CodeMirror.Pos(edit.endLine - 1, edit.endColumn - 1), '+rename');
+            });
+        });
+    });
+    renderDocumentTabs();
+    saveToLocalStorage();
+
+    const written = res.data.files.filter((file) => !file.open).length;
+    showToast(`Renamed "${plan.symbol.name}" to "${plan.newName}"`
+        + (written ? ` — ${written} workspace file${written === 1 ? '' : 's'} updated` : ''), 'success');
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   32. Formatting
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Format (Shift+Alt+F) runs on the server from the YAML syntax tree
+ * (server/lib/format.js), so comments, anchors, quoting and blank lines
+ * survive. With text selected, only the entries it touches are formatted.
+ * Key order and sorting are options kept in localStorage.
+ */
+const formatState = {
+    options: { order: false, sortPaths: false, sortSchemas: false },
+};
+
+const FORMAT_OPTIONS = [
+    ['order', 'Canonical key order', 'openapi, info, servers, tags, paths, components – and the usual order inside info, path items and operations'],
+    ['sortPaths', 'Sort paths', 'Paths in alphabetical order'],
+    ['sortSchemas', 'Sort schemas', 'components.schemas (definitions in Swagger 2.0) in alphabetical order'],
+];
+
+function initFormatting() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FORMAT_KEY) || '{}');
+        FORMAT_OPTIONS.forEach(([key]) => { formatState.options[key] = stored[key] === true; });
+    } catch { }
+
+    editor.addKeyMap({ 'Shift-Alt-F': () => formatEditor() });
+}
+
+/** Lines of the selection, 1-based; one ending at the start of a line leaves that line out */
+function selectedLines() {
+    if (!editor.somethingSelected()) return null;
+    const from = editor.getCursor('from');
+    const to = editor.getCursor('to');
+    const endLine = to.ch === 0 && to.line > from.line ? to.line : to.line + 1;
+    return { startLine: from.line + 1, endLine };
+}
+
+async function formatEditor() {
+    const entry = getActiveDocument();
+    const source = editor.getValue();
+    const selection = selectedLines();
+    let res;
+    try {
+        res = await fetch('/api/format', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source, options: formatState.options, selection }),
+        });
+    } catch {
+        showToast('Formatting needs the server — is it running?', 'error');
+        return;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        showToast(data.error || `Formatting failed (HTTP ${res.status})`, 'error', 5000);
+        return;
+    }
+    if (getActiveDocument() !== entry || editor.getValue() !== source) {
+        showToast('The document changed while formatting — format again', 'info');
+        return;
+    }
+    if (!data.changed) {
+        showToast(selection ? 'The selection is already formatted' : 'The document is already formatted', 'info');
+        return;
+    }
+
+    recordRevision('Before format', entry);
+    replaceDocumentText(editor.getDoc(), data.formatted, 'format');
+    showToast(selection ? 'Selection formatted' : 'Document formatted', 'success');
+}
+
+function openFormatOptions() {
+    const form = document.createElement('div');
+    form.className = 'modal-form format-options';
+    FORMAT_OPTIONS.forEach(([key, label, hint]) => {
+        const option = document.createElement('label');
+        option.className = 'format-option';
+        option.innerHTML = `
+      <input type="checkbox" data-field="${key}" />
+      <span class="format-option-label">${label}</span>
+      <span class="format-option-hint">${hint}</span>
+    `;
+        option.querySelector('input').checked = formatState.options[key];
+        form.appendChild(option);
+    });
+
+    const save = () => {
+        FORMAT_OPTIONS.forEach(([key]) => {
+            formatState.options[key] = form.querySelector(`[data-field="${key}"]`).checked;
+        });
+        localStorage.setItem(FORMAT_KEY, JSON.stringify(formatState.options));
+    };
+
+    openModal({
+        title: 'Formatting',
+        description: 'Format indents with two spaces and keeps comments, anchors, quoting and blank lines. With text selected, only the entries the selection touches are formatted.',
+        content: form,
+        actions: [
+            { label: 'Cancel' },
+            { label: 'Save', onClick: save },
+            {
+                label: 'Format',
+                variant: 'primary',
+                onClick: () => {
+                    save();
+                    formatEditor();
+                },
+            },
+        ],
+    });
+}
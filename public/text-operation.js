@@ -0,0 +1,228 @@
+/**
+ * Text operations for collaborative editing (operational transformation).
+ * An operation walks a document from the start; its components are
+ * - a positive number: keep that many characters
+ * - a string: insert it
+ * - a negative number: delete that many characters
+ * and together they cover the whole document, so [3, 'x', -2, 5] turns
+ * "abcdefghij" into "abcxfghij". Lengths count UTF-16 code units, as
+ * CodeMirror's indexFromPos does.
+ *
+ * Loaded by the browser as the TextOperation global and required by the
+ * server (lib/collab.js), so both sides transform alike.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.TextOperation = factory();
+}(typeof self !== 'undefined' ? self : this, () => {
+    const isRetain = (c) => typeof c === 'number' && c > 0;
+    const isDelete = (c) => typeof c === 'number' && c < 0;
+    const isInsert = (c) => typeof c === 'string';
+
+    // ── Building ──────────────────────────────────────────────────────────
+    // The builders merge neighbours and keep an insert ahead of a delete at
+    // the same place, so equal edits always produce equal operations.
+
+    function retain(ops, n) {
+        if (n <= 0) return ops;
+        if (isRetain(ops[ops.length - 1])) ops[ops.length - 1] += n;
+        else ops.push(n);
+        return ops;
+    }
+
+    function insert(ops, text) {
+        if (!text) return ops;
+        const last = ops.length - 1;
+        if (isInsert(ops[last])) ops[last] += text;
+        else if (isDelete(ops[last]) && isInsert(ops[last - 1])) ops[last - 1] += text;
+        else if (isDelete(ops[last])) ops.splice(last, 0, text);
+        else ops.push(text);
+        return ops;
+    }
+
+    function remove(ops, n) {
+        const count = Math.abs(n);
+        if (!count) return ops;
+        if (isDelete(ops[ops.length - 1])) ops[ops.length - 1] -= count;
+        else ops.push(-count);
+        return ops;
+    }
+
+    /** Whether `ops` is a well-formed operation (as sent by a client) */
+    function isValid(ops) {
+        return Array.isArray(ops) && ops.every((c) => isInsert(c) || (Number.isInteger(c) && c !== 0));
+    }
+
+    /** Length of the document an operation applies to */
+    function baseLength(ops) {
+        return ops.reduce((sum, c) => (isInsert(c) ? sum : sum + Math.abs(c)), 0);
+    }
+
+    /** Length of the document an operation produces */
+    function targetLength(ops) {
+        return ops.reduce((sum, c) => (isInsert(c) ? sum + c.length : isRetain(c) ? sum + c : sum), 0);
+    }
+
+    function isNoop(ops) {
+        return ops.every(isRetain);
+    }
+
+    // ── Applying ──────────────────────────────────────────────────────────
+
+    /**
+     * @param {string} text
+     * @param {Array} ops
+     * @returns {string}
+     * @throws {Error} when the operation does not fit the text
+     */
+    function apply(text, ops) {
+        if (baseLength(ops) !== text.length) {
+            throw new Error(`Operation expects ${baseLength(ops)} characters, the document has ${text.length}`);
+        }
+        const parts = [];
+        let index = 0;
+        ops.forEach((c) => {
+            if (isRetain(c)) {
+                parts.push(text.slice(index, index + c));
+                index += c;
+            } else if (isInsert(c)) {
+                parts.push(c);
+            } else {
+                index -= c;
+            }
+        });
+        return parts.join('');
+    }
+
+    /**
+     * One operation with the effect of `a` followed by `b`.
+     * @throws {Error} when b does not apply to a's result
+     */
+    function compose(a, b) {
+        if (targetLength(a) !== baseLength(b)) throw new Error('compose: the operations do not follow each other');
+        const result = [];
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = a[i1++];
+        let op2 = b[i2++];
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isDelete(op1)) {
+                remove(result, op1);
+                op1 = a[i1++];
+            } else if (isInsert(op2)) {
+                insert(result, op2);
+                op2 = b[i2++];
+            } else if (isRetain(op1) && isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                retain(result, n);
+                op1 = op1 === n ? a[i1++] : op1 - n;
+                op2 = op2 === n ? b[i2++] : op2 - n;
+            } else if (isInsert(op1) && isDelete(op2)) {
+                // Text inserted by a and deleted by b never appears
+                const n = Math.min(op1.length, -op2);
+                op1 = op1.length === n ? a[i1++] : op1.slice(n);
+                op2 = -op2 === n ? b[i2++] : op2 + n;
+            } else if (isInsert(op1) && isRetain(op2)) {
+                const n = Math.min(op1.length, op2);
+                insert(result, op1.slice(0, n));
+                op1 = op1.length === n ? a[i1++] : op1.slice(n);
+                op2 = op2 === n ? b[i2++] : op2 - n;
+            } else {
+                // retain in a, delete in b
+                const n = Math.min(op1, -op2);
+                remove(result, n);
+                op1 = op1 === n ? a[i1++] : op1 - n;
+                op2 = -op2 === n ? b[i2++] : op2 + n;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Transform two concurrent operations on the same document.
+     * Returns [a', b'] such that apply(apply(doc, a), b') equals
+     * apply(apply(doc, b), a'). Where both insert at one place, a's text
+     * comes first – callers pass the client's operation as `a` on both
+     * the client and the server.
+     * @throws {Error} when the operations apply to different documents
+     */
+    function transform(a, b) {
+        if (baseLength(a) !== baseLength(b)) throw new Error('transform: the operations apply to different documents');
+        const a1 = [];
+        const b1 = [];
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = a[i1++];
+        let op2 = b[i2++];
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isInsert(op1)) {
+                insert(a1, op1);
+                retain(b1, op1.length);
+                op1 = a[i1++];
+            } else if (isInsert(op2)) {
+                retain(a1, op2.length);
+                insert(b1, op2);
+                op2 = b[i2++];
+            } else if (isRetain(op1) && isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                retain(a1, n);
+                retain(b1, n);
+                op1 = op1 === n ? a[i1++] : op1 - n;
+                op2 = op2 === n ? b[i2++] : op2 - n;
+            } else if (isDelete(op1) && isDelete(op2)) {
+                // Both deleted the same text
+                const n = Math.min(-op1, -op2);
+                op1 = -op1 === n ? a[i1++] : op1 + n;
+                op2 = -op2 === n ? b[i2++] : op2 + n;
+            } else if (isDelete(op1)) {
+                const n = Math.min(-op1, op2);
+                remove(a1, n);
+                op1 = -op1 === n ? a[i1++] : op1 + n;
+                op2 = op2 === n ? b[i2++] : op2 - n;
+            } else {
+                // retain in a, delete in b
+                const n = Math.min(op1, -op2);
+                remove(b1, n);
+                op1 = op1 === n ? a[i1++] : op1 - n;
+                op2 = -op2 === n ? b[i2++] : op2 + n;
+            }
+        }
+        return [a1, b1];
+    }
+
+    /**
+     * Where a position in the document ends up after an operation.
+     * Text inserted at the position pushes it along.
+     */
+    function transformIndex(index, ops) {
+        let remaining = index;
+        let moved = index;
+        for (const c of ops) {
+            if (remaining < 0) break;
+            if (isRetain(c)) {
+                remaining -= c;
+            } else if (isInsert(c)) {
+                moved += c.length;
+            } else {
+                moved -= Math.min(remaining, -c);
+                remaining += c;
+            }
+        }
+        return moved;
+    }
+
+    return {
+        retain,
+        insert,
+        remove,
+        isValid,
+        baseLength,
+        targetLength,
+        isNoop,
+        apply,
+        compose,
+        transform,
+        transformIndex,
+    };
+}));
@@ -0,0 +1,62 @@
+/**
+ * Server configuration.
+ * Every setting can be overridden with an environment variable.
+ */
+
+const path = require('path');
+
+/** A comma- or space-separated environment variable as a list */
+function list(value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+const workspaceDir = path.resolve(process.env.WORKSPACE_DIR || path.join(__dirname, '..', 'workspace'));
+
+module.exports = {
+    // HTTP port the editor is served on
+    port: Number(process.env.PORT) || 3000,
+
+    // Directory holding spec files; external $refs resolve inside it
+    workspaceDir,
+
+    // Directory holding lint rulesets (*.yaml, *.yml, *.json)
+    rulesetDir: path.resolve(process.env.RULESET_DIR || path.join(__dirname, 'rulesets')),
+
+    // Hosts the proxy and URL import may or may not reach. Entries are host
+    // names ("api.internal", "*.corp.example"), addresses or CIDRs
+    // ("10.20.0.0/16"). The deny list always wins; the allow list opens up
+    // private addresses, which are blocked by default.
+    outbound: {
+        allow: list(process.env.OUTBOUND_ALLOW),
+        deny: list(process.env.OUTBOUND_DENY),
+    },
+
+    proxy: {
+        // Idle timeout of a proxied request, in milliseconds
+        timeout: Number(process.env.PROXY_TIMEOUT) || 30000,
+        // Redirects the proxy follows itself; 0 hands every redirect to the browser
+        maxRedirects: process.env.PROXY_MAX_REDIRECTS === undefined ? 5 : Number(process.env.PROXY_MAX_REDIRECTS) || 0,
+        // Response headers passed back: names or prefixes ("x-rate-*"), "*" for all
+        forwardHeaders: list(process.env.PROXY_FORWARD_HEADERS || '*'),
+        // Response headers never passed back. Cookies would land on the
+        // editor's origin, and the editor answers CORS itself.
+        blockHeaders: list(process.env.PROXY_BLOCK_HEADERS || 'set-cookie,set-cookie2,access-control-*,strict-transport-security,alt-svc'),
+    },
+
+    oauth: {
+        // Redirect URI registered with identity providers; defaults to
+        // /api/oauth/callback on the host the editor was opened with
+        redirectUri: process.env.OAUTH_REDIRECT_URI || '',
+        // Serve the stand-in identity provider at /api/oauth/idp
+        testIdp: ['1', 'true', 'yes'].includes(String(process.env.OAUTH_TEST_IDP).toLowerCase()),
+    },
+
+    collab: {
+        // Shared documents of live editing sessions; a dot directory is
+        // hidden from the workspace file list
+        dir: path.resolve(process.env.COLLAB_DIR || path.join(workspaceDir, '.collab')),
+        // Longest WebSocket message and shared document
+        maxMessage: Number(process.env.COLLAB_MAX_MESSAGE) || 1024 * 1024,
+        maxDocument: Number(process.env.COLLAB_MAX_DOCUMENT) || 5 * 1024 * 1024,
+    },
+};
@@ -0,0 +1,49 @@
+/**
+ * Document analysis pipeline.
+ * Parses the editor source once and runs every checker over it, returning
+ * one flat, positioned list of problems for the Problems console.
+ */
+
+const { createSourceMap } = require('./source-map');
+const { createProblem, locateProblems, summarise } = require('./problems');
+const { validateSchema } = require('./schema-validator');
+const { lintDocument } = require('./linter');
+const { checkRefs } = require('./refs');
+const { buildOutline } = require('./outline');
+
+/**
+ * @param {string} source – raw YAML/JSON text from the editor
+ * @param {object} [options]
+ * @param {{ rules: object[] }} [options.ruleset] – compiled lint ruleset
+ * @param {string} [options.workspaceDir] – where external $refs are read from
+ * @param {string} [options.baseDir] – document directory, relative to the workspace
+ * @returns {{ version: string|null, problems: object[], summary: object, outline: object[]|null }}
+ *   outline is null when the document does not parse
+ */
+function analyseDocument(source, { ruleset = null, workspaceDir = null, baseDir = '' } = {}) {
+    const sourceMap = createSourceMap(source);
+
+    // Syntax errors make every later check unreliable – report them alone.
+    if (sourceMap.errors.length) {
+        const problems = sourceMap.errors.map((err) => createProblem({
+            source: 'syntax',
+            code: 'yaml',
+            severity: 'error',
+            message: err.message,
+            position: { line: err.line, column: err.column, endLine: err.line, endColumn: err.column + 1 },
+        }));
+        return finish(null, problems, sourceMap, null);
+    }
+
+    const { version, problems } = validateSchema(sourceMap.value);
+    if (workspaceDir) problems.push(...checkRefs(sourceMap.value, { workspaceDir, baseDir }));
+    if (ruleset) problems.push(...lintDocument(sourceMap.value, ruleset));
+    return finish(version, problems, sourceMap, buildOutline(sourceMap));
+}
+
+function finish(version, problems, sourceMap, outline) {
+    const located = locateProblems(problems, sourceMap);
+    return { version, problems: located, summary: summarise(located), outline };
+}
+
+module.exports = { analyseDocument };
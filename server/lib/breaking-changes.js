@@ -0,0 +1,593 @@
+/**
+ * Breaking-change detection.
+ * Compares a baseline spec with a revised one operation by operation and
+ * classifies every semantic change as breaking or non-breaking for
+ * existing clients. Both documents are expected to be dereferenced (see
+ * refs.dereference) so schemas can be compared structurally.
+ *
+ * Requests and responses are judged in opposite directions: narrowing
+ * what a server accepts (new required input, fewer enum values) breaks
+ * clients, as does widening what it returns (new enum values, removed
+ * properties, new types).
+ */
+
+const { formatPath } = require('./source-map');
+const { METHODS, isObject } = require('./util');
+
+const LEVELS = ['breaking', 'non-breaking'];
+
+// Constraints where a larger value accepts less input (and vice versa)
+const LOWER_BOUNDS = ['minLength', 'minimum', 'exclusiveMinimum', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maxLength', 'maximum', 'exclusiveMaximum', 'maxItems', 'maxProperties'];
+
+/** "/pets/{petId}" and "/pets/{id}" are the same route for clients */
+function routeKey(route) {
+    return route.replace(/\{[^}]+\}/g, '{}');
+}
+
+function pathParamIndex(route, name) {
+    return (route.match(/\{[^}]+\}/g) || []).indexOf(`{${name}}`);
+}
+
+function parameterKey(route, param) {
+    if (param.in === 'path' && pathParamIndex(route, param.name) !== -1) {
+        return `path:#${pathParamIndex(route, param.name)}`;
+    }
+    return `${param.in}:${param.in === 'header' ? String(param.name).toLowerCase() : param.name}`;
+}
+
+/** Schema of a parameter – v3 `schema`/`content`, v2 inline type keywords */
+function parameterSchema(param) {
+    if (isObject(param.schema)) return param.schema;
+    if (isObject(param.content)) {
+        const first = Object.values(param.content)[0];
+        return first && first.schema;
+    }
+    const { name, in: location, required, description, ...schema } = param;
+    return schema;
+}
+
+/**
+ * Flatten a spec into comparable operations keyed by "METHOD /route".
+ * Path-level parameters are merged into each operation, and Swagger 2.0
+ * body/formData parameters are turned into an OpenAPI 3 style request body.
+ */
+function collectOperations(spec) {
+    const isV2 = spec.swagger !== undefined;
+    const operations = new Map();
+
+    Object.entries(isObject(spec.paths) ? spec.paths : {}).forEach(([route, pathItem]) => {
+        if (!isObject(pathItem)) return;
+
+        METHODS.forEach((method) => {
+            const operation = pathItem[method];
+            if (!isObject(operation)) return;
+            const base = ['paths', route, method];
+
+            const parameters = new Map();
+            [[pathItem.parameters, ['paths', route, 'parameters']], [operation.parameters, [...base, 'parameters']]]
+                .forEach(([list, listPath]) => {
+                    (Array.isArray(list) ? list : []).forEach((param, index) => {
+                        if (!isObject(param) || !param.name || !param.in) return;
+                        parameters.set(parameterKey(route, param), { param, path: [...listPath, index] });
+                    });
+                });
+
+            const entry = {
+                key: `${method.toUpperCase()} ${routeKey(route)}`,
+                label: `${method.toUpperCase()} ${route}`,
+                route,
+                path: base,
+                operation,
+                parameters,
+                requestBody: null,
+                responses: new Map(),
+                security: operation.security !== undefined ? operation.security : spec.security,
+            };
+
+            if (isV2) collectV2Bodies(spec, operation, entry);
+            else collectV3Bodies(operation, entry);
+
+            // Body and form parameters are compared as the request body
+            [...parameters.entries()].forEach(([key, { param }]) => {
+                if (param.in === 'body' || param.in === 'formData') parameters.delete(key);
+            });
+
+            operations.set(entry.key, entry);
+        });
+    });
+
+    return operations;
+}
+
+function collectV3Bodies(operation, entry) {
+    const body = operation.requestBody;
+    if (isObject(body)) {
+        entry.requestBody = {
+            required: body.required === true,
+            path: [...entry.path, 'requestBody'],
+            content: contentMap(body.content, [...entry.path, 'requestBody', 'content']),
+        };
+    }
+
+    Object.entries(isObject(operation.responses) ? operation.responses : {}).forEach(([code, response]) => {
+        if (!isObject(response)) return;
+        const responsePath = [...entry.path, 'responses', code];
+        entry.responses.set(String(code), {
+            path: responsePath,
+            content: contentMap(response.content, [...responsePath, 'content']),
+            headers: isObject(response.headers) ? response.headers : {},
+        });
+    });
+}
+
+function collectV2Bodies(spec, operation, entry) {
+    const consumes = operation.consumes || spec.consumes || ['application/json'];
+    const produces = operation.produces || spec.produces || ['application/json'];
+    const params = [...entry.parameters.values()];
+
+    const body = params.find(({ param }) => param.in === 'body');
+    const form = params.filter(({ param }) => param.in === 'formData');
+    if (body) {
+        entry.requestBody = {
+            required: body.param.required === true,
+            path: body.path,
+            content: new Map(consumes.map((type) => [type, { schema: body.param.schema, path: [...body.path, 'schema'] }])),
+        };
+    } else if (form.length) {
+        const schema = {
+            type: 'object',
+            properties: Object.fromEntries(form.map(({ param }) => [param.name, parameterSchema(param)])),
+            required: form.filter(({ param }) => param.required).map(({ param }) => param.name),
+        };
+        entry.requestBody = {
+            required: schema.required.length > 0,
+            path: form[0].path,
+            content: new Map(consumes.map((type) => [type, { schema, path: form[0].path }])),
+        };
+    }
+
+    Object.entries(isObject(operation.responses) ? operation.responses : {}).forEach(([code, response]) => {
+        if (!isObject(response)) return;
+        const responsePath = [...entry.path, 'responses', code];
+        entry.responses.set(String(code), {
+            path: responsePath,
+            content: response.schema
+                ? new Map(produces.map((type) => [type, { schema: response.schema, path: [...responsePath, 'schema'] }]))
+                : new Map(),
+            headers: isObject(response.headers) ? response.headers : {},
+        });
+    });
+}
+
+function contentMap(content, contentPath) {
+    return new Map(Object.entries(isObject(content) ? content : {})
+        .map(([type, media]) => [type, { schema: isObject(media) ? media.schema : undefined, path: [...contentPath, type, 'schema'] }]));
+}
+
+/* ── Schema comparison ────────────────────────────────────────────────── */
+
+function typesOf(schema) {
+    const types = new Set(Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : []);
+    if (schema.nullable === true && types.size) types.add('null');
+    return types;
+}
+
+/** Merge allOf members into one schema so split-out properties compare */
+function flatten(schema) {
+    if (!Array.isArray(schema.allOf)) return schema;
+    const merged = { ...schema, properties: { ...(schema.properties || {}) }, required: [...(schema.required || [])] };
+    delete merged.allOf;
+    schema.allOf.forEach((member) => {
+        if (!isObject(member)) return;
+        const flat = flatten(member);
+        Object.entries(flat).forEach(([key, value]) => {
+            if (key === 'properties') Object.assign(merged.properties, value);
+            else if (key === 'required' && Array.isArray(value)) merged.required.push(...value);
+            else if (!(key in merged)) merged[key] = value;
+        });
+    });
+    if (!Object.keys(merged.properties).length) delete merged.properties;
+    if (!merged.required.length) delete merged.required;
+    return merged;
+}
+
+function describe(values) {
+    return values.map((value) => JSON.stringify(value)).join(', ');
+}
+
+/**
+ * Compare two schemas and report changes through ctx.report.
+ * @param {object} ctx – { direction: 'request'|'response', subject, report, seen }
+ *   `subject` names the schema in messages, e.g. "request body (application/json)"
+ */
+function compareSchemas(base, revision, location, ctx, label = '') {
+    if (!isObject(base) || !isObject(revision)) return;
+
+    // Dereferenced schemas can be circular – compare each pair once
+    const pairs = ctx.seen.get(base) || new Set();
+    if (pairs.has(revision)) return;
+    pairs.add(revision);
+    ctx.seen.set(base, pairs);
+
+    const isRequest = ctx.direction === 'request';
+    const where = label ? `${ctx.subject} property "${label}"` : ctx.subject;
+
+    if (typeof base.$ref === 'string' || typeof revision.$ref === 'string') {
+        if (base.$ref !== revision.$ref) {
+            ctx.report('non-breaking', 'schema-ref-changed', `Schema reference of ${where} changed.`, location);
+        }
+        return;
+    }
+
+    const from = flatten(base);
+    const to = flatten(revision);
+
+    // Types
+    const fromTypes = typesOf(from);
+    const toTypes = typesOf(to);
+    if (fromTypes.size && toTypes.size) {
+        const removed = [...fromTypes].filter((t) => !toTypes.has(t) && !(t === 'integer' && toTypes.has('number')));
+        const added = [...toTypes].filter((t) => !fromTypes.has(t) && !(t === 'integer' && fromTypes.has('number')));
+        const breaks = isRequest ? removed.length > 0 : added.length > 0;
+        if (removed.length || added.length) {
+            ctx.report(breaks ? 'breaking' : 'non-breaking', 'type-changed',
+                `Type of ${where} changed from ${[...fromTypes].join(' | ')} to ${[...toTypes].join(' | ')}.`, location);
+        }
+    }
+
+    if (from.format && to.format && from.format !== to.format) {
+        ctx.report('breaking', 'format-changed', `Format of ${where} changed from "${from.format}" to "${to.format}".`, location);
+    }
+
+    compareEnums(from, to, location, ctx, where);
+    if (isRequest) compareConstraints(from, to, location, ctx, where);
+    compareProperties(from, to, location, ctx, label);
+
+    if (isObject(from.items) && isObject(to.items)) {
+        compareSchemas(from.items, to.items, [...location, 'items'], ctx, label ? `${label}[]` : '');
+    }
+
+    ['oneOf', 'anyOf'].forEach((keyword) => {
+        const fromBranches = Array.isArray(from[keyword]) ? from[keyword] : [];
+        const toBranches = Array.isArray(to[keyword]) ? to[keyword] : [];
+        if (!fromBranches.length && !toBranches.length) return;
+        if (fromBranches.length !== toBranches.length) {
+            const fewer = toBranches.length < fromBranches.length;
+            ctx.report(fewer === isRequest ? 'breaking' : 'non-breaking', `${keyword}-changed`,
+                `${where} now has ${toBranches.length} ${keyword} alternatives (was ${fromBranches.length}).`, location);
+            return;
+        }
+        fromBranches.forEach((branch, i) => compareSchemas(branch, toBranches[i], [...location, keyword, i], ctx, label));
+    });
+}
+
+function compareEnums(from, to, location, ctx, where) {
+    const isRequest = ctx.direction === 'request';
+    const fromEnum = Array.isArray(from.enum) ? from.enum : null;
+    const toEnum = Array.isArray(to.enum) ? to.enum : null;
+    if (!fromEnum && !toEnum) return;
+
+    if (!fromEnum) {
+        ctx.report(isRequest ? 'breaking' : 'non-breaking', 'enum-added',
+            `${capitalise(where)} is now restricted to: ${describe(toEnum)}.`, location);
+        return;
+    }
+    if (!toEnum) {
+        ctx.report(isRequest ? 'non-breaking' : 'breaking', 'enum-removed',
+            `${capitalise(where)} is no longer restricted to a fixed set of values.`, location);
+        return;
+    }
+
+    const key = (value) => JSON.stringify(value);
+    const toKeys = new Set(toEnum.map(key));
+    const fromKeys = new Set(fromEnum.map(key));
+    const removed = fromEnum.filter((value) => !toKeys.has(key(value)));
+    const added = toEnum.filter((value) => !fromKeys.has(key(value)));
+
+    if (removed.length) {
+        ctx.report(isRequest ? 'breaking' : 'non-breaking', 'enum-value-removed',
+            `Removed enum value${removed.length > 1 ? 's' : ''} ${describe(removed)} from ${where}.`, location);
+    }
+    if (added.length) {
+        ctx.report(isRequest ? 'non-breaking' : 'breaking', 'enum-value-added',
+            `Added enum value${added.length > 1 ? 's' : ''} ${describe(added)} to ${where}.`, location);
+    }
+}
+
+/** Tightened request constraints reject input that used to be valid */
+function compareConstraints(from, to, location, ctx, where) {
+    const check = (keyword, tightened) => {
+        const before = typeof from[keyword] === 'number' ? from[keyword] : undefined;
+        const after = typeof to[keyword] === 'number' ? to[keyword] : undefined;
+        if (before === after || after === undefined) {
+            if (before !== undefined && after === undefined) {
+                ctx.report('non-breaking', 'constraint-relaxed', `${capitalise(where)}: ${keyword} (${before}) removed.`, location);
+            }
+            return;
+        }
+        const breaks = before === undefined || tightened(before, after);
+        ctx.report(breaks ? 'breaking' : 'non-breaking', breaks ? 'constraint-tightened' : 'constraint-relaxed',
+            `${capitalise(where)}: ${keyword} changed from ${before === undefined ? 'none' : before} to ${after}.`, location);
+    };
+    LOWER_BOUNDS.forEach((keyword) => check(keyword, (before, after) => after > before));
+    UPPER_BOUNDS.forEach((keyword) => check(keyword, (before, after) => after < before));
+
+    if (to.pattern && from.pattern !== to.pattern) {
+        ctx.report('breaking', 'pattern-changed', `Pattern of ${where} is now "${to.pattern}".`, location);
+    }
+}
+
+function compareProperties(from, to, location, ctx, label) {
+    const isRequest = ctx.direction === 'request';
+    const fromProps = isObject(from.properties) ? from.properties : {};
+    const toProps = isObject(to.properties) ? to.properties : {};
+    const fromRequired = new Set(Array.isArray(from.required) ? from.required : []);
+    const toRequired = new Set(Array.isArray(to.required) ? to.required : []);
+    const name = (prop) => (label ? `${label}.${prop}` : prop);
+    // readOnly properties are never sent, writeOnly ones never returned
+    const skipped = (schema) => isObject(schema) && (isRequest ? schema.readOnly === true : schema.writeOnly === true);
+
+    Object.keys(fromProps).forEach((prop) => {
+        if (prop in toProps || skipped(fromProps[prop])) return;
+        const breaks = isRequest ? to.additionalProperties === false : true;
+        ctx.report(breaks ? 'breaking' : 'non-breaking', 'property-removed',
+            `Removed property "${name(prop)}" from ${ctx.subject}.`, [...location, 'properties']);
+    });
+
+    Object.keys(toProps).forEach((prop) => {
+        if (prop in fromProps || skipped(toProps[prop])) return;
+        const breaks = isRequest && toRequired.has(prop);
+        ctx.report(breaks ? 'breaking' : 'non-breaking', breaks ? 'required-property-added' : 'property-added',
+            `Added ${toRequired.has(prop) ? 'required' : 'optional'} property "${name(prop)}" to ${ctx.subject}.`,
+            [...location, 'properties', prop]);
+    });
+
+    Object.keys(fromProps).forEach((prop) => {
+        if (!(prop in toProps) || skipped(toProps[prop])) return;
+        const propPath = [...location, 'properties', prop];
+        if (fromRequired.has(prop) !== toRequired.has(prop)) {
+            const nowRequired = toRequired.has(prop);
+            ctx.report(nowRequired === isRequest ? 'breaking' : 'non-breaking', nowRequired ? 'property-now-required' : 'property-now-optional',
+                `Property "${name(prop)}" in ${ctx.subject} is now ${nowRequired ? 'required' : 'optional'}.`, propPath);
+        }
+        compareSchemas(fromProps[prop], toProps[prop], propPath, ctx, name(prop));
+    });
+}
+
+function capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/* ── Operation comparison ─────────────────────────────────────────────── */
+
+function compareParameters(from, to, report) {
+    from.parameters.forEach(({ param }, key) => {
+        if (!to.parameters.has(key)) {
+            report('breaking', 'parameter-removed', `Removed ${param.in} parameter "${param.name}".`, from.path, 'base');
+        }
+    });
+
+    to.parameters.forEach(({ param, path }, key) => {
+        const before = from.parameters.get(key);
+        const required = param.required === true || param.in === 'path';
+        if (!before) {
+            report(required ? 'breaking' : 'non-breaking', required ? 'required-parameter-added' : 'parameter-added',
+                `Added ${required ? 'required' : 'optional'} ${param.in} parameter "${param.name}".`, path);
+            return;
+        }
+
+        const wasRequired = before.param.required === true || before.param.in === 'path';
+        if (wasRequired !== required) {
+            report(required ? 'breaking' : 'non-breaking', required ? 'parameter-now-required' : 'parameter-now-optional',
+                `${capitalise(param.in)} parameter "${param.name}" is now ${required ? 'required' : 'optional'}.`, path);
+        }
+        compareSchemas(parameterSchema(before.param), parameterSchema(param), path, {
+            direction: 'request',
+            subject: `${param.in} parameter "${param.name}"`,
+            report,
+            seen: new Map(),
+        });
+    });
+}
+
+function compareRequestBodies(from, to, report) {
+    const before = from.requestBody;
+    const after = to.requestBody;
+    if (!before && !after) return;
+
+    if (!before) {
+        report(after.required ? 'breaking' : 'non-breaking', after.required ? 'request-body-added' : 'optional-request-body-added',
+            `Added ${after.required ? 'a required' : 'an optional'} request body.`, after.path);
+        return;
+    }
+    if (!after) {
+        report('breaking', 'request-body-removed', 'Removed the request body.', from.path, 'base');
+        return;
+    }
+    if (before.required !== after.required) {
+        report(after.required ? 'breaking' : 'non-breaking', after.required ? 'request-body-now-required' : 'request-body-now-optional',
+            `Request body is now ${after.required ? 'required' : 'optional'}.`, after.path);
+    }
+    compareContent(before.content, after.content, 'request', 'request body', to.path, report);
+}
+
+function compareContent(before, after, direction, subject, operationPath, report) {
+    before.forEach((_media, type) => {
+        if (!after.has(type)) {
+            report('breaking', 'media-type-removed', `Removed media type "${type}" from the ${subject}.`, operationPath);
+        }
+    });
+    after.forEach((media, type) => {
+        const previous = before.get(type);
+        if (!previous) {
+            report('non-breaking', 'media-type-added', `Added media type "${type}" to the ${subject}.`, media.path);
+            return;
+        }
+        compareSchemas(previous.schema, media.schema, media.path, {
+            direction,
+            subject: `${subject} (${type})`,
+            report,
+            seen: new Map(),
+        });
+    });
+}
+
+function compareResponses(from, to, report) {
+    from.responses.forEach((_response, code) => {
+        if (!to.responses.has(code)) {
+            report('breaking', 'response-removed', `Removed the ${code} response.`, to.path);
+        }
+    });
+
+    to.responses.forEach((response, code) => {
+        const previous = from.responses.get(code);
+        if (!previous) {
+            report('non-breaking', 'response-added', `Added the ${code} response.`, response.path);
+            return;
+        }
+        compareContent(previous.content, response.content, 'response', `${code} response`, response.path, report);
+        Object.keys(previous.headers).forEach((header) => {
+            if (!Object.keys(response.headers).some((h) => h.toLowerCase() === header.toLowerCase())) {
+                report('breaking', 'response-header-removed', `Removed header "${header}" from the ${code} response.`, response.path);
+            }
+        });
+    });
+}
+
+/** Security requirement alternatives as sorted scheme lists ("" = anonymous) */
+function securityAlternatives(requirements) {
+    if (!Array.isArray(requirements) || !requirements.length) return new Set(['']);
+    return new Set(requirements.map((req) => Object.keys(isObject(req) ? req : {}).sort().join(' + ')));
+}
+
+function compareSecurity(from, to, report) {
+    const before = securityAlternatives(from.security);
+    const after = securityAlternatives(to.security);
+    const wasAnonymous = before.size === 1 && before.has('');
+    before.forEach((alt) => {
+        if (after.has(alt)) return;
+        report('breaking', 'security-removed', alt
+            ? `Clients can no longer authenticate with ${alt}.`
+            : `Authentication is now required (${[...after].join(' or ')}).`, to.path);
+    });
+    after.forEach((alt) => {
+        if (before.has(alt) || wasAnonymous) return;
+        report('non-breaking', 'security-added', alt
+            ? `Clients can now authenticate with ${alt}.`
+            : 'Authentication is now optional.', to.path);
+    });
+}
+
+/**
+ * Compare two dereferenced specs.
+ * @returns {{ changes: object[], summary: { breaking: number, nonBreaking: number, total: number } }}
+ *   each change: { level, code, operation, message, side, path }
+ *   `side` says which document `path` points into ('base' or 'revision')
+ */
+function compareSpecs(base, revision) {
+    const changes = [];
+    const add = (operation) => (level, code, message, path, side = 'revision') => {
+        changes.push({ level, code, operation, message, side, path });
+    };
+
+    const baseVersion = base.info && base.info.version;
+    const revisionVersion = revision.info && revision.info.version;
+    if (baseVersion !== revisionVersion) {
+        add(null)('non-breaking', 'version-changed',
+            `API version changed from ${baseVersion || 'none'} to ${revisionVersion || 'none'}.`, ['info', 'version']);
+    }
+
+    const from = collectOperations(base);
+    const to = collectOperations(revision);
+
+    from.forEach((operation, key) => {
+        if (!to.has(key)) {
+            add(operation.label)('breaking', 'operation-removed', `Removed operation ${operation.label}.`, operation.path, 'base');
+        }
+    });
+
+    to.forEach((operation, key) => {
+        const report = add(operation.label);
+        const previous = from.get(key);
+        if (!previous) {
+            report('non-breaking', 'operation-added', `Added operation ${operation.label}.`, operation.path);
+            return;
+        }
+
+        if (operation.operation.deprecated === true && previous.operation.deprecated !== true) {
+            report('non-breaking', 'operation-deprecated', `Operation ${operation.label} is now deprecated.`, operation.path);
+        }
+        if (previous.operation.operationId && operation.operation.operationId
+            && previous.operation.operationId !== operation.operation.operationId) {
+            report('non-breaking', 'operation-id-changed',
+                `operationId changed from "${previous.operation.operationId}" to "${operation.operation.operationId}".`,
+                [...operation.path, 'operationId']);
+        }
+
+        compareParameters(previous, operation, report);
+        compareRequestBodies(previous, operation, report);
+        compareResponses(previous, operation, report);
+        compareSecurity(previous, operation, report);
+    });
+
+    changes.sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+    const breaking = changes.filter((change) => change.level === 'breaking').length;
+    return {
+        changes,
+        summary: { breaking, nonBreaking: changes.length - breaking, total: changes.length },
+    };
+}
+
+/**
+ * Render a comparison as a Markdown changelog.
+ * @param {{ changes: object[], summary: object }} report
+ * @param {{ title?: string, base?: string, revision?: string }} [labels]
+ */
+function toMarkdown(report, { title = 'API Changelog', base = 'baseline', revision = 'current' } = {}) {
+    const lines = [
+        `# ${title}`,
+        '',
+        `Comparing **${base}** → **${revision}**: `
+            + `${report.summary.breaking} breaking, ${report.summary.nonBreaking} non-breaking change${report.summary.total === 1 ? '' : 's'}.`,
+    ];
+
+    [['breaking', 'Breaking changes'], ['non-breaking', 'Non-breaking changes']].forEach(([level, heading]) => {
+        const changes = report.changes.filter((change) => change.level === level);
+        if (!changes.length) return;
+        lines.push('', `## ${heading}`);
+
+        const groups = new Map();
+        changes.forEach((change) => {
+            const group = change.operation || 'General';
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(change);
+        });
+        groups.forEach((list, group) => {
+            lines.push('', `### ${group === 'General' ? group : `\`${group}\``}`, '');
+            list.forEach((change) => lines.push(`- ${change.message}`));
+        });
+    });
+
+    if (!report.changes.length) lines.push('', 'No changes detected.');
+    return `${lines.join('\n')}\n`;
+}
+
+/** Attach line/column (and a printable path) using each document's source map */
+function locateChanges(report, sourceMaps) {
+    return {
+        ...report,
+        changes: report.changes.map((change) => ({
+            ...change,
+            path: formatPath(change.path),
+            ...sourceMaps[change.side].locate(change.path),
+        })),
+    };
+}
+
+module.exports = {
+    compareSpecs,
+    collectOperations,
+    locateChanges,
+    toMarkdown,
+};
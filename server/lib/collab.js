@@ -0,0 +1,301 @@
+/**
+ * Collaborative editing sessions ("rooms").
+ * Each room holds one shared document. The server is the single point of
+ * order: clients send text operations against the last revision they saw,
+ * the server transforms them past the operations it sequenced since
+ * (public/text-operation.js), applies them and hands them to everyone
+ * else. Clients also share their selections, which are kept up to date as
+ * the document changes so late joiners see them in the right place.
+ *
+ * Rooms are saved to disk as { room, doc, revision, updated } JSON files;
+ * a room stays in memory for a while after its last participant leaves so
+ * reconnecting clients can still catch up.
+ *
+ * Protocol (JSON text messages):
+ *   → { type: 'join', room, name, content?, revision?, ops? }
+ *     content seeds a new room; revision + ops replay unacknowledged
+ *     edits after a reconnect
+ *   ← { type: 'joined', id, color, doc, revision, clients, created, replayed }
+ *     created: the room was new and holds the joiner's content
+ *   → { type: 'op', revision, ops }       ← { type: 'ack', revision }
+ *   ← { type: 'op', id, revision, ops }   (someone else's edit)
+ *   → { type: 'selection', ranges: [{ anchor, head }] }
+ *   ← { type: 'selection', id, ranges }
+ *   ← { type: 'presence', clients: [{ id, name, color }] }
+ *   ← { type: 'error', error, resync? }   resync: rejoin to recover
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const TextOperation = require('../../public/text-operation');
+
+const ROOM_NAME = /^[\w.-]{1,64}$/;
+const COLORS = ['#e06c75', '#61afef', '#98c379', '#c678dd', '#e5c07b', '#56b6c2', '#d19a66', '#be5046'];
+const MAX_RANGES = 20;
+
+/**
+ * @param {object} options
+ * @param {string} options.dir – directory the rooms are saved in
+ * @param {number} [options.maxDocument] – longest shared document, in characters
+ * @param {number} [options.historyLimit] – operations kept for late transforms
+ * @param {number} [options.saveDelay] – ms between an edit and saving the room
+ * @param {number} [options.idleTimeout] – ms an empty room stays in memory
+ */
+function createCollabHub({ dir, maxDocument = 5 * 1024 * 1024, historyLimit = 1000, saveDelay = 1000, idleTimeout = 10 * 60 * 1000 }) {
+    const rooms = new Map();
+
+    const roomFile = (name) => path.join(dir, `${name}.json`);
+
+    function readRoom(name) {
+        try {
+            const stored = JSON.parse(fs.readFileSync(roomFile(name), 'utf-8'));
+            if (typeof stored.doc === 'string' && Number.isInteger(stored.revision)) return stored;
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`[collab] Could not read room "${name}":`, err.message);
+        }
+        return null;
+    }
+
+    function saveRoom(room) {
+        clearTimeout(room.saveTimer);
+        room.saveTimer = null;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            const file = roomFile(room.name);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({
+                room: room.name,
+                doc: room.doc,
+                revision: room.revision,
+                updated: room.updated,
+            }));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            console.error(`[collab] Could not save room "${room.name}":`, err.message);
+        }
+    }
+
+    function scheduleSave(room) {
+        if (!room.saveTimer) room.saveTimer = setTimeout(() => saveRoom(room), saveDelay);
+    }
+
+    /** @returns {{ room: object, created: boolean }} */
+    function openRoom(name, content) {
+        let room = rooms.get(name);
+        let created = false;
+        if (!room) {
+            const stored = readRoom(name);
+            room = {
+                name,
+                doc: stored ? stored.doc : String(content || '').slice(0, maxDocument),
+                revision: stored ? stored.revision : 0,
+                updated: stored ? stored.updated : new Date().toISOString(),
+                history: [],
+                clients: new Map(),
+                saveTimer: null,
+                idleTimer: null,
+            };
+            rooms.set(name, room);
+            if (!stored) {
+                saveRoom(room);
+                created = true;
+            }
+        }
+        clearTimeout(room.idleTimer);
+        return { room, created };
+    }
+
+    function closeRoomLater(room) {
+        room.idleTimer = setTimeout(() => {
+            if (room.clients.size) return;
+            if (room.saveTimer) saveRoom(room);
+            rooms.delete(room.name);
+        }, idleTimeout);
+        room.idleTimer.unref();
+    }
+
+    // ── Participants ──────────────────────────────────────────────────────
+
+    function describe(client) {
+        return { id: client.id, name: client.name, color: client.color };
+    }
+
+    function broadcast(room, message, except) {
+        const text = JSON.stringify(message);
+        room.clients.forEach((client) => {
+            if (client !== except) client.connection.send(text);
+        });
+    }
+
+    function broadcastPresence(room) {
+        broadcast(room, { type: 'presence', clients: [...room.clients.values()].map(describe) });
+    }
+
+    function pickColor(room) {
+        const used = new Set([...room.clients.values()].map((client) => client.color));
+        return COLORS.find((color) => !used.has(color)) || COLORS[room.clients.size % COLORS.length];
+    }
+
+    function cleanRanges(ranges, length) {
+        if (!Array.isArray(ranges)) return [];
+        const clamp = (value) => Math.max(0, Math.min(length, Number.isInteger(value) ? value : 0));
+        return ranges.slice(0, MAX_RANGES)
+            .filter((range) => range && typeof range === 'object')
+            .map((range) => ({ anchor: clamp(range.anchor), head: clamp(range.head) }));
+    }
+
+    // ── Operations ────────────────────────────────────────────────────────
+
+    /**
+     * Transform an operation made at `revision` past everything sequenced
+     * since, apply it and record it.
+     * @returns {Array} the operation as applied
+     * @throws {Error} with `resync` set when the client has to rejoin
+     */
+    function sequence(room, revision, ops) {
+        const oldest = room.revision - room.history.length;
+        if (!Number.isInteger(revision) || revision > room.revision || revision < oldest) {
+            throw Object.assign(new Error(`Revision ${revision} is unknown to the server`), { resync: true });
+        }
+        if (!TextOperation.isValid(ops)) throw new Error('Malformed operation');
+
+        let transformed = ops;
+        room.history.slice(revision - oldest).forEach((concurrent) => {
+            [transformed] = TextOperation.transform(transformed, concurrent);
+        });
+        if (TextOperation.targetLength(transformed) > maxDocument) {
+            throw new Error(`The document would exceed ${maxDocument} characters`);
+        }
+        room.doc = TextOperation.apply(room.doc, transformed);
+        room.revision++;
+        room.updated = new Date().toISOString();
+        room.history.push(transformed);
+        if (room.history.length > historyLimit) room.history.splice(0, room.history.length - historyLimit);
+
+        room.clients.forEach((client) => {
+            client.ranges = client.ranges.map((range) => ({
+                anchor: TextOperation.transformIndex(range.anchor, transformed),
+                head: TextOperation.transformIndex(range.head, transformed),
+            }));
+        });
+        scheduleSave(room);
+        return transformed;
+    }
+
+    /**
+     * Take over a WebSocket connection and speak the protocol on it.
+     * @param {object} connection – from lib/websocket.js
+     */
+    function connect(connection) {
+        let room = null;
+        let client = null;
+        const reply = (message) => connection.send(JSON.stringify(message));
+
+        function join(message) {
+            if (room) return reply({ type: 'error', error: 'Already joined' });
+            if (typeof message.room !== 'string' || !ROOM_NAME.test(message.room)) {
+                return reply({ type: 'error', error: 'Session names may only contain letters, digits, ".", "-" and "_" (64 at most)' });
+            }
+            let created;
+            ({ room, created } = openRoom(message.room, message.content));
+            client = {
+                id: crypto.randomBytes(6).toString('hex'),
+                name: String(message.name || '').trim().slice(0, 40) || 'Anonymous',
+                color: pickColor(room),
+                ranges: [],
+                connection,
+            };
+
+            // Edits made while disconnected, if the server still knows their base
+            let replayed = false;
+            if (Array.isArray(message.ops)) {
+                try {
+                    const ops = sequence(room, message.revision, message.ops);
+                    broadcast(room, { type: 'op', id: client.id, revision: room.revision, ops });
+                    replayed = true;
+                } catch {
+                    // Too old (or the server restarted); the client is told they were lost
+                }
+            }
+
+            room.clients.set(client.id, client);
+            reply({
+                type: 'joined',
+                id: client.id,
+                color: client.color,
+                doc: room.doc,
+                revision: room.revision,
+                created,
+                replayed,
+                clients: [...room.clients.values()].filter((other) => other !== client)
+                    .map((other) => ({ ...describe(other), ranges: other.ranges })),
+            });
+            broadcastPresence(room);
+        }
+
+        function handle(message) {
+            if (message.type === 'join') return join(message);
+            if (!room) return reply({ type: 'error', error: 'Join a session first' });
+
+            if (message.type === 'op') {
+                try {
+                    const ops = sequence(room, message.revision, message.ops);
+                    reply({ type: 'ack', revision: room.revision });
+                    broadcast(room, { type: 'op', id: client.id, revision: room.revision, ops }, client);
+                } catch (err) {
+                    reply({ type: 'error', error: err.message, resync: true });
+                }
+                return;
+            }
+            if (message.type === 'selection') {
+                client.ranges = cleanRanges(message.ranges, room.doc.length);
+                broadcast(room, { type: 'selection', id: client.id, ranges: client.ranges }, client);
+                return;
+            }
+            reply({ type: 'error', error: `Unknown message type "${message.type}"` });
+        }
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                reply({ type: 'error', error: 'Messages must be JSON' });
+                return;
+            }
+            if (message && typeof message === 'object') handle(message);
+        });
+
+        connection.on('close', () => {
+            if (!room) return;
+            room.clients.delete(client.id);
+            broadcastPresence(room);
+            if (!room.clients.size) {
+                saveRoom(room);
+                closeRoomLater(room);
+            }
+        });
+    }
+
+    /** Rooms in memory or on disk, busiest first */
+    function list() {
+        let names = [];
+        try {
+            names = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5));
+        } catch { }
+        const all = new Set([...names.filter((name) => ROOM_NAME.test(name)), ...rooms.keys()]);
+        return [...all].map((name) => {
+            const room = rooms.get(name) || readRoom(name);
+            return {
+                name,
+                participants: room?.clients ? [...room.clients.values()].map(describe) : [],
+                revision: room?.revision ?? 0,
+                updated: room?.updated,
+            };
+        }).sort((a, b) => b.participants.length - a.participants.length || String(b.updated).localeCompare(String(a.updated)));
+    }
+
+    return { connect, list };
+}
+
+module.exports = { createCollabHub };
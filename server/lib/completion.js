@@ -0,0 +1,410 @@
+/**
+ * Completion vocabulary for the editor.
+ * Boils the official JSON Schema of an OpenAPI version down to what
+ * autocompletion needs: for every object, the keys it allows and the node
+ * each key leads to, plus the values a key may take. Branches (oneOf,
+ * anyOf, allOf, if/then/else) are merged, so a parameter offers the keys
+ * and `in` values of every kind of parameter, and a slot that takes an
+ * object or a Reference Object offers `$ref` too.
+ *
+ * Nodes (every field optional):
+ *   { type, refs: [definition], keys: { [name]: node }, patterns: [[regex, node]],
+ *     additional: node, items: node, values: [...], description, required }
+ * `refs` name entries of `definitions` whose nodes are merged in – the
+ * schema is recursive, so definitions are shared rather than inlined.
+ */
+
+const http = require('http');
+const schemas = require('@apidevtools/openapi-schemas');
+const draft04 = require('ajv-draft-04/dist/refs/json-schema-draft-04.json');
+
+const META_2020 = ['core', 'applicator', 'validation', 'meta-data', 'format-annotation', 'content', 'unevaluated']
+    .map((name) => ({ name: `2020-12/${name}`, schema: require(`ajv/dist/refs/json-schema-2020-12/meta/${name}.json`) }));
+
+const EXTERNAL_DOCUMENTS = {
+    'http://json-schema.org/draft-04/schema': { name: 'draft-04', schema: draft04 },
+};
+
+const MEDIA_TYPES = [
+    'application/json',
+    'application/xml',
+    'application/x-www-form-urlencoded',
+    'multipart/form-data',
+    'text/plain',
+    'text/html',
+    'text/csv',
+    'application/octet-stream',
+    'application/pdf',
+    'application/problem+json',
+    'application/merge-patch+json',
+    'application/json-patch+json',
+    'application/hal+json',
+    'application/ld+json',
+    'application/x-ndjson',
+    'text/event-stream',
+    'image/png',
+    'image/jpeg',
+    'image/*',
+    '*/*',
+];
+
+// Short descriptions shown in the completion list and on hover. Keys are
+// "<object>.<key>" for keys whose meaning depends on the object, or just
+// "<key>"; object names are the definition names, lower case, without
+// dashes (operation, pathitem, parameter, schema, …).
+const DESCRIPTIONS = {
+    openapi: 'Version of the OpenAPI Specification the document uses',
+    swagger: 'Version of the Swagger Specification – always "2.0"',
+    jsonSchemaDialect: 'Default $schema for Schema Objects in this document',
+    info: 'Metadata about the API: title, version, description, contact and licence',
+    servers: 'Base URLs the API is served from',
+    paths: 'The endpoints of the API, keyed by path template',
+    webhooks: 'Requests the API may send to the consumer, keyed by name',
+    components: 'Reusable schemas, parameters, responses and other objects',
+    security: 'Security requirements – any one of the listed alternatives will do',
+    tags: 'Tags used to group operations, with descriptions',
+    externalDocs: 'A link to further documentation',
+    host: 'Host (and port) serving the API',
+    basePath: 'Path prefix of every endpoint',
+    schemes: 'Transfer protocols of the API',
+    consumes: 'Media types the API can consume',
+    produces: 'Media types the API can produce',
+    definitions: 'Reusable schemas',
+    securityDefinitions: 'Security schemes the API supports',
+    'root.parameters': 'Reusable parameters',
+    'root.responses': 'Reusable responses',
+
+    title: 'Short title',
+    'info.title': 'Name of the API',
+    'info.version': 'Version of the API document (not of the specification)',
+    description: 'Longer description; CommonMark may be used',
+    summary: 'Short summary',
+    termsOfService: 'URL of the terms of service',
+    contact: 'Who to contact about the API',
+    license: 'Licence the API is offered under',
+    identifier: 'SPDX licence expression',
+    'contact.name': 'Name of the contact person or organisation',
+    'contact.email': 'Email address of the contact',
+    url: 'URL',
+    'server.url': 'Server URL; {variables} are substituted',
+    'server.variables': 'Values for the {variables} in the server URL',
+    'servervariable.enum': 'Values the variable may take',
+    'servervariable.default': 'Value used when none is given',
+
+    get: 'GET operation on this path',
+    put: 'PUT operation on this path',
+    post: 'POST operation on this path',
+    delete: 'DELETE operation on this path',
+    options: 'OPTIONS operation on this path',
+    head: 'HEAD operation on this path',
+    patch: 'PATCH operation on this path',
+    trace: 'TRACE operation on this path',
+    'pathitem.parameters': 'Parameters shared by every operation on this path',
+    'pathitem.servers': 'Servers for the operations on this path',
+
+    operationId: 'Unique name of the operation, used by code generators',
+    'operation.tags': 'Tags grouping the operation in documentation',
+    'operation.parameters': 'Path, query, header and cookie parameters',
+    requestBody: 'The request body the operation accepts',
+    'operation.responses': 'Possible responses, keyed by HTTP status code',
+    callbacks: 'Requests the API may make back to the caller',
+    deprecated: 'Marks the item as deprecated',
+    'operation.security': 'Security requirements for this operation, overriding the top-level ones',
+    'operation.servers': 'Servers for this operation',
+    'operation.consumes': 'Media types this operation can consume',
+    'operation.produces': 'Media types this operation can produce',
+
+    name: 'Name',
+    'parameter.name': 'Name of the parameter; for path parameters it matches the {template} segment',
+    in: 'Where the parameter goes: path, query, header or cookie',
+    'parameter.required': 'Whether the parameter must be sent – always true in the path',
+    allowEmptyValue: 'Allow sending the parameter with an empty value',
+    style: 'How the value is serialised',
+    explode: 'Serialise arrays and objects as separate parameters',
+    allowReserved: 'Allow reserved characters (RFC 3986) without percent-encoding',
+    'parameter.schema': 'Schema of the parameter value',
+    content: 'Representations keyed by media type',
+    example: 'Example value',
+    examples: 'Named examples',
+    collectionFormat: 'How array values are separated (Swagger 2.0)',
+
+    'requestbody.required': 'Whether a body must be sent',
+    'requestbody.content': 'The body, keyed by media type',
+    'response.description': 'Description of the response – required',
+    'response.headers': 'Headers sent with the response',
+    'response.content': 'The response body, keyed by media type',
+    'response.links': 'Operations that can follow from this response',
+    'response.schema': 'Schema of the response body',
+    'responses.default': 'Response for any status code not listed',
+    'mediatype.schema': 'Schema of the body',
+    encoding: 'Serialisation of multipart and form properties',
+    'encoding.contentType': 'Media type of the property',
+    'encoding.headers': 'Headers of the part (multipart)',
+    'example.value': 'The example itself',
+    externalValue: 'URL of an example kept elsewhere',
+
+    schemas: 'Reusable schemas',
+    'components.responses': 'Reusable responses',
+    'components.parameters': 'Reusable parameters',
+    'components.examples': 'Reusable examples',
+    requestBodies: 'Reusable request bodies',
+    'components.headers': 'Reusable headers',
+    securitySchemes: 'Security schemes the API supports',
+    links: 'Reusable links',
+    'components.callbacks': 'Reusable callbacks',
+    pathItems: 'Reusable path items',
+
+    $ref: 'Reference to a definition in this document or another file',
+    type: 'Data type',
+    'securityscheme.type': 'Kind of security scheme',
+    format: 'Refinement of the type, such as int64, date-time or uuid',
+    properties: 'Properties of an object, keyed by name',
+    'schema.required': 'Names of the properties that must be present',
+    items: 'Schema of the array elements',
+    enum: 'Allowed values',
+    const: 'The only allowed value',
+    default: 'Value assumed when none is given',
+    nullable: 'Whether null is allowed as well (OpenAPI 3.0)',
+    readOnly: 'Sent in responses only',
+    writeOnly: 'Sent in requests only',
+    additionalProperties: 'Whether, or which, properties beyond those listed are allowed',
+    allOf: 'Must match all of these schemas',
+    oneOf: 'Must match exactly one of these schemas',
+    anyOf: 'Must match at least one of these schemas',
+    not: 'Must not match this schema',
+    discriminator: 'Property that tells which of the oneOf/anyOf schemas applies',
+    propertyName: 'Name of the property holding the discriminating value',
+    mapping: 'Discriminating values and the schemas they select',
+    xml: 'XML representation of the property',
+    minimum: 'Smallest allowed value',
+    maximum: 'Largest allowed value',
+    exclusiveMinimum: 'Value must be greater than the minimum',
+    exclusiveMaximum: 'Value must be less than the maximum',
+    multipleOf: 'Value must be a multiple of this number',
+    minLength: 'Shortest allowed string',
+    maxLength: 'Longest allowed string',
+    pattern: 'Regular expression the string must match',
+    minItems: 'Fewest allowed array elements',
+    maxItems: 'Most allowed array elements',
+    uniqueItems: 'Array elements must be distinct',
+    minProperties: 'Fewest allowed properties',
+    maxProperties: 'Most allowed properties',
+
+    scheme: 'HTTP authentication scheme, such as basic or bearer',
+    bearerFormat: 'Hint at how bearer tokens are formatted, such as JWT',
+    flows: 'The OAuth 2.0 flows the scheme supports',
+    flow: 'The OAuth 2.0 flow (Swagger 2.0)',
+    openIdConnectUrl: 'URL of the OpenID Connect discovery document',
+    authorizationUrl: 'URL of the authorisation endpoint',
+    tokenUrl: 'URL of the token endpoint',
+    refreshUrl: 'URL for refreshing tokens',
+    scopes: 'Scopes and what they allow',
+    implicit: 'OAuth 2.0 implicit flow',
+    password: 'OAuth 2.0 resource owner password flow',
+    clientCredentials: 'OAuth 2.0 client credentials flow',
+    authorizationCode: 'OAuth 2.0 authorisation code flow',
+    'securityscheme.name': 'Name of the header, query parameter or cookie carrying the key',
+    'securityscheme.in': 'Where the API key goes: query, header or cookie',
+
+    operationRef: 'Reference to the linked operation',
+    'link.operationId': 'operationId of the linked operation',
+    'link.parameters': 'Parameter values for the linked operation, as runtime expressions',
+    'link.requestBody': 'Request body for the linked operation',
+    'link.server': 'Server for the linked operation',
+};
+
+/** Lower case, without dashes; Swagger 2.0 parameter and scheme variants folded */
+function objectName(definition) {
+    const name = definition.replace(/^#\/(?:definitions|\$defs)\/([^/]+).*$/, '$1').replace(/[^a-z0-9]/gi, '').toLowerCase();
+    if (/parameter(subschema)?$|^bodyparameter$/.test(name) && !/definitions|list/.test(name)) return 'parameter';
+    if (/security$/.test(name) || name.endsWith('securityscheme')) return 'securityscheme';
+    return name.replace(/orreference$/, '');
+}
+
+function describe(owner, key) {
+    return DESCRIPTIONS[`${owner}.${key}`] || DESCRIPTIONS[key];
+}
+
+// ── Schema compilation ────────────────────────────────────────────────────
+
+function merge(target, source) {
+    if (source.type && !target.type) target.type = source.type;
+    if (source.required) target.required = true;
+    if (source.description && !target.description) target.description = source.description;
+    if (source.refs) target.refs = [...new Set([...(target.refs || []), ...source.refs])];
+    if (source.values) target.values = [...new Set([...(target.values || []), ...source.values])];
+    if (source.keys) {
+        target.keys = target.keys || {};
+        Object.entries(source.keys).forEach(([key, node]) => {
+            target.keys[key] = target.keys[key] ? merge(target.keys[key], node) : node;
+        });
+    }
+    if (source.patterns) target.patterns = [...(target.patterns || []), ...source.patterns];
+    if (source.additional) target.additional = target.additional ? merge(target.additional, source.additional) : source.additional;
+    if (source.items) target.items = target.items ? merge(target.items, source.items) : source.items;
+    return target;
+}
+
+function resolvePointer(schema, pointer) {
+    return pointer.split('/').slice(1)
+        .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((value, part) => (value == null ? undefined : value[part]), schema);
+}
+
+/**
+ * @param {object} main – the OpenAPI JSON Schema
+ * @param {object} [options]
+ * @param {object} [options.dynamicSchema] – what $dynamicRef "#meta" stands for
+ */
+function compileGrammar(main, { dynamicSchema } = {}) {
+    const definitions = {};
+    const queue = [];
+    const documents = { '': main };
+    META_2020.forEach(({ name, schema }) => { documents[name] = schema; });
+
+    /** Definition name for a $ref, queued for compiling; null if unknown */
+    function definitionFor(ref, base) {
+        const hash = ref.indexOf('#');
+        const url = hash === -1 ? ref : ref.slice(0, hash);
+        const pointer = hash === -1 ? '' : ref.slice(hash + 1);
+        let doc = base;
+        if (url) {
+            const external = EXTERNAL_DOCUMENTS[url];
+            if (!external) return null;
+            doc = external.name;
+            documents[doc] = external.schema;
+        }
+        const short = !doc && /^\/(definitions|\$defs)\/[^/]+$/.test(pointer);
+        const name = short ? pointer.replace(/^.*\//, '') : `${doc}#${pointer}`;
+        if (!(name in definitions)) {
+            definitions[name] = null;
+            queue.push({ name, doc, pointer });
+        }
+        return name;
+    }
+
+    function compile(schema, base, owner, optional = false) {
+        const node = {};
+        if (!schema || typeof schema !== 'object') return node;
+
+        if (typeof schema.$ref === 'string') {
+            const name = definitionFor(schema.$ref, base);
+            if (name) node.refs = [name];
+        }
+        if (schema.$dynamicRef === '#meta') node.refs = [dynamicSchema ? 'schema' : definitionFor('#', base)];
+
+        const types = [].concat(schema.type || []);
+        if (types.length) node.type = types.includes('object') ? 'object' : types[0];
+        if (Array.isArray(schema.enum)) node.values = schema.enum;
+        if (schema.const !== undefined) node.values = [schema.const];
+
+        if (schema.properties && typeof schema.properties === 'object') {
+            node.keys = {};
+            Object.entries(schema.properties).forEach(([key, value]) => {
+                const child = compile(value, base, owner);
+                const description = describe(owner, key);
+                if (description) child.description = description;
+                node.keys[key] = child;
+            });
+            if (!optional && Array.isArray(schema.required)) {
+                schema.required.forEach((key) => {
+                    if (node.keys[key]) node.keys[key].required = true;
+                });
+            }
+        }
+        if (schema.patternProperties) {
+            node.patterns = Object.entries(schema.patternProperties)
+                .filter(([pattern]) => pattern !== '^x-')
+                .map(([pattern, value]) => [pattern, compile(value, base, owner)]);
+        }
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            node.additional = compile(schema.additionalProperties, base, owner);
+        }
+        if (Array.isArray(schema.items)) {
+            if (schema.items.length) node.items = compile(schema.items[0], base, owner);
+        } else if (schema.items && typeof schema.items === 'object') {
+            node.items = compile(schema.items, base, owner);
+        }
+
+        (schema.allOf || []).forEach((branch) => merge(node, compile(branch, base, owner, optional)));
+        [...(schema.oneOf || []), ...(schema.anyOf || []), schema.then, schema.else]
+            .filter(Boolean)
+            .forEach((branch) => merge(node, compile(branch, base, owner, true)));
+        Object.values(schema.dependentSchemas || {}).forEach((branch) => merge(node, compile(branch, base, owner, true)));
+        return node;
+    }
+
+    const root = compile(main, '', 'root');
+    if (dynamicSchema) {
+        definitions.schema = null;
+        queue.push({ name: 'schema', schema: dynamicSchema });
+    }
+    while (queue.length) {
+        const { name, doc, pointer, schema } = queue.shift();
+        if (schema) {
+            definitions[name] = schema(compile);
+            continue;
+        }
+        const target = resolvePointer(documents[doc], pointer);
+        definitions[name] = compile(target, doc, doc ? 'schema' : objectName(name));
+    }
+    return { root, definitions };
+}
+
+/**
+ * The Schema Object of OpenAPI 3.1: the JSON Schema 2020-12 vocabularies
+ * plus the OpenAPI keywords. The published schema leaves it open
+ * ($dynamicAnchor "meta"), so it is put together here.
+ */
+function schemaObject31(compile) {
+    const node = {};
+    META_2020.forEach(({ name, schema }) => merge(node, compile(schema, name, 'schema')));
+    merge(node, compile({
+        type: 'object',
+        properties: {
+            discriminator: {
+                type: 'object',
+                properties: { propertyName: { type: 'string' }, mapping: { type: 'object', additionalProperties: { type: 'string' } } },
+            },
+            xml: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    namespace: { type: 'string' },
+                    prefix: { type: 'string' },
+                    attribute: { type: 'boolean' },
+                    wrapped: { type: 'boolean' },
+                },
+            },
+            externalDocs: { $ref: '#/$defs/external-documentation' },
+            example: {},
+        },
+    }, '', 'schema'));
+    return node;
+}
+
+const grammars = {};
+
+/**
+ * Completion vocabulary for an OpenAPI version.
+ * @param {'2.0'|'3.0'|'3.1'} version
+ * @returns {{ version, root, definitions, statusCodes, mediaTypes }|null}
+ */
+function getCompletionVocabulary(version) {
+    if (grammars[version]) return grammars[version];
+    let grammar;
+    if (version === '2.0') grammar = compileGrammar(schemas.openapiV2);
+    else if (version === '3.0') grammar = compileGrammar(schemas.openapiV3);
+    else if (version === '3.1') grammar = compileGrammar(schemas.openapiV31, { dynamicSchema: schemaObject31 });
+    else return null;
+
+    grammars[version] = {
+        version,
+        ...grammar,
+        statusCodes: Object.fromEntries(Object.entries(http.STATUS_CODES).filter(([code]) => code >= 100 && code < 600)),
+        mediaTypes: MEDIA_TYPES,
+    };
+    return grammars[version];
+}
+
+module.exports = { getCompletionVocabulary };
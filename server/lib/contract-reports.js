@@ -0,0 +1,40 @@
+/**
+ * Contract validation reports.
+ * Keeps the most recent reports in memory so a response can point at its
+ * report through a header instead of carrying it in the body.
+ */
+
+const crypto = require('crypto');
+
+const MAX_REPORTS = 200;
+const reports = new Map();
+
+/**
+ * Store a report and give it an id.
+ * @returns {object} the report, with `id` and `created` set
+ */
+function saveReport(report) {
+    const saved = { id: crypto.randomBytes(8).toString('hex'), created: new Date().toISOString(), ...report };
+    reports.set(saved.id, saved);
+    while (reports.size > MAX_REPORTS) reports.delete(reports.keys().next().value);
+    return saved;
+}
+
+function getReport(id) {
+    return reports.get(id) || null;
+}
+
+/** Newest first */
+function listReports() {
+    return [...reports.values()].reverse();
+}
+
+/** Headers announcing a report on the response it describes */
+function reportHeaders(report) {
+    return {
+        'X-Validation': report.valid ? 'passed' : `failed; violations=${report.violations.length + (report.truncated || 0)}`,
+        'X-Validation-Report': `/api/contract-reports/${report.id}`,
+    };
+}
+
+module.exports = { saveReport, getReport, listReports, reportHeaders };
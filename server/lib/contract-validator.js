@@ -0,0 +1,447 @@
+/**
+ * Contract validation.
+ * Checks one request/response exchange against the operation the spec
+ * declares for it – parameters and request body on the way out; status,
+ * content type, headers and body on the way back – and lists every place
+ * where the traffic and the spec disagree. Used by the proxy and the mock
+ * server when a client asks for validation.
+ */
+
+const Ajv04 = require('ajv-draft-04');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { detectVersion } = require('./schema-validator');
+const { matchRoute } = require('./mock');
+const { isObject } = require('./util');
+
+const MAX_VIOLATIONS = 20;
+
+// Values under these keywords are data, not schemas
+const DATA_KEYWORDS = new Set(['example', 'examples', 'default', 'enum', 'const']);
+
+// OpenAPI 3 ignores header parameters with these names
+const RESERVED_HEADERS = new Set(['accept', 'content-type', 'authorization']);
+
+// Swagger 2.0 parameter fields that are not part of its schema
+const V2_PARAMETER_FIELDS = ['name', 'in', 'required', 'description', 'allowEmptyValue', 'collectionFormat'];
+
+const V2_DELIMITERS = { csv: ',', ssv: ' ', tsv: '\t', pipes: '|' };
+const V3_DELIMITERS = { form: ',', simple: ',', spaceDelimited: ' ', pipeDelimited: '|' };
+
+function isJsonType(mediaType) {
+    return /[/+]json$/i.test(mediaType);
+}
+
+/** "application/json; charset=utf-8" → "application/json" */
+function mediaTypeOf(headers) {
+    return String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/** Declared media type that covers `type` (exact, then "type/*", then "*\/*") */
+function matchMediaType(declared, type) {
+    const lower = declared.map((key) => key.split(';')[0].trim().toLowerCase());
+    const index = [type, `${type.split('/')[0]}/*`, '*/*']
+        .map((candidate) => lower.indexOf(candidate))
+        .find((i) => i !== -1);
+    return index === undefined ? null : declared[index];
+}
+
+/** Response key for a status: exact, then "4XX", then "default" */
+function responseKeyFor(responses, status) {
+    const code = String(status);
+    const keys = Object.keys(responses);
+    return keys.find((key) => key === code)
+        || keys.find((key) => key.toUpperCase() === `${code[0]}XX`)
+        || (keys.includes('default') ? 'default' : null);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach((part) => {
+        const eq = part.indexOf('=');
+        if (eq > 0) cookies[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+    });
+    return cookies;
+}
+
+/** Query string → { name: value | value[] } */
+function parseQuery(search) {
+    const query = {};
+    new URLSearchParams(search || '').forEach((value, name) => {
+        if (name in query) query[name] = [].concat(query[name], value);
+        else query[name] = value;
+    });
+    return query;
+}
+
+/**
+ * Turn a dereferenced schema into one Ajv can compile. Schemas that are
+ * shared or circular are hoisted into definitions and referenced, so
+ * recursive models validate instead of recursing forever.
+ * @returns {{ schema: object, defs: object }}
+ */
+function bundleSchema(schema) {
+    const seen = new Set();
+    const hoisted = new Set();
+
+    (function mark(node) {
+        if (!node || typeof node !== 'object') return;
+        if (seen.has(node)) {
+            if (!Array.isArray(node)) hoisted.add(node);
+            return;
+        }
+        seen.add(node);
+        Object.entries(node).forEach(([key, value]) => {
+            if (!DATA_KEYWORDS.has(key) && !key.startsWith('x-')) mark(value);
+        });
+    }(schema));
+
+    const names = new Map();
+    const defs = {};
+
+    function copy(node) {
+        if (!node || typeof node !== 'object') return node;
+        if (Array.isArray(node)) return node.map(copy);
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+            key,
+            DATA_KEYWORDS.has(key) || key.startsWith('x-') ? value : build(value),
+        ]));
+    }
+
+    function build(node) {
+        if (!hoisted.has(node)) return copy(node);
+        if (!names.has(node)) {
+            const name = `s${names.size}`;
+            names.set(node, name);
+            defs[name] = copy(node);
+        }
+        return { $ref: `#/definitions/${names.get(node)}` };
+    }
+
+    return { schema: build(schema), defs };
+}
+
+/** Readable message for an Ajv error */
+function describeError(err) {
+    let message = err.message;
+    if (err.keyword === 'additionalProperties') message += ` ("${err.params.additionalProperty}")`;
+    if (err.keyword === 'enum') message += `: ${err.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+    return message;
+}
+
+/**
+ * Compile the contract for a registered spec.
+ * @param {{ spec: object, routes: object[], basePaths: string[] }} entry
+ *   a spec-registry entry; `spec` must already be dereferenced
+ */
+function createContractValidator({ spec, routes, basePaths }) {
+    const version = detectVersion(spec);
+    const isV2 = version === '2.0';
+
+    function createAjv(extra) {
+        const options = { allErrors: true, strict: false, logger: false, validateSchema: false, ...extra };
+        const ajv = version === '3.1' ? new Ajv2020(options) : new Ajv04(options);
+        addFormats(ajv);
+        return ajv;
+    }
+
+    // Bodies are validated as sent; parameters arrive as strings and are
+    // coerced to their schema's types first.
+    const bodies = { ajv: createAjv(), cache: new WeakMap() };
+    const params = { ajv: createAjv({ coerceTypes: 'array' }), cache: new WeakMap() };
+    const inlineSchemas = new WeakMap();
+
+    function compile(kind, schema) {
+        if (kind.cache.has(schema)) return kind.cache.get(schema);
+        const { schema: root, defs } = bundleSchema(schema);
+        const wrapped = kind === params
+            ? { definitions: defs, type: 'object', properties: { value: root } }
+            : { definitions: defs, allOf: [root] };
+        let validate;
+        try {
+            validate = kind.ajv.compile(wrapped);
+        } catch (err) {
+            validate = { error: err.message };
+        }
+        kind.cache.set(schema, validate);
+        return validate;
+    }
+
+    /**
+     * Validate a value and record any errors.
+     * @returns {void}
+     */
+    function check(kind, schema, value, violation, out) {
+        if (!isObject(schema)) return;
+        const validate = compile(kind, schema);
+        if (validate.error) {
+            out.notes.push(`Skipped ${violation.location}: its schema could not be compiled (${validate.error})`);
+            return;
+        }
+        const data = kind === params ? { value } : value;
+        if (validate(data)) return;
+        validate.errors
+            .filter((err) => !['allOf', 'anyOf', 'oneOf', 'if'].includes(err.keyword) || validate.errors.length === 1)
+            .forEach((err) => {
+                const pointer = kind === params ? err.instancePath.replace(/^\/value/, '') : err.instancePath;
+                out.violations.push({ ...violation, pointer, message: describeError(err) });
+            });
+    }
+
+    /** Schema for a parameter or header object */
+    function schemaOf(param) {
+        if (!isV2) {
+            if (isObject(param.schema)) return param.schema;
+            const media = Object.values(isObject(param.content) ? param.content : {})[0];
+            return isObject(media) ? media.schema : undefined;
+        }
+        if (param.in === 'body') return param.schema;
+        if (!inlineSchemas.has(param)) {
+            const schema = { ...param };
+            V2_PARAMETER_FIELDS.forEach((field) => delete schema[field]);
+            if (schema.type === 'file') delete schema.type;
+            inlineSchemas.set(param, schema);
+        }
+        return inlineSchemas.get(param);
+    }
+
+    function isArraySchema(schema) {
+        return isObject(schema) && [].concat(schema.type).includes('array');
+    }
+
+    /** Split "a,b,c" into items for array parameters that are not exploded */
+    function splitValue(param, schema, value) {
+        if (typeof value !== 'string' || !isArraySchema(schema)) return value;
+        let delimiter;
+        if (isV2) {
+            delimiter = V2_DELIMITERS[param.collectionFormat || 'csv'];
+        } else {
+            const style = param.style || (param.in === 'query' || param.in === 'cookie' ? 'form' : 'simple');
+            const explode = param.explode !== undefined ? param.explode : style === 'form';
+            if (!(style === 'form' && explode)) delimiter = V3_DELIMITERS[style];
+        }
+        return delimiter ? value.split(delimiter) : value;
+    }
+
+    /** Path-level parameters overridden by operation-level ones */
+    function parametersOf(pathItem, operation) {
+        const merged = new Map();
+        [].concat(pathItem.parameters || [], operation.parameters || []).forEach((param) => {
+            if (!isObject(param) || typeof param.name !== 'string' || typeof param.in !== 'string') return;
+            const name = param.in === 'header' ? param.name.toLowerCase() : param.name;
+            merged.set(`${param.in}:${name}`, param);
+        });
+        return [...merged.values()];
+    }
+
+    function checkParameters(parameters, sources, out) {
+        parameters.forEach((param) => {
+            const source = sources[param.in];
+            if (!source) return;
+            if (param.in === 'header' && !isV2 && RESERVED_HEADERS.has(param.name.toLowerCase())) return;
+
+            const location = `${param.in}.${param.name}`;
+            const raw = source[param.in === 'header' ? param.name.toLowerCase() : param.name];
+            if (raw === undefined) {
+                if (param.required || param.in === 'path') {
+                    out.violations.push({ direction: 'request', location, message: `Missing required ${param.in} parameter "${param.name}"` });
+                }
+                return;
+            }
+
+            const schema = schemaOf(param);
+            let value = splitValue(param, schema, raw);
+            if (!isV2 && !param.schema && isObject(param.content)) {
+                try {
+                    value = JSON.parse(raw);
+                } catch {
+                    out.violations.push({ direction: 'request', location, message: 'is not valid JSON' });
+                    return;
+                }
+            }
+            check(params, schema, value, { direction: 'request', location }, out);
+        });
+    }
+
+    /** Parse a JSON body; records a violation and returns undefined when it is not JSON */
+    function readJson(body, direction, out) {
+        if (typeof body !== 'string') return body;
+        try {
+            return JSON.parse(body);
+        } catch {
+            out.violations.push({ direction, location: 'body', message: 'is not valid JSON' });
+            return undefined;
+        }
+    }
+
+    function checkRequestBody(parameters, operation, request, out) {
+        const hasBody = request.body !== undefined;
+        const type = mediaTypeOf(request.headers);
+        let content;
+        let required;
+
+        if (isV2) {
+            const bodyParam = parameters.find((param) => param.in === 'body');
+            const formParams = parameters.filter((param) => param.in === 'formData');
+            if (formParams.length) {
+                if (isObject(request.body)) checkParameters(formParams, { formData: request.body }, out);
+                else if (formParams.some((param) => param.required)) {
+                    out.violations.push({ direction: 'request', location: 'body', message: 'Missing required form data' });
+                }
+                return;
+            }
+            if (bodyParam) {
+                const consumes = operation.consumes || spec.consumes || ['application/json'];
+                content = Object.fromEntries(consumes.map((mediaType) => [mediaType, { schema: bodyParam.schema }]));
+                required = bodyParam.required;
+            }
+        } else if (isObject(operation.requestBody)) {
+            content = isObject(operation.requestBody.content) ? operation.requestBody.content : {};
+            required = operation.requestBody.required;
+        }
+
+        if (!content) {
+            if (hasBody) out.violations.push({ direction: 'request', location: 'body', message: 'The operation does not accept a request body' });
+            return;
+        }
+        if (!hasBody) {
+            if (required) out.violations.push({ direction: 'request', location: 'body', message: 'Missing required request body' });
+            return;
+        }
+
+        const declared = Object.keys(content);
+        const key = matchMediaType(declared, type);
+        if (!key) {
+            out.violations.push({
+                direction: 'request',
+                location: 'content-type',
+                message: `"${type || '(none)'}" is not accepted; expected ${declared.join(', ')}`,
+            });
+            return;
+        }
+
+        const schema = isObject(content[key]) ? content[key].schema : undefined;
+        if (isJsonType(type)) {
+            const value = readJson(request.body, 'request', out);
+            if (value !== undefined) check(bodies, schema, value, { direction: 'request', location: 'body' }, out);
+        } else if (type === 'application/x-www-form-urlencoded' && isObject(request.body)) {
+            check(params, schema, request.body, { direction: 'request', location: 'body' }, out);
+        }
+    }
+
+    function checkResponse(operation, response, out) {
+        const responses = isObject(operation.responses) ? operation.responses : {};
+        const key = responseKeyFor(responses, response.status);
+        if (!key) {
+            out.violations.push({
+                direction: 'response',
+                location: 'status',
+                message: `Status ${response.status} is not declared (declared: ${Object.keys(responses).join(', ') || 'none'})`,
+            });
+            return;
+        }
+        const declared = isObject(responses[key]) ? responses[key] : {};
+
+        // Headers
+        Object.entries(isObject(declared.headers) ? declared.headers : {}).forEach(([name, header]) => {
+            if (!isObject(header) || name.toLowerCase() === 'content-type') return;
+            const location = `header.${name}`;
+            const value = response.headers[name.toLowerCase()];
+            if (value === undefined) {
+                if (header.required) out.violations.push({ direction: 'response', location, message: `Missing required header "${name}"` });
+                return;
+            }
+            const schema = schemaOf(header);
+            check(params, schema, splitValue(header, schema, value), { direction: 'response', location }, out);
+        });
+
+        // Body
+        const hasBody = typeof response.body === 'string' ? response.body.length > 0 : response.body !== undefined;
+        const type = mediaTypeOf(response.headers);
+        let content;
+        if (isV2) {
+            if (declared.schema) {
+                const produces = operation.produces || spec.produces || [type || 'application/json'];
+                content = Object.fromEntries(produces.map((mediaType) => [mediaType, { schema: declared.schema }]));
+            }
+        } else if (isObject(declared.content) && Object.keys(declared.content).length) {
+            content = declared.content;
+        }
+
+        if (!hasBody) return;
+        if (!content) {
+            out.violations.push({ direction: 'response', location: 'body', message: `Response ${key} declares no body, but one was sent` });
+            return;
+        }
+
+        const mediaKey = matchMediaType(Object.keys(content), type);
+        if (!mediaKey) {
+            out.violations.push({
+                direction: 'response',
+                location: 'content-type',
+                message: `"${type || '(none)'}" is not declared for ${key}; expected ${Object.keys(content).join(', ')}`,
+            });
+            return;
+        }
+        if (!isJsonType(type)) return;
+        const value = readJson(response.body, 'response', out);
+        const schema = isObject(content[mediaKey]) ? content[mediaKey].schema : undefined;
+        if (value !== undefined) check(bodies, schema, value, { direction: 'response', location: 'body' }, out);
+    }
+
+    /**
+     * Validate one exchange. `response` may be omitted to check only the request.
+     * @param {{ method: string, path: string, query?: string,
+     *   request: { headers: object, body?: any },
+     *   response?: { status: number, headers: object, body?: string } }} exchange
+     *   header names must be lower-case; request.body is undefined when none was sent
+     * @returns {{ operation: string|null, valid: boolean, violations: object[], notes: string[] }}
+     */
+    function validate({ method, path, query = '', request, response }) {
+        const out = { violations: [], notes: [] };
+        const match = matchRoute(routes, path, basePaths);
+        const operation = match && match.pathItem[method.toLowerCase()];
+        if (!operation) {
+            out.violations.push({
+                direction: 'request',
+                location: 'path',
+                message: match
+                    ? `${method.toUpperCase()} is not defined for ${match.template}`
+                    : `No path in the spec matches ${path}`,
+            });
+            return { operation: null, valid: false, ...out };
+        }
+
+        const parameters = parametersOf(match.pathItem, operation);
+        checkParameters(parameters, {
+            path: match.params,
+            query: parseQuery(query),
+            header: request.headers,
+            cookie: parseCookies(request.headers.cookie),
+        }, out);
+        checkRequestBody(parameters, operation, request, out);
+        if (response) checkResponse(operation, response, out);
+
+        const total = out.violations.length;
+        return {
+            operation: `${method.toUpperCase()} ${match.template}`,
+            valid: total === 0,
+            violations: out.violations.slice(0, MAX_VIOLATIONS),
+            truncated: total > MAX_VIOLATIONS ? total - MAX_VIOLATIONS : 0,
+            notes: out.notes,
+        };
+    }
+
+    return { validate };
+}
+
+/**
+ * Validate an exchange against a spec-registry entry, compiling (and
+ * caching) its contract on first use.
+ */
+function validateExchange(entry, exchange) {
+    if (!entry.validator) entry.validator = createContractValidator(entry);
+    return entry.validator.validate(exchange);
+}
+
+module.exports = { createContractValidator, validateExchange };
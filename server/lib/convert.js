@@ -0,0 +1,505 @@
+/**
+ * Spec conversion.
+ * Rewrites Swagger 2.0 documents as OpenAPI 3.0 and upgrades OpenAPI 3.0
+ * documents to 3.1. Both work on the parsed (not dereferenced) document
+ * so $refs survive, and both report what they could not translate.
+ */
+
+const { formatPath } = require('./source-map');
+const { METHODS, isObject } = require('./util');
+
+// Swagger 2.0 parameter fields that move into the parameter's schema
+const V2_SCHEMA_FIELDS = [
+    'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+    'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf',
+];
+
+const OAUTH2_FLOWS = {
+    implicit: 'implicit',
+    password: 'password',
+    application: 'clientCredentials',
+    accessCode: 'authorizationCode',
+};
+
+// Keywords whose values are sub-schemas (single, list or map)
+const SUBSCHEMA_SINGLE = ['items', 'additionalProperties', 'not', 'contains', 'propertyNames', 'if', 'then', 'else'];
+const SUBSCHEMA_LIST = ['allOf', 'oneOf', 'anyOf', 'prefixItems'];
+const SUBSCHEMA_MAP = ['properties', 'patternProperties', 'definitions', '$defs'];
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/** Copy vendor extensions (x-*) from one object to another */
+function copyExtensions(from, to) {
+    Object.keys(from).filter((key) => key.startsWith('x-')).forEach((key) => {
+        to[key] = clone(from[key]);
+    });
+    return to;
+}
+
+/** Collects the "could not translate" notes of one conversion */
+function createReport() {
+    const notes = [];
+    return {
+        notes,
+        add(path, message) {
+            notes.push({ path: formatPath(path), message });
+        },
+    };
+}
+
+/** Apply `fn` to a schema and every schema nested in it */
+function walkSchema(schema, path, fn) {
+    if (!isObject(schema)) return;
+    fn(schema, path);
+    SUBSCHEMA_SINGLE.forEach((key) => {
+        if (isObject(schema[key])) walkSchema(schema[key], [...path, key], fn);
+    });
+    SUBSCHEMA_LIST.forEach((key) => {
+        if (Array.isArray(schema[key])) schema[key].forEach((sub, i) => walkSchema(sub, [...path, key, i], fn));
+    });
+    SUBSCHEMA_MAP.forEach((key) => {
+        if (isObject(schema[key])) Object.entries(schema[key]).forEach(([name, sub]) => walkSchema(sub, [...path, key, name], fn));
+    });
+}
+
+// ── Swagger 2.0 → OpenAPI 3.0 ────────────────────────────────────────────
+
+/** Rewrite Swagger 2.0 refs to their components location */
+function rewriteRef(ref, bodyParameters, path, report) {
+    if (typeof ref !== 'string') return ref;
+    if (!ref.startsWith('#')) {
+        if (/#\/(definitions|parameters|responses)\//.test(ref)) {
+            report.add(path, `External ref "${ref}" was left unchanged – convert the referenced file as well`);
+        }
+        return ref;
+    }
+    const match = ref.match(/^#\/(definitions|parameters|responses)\/(.+)$/);
+    if (!match) {
+        report.add(path, `Ref "${ref}" does not point into definitions, parameters or responses and was left unchanged`);
+        return ref;
+    }
+    const [, section, name] = match;
+    if (section === 'definitions') return `#/components/schemas/${name}`;
+    if (section === 'responses') return `#/components/responses/${name}`;
+    return bodyParameters.has(name) ? `#/components/requestBodies/${name}` : `#/components/parameters/${name}`;
+}
+
+/** Fix up a Swagger 2.0 schema for OpenAPI 3.0 (in place) */
+function convertSchemaV2(schema, path, context) {
+    walkSchema(schema, path, (node, nodePath) => {
+        if (typeof node.$ref === 'string') node.$ref = rewriteRef(node.$ref, context.bodyParameters, [...nodePath, '$ref'], context.report);
+        if (node['x-nullable'] !== undefined) {
+            node.nullable = Boolean(node['x-nullable']);
+            delete node['x-nullable'];
+        }
+        if (typeof node.discriminator === 'string') node.discriminator = { propertyName: node.discriminator };
+        if (node.type === 'file') {
+            node.type = 'string';
+            node.format = 'binary';
+        }
+    });
+    return schema;
+}
+
+/** Schema for a non-body Swagger 2.0 parameter, response header or items */
+function schemaFromFields(source, path, context) {
+    const schema = {};
+    V2_SCHEMA_FIELDS.forEach((field) => {
+        if (source[field] !== undefined) schema[field] = clone(source[field]);
+    });
+    if (isObject(schema.items)) {
+        schema.items = schemaFromFields(schema.items, [...path, 'items'], context);
+        if (source.items.collectionFormat) context.report.add([...path, 'items', 'collectionFormat'], 'Nested collectionFormat has no OpenAPI 3 equivalent and was dropped');
+    }
+    return convertSchemaV2(schema, path, context);
+}
+
+/** style/explode for a collectionFormat */
+function styleFor(param, path, report) {
+    const format = param.collectionFormat || 'csv';
+    if (param.type !== 'array') return {};
+    const inQuery = param.in === 'query' || param.in === 'formData';
+    switch (format) {
+        case 'multi':
+            return inQuery ? { style: 'form', explode: true } : {};
+        case 'csv':
+            return inQuery ? { style: 'form', explode: false } : { style: 'simple' };
+        case 'ssv':
+            if (inQuery) return { style: 'spaceDelimited', explode: false };
+            break;
+        case 'pipes':
+            if (inQuery) return { style: 'pipeDelimited', explode: false };
+            break;
+        default:
+            break;
+    }
+    report.add([...path, 'collectionFormat'], `collectionFormat "${format}" has no OpenAPI 3 equivalent for ${param.in} parameters and was dropped`);
+    return {};
+}
+
+function convertParameter(param, path, context) {
+    const converted = { name: param.name, in: param.in };
+    if (param.description !== undefined) converted.description = param.description;
+    if (param.required !== undefined || param.in === 'path') converted.required = param.in === 'path' ? true : param.required;
+    if (param.allowEmptyValue !== undefined) converted.allowEmptyValue = param.allowEmptyValue;
+    Object.assign(converted, styleFor(param, path, context.report));
+    converted.schema = schemaFromFields(param, path, context);
+    if (param['x-example'] !== undefined) converted.example = clone(param['x-example']);
+    copyExtensions(param, converted);
+    delete converted['x-example'];
+    return converted;
+}
+
+function bodyToRequestBody(param, consumes, path, context) {
+    const requestBody = {};
+    if (param.description !== undefined) requestBody.description = param.description;
+    requestBody.content = {};
+    consumes.forEach((type) => {
+        requestBody.content[type] = { schema: convertSchemaV2(clone(param.schema) || {}, [...path, 'schema'], context) };
+    });
+    if (param['x-examples']) {
+        Object.entries(param['x-examples']).forEach(([type, example]) => {
+            if (requestBody.content[type]) requestBody.content[type].example = clone(example);
+        });
+    }
+    if (param.required) requestBody.required = true;
+    copyExtensions(param, requestBody);
+    delete requestBody['x-examples'];
+    if (param.name && param.name !== 'body') requestBody['x-codegen-request-body-name'] = param.name;
+    return requestBody;
+}
+
+function formToRequestBody(params, consumes, path, context) {
+    const hasFile = params.some((param) => param.type === 'file');
+    let types = consumes.filter((type) => /x-www-form-urlencoded|multipart\/form-data/i.test(type));
+    if (!types.length) types = [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+    if (hasFile && types.every((type) => !/multipart/i.test(type))) {
+        context.report.add(path, 'File parameters need multipart/form-data; it was used instead of the declared consumes');
+        types = ['multipart/form-data'];
+    }
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    params.forEach(({ param, path: paramPath }) => {
+        const property = schemaFromFields(param, paramPath, context);
+        if (param.description !== undefined) property.description = param.description;
+        schema.properties[param.name] = property;
+        if (param.required) required.push(param.name);
+        if (param.collectionFormat && param.collectionFormat !== 'multi' && param.type === 'array') {
+            context.report.add([...paramPath, 'collectionFormat'], `Form field collectionFormat "${param.collectionFormat}" cannot be expressed in a schema and was dropped`);
+        }
+    });
+    if (required.length) schema.required = required;
+
+    const requestBody = { content: {} };
+    types.forEach((type) => {
+        requestBody.content[type] = { schema: clone(schema) };
+    });
+    if (required.length) requestBody.required = true;
+    return requestBody;
+}
+
+function convertHeaders(headers, path, context) {
+    const converted = {};
+    Object.entries(headers).forEach(([name, header]) => {
+        if (!isObject(header)) return;
+        const result = {};
+        if (header.description !== undefined) result.description = header.description;
+        if (header.type === 'array') result.style = 'simple';
+        if (header.collectionFormat && header.collectionFormat !== 'csv') {
+            context.report.add([...path, name, 'collectionFormat'], `Header collectionFormat "${header.collectionFormat}" has no OpenAPI 3 equivalent and was dropped`);
+        }
+        result.schema = schemaFromFields(header, [...path, name], context);
+        converted[name] = copyExtensions(header, result);
+    });
+    return converted;
+}
+
+function convertResponse(response, produces, path, context) {
+    if (typeof response.$ref === 'string') return { $ref: rewriteRef(response.$ref, context.bodyParameters, [...path, '$ref'], context.report) };
+    const converted = { description: response.description || '' };
+    if (isObject(response.headers)) converted.headers = convertHeaders(response.headers, [...path, 'headers'], context);
+
+    const examples = isObject(response.examples) ? response.examples : {};
+    if (response.schema !== undefined) {
+        const types = produces.length ? produces : ['application/json'];
+        converted.content = {};
+        types.forEach((type) => {
+            converted.content[type] = { schema: convertSchemaV2(clone(response.schema), [...path, 'schema'], context) };
+        });
+    }
+    Object.entries(examples).forEach(([type, example]) => {
+        converted.content = converted.content || {};
+        converted.content[type] = { ...(converted.content[type] || {}), example: clone(example) };
+    });
+    return copyExtensions(response, converted);
+}
+
+function serversFor(schemes, host, basePath) {
+    if (!host) return [{ url: basePath || '/' }];
+    return (schemes.length ? schemes : ['https']).map((scheme) => ({ url: `${scheme}://${host}${basePath || ''}` }));
+}
+
+/**
+ * Convert a Swagger 2.0 document to OpenAPI 3.0.
+ * @param {object} spec – parsed document (left untouched)
+ * @returns {{ spec: object, notes: Array<{ path: string, message: string }> }}
+ */
+function convertSwagger2(spec) {
+    const report = createReport();
+    const globalParameters = isObject(spec.parameters) ? spec.parameters : {};
+    const bodyParameters = new Set(Object.keys(globalParameters).filter((name) => globalParameters[name]?.in === 'body'));
+    const formParameters = new Set(Object.keys(globalParameters).filter((name) => globalParameters[name]?.in === 'formData'));
+    const context = { report, bodyParameters };
+    const globalConsumes = Array.isArray(spec.consumes) ? spec.consumes : [];
+    const globalProduces = Array.isArray(spec.produces) ? spec.produces : [];
+    const schemes = Array.isArray(spec.schemes) ? spec.schemes : [];
+
+    const result = { openapi: '3.0.3', info: clone(spec.info) };
+    if (!spec.host) report.add(['host'], 'No host given – the server URL is relative to where the document is served');
+    else if (!schemes.length) report.add(['schemes'], 'No schemes given – https was assumed');
+    result.servers = serversFor(schemes, spec.host, spec.basePath);
+    if (spec.security) result.security = clone(spec.security);
+    if (spec.tags) result.tags = clone(spec.tags);
+    if (spec.externalDocs) result.externalDocs = clone(spec.externalDocs);
+
+    /** Resolve a parameter ref to the global parameter it names */
+    function resolveParameter(param) {
+        const match = typeof param.$ref === 'string' && param.$ref.match(/^#\/parameters\/(.+)$/);
+        return match ? globalParameters[match[1]] : param;
+    }
+
+    function convertOperation(operation, pathParams, path) {
+        const converted = {};
+        ['tags', 'summary', 'description', 'externalDocs', 'operationId'].forEach((key) => {
+            if (operation[key] !== undefined) converted[key] = clone(operation[key]);
+        });
+
+        const consumes = Array.isArray(operation.consumes) ? operation.consumes : globalConsumes;
+        const produces = Array.isArray(operation.produces) ? operation.produces : globalProduces;
+
+        // Operation parameters override path-level ones with the same name and location
+        const merged = new Map();
+        [...pathParams, ...(operation.parameters || []).map((param, i) => ({ param, path: [...path, 'parameters', i] }))]
+            .forEach((entry) => {
+                if (!isObject(entry.param)) return;
+                const resolved = resolveParameter(entry.param) || {};
+                merged.set(`${resolved.in}:${resolved.name}`, entry);
+            });
+
+        const parameters = [];
+        const formParams = [];
+        merged.forEach((entry) => {
+            const { param, path: paramPath } = entry;
+            const resolved = resolveParameter(param);
+            if (!resolved) {
+                report.add(paramPath, `Parameter ref "${param.$ref}" could not be resolved and was dropped`);
+                return;
+            }
+            if (resolved.in === 'body') {
+                converted.requestBody = param.$ref
+                    ? { $ref: rewriteRef(param.$ref, bodyParameters, [...paramPath, '$ref'], report) }
+                    : bodyToRequestBody(param, consumes.length ? consumes : ['application/json'], paramPath, context);
+                if (param.$ref && consumes.length && consumes.join() !== (globalConsumes.join() || 'application/json')) {
+                    report.add(paramPath, 'Shared body parameter uses the global media types; this operation\'s consumes was not applied');
+                }
+            } else if (resolved.in === 'formData') {
+                if (param.$ref) report.add(paramPath, `Form parameter ref "${param.$ref}" was inlined into the request body`);
+                formParams.push({ param: resolved, path: paramPath });
+            } else if (param.$ref) {
+                parameters.push({ $ref: rewriteRef(param.$ref, bodyParameters, [...paramPath, '$ref'], report) });
+            } else {
+                parameters.push(convertParameter(param, paramPath, context));
+            }
+        });
+        if (parameters.length) converted.parameters = parameters;
+        if (formParams.length) converted.requestBody = formToRequestBody(formParams, consumes, [...path, 'parameters'], context);
+
+        converted.responses = {};
+        Object.entries(isObject(operation.responses) ? operation.responses : {}).forEach(([status, response]) => {
+            if (status.startsWith('x-')) converted.responses[status] = clone(response);
+            else if (isObject(response)) converted.responses[status] = convertResponse(response, produces, [...path, 'responses', status], context);
+        });
+
+        if (operation.deprecated !== undefined) converted.deprecated = operation.deprecated;
+        if (operation.security !== undefined) converted.security = clone(operation.security);
+        if (Array.isArray(operation.schemes) && spec.host) {
+            converted.servers = serversFor(operation.schemes, spec.host, spec.basePath);
+        }
+        return copyExtensions(operation, converted);
+    }
+
+    result.paths = {};
+    Object.entries(isObject(spec.paths) ? spec.paths : {}).forEach(([route, pathItem]) => {
+        if (route.startsWith('x-')) {
+            result.paths[route] = clone(pathItem);
+            return;
+        }
+        if (!isObject(pathItem)) return;
+        const path = ['paths', route];
+        const converted = {};
+        if (typeof pathItem.$ref === 'string') {
+            report.add([...path, '$ref'], 'Path item $ref was kept as-is; check that the target is OpenAPI 3');
+            converted.$ref = pathItem.$ref;
+        }
+
+        const pathParams = (pathItem.parameters || []).map((param, i) => ({ param, path: [...path, 'parameters', i] }));
+        const operations = METHODS.filter((method) => isObject(pathItem[method]));
+        operations.forEach((method) => {
+            converted[method] = convertOperation(pathItem[method], pathParams, [...path, method]);
+        });
+        // Without operations, path-level parameters still need a home
+        if (!operations.length && pathParams.length) {
+            converted.parameters = pathParams
+                .filter(({ param }) => !['body', 'formData'].includes(resolveParameter(param)?.in))
+                .map(({ param, path: paramPath }) => (param.$ref
+                    ? { $ref: rewriteRef(param.$ref, bodyParameters, [...paramPath, '$ref'], report) }
+                    : convertParameter(param, paramPath, context)));
+        }
+        result.paths[route] = copyExtensions(pathItem, converted);
+    });
+
+    // Components
+    const components = {};
+    if (isObject(spec.definitions)) {
+        components.schemas = {};
+        Object.entries(spec.definitions).forEach(([name, schema]) => {
+            components.schemas[name] = convertSchemaV2(clone(schema), ['definitions', name], context);
+        });
+    }
+    Object.entries(globalParameters).forEach(([name, param]) => {
+        if (!isObject(param)) return;
+        const path = ['parameters', name];
+        if (param.in === 'body') {
+            components.requestBodies = components.requestBodies || {};
+            components.requestBodies[name] = bodyToRequestBody(param, globalConsumes.length ? globalConsumes : ['application/json'], path, context);
+        } else if (param.in !== 'formData') {
+            components.parameters = components.parameters || {};
+            components.parameters[name] = convertParameter(param, path, context);
+        }
+    });
+    if (formParameters.size) {
+        report.add(['parameters'], `Form parameters (${[...formParameters].join(', ')}) cannot be shared in OpenAPI 3; they were inlined where used`);
+    }
+    if (isObject(spec.responses)) {
+        components.responses = {};
+        Object.entries(spec.responses).forEach(([name, response]) => {
+            if (isObject(response)) components.responses[name] = convertResponse(response, globalProduces, ['responses', name], context);
+        });
+    }
+    if (isObject(spec.securityDefinitions)) {
+        components.securitySchemes = {};
+        Object.entries(spec.securityDefinitions).forEach(([name, scheme]) => {
+            if (!isObject(scheme)) return;
+            const path = ['securityDefinitions', name];
+            let converted;
+            if (scheme.type === 'basic') {
+                converted = { type: 'http', scheme: 'basic' };
+            } else if (scheme.type === 'apiKey') {
+                converted = { type: 'apiKey', name: scheme.name, in: scheme.in };
+            } else if (scheme.type === 'oauth2') {
+                const flow = OAUTH2_FLOWS[scheme.flow];
+                if (!flow) {
+                    report.add([...path, 'flow'], `Unknown OAuth2 flow "${scheme.flow}" – the scheme was dropped`);
+                    return;
+                }
+                const flowObject = {};
+                if (scheme.authorizationUrl) flowObject.authorizationUrl = scheme.authorizationUrl;
+                if (scheme.tokenUrl) flowObject.tokenUrl = scheme.tokenUrl;
+                flowObject.scopes = clone(scheme.scopes) || {};
+                converted = { type: 'oauth2', flows: { [flow]: flowObject } };
+            } else {
+                report.add(path, `Unknown security scheme type "${scheme.type}" – the scheme was dropped`);
+                return;
+            }
+            if (scheme.description !== undefined) converted.description = scheme.description;
+            components.securitySchemes[name] = copyExtensions(scheme, converted);
+        });
+    }
+    if (Object.keys(components).length) result.components = components;
+    copyExtensions(spec, result);
+
+    return { spec: result, notes: report.notes };
+}
+
+// ── OpenAPI 3.0 → 3.1 ────────────────────────────────────────────────────
+
+/** Upgrade one 3.0 schema node to 3.1 (in place) */
+function upgradeSchema(node, path, report) {
+    if (node.nullable !== undefined) {
+        const nullable = node.nullable === true;
+        delete node.nullable;
+        if (nullable) {
+            if (typeof node.type === 'string') {
+                node.type = [node.type, 'null'];
+                if (Array.isArray(node.enum) && !node.enum.includes(null)) node.enum.push(null);
+            } else if (Array.isArray(node.oneOf) || Array.isArray(node.anyOf)) {
+                (node.oneOf || node.anyOf).push({ type: 'null' });
+            } else if (typeof node.$ref === 'string') {
+                const { $ref, ...rest } = node;
+                Object.keys(node).forEach((key) => delete node[key]);
+                Object.assign(node, rest, { anyOf: [{ $ref }, { type: 'null' }] });
+            } else {
+                report.add([...path, 'nullable'], 'nullable without a type could not be expressed and was dropped');
+            }
+        }
+    }
+
+    if (node.example !== undefined) {
+        if (node.examples === undefined) node.examples = [node.example];
+        delete node.example;
+    }
+
+    [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']].forEach(([exclusive, bound]) => {
+        if (typeof node[exclusive] !== 'boolean') return;
+        if (node[exclusive] && typeof node[bound] === 'number') {
+            node[exclusive] = node[bound];
+            delete node[bound];
+        } else {
+            if (node[exclusive]) report.add([...path, exclusive], `${exclusive} without ${bound} was dropped`);
+            delete node[exclusive];
+        }
+    });
+
+    if (node.type === 'string' && node.format === 'binary') {
+        delete node.format;
+        node.contentMediaType = 'application/octet-stream';
+    } else if (node.type === 'string' && node.format === 'byte') {
+        delete node.format;
+        node.contentEncoding = 'base64';
+    }
+}
+
+/**
+ * Upgrade an OpenAPI 3.0 document to 3.1.
+ * @param {object} spec – parsed document (left untouched)
+ * @returns {{ spec: object, notes: Array<{ path: string, message: string }> }}
+ */
+function upgradeOpenApi30(spec) {
+    const report = createReport();
+    const result = clone(spec);
+    result.openapi = '3.1.0';
+
+    const upgrade = (schema, path) => walkSchema(schema, path, (node, nodePath) => upgradeSchema(node, nodePath, report));
+
+    // Find every schema: under components.schemas and wherever a `schema` key appears
+    (function visit(node, path) {
+        if (Array.isArray(node)) {
+            node.forEach((item, i) => visit(item, [...path, i]));
+            return;
+        }
+        if (!isObject(node)) return;
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === 'example' || key === 'examples' || key.startsWith('x-')) return;
+            if (key === 'schema' && isObject(value)) upgrade(value, [...path, key]);
+            else if (key === 'schemas' && path.length === 1 && path[0] === 'components' && isObject(value)) {
+                Object.entries(value).forEach(([name, schema]) => upgrade(schema, [...path, key, name]));
+            } else visit(value, [...path, key]);
+        });
+    }(result, []));
+    return { spec: result, notes: report.notes };
+}
+
+module.exports = { convertSwagger2, upgradeOpenApi30 };
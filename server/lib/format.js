@@ -0,0 +1,338 @@
+/**
+ * Document formatter.
+ * Re-indents a YAML document from its syntax tree rather than from the
+ * parsed value, so comments, anchors and aliases, tags, quoting, flow
+ * collections and blank lines between entries all survive. Block scalars
+ * keep their lines exactly. JSON documents come back as two-space JSON.
+ *
+ * Optionally puts OpenAPI objects into the canonical key order and sorts
+ * paths and schemas, and can format just the entries a selection covers.
+ */
+
+const YAML = require('yaml');
+const { createSourceMap } = require('./source-map');
+const { HttpError } = require('./http-error');
+
+const INDENT = 2;
+
+const TOP_LEVEL_ORDER = [
+    'openapi', 'swagger', 'info', 'jsonSchemaDialect', 'externalDocs',
+    'host', 'basePath', 'schemes', 'consumes', 'produces',
+    'servers', 'security', 'tags', 'paths', 'webhooks', 'components',
+    'definitions', 'parameters', 'responses', 'securityDefinitions',
+];
+const INFO_ORDER = ['title', 'summary', 'description', 'termsOfService', 'contact', 'license', 'version'];
+const PATH_ITEM_ORDER = ['$ref', 'summary', 'description', 'servers', 'parameters', 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const OPERATION_ORDER = [
+    'tags', 'summary', 'description', 'externalDocs', 'operationId', 'consumes', 'produces',
+    'parameters', 'requestBody', 'responses', 'callbacks', 'deprecated', 'security', 'servers',
+];
+const COMPONENTS_ORDER = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems'];
+const METHODS = PATH_ITEM_ORDER.slice(PATH_ITEM_ORDER.indexOf('get'));
+
+class FormatError extends HttpError {}
+
+/**
+ * @param {string} source – raw YAML/JSON text from the editor
+ * @param {{ order?: boolean, sortPaths?: boolean, sortSchemas?: boolean }} [options]
+ *   order – canonical OpenAPI key order; sortPaths / sortSchemas – sort
+ *   paths and components.schemas (definitions in Swagger 2.0) by name
+ * @param {{ startLine: number, endLine: number }} [selection] – 1-based
+ *   lines; only the entries they touch are formatted
+ * @returns {{ formatted: string, changed: boolean }}
+ * @throws {FormatError}
+ */
+function formatDocument(source, options = {}, selection = null) {
+    const sourceMap = createSourceMap(source);
+    if (sourceMap.errors.length) {
+        const [first] = sourceMap.errors;
+        throw new FormatError(`The document is not valid YAML (line ${first.line}): ${first.message}`, 422);
+    }
+    const doc = YAML.parseDocument(source, { uniqueKeys: false });
+    const json = source.trimStart().startsWith('{');
+    if (json && selection) throw new FormatError('Formatting a selection needs a YAML document');
+
+    if (!json) {
+        keepKeyComments(doc, source);
+        rehomeComments(doc.contents, source);
+    }
+    arrange(doc, options);
+    const whole = json ? `${printJson(doc.contents, source, '')}\n` : printYaml(doc, source);
+    const formatted = selection ? formatSelection(source, sourceMap, whole, doc.contents, selection) : whole;
+    return { formatted, changed: formatted !== source };
+}
+
+// ── Comments ──────────────────────────────────────────────────────────────
+
+/**
+ * A comment on the line of a key whose value is a block collection is read
+ * as the collection's first comment, and would be printed below the key.
+ */
+function keepKeyComments(doc, source) {
+    YAML.visit(doc, {
+        Pair(_, pair) {
+            const value = pair.value;
+            if (!YAML.isCollection(value) || value.flow || !value.commentBefore || !pair.key?.range) return;
+            const lineEnd = source.indexOf('\n', pair.key.range[1]);
+            if (!source.slice(pair.key.range[1], lineEnd === -1 ? undefined : lineEnd).includes('#')) return;
+            const [keyComment, ...rest] = value.commentBefore.split('\n');
+            pair.key.comment = keyComment;
+            value.commentBefore = rest.length ? rest.join('\n') : undefined;
+        },
+    });
+}
+
+/**
+ * The parser gives comments after a nested block to that block, even the
+ * ones indented as a note on the next outer entry:
+ *
+ *     /pets:
+ *       get: …
+ *     # Admin only
+ *     /admin: …
+ *
+ * Hand those to the entry that follows, so they keep their indent and move
+ * with it when entries are sorted.
+ */
+function rehomeComments(node, source, ancestors = []) {
+    if (!YAML.isCollection(node) || node.flow) return;
+    node.items.forEach((item, index) => {
+        rehomeComments(YAML.isPair(item) ? item.value : item, source, [...ancestors, { collection: node, index }]);
+    });
+    if (!node.comment || !node.range) return;
+
+    const lines = source.slice(node.range[1], node.range[2]).split('\n');
+    const cut = lines.findIndex((line) => line.trim().startsWith('#') && leading(line) < columnOf(source, node.range[0]));
+    if (cut === -1) return;
+    const owner = [...ancestors].reverse().find(({ collection }) => columnOf(source, collection.range[0]) <= leading(lines[cut]));
+    const next = owner && owner.collection.items[owner.index + 1];
+    const target = YAML.isPair(next) ? next.key : next;
+    if (!YAML.isNode(target)) return;
+
+    const text = (part) => part.map((line) => (line.trim() ? line.trim().slice(1) : '')).join('\n').replace(/^\n+|\n+$/g, '');
+    node.comment = text(lines.slice(0, cut)) || undefined;
+    target.commentBefore = [text(lines.slice(cut)), target.commentBefore].filter(Boolean).join('\n');
+    if (cut > 0 && !lines[cut - 1].trim()) target.spaceBefore = true;
+}
+
+function columnOf(source, offset) {
+    return offset - source.lastIndexOf('\n', offset - 1) - 1;
+}
+
+// ── Key order ─────────────────────────────────────────────────────────────
+
+function arrange(doc, { order, sortPaths, sortSchemas }) {
+    const root = doc.contents;
+    if (!YAML.isMap(root) || !(order || sortPaths || sortSchemas)) return;
+    const swagger2 = root.has('swagger');
+    const targets = new Map();
+    YAML.visit(doc, { Alias: (_, alias) => { targets.set(alias, alias.resolve(doc)); } });
+
+    if (order) {
+        // A comment above the first key is the document's header and stays on top
+        reorder(root, byList(TOP_LEVEL_ORDER), { keepComment: true });
+        reorder(root.get('info', true), byList(INFO_ORDER));
+        reorder(root.get('components', true), byList(COMPONENTS_ORDER));
+        ['paths', 'webhooks'].forEach((section) => eachPair(root.get(section, true), (pair) => {
+            reorder(pair.value, byList(PATH_ITEM_ORDER));
+            eachPair(pair.value, (op) => {
+                if (METHODS.includes(keyOf(op))) reorder(op.value, byList(OPERATION_ORDER));
+            });
+        }));
+    }
+    if (sortPaths) reorder(root.get('paths', true), byName);
+    if (sortSchemas) reorder(swagger2 ? root.get('definitions', true) : root.getIn(['components', 'schemas'], true), byName);
+    anchorsFirst(doc, targets);
+}
+
+/**
+ * An alias may now come before its anchor. Move the anchored node to the
+ * first place it is used and leave an alias where it was.
+ */
+function anchorsFirst(doc, targets) {
+    const seen = new Set();
+    const moved = new Set();
+    YAML.visit(doc, {
+        Node(_, node) {
+            if (YAML.isAlias(node)) {
+                const target = targets.get(node);
+                if (!target || seen.has(target)) return undefined;
+                moved.add(target);
+                return target;
+            }
+            if (!node.anchor) return undefined;
+            if (seen.has(node) && moved.has(node)) return new YAML.Alias(node.anchor);
+            seen.add(node);
+            return undefined;
+        },
+    });
+}
+
+/**
+ * Stable sort of a block map's entries; comments and blank lines before an
+ * entry move with it. With `keepComment` the comment above the first entry
+ * stays above whichever entry comes first.
+ */
+function reorder(map, compare, { keepComment = false } = {}) {
+    if (!YAML.isMap(map)) return;
+    const first = map.items[0];
+    map.items = map.items
+        .map((pair, index) => ({ pair, index }))
+        .sort((a, b) => compare(keyOf(a.pair), keyOf(b.pair)) || a.index - b.index)
+        .map(({ pair }) => pair);
+    if (map.items[0] === first) return;
+
+    const top = map.items[0].key;
+    if (keepComment) {
+        // At the top of the document the parser gives the comment to the first key
+        if (YAML.isNode(first.key) && first.key.commentBefore && YAML.isNode(top)) {
+            top.commentBefore = [first.key.commentBefore, top.commentBefore].filter(Boolean).join('\n');
+            first.key.commentBefore = undefined;
+        }
+    } else if (map.commentBefore && YAML.isNode(first.key)) {
+        // The comment above the first entry was kept by the map; it goes with the entry
+        first.key.commentBefore = [map.commentBefore, first.key.commentBefore].filter(Boolean).join('\n');
+        map.commentBefore = undefined;
+    }
+    // A blank line that separated an entry from the one above is out of place at the top
+    if (YAML.isNode(top)) top.spaceBefore = false;
+}
+
+/** Keys in the list come first, in its order; the rest keep theirs */
+function byList(list) {
+    const rank = (key) => (list.includes(key) ? list.indexOf(key) : list.length);
+    return (a, b) => rank(a) - rank(b);
+}
+
+function byName(a, b) {
+    return a.localeCompare(b, 'en');
+}
+
+function eachPair(map, fn) {
+    if (YAML.isMap(map)) map.items.forEach(fn);
+}
+
+function keyOf(pair) {
+    return YAML.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+}
+
+// ── YAML ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stringify the tree with two-space indents and no line folding. Block
+ * scalars go out as placeholders and their original lines are put back,
+ * re-indented, afterwards: the stringifier would otherwise refold them.
+ */
+function printYaml(doc, source) {
+    const blocks = [];
+    const token = (index) => `__format_block_${index}__`;
+    YAML.visit(doc, {
+        Scalar(_, node) {
+            if (node.type !== YAML.Scalar.BLOCK_FOLDED && node.type !== YAML.Scalar.BLOCK_LITERAL) return;
+            const text = source.slice(node.range[0], node.range[1]);
+            const headerEnd = text.indexOf('\n');
+            const header = headerEnd === -1 ? text : text.slice(0, headerEnd);
+            // An explicit indentation indicator ties the body to the old indent
+            if (/^[|>][+-]?\d/.test(header) || source.includes(token(blocks.length))) return;
+            blocks.push({ header, body: headerEnd === -1 ? '' : text.slice(headerEnd + 1).replace(/\n$/, '') });
+            node.value = token(blocks.length - 1);
+            node.type = YAML.Scalar.PLAIN;
+            node.comment = undefined;
+        },
+    });
+
+    const printed = doc.toString({ indent: INDENT, lineWidth: 0 });
+    return printed.split('\n').map((line) => {
+        const match = /__format_block_(\d+)__/.exec(line);
+        if (!match) return line;
+        const { header, body } = blocks[Number(match[1])];
+        const head = line.slice(0, match.index) + header;
+        if (!body) return head;
+        // The body sits one step in from the key, or from the "- " of a sequence item
+        const prefix = line.slice(0, match.index);
+        const dash = /-\s+$/.test(prefix) ? prefix.lastIndexOf('-') : -1;
+        const indent = (dash !== -1 ? dash : /^[\s-]*/.exec(prefix)[0].length) + INDENT;
+        return [head, reindent(body, indent)].join('\n');
+    }).join('\n');
+}
+
+/** Shift lines so the least indented non-blank one starts at `indent` */
+function reindent(text, indent) {
+    const lines = text.split('\n');
+    const current = Math.min(...lines.filter((line) => line.trim()).map((line) => /^ */.exec(line)[0].length));
+    if (!Number.isFinite(current)) return text;
+    return lines.map((line) => (line.trim() ? ' '.repeat(indent) + line.slice(current) : '')).join('\n');
+}
+
+// ── JSON ──────────────────────────────────────────────────────────────────
+
+/** Print the tree as JSON, keeping each scalar as written (1.0 stays 1.0) */
+function printJson(node, source, indent) {
+    const inner = indent + ' '.repeat(INDENT);
+    if (YAML.isMap(node)) {
+        if (!node.items.length) return '{}';
+        const entries = node.items.map((pair) => `${inner}${JSON.stringify(keyOf(pair))}: ${printJson(pair.value, source, inner)}`);
+        return `{\n${entries.join(',\n')}\n${indent}}`;
+    }
+    if (YAML.isSeq(node)) {
+        if (!node.items.length) return '[]';
+        return `[\n${node.items.map((item) => inner + printJson(item, source, inner)).join(',\n')}\n${indent}]`;
+    }
+    if (YAML.isScalar(node) && node.range) return source.slice(node.range[0], node.range[1]).trim();
+    return JSON.stringify(node?.toJSON?.() ?? null);
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────
+
+/**
+ * Put the formatted version of each entry the selection touches into the
+ * original text. The entries are those of the innermost block collection
+ * that holds the whole selection; each is matched in the formatted text by
+ * its path and shifted to the indent it had.
+ */
+function formatSelection(source, before, whole, root, { startLine, endLine }) {
+    const after = createSourceMap(whole);
+
+    const units = selectedEntries(root, [], before, startLine, endLine);
+    if (!units.length) throw new FormatError('There is nothing to format in the selection');
+
+    const lines = source.split('\n');
+    const formattedLines = whole.split('\n');
+    units.reverse().forEach((path) => {
+        const from = before.span(path);
+        const to = after.span(path);
+        if (!from || !to) return;
+        const shift = leading(lines[from.line - 1]) - leading(formattedLines[to.line - 1]);
+        const replacement = formattedLines.slice(to.line - 1, to.endLine).map((line) => {
+            if (!line.trim()) return '';
+            return shift >= 0 ? ' '.repeat(shift) + line : line.slice(Math.min(-shift, leading(line)));
+        });
+        lines.splice(from.line - 1, from.endLine - from.line + 1, ...replacement);
+    });
+    return lines.join('\n');
+}
+
+function selectedEntries(node, path, sourceMap, startLine, endLine) {
+    if (!YAML.isCollection(node) || node.flow) return [];
+    const touched = node.items
+        .map((item, index) => {
+            const segment = YAML.isMap(node) ? keyOf(item) : index;
+            return { item, path: [...path, segment], span: sourceMap.span([...path, segment]) };
+        })
+        .filter(({ span }) => span && span.line <= endLine && span.endLine >= startLine);
+
+    // Selected from inside a single entry's nested collection: go in
+    if (touched.length === 1 && touched[0].span.line < startLine) {
+        const { item, path: inner } = touched[0];
+        const value = YAML.isPair(item) ? item.value : item;
+        const nested = selectedEntries(value, inner, sourceMap, startLine, endLine);
+        if (nested.length) return nested;
+    }
+    return touched.map((entry) => entry.path);
+}
+
+function leading(line = '') {
+    return /^ */.exec(line)[0].length;
+}
+
+module.exports = { FormatError, formatDocument };
@@ -0,0 +1,22 @@
+/**
+ * Base class for errors a route answers with their own status.
+ * Each lib throws its own subclass (QueryError, WorkspaceError, …) so
+ * stack traces say where an error came from; routes only check
+ * `err.status`.
+ */
+
+class HttpError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status – HTTP status the route should answer with
+     * @param {object} [details] – extra fields for the response body
+     */
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = { HttpError };
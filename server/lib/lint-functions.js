@@ -0,0 +1,190 @@
+/**
+ * Built-in lint functions.
+ * Each function follows the Spectral signature:
+ *   fn(targetValue, options, context) → undefined | Array<{ message, path? }>
+ * `path` in a result is relative to the target and is appended to it.
+ */
+
+const vm = require('vm');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { pointerToPath } = require('./source-map');
+
+// Compiled `schema` validators by the schema's JSON. Rulesets are parsed
+// again for every validation, so the same schema arrives as a new object
+// each time; the oldest are dropped from Ajv as well once there are many.
+const MAX_SCHEMAS = 100;
+const schemaCache = new Map();
+
+const CASES = {
+    flat: /^[a-z][a-z0-9]*$/,
+    camel: /^[a-z][a-z0-9]*(?:[A-Z0-9][a-z0-9]*)*$/,
+    pascal: /^[A-Z][a-z0-9]*(?:[A-Z0-9][a-z0-9]*)*$/,
+    kebab: /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/,
+    cobol: /^[A-Z][A-Z0-9]*(?:-[A-Z0-9]+)*$/,
+    snake: /^[a-z][a-z0-9]*(?:_[a-z0-9]+)*$/,
+    macro: /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/,
+};
+
+// ── Regular expressions ──────────────────────────────────────────────────
+// Patterns come from pasted rulesets and run on the server's only thread,
+// so every test gets a time limit. A pattern that hits it (catastrophic
+// backtracking) is refused straight away afterwards instead of stalling
+// each later request again.
+
+const REGEX_TIMEOUT = 50; // milliseconds per test
+const MAX_SLOW_PATTERNS = 1000;
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script('regex.test(value)');
+const slowPatterns = new Set();
+
+/**
+ * A RegExp look-alike whose test() gives up after REGEX_TIMEOUT.
+ * Also Ajv's regExp engine, for `pattern` keywords in `schema` rules.
+ * @returns {{ test: (value: string) => boolean }}
+ * @throws {Error} when the pattern is too slow
+ */
+function guardedRegExp(source, flags = '') {
+    const regex = new RegExp(source, flags);
+    const key = `/${source}/${flags}`;
+    return {
+        test(value) {
+            if (slowPatterns.has(key)) throw new Error(`The pattern ${key} is too slow and was skipped`);
+            regexContext.regex = regex;
+            regexContext.value = value;
+            try {
+                return regexTest.runInContext(regexContext, { timeout: REGEX_TIMEOUT });
+            } catch (err) {
+                if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+                if (slowPatterns.size >= MAX_SLOW_PATTERNS) slowPatterns.clear();
+                slowPatterns.add(key);
+                throw new Error(`The pattern ${key} took longer than ${REGEX_TIMEOUT} ms and was skipped`);
+            } finally {
+                regexContext.regex = null;
+                regexContext.value = null;
+            }
+        },
+    };
+}
+
+/** Parse "/regex/flags" or a plain pattern string */
+function toRegExp(pattern) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    return literal ? guardedRegExp(literal[1], literal[2]) : guardedRegExp(pattern);
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false, logger: false, code: { regExp: guardedRegExp } });
+addFormats(ajv);
+
+function describe(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+const functions = {
+    truthy(value, _options, { property }) {
+        if (!value) return [{ message: `${property || 'Value'} must be truthy` }];
+        return undefined;
+    },
+
+    falsy(value, _options, { property }) {
+        if (value) return [{ message: `${property || 'Value'} must be falsy` }];
+        return undefined;
+    },
+
+    defined(value, _options, { property }) {
+        if (value === undefined) return [{ message: `${property || 'Value'} must be defined` }];
+        return undefined;
+    },
+
+    undefined(value, _options, { property }) {
+        if (value !== undefined) return [{ message: `${property || 'Value'} must be undefined` }];
+        return undefined;
+    },
+
+    pattern(value, options = {}) {
+        if (typeof value !== 'string') return undefined;
+        const results = [];
+        if (options.match && !toRegExp(options.match).test(value)) {
+            results.push({ message: `${describe(value)} must match the pattern "${options.match}"` });
+        }
+        if (options.notMatch && toRegExp(options.notMatch).test(value)) {
+            results.push({ message: `${describe(value)} must not match the pattern "${options.notMatch}"` });
+        }
+        return results;
+    },
+
+    enumeration(value, options = {}) {
+        const values = options.values || [];
+        if (value === undefined || values.includes(value)) return undefined;
+        return [{ message: `${describe(value)} must be equal to one of the allowed values: ${values.map(describe).join(', ')}` }];
+    },
+
+    casing(value, options = {}) {
+        if (typeof value !== 'string' || value === '') return undefined;
+        const expected = CASES[options.type];
+        if (!expected) throw new Error(`Unknown casing type "${options.type}"`);
+
+        // An optional separator lets each segment be checked on its own,
+        // e.g. { char: '/', allowLeading: true } for "/pet-store/orders".
+        const separator = options.separator && options.separator.char;
+        let parts = separator ? value.split(separator) : [value];
+        if (separator && options.separator.allowLeading && parts[0] === '') parts = parts.slice(1);
+
+        const valid = parts.every((part) => expected.test(part)) && !(options.disallowDigits && /\d/.test(value));
+        return valid ? undefined : [{ message: `${describe(value)} must be ${options.type} case` }];
+    },
+
+    length(value, options = {}) {
+        if (value === undefined || value === null) return undefined;
+        let size;
+        if (typeof value === 'number') size = value;
+        else if (typeof value === 'string' || Array.isArray(value)) size = value.length;
+        else if (typeof value === 'object') size = Object.keys(value).length;
+        else return undefined;
+
+        if (options.min !== undefined && size < options.min) {
+            return [{ message: `Length must be at least ${options.min} (is ${size})` }];
+        }
+        if (options.max !== undefined && size > options.max) {
+            return [{ message: `Length must be at most ${options.max} (is ${size})` }];
+        }
+        return undefined;
+    },
+
+    alphabetical(value, options = {}) {
+        if (!value || typeof value !== 'object') return undefined;
+        const keyOf = (item) => (options.keyedBy && item && typeof item === 'object' ? item[options.keyedBy] : item);
+        const items = Array.isArray(value) ? value.map(keyOf) : Object.keys(value);
+        for (let i = 1; i < items.length; i++) {
+            if (String(items[i - 1]).localeCompare(String(items[i])) > 0) {
+                return [{
+                    message: `${describe(items[i - 1])} must be placed after ${describe(items[i])}`,
+                    path: [Array.isArray(value) ? i - 1 : items[i - 1]],
+                }];
+            }
+        }
+        return undefined;
+    },
+
+    schema(value, options = {}) {
+        if (value === undefined || !options.schema) return undefined;
+        const key = JSON.stringify(options.schema);
+        let validate = schemaCache.get(key);
+        if (!validate) {
+            validate = ajv.compile(options.schema);
+            schemaCache.set(key, validate);
+            if (schemaCache.size > MAX_SCHEMAS) {
+                const [oldest, { schema }] = schemaCache.entries().next().value;
+                schemaCache.delete(oldest);
+                ajv.removeSchema(schema);
+            }
+        }
+        if (validate(value)) return undefined;
+        return validate.errors.map((err) => ({
+            message: `${err.instancePath || 'Value'} ${err.message}`.trim(),
+            path: pointerToPath(err.instancePath, value),
+        }));
+    },
+};
+
+module.exports = functions;
@@ -0,0 +1,196 @@
+/**
+ * Style-guide linter.
+ * Runs Spectral-style rulesets over a parsed document:
+ *
+ *   rules:
+ *     operation-operation-id:
+ *       description: Every operation needs an operationId
+ *       severity: error            # error | warn | info | hint
+ *       given: $.paths[*][get,put,post,delete,patch,options,head,trace]
+ *       then:
+ *         field: operationId       # optional; "@key" checks the object's keys
+ *         function: truthy
+ *
+ * `given` is a JSONPath expression (or a list of them) and `then` may be a
+ * list of checks. A rule set to `off`, `-1` or `false`, or with that
+ * severity, is disabled; any other severity must be one normaliseSeverity
+ * knows.
+ */
+
+const YAML = require('yaml');
+const { JSONPath } = require('jsonpath-plus');
+const functions = require('./lint-functions');
+const { createProblem, isSeverity } = require('./problems');
+const { pointerToPath } = require('./source-map');
+const { HttpError } = require('./http-error');
+const { isObject } = require('./util');
+
+class RulesetError extends HttpError {}
+
+/**
+ * Parse ruleset text (YAML or JSON) into a normalised ruleset.
+ * @param {string} text
+ * @param {{ resolveExtends?: (name: string) => object }} [options]
+ *   resolveExtends returns an already parsed ruleset for an `extends` entry
+ * @returns {{ rules: object[] }}
+ */
+function parseRuleset(text, { resolveExtends } = {}) {
+    let raw;
+    try {
+        raw = YAML.parse(text);
+    } catch (err) {
+        throw new RulesetError(`Ruleset is not valid YAML/JSON: ${err.message.split('\n')[0]}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new RulesetError('Ruleset must be an object with a "rules" map');
+    }
+
+    const rules = new Map();
+    [].concat(raw.extends || []).forEach((entry) => {
+        const name = Array.isArray(entry) ? entry[0] : entry;
+        if (!resolveExtends) throw new RulesetError(`Cannot extend "${name}" here`);
+        resolveExtends(name).rules.forEach((rule) => rules.set(rule.name, rule));
+    });
+
+    Object.entries(raw.rules || {}).forEach(([name, definition]) => {
+        if (isDisabled(isObject(definition) ? definition.severity : definition)) {
+            rules.delete(name);
+            return;
+        }
+        // Overriding only the severity of an inherited rule, e.g. `rule: warn`
+        if (typeof definition === 'string' || typeof definition === 'number' || definition === true) {
+            const inherited = rules.get(name);
+            if (!inherited) throw new RulesetError(`Rule "${name}" is not defined by an extended ruleset`);
+            if (definition !== true) rules.set(name, { ...inherited, severity: checkSeverity(name, definition) });
+            return;
+        }
+        rules.set(name, normaliseRule(name, definition));
+    });
+
+    return { rules: [...rules.values()] };
+}
+
+/** `off`, `-1` and `false` turn a rule off, as in Spectral */
+function isDisabled(severity) {
+    return severity === 'off' || severity === -1 || severity === false;
+}
+
+function checkSeverity(name, severity) {
+    if (!isSeverity(severity)) {
+        throw new RulesetError(`Rule "${name}" has unknown severity ${JSON.stringify(severity)}; use error, warn, info, hint or off`);
+    }
+    return severity;
+}
+
+function normaliseRule(name, definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new RulesetError(`Rule "${name}" must be an object`);
+    }
+    const given = [].concat(definition.given || []);
+    const then = [].concat(definition.then || []);
+    if (!given.length) throw new RulesetError(`Rule "${name}" is missing "given"`);
+    if (!then.length) throw new RulesetError(`Rule "${name}" is missing "then"`);
+
+    then.forEach((check) => {
+        if (!check || !functions[check.function]) {
+            throw new RulesetError(`Rule "${name}" uses unknown function "${check && check.function}"`);
+        }
+    });
+
+    return {
+        name,
+        description: definition.description || '',
+        message: definition.message || '',
+        severity: definition.severity === undefined ? 'warn' : checkSeverity(name, definition.severity),
+        given,
+        then,
+    };
+}
+
+/**
+ * Run every rule over the document.
+ * @param {object} spec – parsed document
+ * @param {{ rules: object[] }} ruleset
+ * @returns {object[]} problems (without positions)
+ */
+function lintDocument(spec, ruleset) {
+    const problems = [];
+    if (!spec || typeof spec !== 'object') return problems;
+
+    ruleset.rules.forEach((rule) => {
+        rule.given.forEach((expression) => {
+            let matches;
+            try {
+                matches = JSONPath({ path: expression, json: spec, resultType: 'all', wrap: true });
+            } catch (err) {
+                problems.push(ruleProblem(rule, `Invalid JSONPath "${expression}": ${err.message}`, [], 'error'));
+                return;
+            }
+
+            matches.forEach((match) => {
+                const givenPath = pointerToPath(match.pointer, spec);
+                rule.then.forEach((check) => {
+                    targetsFor(match.value, check.field).forEach((target) => {
+                        runCheck(rule, check, target, givenPath, problems);
+                    });
+                });
+            });
+        });
+    });
+
+    return problems;
+}
+
+/** Expand a `then.field` into the values (and relative paths) to check */
+function targetsFor(value, field) {
+    if (!field) return [{ value, path: [], property: null }];
+    if (field === '@key') {
+        if (!value || typeof value !== 'object') return [];
+        return Object.keys(value).map((key) => ({ value: key, path: [key], property: key }));
+    }
+    const segments = field.split('.');
+    const target = segments.reduce(
+        (node, segment) => (node && typeof node === 'object' ? node[segment] : undefined),
+        value,
+    );
+    return [{ value: target, path: segments, property: segments[segments.length - 1] }];
+}
+
+function runCheck(rule, check, target, givenPath, problems) {
+    let results;
+    try {
+        results = functions[check.function](target.value, check.functionOptions, {
+            property: target.property,
+            path: [...givenPath, ...target.path],
+        });
+    } catch (err) {
+        problems.push(ruleProblem(rule, `Rule failed: ${err.message}`, givenPath, 'error'));
+        return;
+    }
+
+    (results || []).forEach((result) => {
+        const path = [...givenPath, ...target.path, ...(result.path || [])];
+        problems.push(ruleProblem(rule, formatMessage(rule, result.message, path, target), path));
+    });
+}
+
+/** Fill Spectral-style {{placeholders}} in a rule message */
+function formatMessage(rule, error, path, target) {
+    const template = rule.message || (rule.description ? `${rule.description}` : '{{error}}');
+    return template
+        .replace(/{{error}}/g, error)
+        .replace(/{{description}}/g, rule.description)
+        .replace(/{{property}}/g, target.property || '')
+        .replace(/{{value}}/g, typeof target.value === 'object' ? JSON.stringify(target.value) : String(target.value))
+        .replace(/{{path}}/g, path.join('.'));
+}
+
+function ruleProblem(rule, message, path, severity = rule.severity) {
+    return createProblem({ source: 'lint', code: rule.name, severity, message, path });
+}
+
+module.exports = {
+    RulesetError,
+    parseRuleset,
+    lintDocument,
+};
@@ -0,0 +1,217 @@
+/**
+ * Mock server engine.
+ * Matches incoming requests against a spec's paths (including templates
+ * like /pets/{petId}) and builds the response an implementation would
+ * send – the declared example when there is one, generated sample data
+ * from the response schema otherwise.
+ */
+
+const { sampleFromSchema } = require('./sample-data');
+const { METHODS, isObject } = require('./util');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn the spec's paths into matchers. Literal routes sort before
+ * templated ones, so /pets/mine wins over /pets/{petId}.
+ */
+function compileRoutes(spec) {
+    return Object.entries(isObject(spec.paths) ? spec.paths : {})
+        .filter(([, pathItem]) => isObject(pathItem))
+        .map(([template, pathItem]) => {
+            const params = [];
+            const pattern = template.split(/(\{[^}]+\})/).map((part) => {
+                const param = part.match(/^\{([^}]+)\}$/);
+                if (!param) return escapeRegExp(part);
+                params.push(param[1]);
+                return '([^/]+)';
+            }).join('');
+            return { template, pathItem, params, regex: new RegExp(`^${pattern}/?$`) };
+        })
+        .sort((a, b) => a.params.length - b.params.length);
+}
+
+/** Base paths the spec's servers put in front of every route ("/v2") */
+function basePathsOf(spec) {
+    if (spec.swagger !== undefined) return [String(spec.basePath || '').replace(/\/+$/, '')].filter(Boolean);
+    const paths = (Array.isArray(spec.servers) ? spec.servers : []).map((server) => {
+        try {
+            return new URL(String(server.url || ''), 'http://mock.local').pathname.replace(/\/+$/, '');
+        } catch {
+            return '';
+        }
+    });
+    return [...new Set(paths.filter(Boolean))];
+}
+
+/**
+ * Find the path item for a request path. Paths with one of the spec's
+ * server base paths in front ("/v2/pets") are accepted too.
+ * @returns {{ template: string, pathItem: object, params: object }|null}
+ */
+function matchRoute(routes, requestPath, basePaths = []) {
+    const candidates = [requestPath];
+    basePaths.forEach((basePath) => {
+        if (requestPath.startsWith(`${basePath}/`)) candidates.push(requestPath.slice(basePath.length));
+    });
+
+    for (const candidate of candidates) {
+        for (const route of routes) {
+            const match = candidate.match(route.regex);
+            if (!match) continue;
+            const params = {};
+            route.params.forEach((name, i) => {
+                try {
+                    params[name] = decodeURIComponent(match[i + 1]);
+                } catch {
+                    params[name] = match[i + 1];
+                }
+            });
+            return { template: route.template, pathItem: route.pathItem, params };
+        }
+    }
+    return null;
+}
+
+function allowedMethods(pathItem) {
+    return METHODS.filter((method) => isObject(pathItem[method])).map((method) => method.toUpperCase());
+}
+
+/** Parse `Prefer: code=404, example=notFound` (the convention Prism uses) */
+function parsePrefer(header) {
+    const prefer = {};
+    String(header || '').split(/[,;]/).forEach((part) => {
+        const [key, value] = part.split('=').map((s) => s && s.trim());
+        if (key && value) prefer[key.toLowerCase()] = value.replace(/^"|"$/g, '');
+    });
+    return prefer;
+}
+
+/** Numeric status for a response key ("201", "4XX", "default") */
+function statusOf(key) {
+    if (/^\d{3}$/.test(key)) return Number(key);
+    if (/^[1-5]XX$/i.test(key)) return Number(key[0]) * 100;
+    return 200;
+}
+
+/**
+ * Pick the response to send: the one requested through `Prefer: code=`,
+ * otherwise the first success response, otherwise the first declared.
+ */
+function pickResponseKey(responses, preferredCode) {
+    const keys = Object.keys(responses);
+    const code = String(preferredCode || '');
+    if (/^\d{3}$/.test(code)) {
+        const key = keys.find((k) => k === code)
+            || keys.find((k) => k.toUpperCase() === `${code[0]}XX`)
+            || (keys.includes('default') ? 'default' : null);
+        if (key) return { key, status: Number(code) };
+    }
+    const ordered = keys.filter((key) => key !== 'default').sort();
+    const key = ordered.find((k) => /^2/.test(k)) || ordered[0] || (keys.includes('default') ? 'default' : null);
+    return key ? { key, status: statusOf(key) } : null;
+}
+
+/** Choose a media type from what the response offers and the Accept header */
+function negotiate(types, accept) {
+    if (!types.length) return null;
+    const ranges = String(accept || '*/*').split(',')
+        .map((part) => {
+            const [range, ...params] = part.trim().split(';');
+            const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+            return { range: range.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+        })
+        .filter(({ q }) => q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    for (const { range } of ranges) {
+        const [type, subtype] = range.split('/');
+        const found = range === '*/*'
+            ? types.find((t) => /json/i.test(t)) || types[0]
+            : types.find((t) => {
+                const [tType, tSubtype] = t.toLowerCase().split(';')[0].split('/');
+                return tType === type && (subtype === '*' || tSubtype === subtype);
+            });
+        if (found) return found;
+    }
+    // Mocks are lenient – answer with the first declared type instead of 406
+    return types[0];
+}
+
+/** Named example from an OpenAPI 3 `examples` map */
+function pickExample(examples, name) {
+    if (!isObject(examples)) return undefined;
+    const chosen = (name && examples[name]) || Object.values(examples)[0];
+    return isObject(chosen) && chosen.value !== undefined ? chosen.value : undefined;
+}
+
+function headerValue(header, onUnsatisfied) {
+    if (!isObject(header)) return undefined;
+    if (header.example !== undefined) return header.example;
+    const value = sampleFromSchema(isObject(header.schema) ? header.schema : header, { onUnsatisfied });
+    return value === undefined ? undefined : value;
+}
+
+/**
+ * Build the mock response for a matched operation.
+ * @param {object} spec – dereferenced spec
+ * @param {object} operation
+ * @param {{ prefer?: string, accept?: string }} request headers
+ * @returns {{ status: number, mediaType: string|null, body: any, headers: object, responseKey: string|null,
+ *   unsatisfied: string[] }} unsatisfied lists schema keywords the generated data may break
+ */
+function buildResponse(spec, operation, { prefer, accept } = {}) {
+    const preferences = parsePrefer(prefer);
+    const responses = isObject(operation.responses) ? operation.responses : {};
+    const picked = pickResponseKey(responses, preferences.code);
+    if (!picked) return { status: 204, mediaType: null, body: undefined, headers: {}, responseKey: null, unsatisfied: [] };
+
+    const unsatisfied = new Set();
+    const onUnsatisfied = (keyword) => unsatisfied.add(keyword);
+
+    const response = isObject(responses[picked.key]) ? responses[picked.key] : {};
+    const headers = {};
+    Object.entries(isObject(response.headers) ? response.headers : {}).forEach(([name, header]) => {
+        const value = headerValue(header, onUnsatisfied);
+        if (value !== undefined && name.toLowerCase() !== 'content-type') headers[name] = String(value);
+    });
+
+    let mediaType;
+    let body;
+    if (spec.swagger !== undefined) {
+        const produces = operation.produces || spec.produces || ['application/json'];
+        mediaType = response.schema || response.examples ? negotiate(produces, accept) : null;
+        if (isObject(response.examples) && response.examples[mediaType] !== undefined) body = response.examples[mediaType];
+        else if (response.schema) body = sampleFromSchema(response.schema, { onUnsatisfied });
+    } else {
+        const content = isObject(response.content) ? response.content : {};
+        mediaType = negotiate(Object.keys(content), accept);
+        const media = mediaType ? content[mediaType] || {} : null;
+        if (media) {
+            if (preferences.example) body = pickExample(media.examples, preferences.example);
+            if (body === undefined && media.example !== undefined) body = media.example;
+            if (body === undefined) body = pickExample(media.examples);
+            if (body === undefined && isObject(media.schema)) body = sampleFromSchema(media.schema, { onUnsatisfied });
+        }
+    }
+
+    return { status: picked.status, mediaType, body, headers, responseKey: picked.key, unsatisfied: [...unsatisfied] };
+}
+
+/** Serialise a mock body for its media type */
+function serialiseBody(body, mediaType) {
+    if (body === undefined) return '';
+    if (typeof body === 'string' && !/json/i.test(mediaType || '')) return body;
+    return JSON.stringify(body, null, 2);
+}
+
+module.exports = {
+    compileRoutes,
+    basePathsOf,
+    matchRoute,
+    allowedMethods,
+    buildResponse,
+    serialiseBody,
+};
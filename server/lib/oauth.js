@@ -0,0 +1,427 @@
+/**
+ * OAuth 2.0 and OpenID Connect flows, run on the server.
+ * Token endpoints rarely answer CORS requests, and the authorization code
+ * flow needs a redirect URI registered with the identity provider – one
+ * for the editor's server instead of one per developer's browser.
+ *
+ * Tokens obtained here stay on the server as "grants": the browser gets an
+ * opaque grant id and sends it to /api/proxy in X-OAuth-Grant, and the
+ * proxy adds the access token, refreshed when it is about to expire.
+ * Grants live in memory and are gone when the server restarts.
+ */
+
+const crypto = require('crypto');
+const { fetchText, postForm } = require('./outbound');
+const { HttpError } = require('./http-error');
+
+// Tokens are refreshed this long before they expire (ms)
+const EXPIRY_MARGIN = 30 * 1000;
+// Lifetime assumed when the token response has no expires_in (ms)
+const DEFAULT_LIFETIME = 60 * 60 * 1000;
+// A started authorization code flow must be completed within (ms)
+const AUTHORIZATION_TIMEOUT = 10 * 60 * 1000;
+// OpenID Connect discovery documents are cached for (ms)
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const MAX_GRANTS = 500;
+
+// Swagger 2.0 flow names and their OpenAPI 3 equivalents
+const SWAGGER2_FLOWS = {
+    application: 'clientCredentials',
+    password: 'password',
+    accessCode: 'authorizationCode',
+    implicit: 'implicit',
+};
+
+// OpenID Connect grant types and the flows they enable
+const OIDC_GRANTS = {
+    client_credentials: 'clientCredentials',
+    password: 'password',
+    authorization_code: 'authorizationCode',
+    implicit: 'implicit',
+};
+
+// Flows the server can run; implicit hands the token to the browser only
+const SUPPORTED_FLOWS = ['clientCredentials', 'password', 'authorizationCode'];
+
+class OAuthError extends HttpError {
+    /**
+     * @param {string} message
+     * @param {number} status – HTTP status the route should answer with
+     * @param {string} [code] – OAuth error code from the identity provider
+     */
+    constructor(message, status = 400, code) {
+        super(message, status);
+        this.code = code;
+    }
+}
+
+const grants = new Map();           // id → grant
+const authorizations = new Map();   // state → pending authorization code flow
+const discoveries = new Map();      // openIdConnectUrl → { metadata, fetched }
+
+function randomId(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// ── Flows of a security scheme ────────────────────────────────────────────
+
+/**
+ * The flows of an OAuth2 scheme, Swagger 2.0 or OpenAPI 3 style, as
+ * { [flow]: { authorizationUrl?, tokenUrl?, refreshUrl?, scopes } }.
+ */
+function oauth2Flows(scheme) {
+    if (scheme.flows && typeof scheme.flows === 'object') return scheme.flows;
+    const flow = SWAGGER2_FLOWS[scheme.flow];
+    if (!flow) return {};
+    return {
+        [flow]: {
+            authorizationUrl: scheme.authorizationUrl,
+            tokenUrl: scheme.tokenUrl,
+            scopes: scheme.scopes || {},
+        },
+    };
+}
+
+/** Fetch (or reuse) an OpenID Connect discovery document */
+async function discover(openIdConnectUrl) {
+    const cached = discoveries.get(openIdConnectUrl);
+    if (cached && Date.now() - cached.fetched < DISCOVERY_TTL) return cached.metadata;
+
+    const response = await fetchText(openIdConnectUrl, { headers: { Accept: 'application/json' } });
+    if (response.status !== 200) {
+        throw new OAuthError(`OpenID Connect discovery failed: ${openIdConnectUrl} answered ${response.status}`, 502);
+    }
+    let metadata;
+    try {
+        metadata = JSON.parse(response.body);
+    } catch {
+        throw new OAuthError(`OpenID Connect discovery failed: ${openIdConnectUrl} did not return JSON`, 502);
+    }
+    if (!metadata || typeof metadata.token_endpoint !== 'string') {
+        throw new OAuthError('OpenID Connect discovery failed: the document has no token_endpoint', 502);
+    }
+    discoveries.set(openIdConnectUrl, { metadata, fetched: Date.now() });
+    return metadata;
+}
+
+/**
+ * The flows of an oauth2 or openIdConnect security scheme. For OpenID
+ * Connect the endpoints and grant types come from the discovery document.
+ * @param {object} scheme – the security scheme object
+ * @returns {Promise<object>} { [flow]: { authorizationUrl?, tokenUrl, refreshUrl?, scopes } }
+ * @throws {OAuthError}
+ */
+async function resolveFlows(scheme) {
+    if (!scheme || typeof scheme !== 'object') throw new OAuthError('Missing security scheme');
+    if (scheme.type === 'oauth2') return oauth2Flows(scheme);
+    if (scheme.type !== 'openIdConnect') throw new OAuthError(`Security scheme type "${scheme.type}" has no OAuth flows`);
+    if (typeof scheme.openIdConnectUrl !== 'string') throw new OAuthError('The security scheme has no openIdConnectUrl');
+
+    const metadata = await discover(scheme.openIdConnectUrl);
+    // Defaults from OpenID Connect Discovery 1.0 when grant_types_supported is absent
+    const grantTypes = Array.isArray(metadata.grant_types_supported)
+        ? metadata.grant_types_supported
+        : ['authorization_code', 'implicit'];
+    const scopes = Object.fromEntries((metadata.scopes_supported || ['openid']).map((scope) => [scope, '']));
+    const flows = {};
+    grantTypes.forEach((grantType) => {
+        const flow = OIDC_GRANTS[grantType];
+        if (!flow) return;
+        flows[flow] = {
+            authorizationUrl: metadata.authorization_endpoint,
+            tokenUrl: metadata.token_endpoint,
+            scopes,
+        };
+    });
+    return flows;
+}
+
+/** The named flow, checked to be one the server can run */
+async function flowOf(scheme, name) {
+    if (!SUPPORTED_FLOWS.includes(name)) {
+        throw new OAuthError(`Unsupported flow "${name}"; use ${SUPPORTED_FLOWS.join(', ')}`);
+    }
+    const flow = (await resolveFlows(scheme))[name];
+    if (!flow) throw new OAuthError(`The security scheme does not define the ${name} flow`);
+    if (typeof flow.tokenUrl !== 'string') throw new OAuthError(`The ${name} flow has no tokenUrl`);
+    if (name === 'authorizationCode' && typeof flow.authorizationUrl !== 'string') {
+        throw new OAuthError('The authorizationCode flow has no authorizationUrl');
+    }
+    return flow;
+}
+
+// ── Token requests ────────────────────────────────────────────────────────
+
+/** Percent-encoding for client credentials in HTTP Basic (RFC 6749 §2.3.1) */
+function formEncode(text) {
+    return encodeURIComponent(text).replace(/%20/g, '+');
+}
+
+/**
+ * POST to a token endpoint.
+ * Clients with a secret authenticate with HTTP Basic, or in the form when
+ * `client.auth` is "post"; public clients send only their client_id.
+ * @returns {Promise<object>} the token as stored in a grant
+ * @throws {OAuthError}
+ */
+async function requestToken(tokenUrl, params, client) {
+    const form = { ...params };
+    const headers = { Accept: 'application/json' };
+    if (client.secret && client.auth !== 'post') {
+        headers.Authorization = `Basic ${Buffer.from(`${formEncode(client.id)}:${formEncode(client.secret)}`).toString('base64')}`;
+    } else {
+        form.client_id = client.id;
+        if (client.secret) form.client_secret = client.secret;
+    }
+
+    const response = await postForm(tokenUrl, form, { headers });
+    let body;
+    try {
+        body = /json/i.test(response.headers['content-type'] || '') || /^\s*\{/.test(response.body)
+            ? JSON.parse(response.body)
+            : Object.fromEntries(new URLSearchParams(response.body));
+    } catch {
+        body = {};
+    }
+
+    if (response.status !== 200 || typeof body.access_token !== 'string') {
+        const reason = body.error_description || body.error || `status ${response.status}`;
+        // invalid_grant and friends are the caller's to fix; anything else is the provider's
+        const status = response.status === 400 || response.status === 401 ? 400 : 502;
+        throw new OAuthError(`The token endpoint refused the request: ${reason}`, status, body.error);
+    }
+
+    const expiresIn = Number(body.expires_in);
+    return {
+        accessToken: body.access_token,
+        // "bearer" is common in the wild; the Authorization header wants "Bearer"
+        tokenType: /^bearer$/i.test(body.token_type || 'Bearer') ? 'Bearer' : body.token_type,
+        refreshToken: body.refresh_token,
+        idToken: body.id_token,
+        scope: body.scope,
+        expiresAt: Date.now() + (expiresIn > 0 ? expiresIn * 1000 : DEFAULT_LIFETIME),
+    };
+}
+
+function scopeParam(scopes) {
+    return Array.isArray(scopes) && scopes.length ? { scope: scopes.join(' ') } : {};
+}
+
+/** Store a grant, forgetting the least recently used ones beyond MAX_GRANTS */
+function addGrant(grant) {
+    grants.set(grant.id, grant);
+    while (grants.size > MAX_GRANTS) {
+        const [oldest] = [...grants.values()].sort((a, b) => a.used - b.used);
+        grants.delete(oldest.id);
+    }
+    return grant;
+}
+
+function createGrant({ flow, tokenUrl, refreshUrl, client, scopes, token }) {
+    return addGrant({
+        id: randomId(),
+        flow,
+        tokenUrl,
+        refreshUrl: refreshUrl || tokenUrl,
+        client,
+        scopes,
+        token,
+        created: Date.now(),
+        used: Date.now(),
+        refreshing: null,
+    });
+}
+
+/**
+ * Run the client credentials or password flow of a security scheme.
+ * @param {object} scheme – the oauth2 or openIdConnect security scheme
+ * @param {object} request
+ * @param {string} request.flow – "clientCredentials" or "password"
+ * @param {string} request.clientId
+ * @param {string} [request.clientSecret]
+ * @param {string} [request.clientAuth] – "basic" (default) or "post"
+ * @param {string} [request.username] – password flow
+ * @param {string} [request.password] – password flow
+ * @param {string[]} [request.scopes]
+ * @returns {Promise<object>} the grant
+ * @throws {OAuthError|OutboundError}
+ */
+async function obtainToken(scheme, request) {
+    if (request.flow === 'authorizationCode') {
+        throw new OAuthError('The authorizationCode flow is started with startAuthorization');
+    }
+    const flow = await flowOf(scheme, request.flow);
+    if (!request.clientId) throw new OAuthError('Missing clientId');
+    const client = { id: request.clientId, secret: request.clientSecret, auth: request.clientAuth };
+
+    let params;
+    if (request.flow === 'password') {
+        if (!request.username) throw new OAuthError('Missing username');
+        params = { grant_type: 'password', username: request.username, password: request.password || '', ...scopeParam(request.scopes) };
+    } else {
+        params = { grant_type: 'client_credentials', ...scopeParam(request.scopes) };
+    }
+
+    const token = await requestToken(flow.tokenUrl, params, client);
+    return createGrant({ flow: request.flow, tokenUrl: flow.tokenUrl, refreshUrl: flow.refreshUrl, client, scopes: request.scopes, token });
+}
+
+// ── Authorization code flow with PKCE ─────────────────────────────────────
+
+function dropStaleAuthorizations() {
+    const now = Date.now();
+    authorizations.forEach((pending, state) => {
+        if (now - pending.started > AUTHORIZATION_TIMEOUT) authorizations.delete(state);
+    });
+}
+
+/**
+ * Start the authorization code flow with PKCE (S256).
+ * @param {object} scheme – the oauth2 or openIdConnect security scheme
+ * @param {object} request – { clientId, clientSecret?, clientAuth?, scopes? }
+ * @param {string} redirectUri – the editor's callback URL, registered with the provider
+ * @returns {Promise<{ authorizationUrl: string, state: string }>}
+ *   open authorizationUrl in a window; the provider redirects to
+ *   redirectUri with the code, which completeAuthorization exchanges
+ * @throws {OAuthError|OutboundError}
+ */
+async function startAuthorization(scheme, request, redirectUri) {
+    const flow = await flowOf(scheme, 'authorizationCode');
+    if (!request.clientId) throw new OAuthError('Missing clientId');
+    dropStaleAuthorizations();
+
+    const state = randomId();
+    const verifier = randomId(48);
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    authorizations.set(state, {
+        flow,
+        client: { id: request.clientId, secret: request.clientSecret, auth: request.clientAuth },
+        scopes: request.scopes,
+        verifier,
+        redirectUri,
+        started: Date.now(),
+    });
+
+    const url = new URL(flow.authorizationUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', request.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', challenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (Array.isArray(request.scopes) && request.scopes.length) url.searchParams.set('scope', request.scopes.join(' '));
+    return { authorizationUrl: url.href, state };
+}
+
+/**
+ * Exchange the code the provider redirected back with.
+ * @param {string} state
+ * @param {string} code
+ * @returns {Promise<object>} the grant
+ * @throws {OAuthError|OutboundError}
+ */
+async function completeAuthorization(state, code) {
+    const pending = authorizations.get(state);
+    authorizations.delete(state);
+    if (!pending || Date.now() - pending.started > AUTHORIZATION_TIMEOUT) {
+        throw new OAuthError('Unknown or expired authorization request; start again');
+    }
+    if (!code) throw new OAuthError('The identity provider returned no authorization code');
+
+    const token = await requestToken(pending.flow.tokenUrl, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        code_verifier: pending.verifier,
+    }, pending.client);
+    return createGrant({
+        flow: 'authorizationCode',
+        tokenUrl: pending.flow.tokenUrl,
+        refreshUrl: pending.flow.refreshUrl,
+        client: pending.client,
+        scopes: pending.scopes,
+        token,
+    });
+}
+
+// ── Using grants ──────────────────────────────────────────────────────────
+
+/** Renew a grant's token: with its refresh token, or client credentials again */
+async function renew(grant) {
+    if (grant.token.refreshToken) {
+        const token = await requestToken(grant.refreshUrl, {
+            grant_type: 'refresh_token',
+            refresh_token: grant.token.refreshToken,
+        }, grant.client);
+        // Providers may or may not rotate the refresh token
+        grant.token = { ...token, refreshToken: token.refreshToken || grant.token.refreshToken };
+        return;
+    }
+    if (grant.flow === 'clientCredentials') {
+        grant.token = await requestToken(grant.tokenUrl, { grant_type: 'client_credentials', ...scopeParam(grant.scopes) }, grant.client);
+        return;
+    }
+    throw new OAuthError('The access token has expired and cannot be refreshed; sign in again', 401);
+}
+
+/**
+ * A valid access token for a grant, refreshed first when it expires soon.
+ * Concurrent callers share one refresh.
+ * @param {string} id – grant id
+ * @returns {Promise<{ tokenType: string, accessToken: string }>}
+ * @throws {OAuthError} 401 when the grant is unknown or cannot be renewed
+ */
+async function accessToken(id) {
+    const grant = grants.get(id);
+    if (!grant) throw new OAuthError('Unknown OAuth grant; request a new token', 401);
+    grant.used = Date.now();
+    if (grant.token.expiresAt - EXPIRY_MARGIN <= Date.now()) {
+        if (!grant.refreshing) {
+            grant.refreshing = renew(grant).finally(() => { grant.refreshing = null; });
+        }
+        try {
+            await grant.refreshing;
+        } catch (err) {
+            // A refused refresh token will not work next time either
+            if (err instanceof OAuthError && err.status === 400) {
+                grants.delete(id);
+                throw new OAuthError(`Could not refresh the access token: ${err.message}`, 401, err.code);
+            }
+            throw err;
+        }
+    }
+    return { tokenType: grant.token.tokenType, accessToken: grant.token.accessToken };
+}
+
+/** What the browser may know about a grant – everything but the tokens */
+function describeGrant(grant) {
+    return {
+        grant: grant.id,
+        flow: grant.flow,
+        tokenType: grant.token.tokenType,
+        scope: grant.token.scope,
+        expiresAt: new Date(grant.token.expiresAt).toISOString(),
+        refreshable: Boolean(grant.token.refreshToken) || grant.flow === 'clientCredentials',
+    };
+}
+
+function getGrant(id) {
+    return grants.get(id) || null;
+}
+
+function revokeGrant(id) {
+    return grants.delete(id);
+}
+
+module.exports = {
+    OAuthError,
+    SUPPORTED_FLOWS,
+    resolveFlows,
+    obtainToken,
+    startAuthorization,
+    completeAuthorization,
+    accessToken,
+    describeGrant,
+    getGrant,
+    revokeGrant,
+};
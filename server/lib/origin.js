@@ -0,0 +1,36 @@
+/**
+ * Same-origin checks.
+ * The API writes workspace files, registers mocks and holds OAuth grants,
+ * so anything that can change state must come from a page this server
+ * served. Browsers name that page in the Origin header; clients that are
+ * not browsers (curl, scripts, CI) send none and are let through.
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/** Whether a request's Origin header, when it has one, names this server */
+function isSameOrigin(req) {
+    const { origin } = req.headers;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Express middleware refusing cross-origin requests other than GET, HEAD
+ * and OPTIONS with 403.
+ * @param {{ except?: string[] }} [options] – path prefixes left open, e.g.
+ *   mock APIs that other apps call from their own pages
+ */
+function sameOriginOnly({ except = [] } = {}) {
+    return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method) || isSameOrigin(req)) return next();
+        if (except.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))) return next();
+        res.status(403).json({ error: 'Cross-origin requests to the editor API are not allowed' });
+    };
+}
+
+module.exports = { isSameOrigin, sameOriginOnly };
@@ -0,0 +1,242 @@
+/**
+ * Outbound requests.
+ * The proxy, URL import and OAuth flows all request URLs that come from the
+ * browser. This module decides whether the server may request a URL at
+ * all, fetches small text documents (redirects included, each hop checked
+ * again) and posts forms.
+ *
+ * Host names are resolved here and every address is checked, so names that
+ * point at internal addresses are blocked like the addresses themselves.
+ * The connection is then pinned to the checked address – a second DNS
+ * answer (DNS rebinding) never reaches the socket.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { URL } = require('url');
+const config = require('../config');
+const { HttpError } = require('./http-error');
+
+// Loopback, private, link-local, shared, documentation, multicast and other
+// reserved ranges. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) match the
+// IPv4 ranges.
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+];
+
+const privateAddresses = blockListOf(PRIVATE_RANGES.map(([address, prefix]) => `${address}/${prefix}`));
+
+class OutboundError extends HttpError {}
+
+/**
+ * A net.BlockList of addresses and CIDRs ("10.1.0.0/16", "fd00::/8").
+ * Entries that are not addresses are skipped.
+ */
+function blockListOf(entries) {
+    const list = new net.BlockList();
+    entries.forEach((entry) => {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (!family) return;
+        const type = family === 6 ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) list.addAddress(address, type);
+        else list.addSubnet(address, Number(prefix), type);
+    });
+    return list;
+}
+
+/**
+ * Host rules from the allow and deny lists: addresses and CIDRs go into a
+ * BlockList, anything else is a host name – "*.example.com" matches its
+ * subdomains.
+ */
+function hostRules(entries) {
+    const names = entries
+        .filter((entry) => !net.isIP(entry.split('/')[0]))
+        .map((entry) => entry.toLowerCase());
+    return {
+        addresses: blockListOf(entries),
+        matchesHost(hostname) {
+            return names.some((name) => (name.startsWith('*.')
+                ? hostname.endsWith(name.slice(1))
+                : hostname === name));
+        },
+        matchesAddress(address) {
+            return this.addresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+        },
+    };
+}
+
+const allowed = hostRules(config.outbound.allow);
+const denied = hostRules(config.outbound.deny);
+
+/** Whether an address is loopback, private, link-local or otherwise reserved */
+function isPrivateAddress(address) {
+    return privateAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** All addresses of a host name – or the address itself for IP literals */
+async function resolveHost(hostname) {
+    if (net.isIP(hostname)) return [{ address: hostname, family: net.isIP(hostname) }];
+    try {
+        return await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+        throw new OutboundError(`Could not resolve ${hostname} (${err.code || err.message})`, 502);
+    }
+}
+
+/** A `lookup` for http.request that always answers with the checked address */
+function pinnedLookup({ address, family }) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') [callback, options] = [options, {}];
+        if (options?.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+    };
+}
+
+/**
+ * Parse a URL and make sure the server may request it: the host and every
+ * address it resolves to are checked against the deny list, then against
+ * the private ranges unless the allow list names the host or address.
+ * @param {string} target
+ * @returns {Promise<{ url: URL, address: string, lookup: Function }>}
+ *   pass `lookup` to http(s).request so the connection goes to `address`
+ * @throws {OutboundError}
+ */
+async function checkOutboundUrl(target) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(target);
+    } catch {
+        throw new OutboundError('Invalid URL provided');
+    }
+
+    // Only allow http and https
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new OutboundError('Only HTTP and HTTPS protocols are allowed');
+    }
+
+    // The URL parser has already normalised decimal, octal and hex IPv4 forms
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+    if (denied.matchesHost(hostname)) {
+        throw new OutboundError(`Requests to ${hostname} are not allowed`, 403);
+    }
+
+    const addresses = await resolveHost(hostname);
+    if (!addresses.length) throw new OutboundError(`Could not resolve ${hostname}`, 502);
+    const hostAllowed = allowed.matchesHost(hostname);
+    addresses.forEach(({ address }) => {
+        if (denied.matchesAddress(address)) {
+            throw new OutboundError(`Requests to ${hostname} are not allowed`, 403);
+        }
+        if (isPrivateAddress(address) && !hostAllowed && !allowed.matchesAddress(address)) {
+            const detail = hostname === address ? '' : ` (${hostname} resolves to ${address})`;
+            throw new OutboundError(`Requests to private or local addresses are not allowed${detail}`, 403);
+        }
+    });
+    return { url: parsedUrl, address: addresses[0].address, lookup: pinnedLookup(addresses[0]) };
+}
+
+/** The http or https module for a URL */
+function transportFor(parsedUrl) {
+    return parsedUrl.protocol === 'https:' ? https : http;
+}
+
+/**
+ * GET a text document.
+ * @param {string} target – URL (checked with checkOutboundUrl)
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {number} [options.timeout] – milliseconds per request
+ * @param {number} [options.maxBytes] – larger bodies are rejected
+ * @param {number} [options.maxRedirects]
+ * @returns {Promise<{ url: string, status: number, headers: object, body: string }>}
+ *   url is the final URL after redirects
+ * @throws {OutboundError}
+ */
+async function fetchText(target, { headers = {}, timeout = 15000, maxBytes = 10 * 1024 * 1024, maxRedirects = 5 } = {}) {
+    let checked = await checkOutboundUrl(target);
+
+    for (let hop = 0; ; hop++) {
+        const response = await requestOnce(checked, { method: 'GET', headers, timeout, maxBytes });
+        const { location } = response.headers;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return { url: checked.url.href, ...response };
+        }
+        if (hop >= maxRedirects) throw new OutboundError(`Too many redirects (more than ${maxRedirects})`, 502);
+        checked = await checkOutboundUrl(new URL(location, checked.url).href);
+    }
+}
+
+/**
+ * POST a URL-encoded form and read the text response. Redirects are not
+ * followed – a form is never re-posted elsewhere.
+ * @param {string} target – URL (checked with checkOutboundUrl)
+ * @param {object} form – field names and values
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {number} [options.timeout] – milliseconds
+ * @returns {Promise<{ status: number, headers: object, body: string }>}
+ * @throws {OutboundError}
+ */
+async function postForm(target, form, { headers = {}, timeout = 15000 } = {}) {
+    const checked = await checkOutboundUrl(target);
+    const body = Buffer.from(new URLSearchParams(form).toString(), 'utf-8');
+    return requestOnce(checked, {
+        method: 'POST',
+        headers: {
+            ...headers,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': String(body.length),
+        },
+        body,
+        timeout,
+        maxBytes: 1024 * 1024,
+    });
+}
+
+function requestOnce({ url, lookup }, { method, headers, body, timeout, maxBytes }) {
+    return new Promise((resolve, reject) => {
+        const request = transportFor(url).request(url, { method, headers, timeout, lookup }, (response) => {
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    request.destroy();
+                    reject(new OutboundError(`The document is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`, 413));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: Buffer.concat(chunks).toString('utf-8'),
+            }));
+            response.on('error', (err) => reject(new OutboundError(`Request failed: ${err.message}`, 502)));
+        });
+
+        request.on('error', (err) => reject(new OutboundError(`Request failed: ${err.message}`, 502)));
+        request.on('timeout', () => {
+            request.destroy();
+            reject(new OutboundError('Request timed out', 504));
+        });
+        request.end(body);
+    });
+}
+
+module.exports = {
+    OutboundError,
+    checkOutboundUrl,
+    transportFor,
+    fetchText,
+    postForm,
+};
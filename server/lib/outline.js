@@ -0,0 +1,138 @@
+/**
+ * Document outline.
+ * The structure of a spec for the editor's outline navigator: info,
+ * servers, tags, paths with their operations, webhooks and components
+ * grouped by kind, each with the lines it covers so the editor can jump to
+ * an entry and highlight the one under the cursor.
+ */
+
+const { pathToPointer } = require('./source-map');
+const { METHODS, isObject } = require('./util');
+
+const COMPONENT_KINDS = [
+    ['schemas', 'Schemas'],
+    ['responses', 'Responses'],
+    ['parameters', 'Parameters'],
+    ['examples', 'Examples'],
+    ['requestBodies', 'Request bodies'],
+    ['headers', 'Headers'],
+    ['securitySchemes', 'Security schemes'],
+    ['links', 'Links'],
+    ['callbacks', 'Callbacks'],
+    ['pathItems', 'Path items'],
+];
+
+const SWAGGER2_KINDS = [
+    ['definitions', 'Definitions'],
+    ['parameters', 'Parameters'],
+    ['responses', 'Responses'],
+    ['securityDefinitions', 'Security definitions'],
+];
+
+/**
+ * @param {{ value: any, span: Function }} sourceMap – from createSourceMap()
+ * @returns {Array<{ id, label, kind, line, endLine, detail?, method?, operation?, model?, children? }>}
+ *   Lines are 1-based. `operation` ("GET /pets") and `model` (a schema
+ *   name) point at the matching part of the Swagger UI preview.
+ */
+function buildOutline(sourceMap) {
+    const spec = sourceMap.value;
+    if (!isObject(spec)) return [];
+
+    function entry(path, fields) {
+        const span = sourceMap.span(path);
+        return span ? { id: pathToPointer(path), ...fields, ...span } : null;
+    }
+
+    const outline = [];
+    const add = (item) => {
+        if (item && (!item.children || item.children.length)) outline.push(item);
+    };
+
+    if (isObject(spec.info)) {
+        add(entry(['info'], { label: spec.info.title || 'Info', kind: 'info', detail: spec.info.version ? String(spec.info.version) : undefined }));
+    }
+
+    if (Array.isArray(spec.servers)) {
+        add(entry(['servers'], {
+            label: 'Servers',
+            kind: 'section',
+            children: spec.servers.map((server, i) => entry(['servers', i], {
+                label: (isObject(server) && server.url) || `Server ${i + 1}`,
+                kind: 'server',
+                detail: isObject(server) ? server.description : undefined,
+            })).filter(Boolean),
+        }));
+    } else if (spec.host || spec.basePath) {
+        add(entry([spec.host ? 'host' : 'basePath'], { label: `${spec.host || ''}${spec.basePath || ''}`, kind: 'server' }));
+    }
+
+    if (Array.isArray(spec.tags)) {
+        add(entry(['tags'], {
+            label: 'Tags',
+            kind: 'section',
+            children: spec.tags.map((tag, i) => entry(['tags', i], {
+                label: (isObject(tag) && tag.name) || `Tag ${i + 1}`,
+                kind: 'tag',
+            })).filter(Boolean),
+        }));
+    }
+
+    ['paths', 'webhooks'].forEach((section) => {
+        if (!isObject(spec[section])) return;
+        add(entry([section], {
+            label: section === 'paths' ? 'Paths' : 'Webhooks',
+            kind: 'section',
+            children: Object.entries(spec[section]).filter(([name]) => !name.startsWith('x-')).map(([name, item]) => entry([section, name], {
+                label: name,
+                kind: 'path',
+                children: isObject(item) ? operationsOf(section, name, item) : [],
+            })).filter(Boolean),
+        }));
+    });
+
+    function operationsOf(section, name, item) {
+        return METHODS.filter((method) => isObject(item[method])).map((method) => entry([section, name, method], {
+            label: item[method].summary || item[method].operationId || '',
+            kind: 'operation',
+            method,
+            deprecated: item[method].deprecated === true || undefined,
+            operation: section === 'paths' ? `${method.toUpperCase()} ${name}` : undefined,
+        })).filter(Boolean);
+    }
+
+    const swagger2 = spec.swagger !== undefined;
+    const kinds = (swagger2 ? SWAGGER2_KINDS : COMPONENT_KINDS)
+        .map(([kind, label]) => {
+            const base = swagger2 ? [kind] : ['components', kind];
+            const entries = swagger2 ? spec[kind] : spec.components?.[kind];
+            if (!isObject(entries)) return null;
+            const model = kind === 'schemas' || kind === 'definitions';
+            return entry(base, {
+                label,
+                kind: 'group',
+                children: Object.keys(entries).filter((name) => !name.startsWith('x-')).map((name) => entry([...base, name], {
+                    label: name,
+                    kind: 'component',
+                    model: model ? name : undefined,
+                })).filter(Boolean),
+            });
+        })
+        .filter((group) => group && group.children.length);
+    if (kinds.length) {
+        const section = swagger2 ? null : entry(['components'], { label: 'Components', kind: 'section', children: kinds });
+        // Swagger 2.0 keeps each kind at the top level; group them all the same
+        add(section || {
+            id: '#definitions',
+            label: 'Definitions',
+            kind: 'section',
+            line: Math.min(...kinds.map((kind) => kind.line)),
+            endLine: Math.max(...kinds.map((kind) => kind.endLine)),
+            children: kinds,
+        });
+    }
+
+    return outline;
+}
+
+module.exports = { buildOutline };
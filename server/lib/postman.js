@@ -0,0 +1,290 @@
+/**
+ * Postman export.
+ * Converts a spec into a Postman Collection v2.1: a folder per tag, a
+ * request per operation with its path, query and header parameters, an
+ * example body and auth settings. The spec's servers become collection
+ * variables ({{baseUrl}}, {{baseUrl2}}, …) and credentials are left as
+ * variables to fill in. The document is expected to be dereferenced.
+ */
+
+const crypto = require('crypto');
+const { formatValue, parameterExample, parametersOf, bodyExample, acceptOf } = require('./request-examples');
+const { METHODS, isObject } = require('./util');
+
+const SCHEMA_URL = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const OAUTH2_GRANTS = {
+    authorizationCode: 'authorization_code',
+    accessCode: 'authorization_code',
+    implicit: 'implicit',
+    password: 'password_credentials',
+    clientCredentials: 'client_credentials',
+    application: 'client_credentials',
+};
+
+// Credential placeholders the auth settings refer to
+const CREDENTIAL_VARIABLES = ['username', 'password', 'bearerToken', 'apiKey', 'clientId', 'clientSecret', 'accessToken'];
+
+/**
+ * Servers as collection variables. Server variables ({port}) become
+ * variables of their own, referenced from the base URL.
+ */
+function serverVariables(spec) {
+    let servers;
+    if (spec.swagger !== undefined) {
+        const scheme = (Array.isArray(spec.schemes) && spec.schemes[0]) || 'https';
+        const basePath = spec.basePath || '';
+        servers = [{ url: spec.host ? `${scheme}://${spec.host}${basePath}` : basePath }];
+    } else {
+        servers = (Array.isArray(spec.servers) ? spec.servers : []).filter(isObject);
+        if (!servers.length) servers = [{ url: '' }];
+    }
+
+    const bases = [];
+    const variables = [];
+    servers.forEach((server, i) => {
+        let url = String(server.url || '').replace(/\/+$/, '');
+        Object.entries(isObject(server.variables) ? server.variables : {}).forEach(([name, variable]) => {
+            url = url.split(`{${name}}`).join(`{{${name}}}`);
+            if (variables.some((v) => v.key === name)) return;
+            const options = Array.isArray(variable?.enum) ? `One of: ${variable.enum.join(', ')}` : '';
+            variables.push({
+                key: name,
+                value: formatValue(variable?.default),
+                type: 'string',
+                description: [variable?.description, options].filter(Boolean).join('. '),
+            });
+        });
+        bases.push({
+            key: i === 0 ? 'baseUrl' : `baseUrl${i + 1}`,
+            value: url,
+            type: 'string',
+            description: server.description || '',
+        });
+    });
+    return [...bases, ...variables];
+}
+
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([key, value]) => ({ key, value, type: 'string' }));
+}
+
+/** Postman auth for one security scheme, or null if Postman cannot express it */
+function schemeAuth(scheme, scopes) {
+    if (!isObject(scheme)) return null;
+    const httpScheme = String(scheme.scheme || '').toLowerCase();
+
+    if (scheme.type === 'basic' || (scheme.type === 'http' && httpScheme === 'basic')) {
+        return { type: 'basic', basic: attributes({ username: '{{username}}', password: '{{password}}' }) };
+    }
+    if (scheme.type === 'http' && httpScheme === 'bearer') {
+        return { type: 'bearer', bearer: attributes({ token: '{{bearerToken}}' }) };
+    }
+    if (scheme.type === 'apiKey' && (scheme.in === 'header' || scheme.in === 'query')) {
+        return { type: 'apikey', apikey: attributes({ key: scheme.name, value: '{{apiKey}}', in: scheme.in }) };
+    }
+    if (scheme.type === 'oauth2') {
+        // Swagger 2.0 describes one flow inline; OpenAPI 3 lists them under `flows`
+        const [flowName, flow] = isObject(scheme.flows)
+            ? Object.entries(scheme.flows).find(([, f]) => isObject(f)) || []
+            : [scheme.flow, scheme];
+        return {
+            type: 'oauth2',
+            oauth2: attributes({
+                grant_type: OAUTH2_GRANTS[flowName],
+                authUrl: flow?.authorizationUrl,
+                accessTokenUrl: flow?.tokenUrl,
+                scope: (scopes || []).join(' '),
+                clientId: '{{clientId}}',
+                clientSecret: '{{clientSecret}}',
+                accessToken: '{{accessToken}}',
+                addTokenTo: 'header',
+            }),
+        };
+    }
+    if (scheme.type === 'openIdConnect') {
+        return {
+            type: 'oauth2',
+            oauth2: attributes({
+                grant_type: 'authorization_code',
+                scope: (scopes || []).join(' '),
+                clientId: '{{clientId}}',
+                clientSecret: '{{clientSecret}}',
+                accessToken: '{{accessToken}}',
+                addTokenTo: 'header',
+            }),
+        };
+    }
+    return null;
+}
+
+/**
+ * Postman auth for a security requirement list. Postman takes a single
+ * scheme per request, so the first one it can express wins.
+ * @returns {object|undefined} undefined when there is nothing to set
+ */
+function securityAuth(requirements, schemes) {
+    if (!Array.isArray(requirements)) return undefined;
+    if (!requirements.length) return { type: 'noauth' };
+    for (const requirement of requirements) {
+        if (!isObject(requirement)) continue;
+        for (const [name, scopes] of Object.entries(requirement)) {
+            const auth = schemeAuth(schemes[name], scopes);
+            if (auth) return auth;
+        }
+    }
+    return undefined;
+}
+
+function rawBody(type, example) {
+    const json = /[/+]json/i.test(type);
+    let raw = '';
+    if (example !== undefined) raw = json || typeof example !== 'string' ? JSON.stringify(example, null, 2) : example;
+    const language = json ? 'json' : /xml/i.test(type) ? 'xml' : 'text';
+    return { type, body: { mode: 'raw', raw, options: { raw: { language } } } };
+}
+
+function formBody(type, fields) {
+    if (/form-data/i.test(type)) {
+        return {
+            type,
+            body: {
+                mode: 'formdata',
+                formdata: fields.map((field) => (field.file
+                    ? { key: field.name, type: 'file', src: [], description: field.description || '' }
+                    : { key: field.name, value: formatValue(field.value), type: 'text', description: field.description || '' })),
+            },
+        };
+    }
+    return {
+        type,
+        body: {
+            mode: 'urlencoded',
+            urlencoded: fields.map((field) => ({ key: field.name, value: formatValue(field.value), description: field.description || '' })),
+        },
+    };
+}
+
+function buildItem(spec, route, method, pathItem, operation, schemes) {
+    const isV2 = spec.swagger !== undefined;
+    const parameters = parametersOf(pathItem, operation);
+    const byLocation = (location) => parameters.filter((param) => param.in === location);
+
+    const segments = route.split('/').filter(Boolean).map((segment) => segment.replace(/\{([^}]+)\}/g, ':$1'));
+    const query = byLocation('query').map((param) => ({
+        key: param.name,
+        value: formatValue(parameterExample(param, isV2)),
+        description: param.description || '',
+        // Optional parameters are included but switched off
+        ...(param.required ? {} : { disabled: true }),
+    }));
+    const enabledQuery = query.filter((q) => !q.disabled);
+    const raw = `{{baseUrl}}/${segments.join('/')}`
+        + (enabledQuery.length ? `?${enabledQuery.map((q) => `${q.key}=${q.value}`).join('&')}` : '');
+
+    const url = {
+        raw,
+        host: ['{{baseUrl}}'],
+        path: segments,
+        ...(query.length ? { query } : {}),
+    };
+    const pathVariables = byLocation('path').map((param) => ({
+        key: param.name,
+        value: formatValue(parameterExample(param, isV2)),
+        description: param.description || '',
+    }));
+    if (pathVariables.length) url.variable = pathVariables;
+
+    const header = byLocation('header')
+        .filter((param) => !/^(accept|content-type|authorization)$/i.test(param.name))
+        .map((param) => ({
+            key: param.name,
+            value: formatValue(parameterExample(param, isV2)),
+            description: param.description || '',
+            ...(param.required ? {} : { disabled: true }),
+        }));
+
+    const example = bodyExample(spec, operation, parameters);
+    let body = null;
+    if (example) body = example.fields ? formBody(example.type, example.fields) : rawBody(example.type, example.example);
+    // Postman adds the multipart boundary itself
+    if (body && body.body.mode !== 'formdata') header.push({ key: 'Content-Type', value: body.type });
+    const accept = acceptOf(spec, operation);
+    if (accept) header.push({ key: 'Accept', value: accept });
+
+    const request = {
+        method: method.toUpperCase(),
+        header,
+        url,
+        description: operation.description || operation.summary || '',
+    };
+    if (body) request.body = body.body;
+    const auth = securityAuth(operation.security, schemes);
+    if (auth) request.auth = auth;
+
+    return {
+        name: operation.summary || operation.operationId || `${method.toUpperCase()} ${route}`,
+        request,
+        response: [],
+    };
+}
+
+/**
+ * Build a Postman Collection v2.1 from a dereferenced spec.
+ * @param {object} spec
+ * @returns {object} the collection, ready for JSON.stringify
+ */
+function toPostmanCollection(spec) {
+    const isV2 = spec.swagger !== undefined;
+    const schemes = (isV2 ? spec.securityDefinitions : spec.components?.securitySchemes) || {};
+
+    // Folders follow the spec's tag order, then the order tags first appear
+    const folders = new Map();
+    (Array.isArray(spec.tags) ? spec.tags : []).forEach((tag) => {
+        if (isObject(tag) && tag.name) folders.set(tag.name, { name: tag.name, description: tag.description || '', item: [] });
+    });
+    const rootItems = [];
+
+    Object.entries(isObject(spec.paths) ? spec.paths : {}).forEach(([route, pathItem]) => {
+        if (!isObject(pathItem)) return;
+        METHODS.forEach((method) => {
+            const operation = pathItem[method];
+            if (!isObject(operation)) return;
+            const item = buildItem(spec, route, method, pathItem, operation, schemes);
+            const tag = Array.isArray(operation.tags) ? operation.tags[0] : undefined;
+            if (!tag) {
+                rootItems.push(item);
+                return;
+            }
+            if (!folders.has(tag)) folders.set(tag, { name: tag, description: '', item: [] });
+            folders.get(tag).item.push(item);
+        });
+    });
+
+    const collection = {
+        info: {
+            _postman_id: crypto.randomUUID(),
+            name: spec.info?.title || 'API',
+            description: spec.info?.description || '',
+            schema: SCHEMA_URL,
+            ...(spec.info?.version ? { version: String(spec.info.version) } : {}),
+        },
+        item: [...[...folders.values()].filter((folder) => folder.item.length), ...rootItems],
+    };
+    const auth = securityAuth(spec.security, schemes);
+    if (auth && auth.type !== 'noauth') collection.auth = auth;
+    collection.variable = serverVariables(spec);
+
+    // Credential placeholders used anywhere in the collection
+    const json = JSON.stringify(collection);
+    CREDENTIAL_VARIABLES.forEach((name) => {
+        if (json.includes(`{{${name}}}`) && !collection.variable.some((v) => v.key === name)) {
+            collection.variable.push({ key: name, value: '', type: 'string' });
+        }
+    });
+    return collection;
+}
+
+module.exports = { toPostmanCollection };
@@ -0,0 +1,64 @@
+/**
+ * Problem helpers shared by every checker (schema validation, linting, refs).
+ * A problem is a plain object:
+ *   { source, code, severity, message, path }
+ * where `path` is an array of segments into the parsed document. A checker
+ * may also attach an explicit `position` when the path cannot express it.
+ * `locateProblems` turns them into the wire format the editor consumes.
+ */
+
+const { formatPath } = require('./source-map');
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+function createProblem({ source, code = null, severity = 'error', message, path = [], position }) {
+    const problem = { source, code, severity: normaliseSeverity(severity), message, path };
+    if (position) problem.position = position;
+    return problem;
+}
+
+/** Whether normaliseSeverity knows a value: Spectral-style names ("warn", 0–3) or our own */
+function isSeverity(severity) {
+    if (typeof severity === 'number') return SEVERITIES[severity] !== undefined;
+    return severity === 'warn' || SEVERITIES.includes(severity);
+}
+
+/** Accept Spectral-style names ("warn", 0–3) as well as our own */
+function normaliseSeverity(severity) {
+    if (typeof severity === 'number') return SEVERITIES[severity] || 'error';
+    if (severity === 'warn') return 'warning';
+    return SEVERITIES.includes(severity) ? severity : 'error';
+}
+
+/**
+ * Attach positions and a printable path, then sort by position.
+ * @param {object[]} problems
+ * @param {{ locate: Function }} sourceMap
+ */
+function locateProblems(problems, sourceMap) {
+    return problems
+        .map(({ position, ...problem }) => ({
+            ...problem,
+            path: formatPath(problem.path),
+            ...(position || sourceMap.locate(problem.path)),
+        }))
+        .sort((a, b) => a.line - b.line || a.column - b.column
+            || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/** Count problems per severity */
+function summarise(problems) {
+    return SEVERITIES.reduce((acc, severity) => {
+        acc[severity] = problems.filter((p) => p.severity === severity).length;
+        return acc;
+    }, {});
+}
+
+module.exports = {
+    SEVERITIES,
+    createProblem,
+    isSeverity,
+    normaliseSeverity,
+    locateProblems,
+    summarise,
+};
@@ -0,0 +1,199 @@
+/**
+ * Proxy helpers.
+ * Everything /api/proxy does to bytes and headers besides moving them:
+ * which request headers go upstream and which response headers reach the
+ * browser, how a JSON envelope body is
+ * encoded (JSON, URL-encoded form or multipart), and how captured bodies
+ * are decoded when an exchange is checked against a spec.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { isObject } = require('./util');
+
+// Connection-level headers; they describe one hop and are never forwarded
+const HOP_BY_HOP_HEADERS = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade',
+];
+
+// Request headers that stay with the editor: the page's origin and cookies,
+// instructions for the proxy itself, and the length it sets on its own
+const EDITOR_REQUEST_HEADERS = [
+    'host', 'origin', 'referer', 'cookie', 'content-length', 'x-validate-spec', 'x-oauth-grant',
+];
+
+/** Match header names against names and prefixes ("x-ratelimit-*", "*") */
+function headerMatcher(patterns) {
+    const lower = patterns.map((pattern) => pattern.toLowerCase());
+    return (name) => lower.some((pattern) => (pattern.endsWith('*')
+        ? name.startsWith(pattern.slice(0, -1))
+        : name === pattern));
+}
+
+/**
+ * Response headers to pass back to the browser.
+ * @param {object} headers – upstream headers (lower-case names)
+ * @param {{ forward: string[], block: string[] }} policy
+ *   forward lists what may pass ("*" for everything), block what never does
+ * @returns {object}
+ */
+function filterResponseHeaders(headers, policy) {
+    const forwarded = headerMatcher(policy.forward);
+    const blocked = headerMatcher([...HOP_BY_HOP_HEADERS, ...policy.block]);
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value !== undefined && forwarded(name) && !blocked(name)) result[name] = value;
+    });
+    return result;
+}
+
+/**
+ * Request headers to send upstream with a streamed request: everything the
+ * browser sent (API keys and other `in: header` parameters included) but
+ * hop-by-hop headers, those the Connection header names, and the editor's own.
+ * @param {object} headers – incoming headers (lower-case names)
+ * @returns {object}
+ */
+function filterRequestHeaders(headers) {
+    const named = String(headers.connection || '').split(',').map((name) => name.trim()).filter(Boolean);
+    const blocked = headerMatcher([...HOP_BY_HOP_HEADERS, ...EDITOR_REQUEST_HEADERS, ...named]);
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value !== undefined && !blocked(name)) result[name] = value;
+    });
+    return result;
+}
+
+/** Whether a media type carries text (JSON, XML, forms, text/*) */
+function isTextType(contentType = '') {
+    return /^text\/|[/+](json|xml)\b|x-www-form-urlencoded|javascript|yaml/i.test(contentType);
+}
+
+/** A form value as a string (objects as JSON) */
+function fieldText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/** Fields of a form object as [name, value] pairs; arrays repeat the name */
+function fieldEntries(body) {
+    return Object.entries(body).flatMap(([name, value]) => (Array.isArray(value)
+        ? value.map((item) => [name, item])
+        : [[name, value]]));
+}
+
+/** A file field in a multipart envelope body */
+function isFileField(value) {
+    return isObject(value) && typeof value.filename === 'string' && value.content !== undefined;
+}
+
+/** Quote a name for a Content-Disposition parameter */
+function dispositionValue(text) {
+    return `"${String(text).replace(/[\r\n]/g, ' ').replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Encode form fields as multipart/form-data.
+ * File fields are { filename, content, contentType?, encoding?: 'base64' }.
+ * @returns {{ payload: Buffer, boundary: string }}
+ */
+function encodeMultipart(body) {
+    const boundary = `----SwaggerEditorProxy${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [];
+    fieldEntries(body).forEach(([name, value]) => {
+        let head = `--${boundary}\r\nContent-Disposition: form-data; name=${dispositionValue(name)}`;
+        let content;
+        if (isFileField(value)) {
+            head += `; filename=${dispositionValue(value.filename)}\r\nContent-Type: ${String(value.contentType || 'application/octet-stream').replace(/[\r\n]/g, '')}`;
+            content = Buffer.from(String(value.content), value.encoding === 'base64' ? 'base64' : 'utf-8');
+        } else {
+            content = Buffer.from(fieldText(value), 'utf-8');
+        }
+        parts.push(Buffer.from(`${head}\r\n\r\n`, 'utf-8'), content, Buffer.from('\r\n'));
+    });
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    return { payload: Buffer.concat(parts), boundary };
+}
+
+/**
+ * Encode the body of a JSON envelope ({ url, method, headers, body }).
+ * Strings are sent as they are, base64 strings decoded when
+ * `encoding` is "base64"; objects become a URL-encoded form, multipart
+ * form data or JSON, depending on the content type.
+ * @param {any} body
+ * @param {string} [contentType]
+ * @param {string} [encoding]
+ * @returns {{ payload: Buffer, contentType?: string }}
+ *   contentType is set when it changed (a multipart boundary was added)
+ */
+function encodeEnvelopeBody(body, contentType = '', encoding) {
+    if (typeof body === 'string') return { payload: Buffer.from(body, encoding === 'base64' ? 'base64' : 'utf-8') };
+    if (/x-www-form-urlencoded/i.test(contentType) && isObject(body)) {
+        const form = new URLSearchParams();
+        fieldEntries(body).forEach(([name, value]) => form.append(name, fieldText(value)));
+        return { payload: Buffer.from(form.toString(), 'utf-8') };
+    }
+    if (/multipart\/form-data/i.test(contentType) && isObject(body)) {
+        const { payload, boundary } = encodeMultipart(body);
+        return { payload, contentType: `multipart/form-data; boundary=${boundary}` };
+    }
+    return { payload: Buffer.from(JSON.stringify(body), 'utf-8') };
+}
+
+/** Field names and values of a multipart body; files are given by file name */
+function parseMultipart(buffer, contentType) {
+    const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1];
+    if (!boundary) return {};
+    const fields = {};
+    buffer.toString('latin1').split(`--${boundary}`).slice(1, -1).forEach((part) => {
+        const end = part.indexOf('\r\n\r\n');
+        if (end === -1) return;
+        const head = part.slice(0, end);
+        const name = /name="([^"]*)"/i.exec(head)?.[1];
+        if (name === undefined) return;
+        const filename = /filename="([^"]*)"/i.exec(head)?.[1];
+        const value = filename ?? Buffer.from(part.slice(end + 4, -2), 'latin1').toString('utf-8');
+        fields[name] = name in fields ? [].concat(fields[name], value) : value;
+    });
+    return fields;
+}
+
+/**
+ * A captured request or response body as contract validation expects it:
+ * text as a string, forms as objects, anything else as raw bytes.
+ * Compressed bodies (Content-Encoding) are decompressed first.
+ * @param {Buffer} buffer
+ * @param {object} headers – lower-case names
+ * @returns {string|object|Buffer|undefined} undefined for an empty body
+ */
+function decodeBody(buffer, headers) {
+    if (!buffer.length) return undefined;
+    let data = buffer;
+    try {
+        const encoding = String(headers['content-encoding'] || '').toLowerCase();
+        if (encoding === 'gzip' || encoding === 'x-gzip') data = zlib.gunzipSync(buffer);
+        else if (encoding === 'deflate') data = zlib.inflateSync(buffer);
+        else if (encoding === 'br') data = zlib.brotliDecompressSync(buffer);
+    } catch {
+        return buffer;
+    }
+
+    const contentType = String(headers['content-type'] || '');
+    if (/x-www-form-urlencoded/i.test(contentType)) {
+        const form = {};
+        new URLSearchParams(data.toString('utf-8')).forEach((value, name) => {
+            form[name] = name in form ? [].concat(form[name], value) : value;
+        });
+        return form;
+    }
+    if (/multipart\/form-data/i.test(contentType)) return parseMultipart(data, contentType);
+    return isTextType(contentType) ? data.toString('utf-8') : data;
+}
+
+module.exports = {
+    filterRequestHeaders,
+    filterResponseHeaders,
+    encodeEnvelopeBody,
+    decodeBody,
+};
@@ -0,0 +1,63 @@
+/**
+ * Structural queries.
+ * Evaluates a JSONPath expression against the editor document and returns
+ * where each matching node sits in the source, for the search bar's
+ * JSONPath mode.
+ */
+
+const { JSONPath } = require('jsonpath-plus');
+const { createSourceMap, pointerToPath, formatPath } = require('./source-map');
+const { HttpError } = require('./http-error');
+
+const MAX_MATCHES = 10000;
+
+class QueryError extends HttpError {}
+
+/**
+ * @param {string} source – raw YAML/JSON text from the editor
+ * @param {string} expression – JSONPath, e.g. $.paths[*][*].operationId
+ * @returns {{ matches: Array<{ path, pointer, line, column, endLine, endColumn }>, truncated: boolean }}
+ *   Positions are 1-based and cover a node from its key to the end of its value.
+ * @throws {QueryError}
+ */
+function queryDocument(source, expression) {
+    const sourceMap = createSourceMap(source);
+    if (sourceMap.errors.length) throw new QueryError('Fix the syntax errors in the document first', 422);
+
+    let results;
+    try {
+        results = JSONPath({ path: expression, json: sourceMap.value ?? null, resultType: 'all', wrap: true }) || [];
+    } catch (err) {
+        throw new QueryError(`Invalid JSONPath: ${err.message}`);
+    }
+
+    const matches = [];
+    let truncated = false;
+    for (const result of results) {
+        if (matches.length >= MAX_MATCHES) {
+            truncated = true;
+            break;
+        }
+        const path = pointerToPath(result.pointer, sourceMap.value);
+        const ranges = sourceMap.ranges(path);
+        if (!ranges) continue;
+        const start = ranges.key ? ranges.key[0] : ranges.value?.[0];
+        const end = ranges.value ? ranges.value[1] : ranges.key?.[1];
+        if (start === undefined || end === undefined) continue;
+
+        // Block values end after their newline; stop at the last character
+        const startPos = sourceMap.position(start);
+        const endPos = sourceMap.position(source[end - 1] === '\n' ? end - 1 : end);
+        matches.push({
+            path: formatPath(path),
+            pointer: result.pointer,
+            line: startPos.line,
+            column: startPos.column,
+            endLine: endPos.line,
+            endColumn: endPos.column,
+        });
+    }
+    return { matches, truncated };
+}
+
+module.exports = { QueryError, queryDocument };
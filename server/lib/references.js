@@ -0,0 +1,367 @@
+/**
+ * Component references across the workspace.
+ * Backs the editor's go-to-definition, find-references and rename: finds
+ * the component under the cursor, every place that points at it – $refs,
+ * discriminator mappings and security requirements – in the editor
+ * document and the workspace files, and the text edits that rename it
+ * everywhere at once.
+ *
+ * Open documents are read from what the editor sends, so unsaved edits
+ * count; every other file is read from the workspace.
+ */
+
+const path = require('path');
+const { createSourceMap, pointerToPath } = require('./source-map');
+const { parseRef, isRemoteRef, collectRefs } = require('./refs');
+const { HttpError } = require('./http-error');
+const { METHODS } = require('./util');
+
+// Component names OpenAPI 3 allows; Swagger 2.0 is looser but these are safe
+const COMPONENT_NAME = /^[A-Za-z0-9._-]+$/;
+const SWAGGER2_SECTIONS = ['definitions', 'parameters', 'responses', 'securityDefinitions'];
+
+class SymbolError extends HttpError {}
+
+/** The component a path lies in: ['components', 'schemas', 'Pet'] or ['definitions', 'Pet'] */
+function componentPath(segments) {
+    if (segments[0] === 'components' && segments.length >= 3) return segments.slice(0, 3).map(String);
+    if (SWAGGER2_SECTIONS.includes(segments[0]) && segments.length >= 2) return segments.slice(0, 2).map(String);
+    return null;
+}
+
+function startsWith(inner, outer) {
+    return outer.length <= inner.length && outer.every((segment, i) => String(segment) === String(inner[i]));
+}
+
+/** Find every discriminator mapping value (OpenAPI 3) */
+function collectMappings(node, nodePath = [], out = []) {
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => collectMappings(item, [...nodePath, index], out));
+    } else if (node && typeof node === 'object') {
+        const mapping = node.discriminator && node.discriminator.mapping;
+        if (mapping && typeof mapping === 'object') {
+            Object.entries(mapping).forEach(([key, value]) => {
+                if (typeof value === 'string') out.push({ value, path: [...nodePath, 'discriminator', 'mapping', key] });
+            });
+        }
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === 'example' || key === 'examples' || key.startsWith('x-')) return;
+            collectMappings(value, [...nodePath, key], out);
+        });
+    }
+    return out;
+}
+
+/** Security requirement lists: the document's and every operation's */
+function securityRequirementPaths(spec) {
+    const lists = [];
+    if (Array.isArray(spec.security)) lists.push(['security']);
+    Object.entries(spec.paths || {}).forEach(([name, item]) => {
+        if (!item || typeof item !== 'object') return;
+        METHODS.forEach((method) => {
+            if (Array.isArray(item[method]?.security)) lists.push(['paths', name, method, 'security']);
+        });
+    });
+    return lists;
+}
+
+/** Rename the segment at `depth` of a ref's JSON pointer, keeping the rest as written */
+function renameInRef(ref, depth, name) {
+    const hash = ref.indexOf('#');
+    const segments = ref.slice(hash + 1).split('/');
+    segments[depth] = name;
+    return `${ref.slice(0, hash + 1)}${segments.join('/')}`;
+}
+
+/** Write `value` in place of a scalar's source text, keeping its quoting */
+function requote(raw, oldValue, value) {
+    if (raw.includes(oldValue)) return raw.replace(oldValue, () => value);
+    return JSON.stringify(value);
+}
+
+/**
+ * Apply text edits ({ start, end, newText } offsets) to a string.
+ * @param {string} content
+ * @param {Array<{ start: number, end: number, newText: string }>} edits
+ */
+function applyEdits(content, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((text, edit) => text.slice(0, edit.start) + edit.newText + text.slice(edit.end), content);
+}
+
+/**
+ * @param {object} options
+ * @param {{ path: string|null, content: string }} options.active – the editor document;
+ *   path is its workspace path, null when it has never been saved
+ * @param {Array<{ path: string, content: string }>} [options.documents] – other open documents
+ * @param {object} [options.workspace] – store from createWorkspace(); without it only open
+ *   documents are searched
+ */
+function createReferenceIndex({ active, documents = [], workspace = null }) {
+    // Keyed by workspace path; '' is an editor document that has never been saved
+    const files = new Map();
+    const activeKey = active.path || '';
+    const skipped = new Set();
+
+    files.set(activeKey, { key: activeKey, content: active.content, version: null, open: true });
+    documents.forEach((doc) => {
+        if (doc && typeof doc.path === 'string' && typeof doc.content === 'string' && !files.has(doc.path)) {
+            files.set(doc.path, { key: doc.path, content: doc.content, version: null, open: true });
+        }
+    });
+
+    /** A file with its source map, or null when it cannot be read or parsed */
+    function file(key) {
+        if (!files.has(key)) {
+            let entry = null;
+            if (workspace && key) {
+                try {
+                    const { content, version } = workspace.read(key);
+                    entry = { key, content, version, open: false };
+                } catch {
+                    entry = null;
+                }
+            }
+            files.set(key, entry);
+        }
+        const entry = files.get(key);
+        if (!entry) return null;
+        if (!entry.map) entry.map = createSourceMap(entry.content);
+        if (entry.map.errors.length || !entry.map.value || typeof entry.map.value !== 'object') {
+            if (key !== activeKey) skipped.add(key);
+            return null;
+        }
+        return entry;
+    }
+
+    function activeFile() {
+        const entry = file(activeKey);
+        if (!entry) throw new SymbolError('Fix the syntax errors in the document first', 422);
+        return entry;
+    }
+
+    /** Workspace file and path a ref written in `fromKey` points at; null for remote refs */
+    function refTarget(fromKey, ref) {
+        if (isRemoteRef(ref)) return null;
+        const { file: refFile, pointer } = parseRef(ref);
+        if (pointer && !pointer.startsWith('/')) return null;
+        let key = fromKey;
+        if (refFile) {
+            let decoded;
+            try {
+                decoded = decodeURI(refFile);
+            } catch {
+                decoded = refFile;
+            }
+            key = path.posix.normalize(path.posix.join(path.posix.dirname(fromKey || 'root'), decoded));
+            if (key.startsWith('..') || path.posix.isAbsolute(key)) return null;
+        }
+        return { key, path: pointerToPath(pointer) };
+    }
+
+    /**
+     * Everything in a file that points somewhere: $refs, discriminator
+     * mapping values and security requirement names.
+     * @returns {Array<{ kind, value, start, end, from, target: { key, path } }>}
+     */
+    function usagesIn(key) {
+        const entry = file(key);
+        if (!entry) return [];
+        if (entry.usages) return entry.usages;
+        const spec = entry.map.value;
+        const usages = [];
+        // `from` is where the usage starts for the cursor – a $ref's key counts too
+        const add = (kind, value, range, target, from = range?.[0]) => {
+            if (range && target) usages.push({ kind, value, start: range[0], end: range[1], from, target });
+        };
+
+        collectRefs(spec).forEach(({ ref, path: refPath }) => {
+            const ranges = entry.map.ranges(refPath);
+            add('ref', ref, ranges?.value, refTarget(key, ref), ranges?.key?.[0]);
+        });
+
+        collectMappings(spec).forEach(({ value, path: mappingPath }) => {
+            // Bare names are schema names; anything else is a ref
+            const target = /[#/]/.test(value) ? refTarget(key, value) : { key, path: ['components', 'schemas', value] };
+            add('mapping', value, entry.map.ranges(mappingPath)?.value, target);
+        });
+
+        const schemes = spec.swagger !== undefined ? ['securityDefinitions'] : ['components', 'securitySchemes'];
+        securityRequirementPaths(spec).forEach((listPath) => {
+            const list = listPath.reduce((node, segment) => node[segment], spec);
+            list.forEach((requirement, index) => {
+                if (!requirement || typeof requirement !== 'object') return;
+                Object.keys(requirement).forEach((name) => {
+                    add('security', name, entry.map.ranges([...listPath, index, name])?.key, { key, path: [...schemes, name] });
+                });
+            });
+        });
+
+        entry.usages = usages;
+        return usages;
+    }
+
+    function offsetOf(content, line, column) {
+        let offset = 0;
+        for (let i = 1; i < line; i++) {
+            const next = content.indexOf('\n', offset);
+            if (next === -1) return content.length;
+            offset = next + 1;
+        }
+        return offset + column - 1;
+    }
+
+    function usageAt(line, column) {
+        const entry = activeFile();
+        const offset = offsetOf(entry.content, line, column);
+        return usagesIn(activeKey).find((usage) => usage.from <= offset && offset <= usage.end) || null;
+    }
+
+    function describe(key, range, kind) {
+        const entry = files.get(key);
+        const start = entry.map.position(range[0]);
+        const end = entry.map.position(range[1]);
+        const lineStart = entry.content.lastIndexOf('\n', range[0] - 1) + 1;
+        const lineEnd = entry.content.indexOf('\n', range[0]);
+        return {
+            path: key || null,
+            kind,
+            line: start.line,
+            column: start.column,
+            endLine: end.line,
+            endColumn: end.column,
+            lineText: entry.content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd),
+        };
+    }
+
+    /**
+     * Where the $ref (or mapping, or security requirement) at a 1-based
+     * line and column of the editor document points.
+     */
+    function definitionAt(line, column) {
+        const usage = usageAt(line, column);
+        if (!usage) throw new SymbolError('There is no reference at the cursor', 404);
+        const target = file(usage.target.key);
+        if (!target) throw new SymbolError(`Cannot read "${usage.target.key}"`, 404);
+        const range = target.map.ranges(usage.target.path);
+        if (!range) throw new SymbolError(`"${usage.value}" does not exist`, 404);
+        return { ref: usage.value, ...describe(target.key, range.key || range.value, 'definition') };
+    }
+
+    /** The component at a 1-based line and column: its own key, or a reference to it */
+    function symbolAt(line, column) {
+        const usage = usageAt(line, column);
+        let symbol = null;
+        if (usage) {
+            const component = componentPath(usage.target.path);
+            if (component) symbol = { key: usage.target.key, path: component };
+        } else {
+            const entry = activeFile();
+            const offset = offsetOf(entry.content, line, column);
+            const spec = entry.map.value;
+            const sections = spec.swagger !== undefined
+                ? SWAGGER2_SECTIONS.map((section) => [section])
+                : Object.keys(spec.components || {}).map((section) => ['components', section]);
+            sections.forEach((section) => {
+                const entries = section.reduce((node, segment) => node?.[segment], spec);
+                if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return;
+                Object.keys(entries).forEach((name) => {
+                    const range = entry.map.ranges([...section, name])?.key;
+                    if (range && range[0] <= offset && offset <= range[1]) symbol = { key: activeKey, path: [...section, name] };
+                });
+            });
+        }
+        if (!symbol) throw new SymbolError('Put the cursor on a component name or on a reference to one', 404);
+
+        const target = file(symbol.key);
+        const range = target && target.map.ranges(symbol.path);
+        if (!range || !range.key) throw new SymbolError(`Component "${symbol.path.join('/')}" does not exist`, 404);
+        return {
+            ...symbol,
+            name: symbol.path[symbol.path.length - 1],
+            section: symbol.path[symbol.path.length - 2],
+            definition: describe(symbol.key, range.key, 'definition'),
+        };
+    }
+
+    /** Every file that might point at something: open documents and the workspace */
+    function allKeys() {
+        const keys = new Set(files.keys());
+        if (workspace) workspace.list().forEach((spec) => keys.add(spec.path));
+        return [...keys].sort();
+    }
+
+    /** Usages of a component (or of anything inside it), file by file */
+    function usagesOf(symbol) {
+        return allKeys().flatMap((key) => usagesIn(key)
+            .filter((usage) => usage.target.key === symbol.key && startsWith(usage.target.path, symbol.path))
+            .map((usage) => ({ key, usage })));
+    }
+
+    /** Everywhere a component (from symbolAt) is used */
+    function findReferences(symbol) {
+        const references = usagesOf(symbol).map(({ key, usage }) => ({
+            ...describe(key, [usage.start, usage.end], usage.kind),
+            value: usage.value,
+        }));
+        return { references, skipped: [...skipped] };
+    }
+
+    /**
+     * The edits that rename a component and everything pointing at it.
+     * @returns {{ references: number, files: Array<{ path, version, open, edits }>, skipped: string[] }}
+     *   edits carry offsets (start, end) and positions; version is the
+     *   workspace version of files that are not open
+     */
+    function planRename(symbol, newName) {
+        if (typeof newName !== 'string' || !COMPONENT_NAME.test(newName)) {
+            throw new SymbolError('Component names may only contain letters, digits, ".", "-" and "_"');
+        }
+        if (newName === symbol.name) throw new SymbolError(`The component is already called "${newName}"`);
+        const owner = file(symbol.key);
+        const siblings = symbol.path.slice(0, -1).reduce((node, segment) => node?.[segment], owner.map.value);
+        if (siblings && Object.prototype.hasOwnProperty.call(siblings, newName)) {
+            throw new SymbolError(`"${newName}" already exists in ${symbol.section}`, 409);
+        }
+
+        const byFile = new Map();
+        const addEdit = (key, start, end, oldText, newText) => {
+            if (!byFile.has(key)) byFile.set(key, new Map());
+            byFile.get(key).set(start, { ...describe(key, [start, end], 'edit'), start, end, oldText, newText });
+        };
+        const rawOf = (key, start, end) => files.get(key).content.slice(start, end);
+
+        const definition = owner.map.ranges(symbol.path).key;
+        addEdit(symbol.key, definition[0], definition[1], rawOf(symbol.key, ...definition), requote(rawOf(symbol.key, ...definition), symbol.name, newName));
+
+        const usages = usagesOf(symbol);
+        usages.forEach(({ key, usage }) => {
+            const raw = rawOf(key, usage.start, usage.end);
+            const renamed = usage.kind === 'security' || (usage.kind === 'mapping' && usage.value === symbol.name)
+                ? newName
+                : renameInRef(usage.value, symbol.path.length, newName);
+            addEdit(key, usage.start, usage.end, raw, requote(raw, usage.value, renamed));
+        });
+
+        return {
+            references: usages.length,
+            files: [...byFile.entries()].map(([key, edits]) => ({
+                path: key || null,
+                version: files.get(key).version,
+                open: files.get(key).open,
+                edits: [...edits.values()].sort((a, b) => a.start - b.start),
+            })),
+            skipped: [...skipped],
+        };
+    }
+
+    /** Current text of a file the index has read */
+    function contentOf(key) {
+        return files.get(key || '')?.content ?? null;
+    }
+
+    return { definitionAt, symbolAt, findReferences, planRename, contentOf };
+}
+
+module.exports = { SymbolError, createReferenceIndex, applyEdits };
@@ -0,0 +1,394 @@
+/**
+ * $ref integrity checks.
+ * Resolves every $ref in the editor document – local ("#/components/...")
+ * and relative external ones ("./schemas/pet.yaml#/Pet") read from the
+ * workspace directory – and reports unresolved refs, circular refs and
+ * components that nothing refers to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createProblem } = require('./problems');
+const { pointerToPath } = require('./source-map');
+
+const ROOT = '#root';
+
+// Component sections whose entries are only ever used through $ref
+const COMPONENT_SECTIONS = {
+    '3': ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'links', 'callbacks', 'pathItems'],
+    '2': ['definitions', 'parameters', 'responses'],
+};
+
+/** Split "file.yaml#/a/b" into its file and JSON pointer parts */
+function parseRef(ref) {
+    const hash = ref.indexOf('#');
+    return {
+        file: hash === -1 ? ref : ref.slice(0, hash),
+        pointer: hash === -1 ? '' : ref.slice(hash + 1),
+    };
+}
+
+function isRemoteRef(ref) {
+    return /^[a-z][a-z\d+.-]*:/i.test(ref) || ref.startsWith('//');
+}
+
+/**
+ * Find every $ref in a document.
+ * Example values and vendor extensions are free-form and are skipped.
+ * @returns {Array<{ ref: string, path: Array<string|number>, owner: Array<string|number> }>}
+ */
+function collectRefs(node, nodePath = [], out = []) {
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => collectRefs(item, [...nodePath, index], out));
+    } else if (node && typeof node === 'object') {
+        if (typeof node.$ref === 'string') out.push({ ref: node.$ref, path: [...nodePath, '$ref'], owner: nodePath });
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === '$ref' || key === 'example' || key.startsWith('x-')) return;
+            collectRefs(value, [...nodePath, key], out);
+        });
+    }
+    return out;
+}
+
+function hasSegment(node, segment) {
+    if (Array.isArray(node)) return /^(0|[1-9]\d*)$/.test(segment) && Number(segment) < node.length;
+    return Object.prototype.hasOwnProperty.call(node, segment);
+}
+
+function walk(root, segments) {
+    let node = root;
+    for (const segment of segments) {
+        if (!node || typeof node !== 'object' || !hasSegment(node, String(segment))) return { found: false };
+        node = node[segment];
+    }
+    return { found: true, value: node };
+}
+
+function isWithin(inner, outer) {
+    return outer.length <= inner.length && outer.every((segment, i) => String(segment) === String(inner[i]));
+}
+
+/**
+ * Create a resolver that follows refs between the editor document and
+ * files in the workspace. Loaded files are cached for one analysis run.
+ * @param {object} spec – the parsed editor document
+ * @param {{ workspaceDir: string, baseDir?: string }} options
+ *   baseDir is the document's directory, relative to the workspace
+ */
+function createResolver(spec, { workspaceDir, baseDir = '' }) {
+    const root = path.resolve(workspaceDir);
+    const files = new Map([[ROOT, { value: spec, refs: collectRefs(spec), dir: path.resolve(root, baseDir) }]]);
+
+    function load(file) {
+        if (files.has(file)) return files.get(file);
+        let entry;
+        try {
+            const value = YAML.parse(fs.readFileSync(file, 'utf-8'));
+            entry = { value, refs: collectRefs(value), dir: path.dirname(file) };
+        } catch (err) {
+            entry = { error: err.code === 'ENOENT' ? 'file not found' : err.message.split('\n')[0] };
+        }
+        files.set(file, entry);
+        return entry;
+    }
+
+    /**
+     * Resolve a ref found in `fromFile`.
+     * @returns {{ file?: string, path?: Array, value?: any, remote?: boolean, error?: string }}
+     */
+    function resolve(fromFile, ref) {
+        if (isRemoteRef(ref)) return { remote: true };
+        const { file, pointer } = parseRef(ref);
+
+        let target = fromFile;
+        if (file) {
+            let decoded;
+            try {
+                decoded = decodeURI(file);
+            } catch {
+                decoded = file;
+            }
+            const absolute = path.resolve(files.get(fromFile).dir, decoded);
+            if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+                return { error: `"${file}" is outside the workspace` };
+            }
+            const loaded = load(absolute);
+            if (loaded.error) return { error: `cannot read "${file}": ${loaded.error}` };
+            target = absolute;
+        }
+
+        if (pointer && !pointer.startsWith('/')) return { error: `"#${pointer}" is not a JSON pointer` };
+        const segments = pointerToPath(pointer);
+        const found = walk(files.get(target).value, segments);
+        if (!found.found) return { error: file ? `"#${pointer}" does not exist in "${file}"` : 'target does not exist' };
+        return { file: target, path: segments, value: found.value };
+    }
+
+    return { files, resolve };
+}
+
+/**
+ * Replace every resolvable $ref with the object it points to. Shared
+ * targets keep one identity, so circular schemas become circular objects
+ * instead of recursing forever. Unresolvable refs are left as-is.
+ * @param {object} spec
+ * @param {{ workspaceDir: string, baseDir?: string }} options
+ */
+function dereference(spec, options) {
+    if (!spec || typeof spec !== 'object') return spec;
+    const { resolve } = createResolver(spec, options);
+    const built = new Map();
+
+    /** Follow ref → ref chains to the first non-ref target */
+    function follow(fromFile, ref) {
+        const seen = new Set();
+        let target = resolve(fromFile, ref);
+        while (!target.error && !target.remote && target.value && typeof target.value.$ref === 'string') {
+            const key = `${target.file}\u0000${target.path.join('\u0000')}`;
+            if (seen.has(key)) return { error: 'circular' };
+            seen.add(key);
+            target = resolve(target.file, target.value.$ref);
+        }
+        return target;
+    }
+
+    function build(node, file) {
+        if (Array.isArray(node)) return node.map((item) => build(item, file));
+        if (!node || typeof node !== 'object') return node;
+
+        if (typeof node.$ref === 'string') {
+            const target = follow(file, node.$ref);
+            if (target.error || target.remote) return node;
+            if (!target.value || typeof target.value !== 'object') return target.value;
+
+            const key = `${target.file}\u0000${target.path.join('\u0000')}`;
+            if (built.has(key)) return built.get(key);
+            const copy = Array.isArray(target.value) ? [] : {};
+            built.set(key, copy);
+            Object.assign(copy, build(target.value, target.file));
+            return copy;
+        }
+
+        const copy = {};
+        Object.entries(node).forEach(([key, value]) => {
+            copy[key] = key === 'example' || key.startsWith('x-') ? value : build(value, file);
+        });
+        return copy;
+    }
+
+    return build(spec, ROOT);
+}
+
+/**
+ * Replace every external (workspace file) $ref with a copy of its target,
+ * keeping local refs, so the document stands on its own. Targets that are
+ * circular or cannot be read stay refs and are listed in `unresolved`.
+ * @param {object} spec
+ * @param {{ workspaceDir: string, baseDir?: string }} options
+ * @returns {{ spec: object, unresolved: string[] }}
+ */
+function inlineExternalRefs(spec, options) {
+    if (!spec || typeof spec !== 'object') return { spec, unresolved: [] };
+    const { files, resolve } = createResolver(spec, options);
+    const root = path.resolve(options.workspaceDir);
+    const dereferenced = new Map();
+    const unresolved = new Set();
+
+    /** The whole file dereferenced once, so its own local refs resolve too */
+    function dereferencedFile(file) {
+        if (!dereferenced.has(file)) {
+            dereferenced.set(file, dereference(files.get(file).value, {
+                workspaceDir: root,
+                baseDir: path.relative(root, path.dirname(file)),
+            }));
+        }
+        return dereferenced.get(file);
+    }
+
+    function build(node) {
+        if (Array.isArray(node)) return node.map(build);
+        if (!node || typeof node !== 'object') return node;
+
+        if (typeof node.$ref === 'string' && parseRef(node.$ref).file && !isRemoteRef(node.$ref)) {
+            const target = resolve(ROOT, node.$ref);
+            if (target.error) {
+                unresolved.add(node.$ref);
+                return node;
+            }
+            const found = walk(dereferencedFile(target.file), target.path);
+            try {
+                // Circular targets cannot be written out without refs
+                return JSON.parse(JSON.stringify(found.value));
+            } catch {
+                unresolved.add(node.$ref);
+                return node;
+            }
+        }
+
+        const copy = {};
+        Object.entries(node).forEach(([key, value]) => {
+            copy[key] = key === 'example' || key.startsWith('x-') ? value : build(value);
+        });
+        return copy;
+    }
+
+    return { spec: build(spec), unresolved: [...unresolved] };
+}
+
+/**
+ * Check every $ref in the document.
+ * @param {object} spec
+ * @param {{ workspaceDir: string, baseDir?: string }} options
+ * @returns {object[]} problems (without positions)
+ */
+function checkRefs(spec, options) {
+    if (!spec || typeof spec !== 'object') return [];
+
+    const { files, resolve } = createResolver(spec, options);
+    const problems = [];
+    const resolved = [];
+
+    files.get(ROOT).refs.forEach((entry) => {
+        const target = resolve(ROOT, entry.ref);
+        if (target.remote) return;
+        if (target.error) {
+            problems.push(createProblem({
+                source: 'refs',
+                code: 'unresolved-ref',
+                severity: 'error',
+                message: `Unresolved reference "${entry.ref}": ${target.error}.`,
+                path: entry.path,
+            }));
+            return;
+        }
+        resolved.push({ ...entry, target });
+    });
+
+    resolved.forEach((entry) => {
+        if (leadsBackTo(entry, resolve, files)) {
+            problems.push(createProblem({
+                source: 'refs',
+                code: 'circular-ref',
+                severity: 'warning',
+                message: `Circular reference "${entry.ref}" – following it leads back here.`,
+                path: entry.path,
+            }));
+        }
+    });
+
+    problems.push(...findUnusedComponents(spec, resolved));
+    return problems;
+}
+
+/**
+ * True when following a ref eventually reaches a target that contains the
+ * ref itself (e.g. Pet.children.items → Pet, or A → B → A).
+ */
+function leadsBackTo(entry, resolve, files) {
+    const visited = new Set();
+    const stack = [entry.target];
+
+    while (stack.length) {
+        const target = stack.pop();
+        if (target.file === ROOT && isWithin(entry.owner, target.path)) return true;
+
+        const key = `${target.file}\u0000${target.path.join('\u0000')}`;
+        if (visited.has(key)) continue;
+        visited.add(key);
+
+        files.get(target.file).refs
+            .filter((ref) => isWithin(ref.owner, target.path))
+            .forEach((ref) => {
+                const next = resolve(target.file, ref.ref);
+                if (!next.error && !next.remote) stack.push(next);
+            });
+    }
+    return false;
+}
+
+/** Report components that no $ref (or security requirement) uses */
+function findUnusedComponents(spec, resolved) {
+    const isV2 = spec.swagger !== undefined;
+    const container = isV2 ? spec : spec.components;
+    if (!container || typeof container !== 'object') return [];
+
+    const prefix = isV2 ? [] : ['components'];
+    const localTargets = resolved
+        .filter((entry) => entry.target.file === ROOT)
+        .map((entry) => ({ target: entry.target.path, owner: entry.owner }));
+
+    const problems = [];
+    COMPONENT_SECTIONS[isV2 ? '2' : '3'].forEach((section) => {
+        const entries = container[section];
+        if (!entries || typeof entries !== 'object') return;
+
+        Object.keys(entries).forEach((name) => {
+            const componentPath = [...prefix, section, name];
+            const used = localTargets.some(({ target, owner }) => isWithin(target, componentPath)
+                && !isWithin(owner, componentPath));
+            if (used || isDiscriminatorTarget(spec, section, name)) return;
+
+            problems.push(createProblem({
+                source: 'refs',
+                code: 'unused-component',
+                severity: 'warning',
+                message: `Component "${name}" is never referenced.`,
+                path: componentPath,
+            }));
+        });
+    });
+
+    problems.push(...findUnusedSecuritySchemes(spec, isV2));
+    return problems;
+}
+
+/** Schemas named in a discriminator mapping count as used */
+function isDiscriminatorTarget(spec, section, name) {
+    if (section !== 'schemas') return false;
+    const mappings = [];
+    (function visit(node) {
+        if (Array.isArray(node)) node.forEach(visit);
+        else if (node && typeof node === 'object') {
+            if (node.discriminator && node.discriminator.mapping) mappings.push(...Object.values(node.discriminator.mapping));
+            Object.values(node).forEach(visit);
+        }
+    })(spec.components);
+    return mappings.some((value) => value === name || value === `#/components/schemas/${name}`);
+}
+
+function findUnusedSecuritySchemes(spec, isV2) {
+    const schemes = isV2 ? spec.securityDefinitions : spec.components && spec.components.securitySchemes;
+    if (!schemes || typeof schemes !== 'object') return [];
+
+    const used = new Set();
+    const addRequirements = (requirements) => {
+        if (Array.isArray(requirements)) {
+            requirements.forEach((req) => Object.keys(req || {}).forEach((name) => used.add(name)));
+        }
+    };
+    addRequirements(spec.security);
+    Object.values(spec.paths || {}).forEach((pathItem) => {
+        Object.values(pathItem || {}).forEach((operation) => addRequirements(operation && operation.security));
+    });
+
+    return Object.keys(schemes)
+        .filter((name) => !used.has(name))
+        .map((name) => createProblem({
+            source: 'refs',
+            code: 'unused-component',
+            severity: 'warning',
+            message: `Security scheme "${name}" is never used in a security requirement.`,
+            path: isV2 ? ['securityDefinitions', name] : ['components', 'securitySchemes', name],
+        }));
+}
+
+module.exports = {
+    parseRef,
+    isRemoteRef,
+    collectRefs,
+    createResolver,
+    dereference,
+    inlineExternalRefs,
+    checkRefs,
+};
@@ -0,0 +1,139 @@
+/**
+ * Example requests.
+ * Picks example values for an operation's parameters and request body –
+ * declared examples first, then values generated from the schema. Shared
+ * by the Postman export and the code snippets. The document is expected
+ * to be dereferenced.
+ */
+
+const { sampleFromSchema } = require('./sample-data');
+const { isObject } = require('./util');
+
+// Swagger 2.0 parameter fields that are not part of its schema
+const V2_PARAMETER_FIELDS = ['name', 'in', 'required', 'description', 'allowEmptyValue', 'collectionFormat'];
+
+/** A parameter value as a string (arrays comma-separated, objects as JSON) */
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(formatValue).join(',');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/** First value of an OpenAPI 3 `examples` map */
+function firstExample(examples) {
+    const chosen = isObject(examples) ? Object.values(examples)[0] : undefined;
+    return isObject(chosen) ? chosen.value : undefined;
+}
+
+/** Example value of a media type object: example, examples, then a sample from the schema */
+function mediaExample(media) {
+    if (!isObject(media)) return undefined;
+    if (media.example !== undefined) return media.example;
+    const example = firstExample(media.examples);
+    if (example !== undefined) return example;
+    return isObject(media.schema) ? sampleFromSchema(media.schema, { direction: 'request' }) : undefined;
+}
+
+function parameterExample(param, isV2) {
+    if (param.example !== undefined) return param.example;
+    if (isV2) {
+        if (param['x-example'] !== undefined) return param['x-example'];
+        const schema = { ...param };
+        V2_PARAMETER_FIELDS.forEach((field) => delete schema[field]);
+        return sampleFromSchema(schema, { direction: 'request' });
+    }
+    const example = firstExample(param.examples);
+    if (example !== undefined) return example;
+    if (isObject(param.schema)) return sampleFromSchema(param.schema, { direction: 'request' });
+    return mediaExample(Object.values(isObject(param.content) ? param.content : {})[0]);
+}
+
+/** Path-level parameters overridden by operation-level ones */
+function parametersOf(pathItem, operation) {
+    const merged = new Map();
+    [].concat(pathItem.parameters || [], operation.parameters || []).forEach((param) => {
+        if (!isObject(param) || typeof param.name !== 'string' || typeof param.in !== 'string') return;
+        const name = param.in === 'header' ? param.name.toLowerCase() : param.name;
+        merged.set(`${param.in}:${name}`, param);
+    });
+    return [...merged.values()];
+}
+
+/**
+ * Example request body of an operation.
+ * @returns {null|{ type: string, example?: any, fields?: Array<{ name, value, file, description }> }}
+ *   `fields` for form bodies (urlencoded or multipart), `example` otherwise
+ */
+function bodyExample(spec, operation, parameters) {
+    if (spec.swagger !== undefined) return bodyExampleV2(spec, operation, parameters);
+
+    const content = isObject(operation.requestBody?.content) ? operation.requestBody.content : {};
+    const types = Object.keys(content);
+    const type = types.find((t) => /[/+]json/i.test(t))
+        || types.find((t) => /x-www-form-urlencoded|form-data/i.test(t))
+        || types[0];
+    if (!type) return null;
+
+    const media = content[type];
+    const example = mediaExample(media);
+    if (/x-www-form-urlencoded|form-data/i.test(type)) {
+        const properties = isObject(media?.schema?.properties) ? media.schema.properties : {};
+        const fields = Object.entries(isObject(example) ? example : {}).map(([name, value]) => ({
+            name,
+            value,
+            file: properties[name]?.format === 'binary' || properties[name]?.items?.format === 'binary',
+            description: properties[name]?.description,
+        }));
+        return { type, fields };
+    }
+    return { type, example };
+}
+
+function bodyExampleV2(spec, operation, parameters) {
+    const consumes = operation.consumes || spec.consumes || [];
+    const bodyParam = parameters.find((param) => param.in === 'body');
+    if (bodyParam) {
+        const type = consumes.find((t) => /[/+]json/i.test(t)) || consumes[0] || 'application/json';
+        const example = bodyParam.schema?.example !== undefined
+            ? bodyParam.schema.example
+            : sampleFromSchema(bodyParam.schema, { direction: 'request' });
+        return { type, example };
+    }
+
+    const formParams = parameters.filter((param) => param.in === 'formData');
+    if (!formParams.length) return null;
+    const multipart = formParams.some((param) => param.type === 'file') || consumes.some((t) => /form-data/i.test(t));
+    return {
+        type: multipart ? 'multipart/form-data' : 'application/x-www-form-urlencoded',
+        fields: formParams.map((param) => ({
+            name: param.name,
+            value: param.type === 'file' ? undefined : parameterExample(param, true),
+            file: param.type === 'file',
+            description: param.description,
+        })),
+    };
+}
+
+/** Media type the operation's success response offers, for the Accept header */
+function acceptOf(spec, operation) {
+    const responses = isObject(operation.responses) ? operation.responses : {};
+    const key = Object.keys(responses).sort().find((k) => /^2/.test(k)) || 'default';
+    const response = responses[key];
+    if (!isObject(response)) return null;
+    if (spec.swagger !== undefined) {
+        const produces = operation.produces || spec.produces || [];
+        return response.schema ? produces[0] || 'application/json' : null;
+    }
+    const types = Object.keys(isObject(response.content) ? response.content : {});
+    return types.find((t) => /[/+]json/i.test(t)) || types[0] || null;
+}
+
+module.exports = {
+    formatValue,
+    mediaExample,
+    parameterExample,
+    parametersOf,
+    bodyExample,
+    acceptOf,
+};
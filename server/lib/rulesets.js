@@ -0,0 +1,57 @@
+/**
+ * Ruleset store.
+ * Lists and loads lint rulesets from the configured ruleset directory, and
+ * resolves `extends` entries against the same directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseRuleset, RulesetError } = require('./linter');
+
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const NAME_PATTERN = /^[\w.-]+$/;
+
+function listRulesets(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter((file) => EXTENSIONS.includes(path.extname(file)))
+        .map((file) => path.basename(file, path.extname(file)))
+        .sort();
+}
+
+/** Find the file for a ruleset name, refusing anything outside `dir` */
+function rulesetFile(name, dir) {
+    if (!NAME_PATTERN.test(name)) throw new RulesetError(`Invalid ruleset name "${name}"`);
+    const file = EXTENSIONS.map((ext) => path.join(dir, name + ext)).find((candidate) => fs.existsSync(candidate));
+    if (!file) throw new RulesetError(`Ruleset "${name}" not found`);
+    return file;
+}
+
+function readRulesetSource(name, dir) {
+    return fs.readFileSync(rulesetFile(name, dir), 'utf-8');
+}
+
+/**
+ * Parse ruleset text, resolving `extends` from the ruleset directory.
+ * @param {string} text
+ * @param {string} dir
+ */
+function compileRuleset(text, dir, seen = []) {
+    return parseRuleset(text, {
+        resolveExtends: (name) => {
+            if (seen.includes(name)) throw new RulesetError(`Ruleset "${name}" extends itself`);
+            return compileRuleset(readRulesetSource(name, dir), dir, [...seen, name]);
+        },
+    });
+}
+
+function loadRuleset(name, dir) {
+    return compileRuleset(readRulesetSource(name, dir), dir, [name]);
+}
+
+module.exports = {
+    listRulesets,
+    readRulesetSource,
+    compileRuleset,
+    loadRuleset,
+};
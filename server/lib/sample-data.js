@@ -0,0 +1,328 @@
+/**
+ * Sample payload generation.
+ * Builds a deterministic, schema-conformant value from a (dereferenced)
+ * JSON Schema / OpenAPI Schema Object, preferring declared examples,
+ * defaults and enum values over invented ones.
+ */
+
+const { isObject } = require('./util');
+
+// Schemas can ask for any number of items or properties; samples stop here
+const MAX_GENERATED = 100;
+
+const STRING_FORMATS = {
+    'date-time': '2024-01-01T12:00:00Z',
+    date: '2024-01-01',
+    time: '12:00:00Z',
+    email: 'user@example.com',
+    'idn-email': 'user@example.com',
+    uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+    uri: 'https://example.com',
+    'uri-reference': '/example',
+    url: 'https://example.com',
+    hostname: 'example.com',
+    ipv4: '192.0.2.1',
+    ipv6: '2001:db8::1',
+    byte: 'ZXhhbXBsZQ==',
+    binary: '',
+    password: '********',
+};
+
+/** First concrete type of a schema ("null" only when it is the only one) */
+function typeOf(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    const type = types.find((t) => t !== 'null') || types[0];
+    if (type) return type;
+    if (schema.properties || schema.additionalProperties) return 'object';
+    if (schema.items) return 'array';
+    return undefined;
+}
+
+// ── Patterns ─────────────────────────────────────────────
+
+const CLASS_ESCAPES = { d: '0', D: 'a', w: 'a', W: '-', s: ' ', S: 'a' };
+
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'u');
+    } catch {
+        try {
+            return new RegExp(pattern);
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Shortest string for a simple regular expression: literals, escapes,
+ * classes, groups (first alternative) and quantifiers (minimum count).
+ * Anything fancier yields a best guess the caller checks against the
+ * real RegExp.
+ */
+function stringForPattern(pattern) {
+    let pos = 0;
+
+    function alternatives() {
+        const first = sequence();
+        while (pattern[pos] === '|') {
+            pos += 1;
+            sequence();
+        }
+        return first;
+    }
+
+    function sequence() {
+        let out = '';
+        while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+            const piece = atom();
+            const count = quantifier();
+            out += piece.repeat(count);
+        }
+        return out;
+    }
+
+    function atom() {
+        const char = pattern[pos++];
+        if (char === '^' || char === '$') return '';
+        if (char === '.') return 'a';
+        if (char === '\\') return escape();
+        if (char === '[') return charClass();
+        if (char === '(') {
+            // (?:…) and (?<name>…) match like plain groups; lookarounds add nothing
+            const prefix = /^\?(?::|<?[=!]|<[^>]*>)/.exec(pattern.slice(pos));
+            const lookaround = prefix !== null && /[=!]$/.test(prefix[0]);
+            if (prefix) pos += prefix[0].length;
+            const inner = alternatives();
+            pos += 1;
+            return lookaround ? '' : inner;
+        }
+        return char;
+    }
+
+    function escape() {
+        const char = pattern[pos++];
+        if (CLASS_ESCAPES[char] !== undefined) return CLASS_ESCAPES[char];
+        if (char === 'b' || char === 'B') return '';
+        if (char === 'n') return '\n';
+        if (char === 't') return '\t';
+        if (char === 'u' && /^[0-9a-fA-F]{4}/.test(pattern.slice(pos))) {
+            pos += 4;
+            return String.fromCharCode(parseInt(pattern.slice(pos - 4, pos), 16));
+        }
+        return char;
+    }
+
+    function charClass() {
+        const negated = pattern[pos] === '^';
+        if (negated) pos += 1;
+        let first;
+        while (pos < pattern.length && pattern[pos] !== ']') {
+            let char = pattern[pos++];
+            if (char === '\\') char = escape();
+            if (first === undefined) first = char;
+        }
+        pos += 1;
+        // A negated class rarely excludes letters; the caller checks anyway
+        if (negated) return first === 'a' ? 'b' : 'a';
+        return first === undefined ? '' : first;
+    }
+
+    function quantifier() {
+        const char = pattern[pos];
+        let count = 1;
+        if (char === '?' || char === '*') {
+            count = 0;
+            pos += 1;
+        } else if (char === '+') {
+            pos += 1;
+        } else if (char === '{') {
+            const match = /^\{(\d+)(,\d*)?\}/.exec(pattern.slice(pos));
+            if (!match) return 1;
+            count = Number(match[1]);
+            pos += match[0].length;
+        } else {
+            return 1;
+        }
+        if (pattern[pos] === '?') pos += 1; // lazy
+        return count;
+    }
+
+    return alternatives();
+}
+
+function fitsLength(value, schema) {
+    return value.length >= (schema.minLength || 0)
+        && (schema.maxLength === undefined || value.length <= schema.maxLength);
+}
+
+function sampleString(schema, report) {
+    let value;
+    if (schema.format && STRING_FORMATS[schema.format] !== undefined) {
+        value = STRING_FORMATS[schema.format];
+    } else {
+        value = 'string';
+        const minLength = schema.minLength || 0;
+        if (value.length < minLength) value = value.padEnd(minLength, 'x');
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) value = value.slice(0, schema.maxLength);
+    }
+    if (typeof schema.pattern !== 'string') return value;
+
+    const regex = compilePattern(schema.pattern);
+    if (regex && regex.test(value)) return value;
+    if (regex) {
+        const generated = stringForPattern(schema.pattern);
+        if (regex.test(generated) && fitsLength(generated, schema)) return generated;
+    }
+    report('pattern');
+    return value;
+}
+
+/**
+ * The i-th of several distinct values for `uniqueItems`, derived from the
+ * first sample; undefined when no other value is known to fit the schema.
+ */
+function variantOf(schema, first, i) {
+    if (i === 0) return first;
+    if (Array.isArray(schema.enum)) return schema.enum.length >= i ? schema.enum[i - 1] : undefined;
+    if (schema.const !== undefined) return undefined;
+    if (typeof first === 'number') {
+        const value = first + i * (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 ? schema.multipleOf : 1);
+        return typeof schema.maximum === 'number' && value > schema.maximum ? undefined : value;
+    }
+    if (typeof first === 'boolean') return i === 1 ? !first : undefined;
+    if (typeof first === 'string') {
+        const value = `${first}${i + 1}`;
+        if (!fitsLength(value, schema)) return undefined;
+        if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern)?.test(value)) return undefined;
+        return value;
+    }
+    return undefined;
+}
+
+function sampleNumber(schema, integer) {
+    let value = 0;
+    if (typeof schema.minimum === 'number') value = schema.minimum;
+    if (typeof schema.exclusiveMinimum === 'number') value = schema.exclusiveMinimum + 1;
+    else if (schema.exclusiveMinimum === true) value += 1; // OpenAPI 3.0 boolean form
+    if (typeof schema.maximum === 'number' && value > schema.maximum) value = schema.maximum;
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+    }
+    return integer ? Math.ceil(value) : value;
+}
+
+/**
+ * Generate a sample value for a schema.
+ * @param {object} schema
+ * @param {{ direction?: 'request'|'response', onUnsatisfied?: (keyword: string) => void }} [options]
+ *   readOnly properties are left out of requests, writeOnly ones out of responses;
+ *   onUnsatisfied hears about keywords (pattern, minProperties, minItems,
+ *   uniqueItems) the sample breaks – sizes are capped at MAX_GENERATED
+ * @returns {any}
+ */
+function sampleFromSchema(schema, { direction = 'response', onUnsatisfied = () => {} } = {}) {
+    const stack = new Set();
+
+    function sample(node) {
+        if (!isObject(node)) return undefined;
+        if (node.example !== undefined) return node.example;
+        if (Array.isArray(node.examples) && node.examples.length) return node.examples[0];
+        if (node.const !== undefined) return node.const;
+        if (node.default !== undefined) return node.default;
+        if (Array.isArray(node.enum) && node.enum.length) return node.enum[0];
+
+        // Circular schemas stop at the first repeat
+        if (stack.has(node)) return undefined;
+        stack.add(node);
+        try {
+            return sampleComposite(node);
+        } finally {
+            stack.delete(node);
+        }
+    }
+
+    function sampleComposite(node) {
+        if (Array.isArray(node.allOf)) {
+            const parts = node.allOf.map(sample).filter((part) => part !== undefined);
+            const { allOf, ...rest } = node;
+            const own = Object.keys(rest).length ? sampleType(rest) : undefined;
+            if (parts.every(isObject) && (own === undefined || isObject(own))) {
+                return Object.assign({}, ...parts, own || {});
+            }
+            return parts[0] !== undefined ? parts[0] : own;
+        }
+        const alternatives = node.oneOf || node.anyOf;
+        if (Array.isArray(alternatives) && alternatives.length) return sample(alternatives[0]);
+        return sampleType(node);
+    }
+
+    function sampleType(node) {
+        switch (typeOf(node)) {
+            case 'object': {
+                const result = {};
+                Object.entries(isObject(node.properties) ? node.properties : {}).forEach(([name, prop]) => {
+                    if (isObject(prop) && (direction === 'request' ? prop.readOnly : prop.writeOnly)) return;
+                    const value = sample(prop);
+                    if (value !== undefined) result[name] = value;
+                });
+                const extra = node.additionalProperties;
+                if (!Object.keys(result).length && isObject(extra)) {
+                    const value = sample(extra);
+                    if (value !== undefined) result.key = value;
+                }
+                // Pad up to minProperties with extra keys where the schema allows them
+                const minProperties = typeof node.minProperties === 'number' ? node.minProperties : 0;
+                const wanted = Math.min(minProperties, MAX_GENERATED);
+                for (let n = 1; Object.keys(result).length < wanted && extra !== false; n += 1) {
+                    const name = n === 1 ? 'key' : `key${n}`;
+                    if (result[name] !== undefined) continue;
+                    const value = isObject(extra) ? sample(extra) : 'string';
+                    if (value === undefined) break;
+                    result[name] = value;
+                }
+                if (Object.keys(result).length < minProperties) onUnsatisfied('minProperties');
+                return result;
+            }
+            case 'array': {
+                const maxItems = typeof node.maxItems === 'number' ? node.maxItems : Infinity;
+                const minItems = typeof node.minItems === 'number' ? node.minItems : 0;
+                const length = Math.min(Math.max(minItems, 1), maxItems, MAX_GENERATED);
+                if (length < minItems) onUnsatisfied('minItems');
+                if (length < 1) return [];
+                const item = sample(node.items);
+                if (item === undefined) return [];
+                if (node.uniqueItems !== true) return Array.from({ length }, () => item);
+
+                const items = [];
+                const seen = new Set();
+                for (let i = 0; items.length < length && i <= length; i++) {
+                    const value = variantOf(node.items, item, i);
+                    if (value === undefined) break;
+                    const key = JSON.stringify(value);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    items.push(value);
+                }
+                if (items.length < Math.min(minItems, length)) onUnsatisfied('uniqueItems');
+                return items;
+            }
+            case 'string':
+                return sampleString(node, onUnsatisfied);
+            case 'integer':
+                return sampleNumber(node, true);
+            case 'number':
+                return sampleNumber(node, false);
+            case 'boolean':
+                return true;
+            case 'null':
+                return null;
+            default:
+                return undefined;
+        }
+    }
+
+    return sample(schema);
+}
+
+module.exports = { sampleFromSchema };
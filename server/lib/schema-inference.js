@@ -0,0 +1,96 @@
+/**
+ * Schema inference.
+ * Derives an OpenAPI 3.0 Schema Object from sample values – the bodies
+ * and parameters seen in captured traffic. Every sample is folded into
+ * one schema: properties present in all samples are required, numbers
+ * widen from integer to number, and null makes a schema nullable.
+ */
+
+const STRING_FORMATS = [
+    ['date-time', /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uri', /^https?:\/\/\S+$/i],
+];
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value; // string, boolean, object
+}
+
+function stringFormat(values) {
+    const match = STRING_FORMATS.find(([, pattern]) => values.every((value) => pattern.test(value)));
+    return match ? match[0] : undefined;
+}
+
+/**
+ * Infer a schema that accepts every sample.
+ * @param {any[]} samples – parsed JSON values
+ * @returns {object} Schema Object ({} when there are no samples)
+ */
+function inferSchema(samples) {
+    const present = samples.filter((value) => value !== undefined);
+    if (!present.length) return {};
+
+    const nullable = present.some((value) => value === null);
+    const byType = new Map();
+    present.filter((value) => value !== null).forEach((value) => {
+        // Integers and decimals are one numeric type
+        const type = typeOf(value) === 'integer' && present.some((v) => typeOf(v) === 'number') ? 'number' : typeOf(value);
+        if (!byType.has(type)) byType.set(type, []);
+        byType.get(type).push(value);
+    });
+
+    const schemas = [...byType.entries()].map(([type, values]) => inferTyped(type, values));
+    let schema;
+    if (!schemas.length) schema = {};
+    else if (schemas.length === 1) [schema] = schemas;
+    else schema = { oneOf: schemas };
+
+    if (nullable) schema.nullable = true;
+    return schema;
+}
+
+function inferTyped(type, values) {
+    switch (type) {
+        case 'object': {
+            const keys = [...new Set(values.flatMap((value) => Object.keys(value)))];
+            const properties = {};
+            keys.forEach((key) => {
+                properties[key] = inferSchema(values.map((value) => value[key]));
+            });
+            const required = keys.filter((key) => values.every((value) => key in value));
+            return { type: 'object', ...(required.length ? { required } : {}), properties };
+        }
+        case 'array':
+            return { type: 'array', items: inferSchema(values.flat()) };
+        case 'string': {
+            const format = stringFormat(values);
+            return format ? { type: 'string', format } : { type: 'string' };
+        }
+        default:
+            return { type };
+    }
+}
+
+/** Read a string from a URL or form as the JSON value it most likely stands for */
+function coerceScalar(text) {
+    if (/^-?(0|[1-9]\d{0,14})$/.test(text)) return Number(text);
+    if (/^-?(0|[1-9]\d*)\.\d+$/.test(text)) return Number(text);
+    if (text === 'true' || text === 'false') return text === 'true';
+    return text;
+}
+
+/**
+ * Infer a schema for parameter values, which are always strings on the
+ * wire: "42" counts as an integer, "true" as a boolean.
+ * @param {string[]} values
+ */
+function inferParameterSchema(values) {
+    return inferSchema(values.map(coerceScalar));
+}
+
+module.exports = { inferSchema, inferParameterSchema, coerceScalar };
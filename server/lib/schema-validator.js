@@ -0,0 +1,267 @@
+/**
+ * OpenAPI schema validation.
+ * Validates a parsed document against the official JSON Schema for the
+ * OpenAPI version it declares (Swagger 2.0, OpenAPI 3.0 or 3.1) and turns
+ * Ajv's raw output into a short list of readable problems.
+ */
+
+const Ajv04 = require('ajv-draft-04');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const schemas = require('@apidevtools/openapi-schemas');
+const { createProblem } = require('./problems');
+const { pointerToPath } = require('./source-map');
+
+// Keywords whose failure only says "one of the branches failed" – the
+// branch errors themselves are more useful to the user.
+const COMPOSITE_KEYWORDS = ['oneOf', 'anyOf', 'if', 'then', 'else', 'not', '$ref', '$dynamicRef'];
+
+const validators = {};
+
+/** Compile (once) and return the validator for a version key */
+function getValidator(version) {
+    if (validators[version]) return validators[version];
+
+    const options = { allErrors: true, strict: false, logger: false };
+    const ajv = version === '3.1' ? new Ajv2020(options) : new Ajv04(options);
+    addFormats(ajv);
+    ajv.addFormat('media-range', true);
+
+    const schema = { '2.0': schemas.openapiV2, '3.0': schemas.openapiV3, '3.1': patchV31(schemas.openapiV31) }[version];
+    validators[version] = ajv.compile(schema);
+    return validators[version];
+}
+
+/**
+ * The published 3.1 schema declares Reference Object "$ref" values as
+ * absolute URIs, which rejects every local "#/components/..." ref.
+ * Validate them as URI references, as the specification intends.
+ * Schema slots use "$dynamicRef": "#meta", which Ajv resolves against the
+ * enclosing object (a Schema inside a Parameter was checked as a
+ * Parameter); point them straight at the schema definition instead.
+ */
+function patchV31(schema) {
+    const json = JSON.stringify(schema).replace(/\{"\$dynamicRef":"#meta"\}/g, '{"$ref":"#/$defs/schema"}');
+    const patched = JSON.parse(json);
+    patched.$defs.reference.properties.$ref = { type: 'string', format: 'uri-reference' };
+    return patched;
+}
+
+/**
+ * Work out which schema applies to a document.
+ * @returns {'2.0'|'3.0'|'3.1'|null}
+ */
+function detectVersion(spec) {
+    if (!spec || typeof spec !== 'object') return null;
+    if (spec.swagger !== undefined) return String(spec.swagger) === '2.0' ? '2.0' : null;
+    if (spec.openapi !== undefined) {
+        const match = /^3\.([01])\./.exec(String(spec.openapi));
+        return match ? `3.${match[1]}` : null;
+    }
+    return null;
+}
+
+/**
+ * Validate a document and return problems (without positions).
+ * @param {object} spec – parsed document
+ * @returns {{ version: string|null, problems: object[] }}
+ */
+function validateSchema(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return { version: null, problems: [schemaProblem('Document is not a valid OpenAPI object.', [])] };
+    }
+
+    const version = detectVersion(spec);
+    if (!version) {
+        const problems = [];
+        if (spec.swagger !== undefined) {
+            problems.push(schemaProblem(`Unsupported Swagger version "${spec.swagger}" – only 2.0 is supported.`, ['swagger']));
+        } else if (spec.openapi !== undefined) {
+            problems.push(schemaProblem(`Unsupported OpenAPI version "${spec.openapi}" – expected 3.0.x or 3.1.x.`, ['openapi']));
+        } else {
+            problems.push(schemaProblem('Missing "openapi" or "swagger" version field.', []));
+        }
+        return { version: null, problems };
+    }
+
+    const validate = getValidator(version);
+    if (validate(spec)) return { version, problems: [] };
+
+    return { version, problems: simplifyErrors(validate.errors, spec) };
+}
+
+/* ── Error shaping ─────────────────────────────────────────────────────── */
+
+function schemaProblem(message, path, code = null) {
+    return createProblem({ source: 'schema', code, severity: 'error', message, path });
+}
+
+/**
+ * Ajv reports every failing branch of every oneOf. Keep the errors that
+ * point at a concrete mistake and drop the noise around them.
+ */
+function simplifyErrors(errors, spec) {
+    let kept = pruneInlineBranches(errors.filter((err) => !COMPOSITE_KEYWORDS.includes(err.keyword)));
+    if (!kept.length) kept = errors;
+
+    // A missing "$ref" only means the value is not a Reference Object –
+    // irrelevant when the value failed as the inline alternative too.
+    kept = kept.filter((err) => !(
+        err.keyword === 'required'
+        && err.params.missingProperty === '$ref'
+        && kept.some((other) => other !== err
+            && (other.instancePath === err.instancePath || other.instancePath.startsWith(err.instancePath + '/')))
+    ));
+
+    // When a Reference Object is clearly intended, errors about the object
+    // itself come from the inline alternative and are misleading.
+    kept = kept.filter((err) => {
+        const value = valueAt(spec, err.instancePath);
+        return !(value && typeof value === 'object' && typeof value.$ref === 'string' && err.keyword !== 'format');
+    });
+
+    kept = mergeEnumErrors(kept);
+
+    const seen = new Set();
+    const problems = [];
+    for (const err of kept) {
+        const problem = toProblem(err, spec);
+        const key = `${problem.path.join('\u0000')}|${problem.message}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        problems.push(problem);
+    }
+    return problems;
+}
+
+/**
+ * For inline oneOf/anyOf alternatives (e.g. the four parameter locations),
+ * keep only the errors of the branch that came closest to matching. When
+ * every branch fails on the same enum, that property is the discriminator
+ * and its merged enum error is all the user needs to see.
+ */
+function pruneInlineBranches(errors) {
+    const groups = new Map();
+    errors.forEach((err) => {
+        const match = /^(.*?\/(?:oneOf|anyOf))\/(\d+)\/(.*)$/.exec(err.schemaPath);
+        if (!match) return;
+        const base = stripInstanceSegments(err.instancePath, match[3]);
+        const key = `${match[1]}@${base}`;
+        if (!groups.has(key)) groups.set(key, new Map());
+        const branches = groups.get(key);
+        if (!branches.has(match[2])) branches.set(match[2], []);
+        branches.get(match[2]).push(err);
+    });
+
+    const dropped = new Set();
+    groups.forEach((branches) => {
+        if (branches.size < 2) return;
+        const lists = [...branches.values()];
+        const discriminator = lists[0]
+            .filter((err) => err.keyword === 'enum' || err.keyword === 'const')
+            .map((err) => err.instancePath)
+            .find((pointer) => lists.every((list) => list.some((err) => err.instancePath === pointer
+                && (err.keyword === 'enum' || err.keyword === 'const'))));
+
+        if (discriminator !== undefined) {
+            lists.flat().forEach((err) => {
+                if (err.instancePath !== discriminator) dropped.add(err);
+            });
+            return;
+        }
+
+        const best = lists.reduce((a, b) => (b.length < a.length ? b : a));
+        lists.forEach((list) => {
+            if (list !== best) list.forEach((err) => dropped.add(err));
+        });
+    });
+
+    return errors.filter((err) => !dropped.has(err));
+}
+
+/** Remove the instance segments a schema sub-path descends into */
+function stripInstanceSegments(instancePath, schemaSubPath) {
+    const parts = schemaSubPath.split('/');
+    let hops = 0;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (parts[i] === 'properties' || parts[i] === 'patternProperties') { hops++; i++; }
+        else if (parts[i] === 'additionalProperties') hops++;
+        else if (parts[i] === 'items') { hops++; if (/^\d+$/.test(parts[i + 1] || '')) i++; }
+    }
+    const segments = instancePath.split('/');
+    return segments.slice(0, Math.max(1, segments.length - hops)).join('/');
+}
+
+/** Combine enum errors on the same value into one list of allowed values */
+function mergeEnumErrors(errors) {
+    const merged = new Map();
+    const result = [];
+    errors.forEach((err) => {
+        if (err.keyword !== 'enum' && err.keyword !== 'const') {
+            result.push(err);
+            return;
+        }
+        const allowed = err.keyword === 'const' ? [err.params.allowedValue] : err.params.allowedValues;
+        const existing = merged.get(err.instancePath);
+        if (existing) {
+            allowed.forEach((value) => {
+                if (!existing.params.allowedValues.includes(value)) existing.params.allowedValues.push(value);
+            });
+            return;
+        }
+        const entry = { ...err, keyword: 'enum', params: { allowedValues: [...allowed] } };
+        merged.set(err.instancePath, entry);
+        result.push(entry);
+    });
+    return result;
+}
+
+function toProblem(err, spec) {
+    const path = pointerToPath(err.instancePath, spec);
+    const p = err.params || {};
+
+    switch (err.keyword) {
+        case 'required':
+            return schemaProblem(`Missing required property "${p.missingProperty}".`, path, 'required');
+        case 'additionalProperties':
+            return schemaProblem(`Property "${p.additionalProperty}" is not allowed here.`,
+                [...path, p.additionalProperty], 'additional-property');
+        case 'unevaluatedProperties':
+            return schemaProblem(`Property "${p.unevaluatedProperty}" is not allowed here.`,
+                [...path, p.unevaluatedProperty], 'additional-property');
+        case 'enum':
+            return schemaProblem(`Value must be one of: ${p.allowedValues.map((v) => JSON.stringify(v)).join(', ')}.`, path, 'enum');
+        case 'const':
+            return schemaProblem(`Value must be ${JSON.stringify(p.allowedValue)}.`, path, 'const');
+        case 'type':
+            return schemaProblem(`Value must be of type ${[].concat(p.type).join(' or ')}.`, path, 'type');
+        case 'pattern':
+            return schemaProblem(`Value does not match pattern ${p.pattern}.`, path, 'pattern');
+        case 'format':
+            return schemaProblem(`Value is not a valid ${p.format}.`, path, 'format');
+        case 'minProperties':
+            return schemaProblem(`Object must have at least ${p.limit} propert${p.limit === 1 ? 'y' : 'ies'}.`, path, 'min-properties');
+        case 'minItems':
+            return schemaProblem(`Array must have at least ${p.limit} item${p.limit === 1 ? '' : 's'}.`, path, 'min-items');
+        case 'uniqueItems':
+            return schemaProblem('Array items must be unique.', path, 'unique-items');
+        default:
+            return schemaProblem(capitalise(err.message || 'Invalid value') + '.', path, err.keyword);
+    }
+}
+
+function valueAt(root, pointer) {
+    return pointerToPath(pointer).reduce(
+        (node, segment) => (node && typeof node === 'object' ? node[segment] : undefined),
+        root,
+    );
+}
+
+function capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    detectVersion,
+    validateSchema,
+};
@@ -0,0 +1,470 @@
+/**
+ * Code snippets.
+ * Turns each operation of a spec into ready-to-run calls in curl,
+ * JavaScript fetch, Node axios, Python requests and Go net/http: the
+ * chosen server URL, path and query parameters with example values, auth
+ * headers from the security schemes (credentials as YOUR_… placeholders)
+ * and an example request body. The document is expected to be
+ * dereferenced.
+ */
+
+const { formatValue, parameterExample, parametersOf, bodyExample, acceptOf } = require('./request-examples');
+const { METHODS, isObject } = require('./util');
+
+const LANGUAGES = {
+    curl: { label: 'curl', fence: 'bash' },
+    fetch: { label: 'JavaScript (fetch)', fence: 'javascript' },
+    axios: { label: 'Node.js (axios)', fence: 'javascript' },
+    python: { label: 'Python (requests)', fence: 'python' },
+    go: { label: 'Go (net/http)', fence: 'go' },
+};
+
+const PLACEHOLDERS = {
+    username: 'YOUR_USERNAME',
+    password: 'YOUR_PASSWORD',
+    token: 'YOUR_TOKEN',
+    apiKey: 'YOUR_API_KEY',
+    accessToken: 'YOUR_ACCESS_TOKEN',
+    credentials: 'YOUR_CREDENTIALS',
+};
+
+const FILE_PLACEHOLDER = 'path/to/file';
+
+function isJsonType(type) {
+    return /[/+]json/i.test(type);
+}
+
+/**
+ * The spec's server URLs with server variables set to their defaults.
+ * @returns {string[]} at least one entry ('' when the spec names no server)
+ */
+function serverUrls(spec) {
+    let urls;
+    if (spec.swagger !== undefined) {
+        const schemes = Array.isArray(spec.schemes) && spec.schemes.length ? spec.schemes : ['https'];
+        const basePath = spec.basePath || '';
+        urls = spec.host ? schemes.map((scheme) => `${scheme}://${spec.host}${basePath}`) : [basePath];
+    } else {
+        urls = (Array.isArray(spec.servers) ? spec.servers : []).filter(isObject).map((server) => {
+            let url = String(server.url || '');
+            Object.entries(isObject(server.variables) ? server.variables : {}).forEach(([name, variable]) => {
+                url = url.split(`{${name}}`).join(formatValue(variable?.default));
+            });
+            return url;
+        });
+    }
+    urls = [...new Set(urls.map((url) => url.replace(/\/+$/, '')))];
+    return urls.length ? urls : [''];
+}
+
+// ── Request model ────────────────────────────────────────────────────────
+
+/** Query string pairs for one parameter, honouring explode for arrays */
+function queryPairs(param, value, isV2) {
+    if (!Array.isArray(value)) return [[param.name, formatValue(value)]];
+    const explode = isV2
+        ? param.collectionFormat === 'multi'
+        : param.explode ?? (param.style === undefined || param.style === 'form');
+    if (explode) return value.map((item) => [param.name, formatValue(item)]);
+    const separator = { spaceDelimited: ' ', pipeDelimited: '|' }[param.style]
+        || { ssv: ' ', tsv: '\t', pipes: '|' }[param.collectionFormat]
+        || ',';
+    return [[param.name, value.map(formatValue).join(separator)]];
+}
+
+/**
+ * Headers, query pairs and basic credentials for the first security
+ * requirement that can be expressed.
+ */
+function securityAuth(requirements, schemes) {
+    const auth = { headers: [], query: [], cookies: [], basic: null };
+    if (!Array.isArray(requirements)) return auth;
+
+    for (const requirement of requirements) {
+        if (!isObject(requirement)) continue;
+        const names = Object.keys(requirement);
+        if (!names.every((name) => isObject(schemes[name]))) continue;
+        names.forEach((name) => {
+            const scheme = schemes[name];
+            const httpScheme = String(scheme.scheme || '').toLowerCase();
+            if (scheme.type === 'basic' || (scheme.type === 'http' && httpScheme === 'basic')) {
+                auth.basic = { username: PLACEHOLDERS.username, password: PLACEHOLDERS.password };
+            } else if (scheme.type === 'http' && httpScheme === 'bearer') {
+                auth.headers.push(['Authorization', `Bearer ${PLACEHOLDERS.token}`]);
+            } else if (scheme.type === 'http') {
+                auth.headers.push(['Authorization', `${scheme.scheme} ${PLACEHOLDERS.credentials}`]);
+            } else if (scheme.type === 'apiKey') {
+                const target = { header: auth.headers, query: auth.query, cookie: auth.cookies }[scheme.in];
+                if (target) target.push([scheme.name, PLACEHOLDERS.apiKey]);
+            } else if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+                auth.headers.push(['Authorization', `Bearer ${PLACEHOLDERS.accessToken}`]);
+            }
+        });
+        return auth;
+    }
+    return auth;
+}
+
+/** Request body in the shape the renderers need */
+function requestBody(example) {
+    if (!example) return null;
+    const { type } = example;
+    if (example.fields) {
+        const fields = example.fields.map((field) => ({
+            name: field.name,
+            value: field.file ? undefined : formatValue(field.value),
+            file: Boolean(field.file),
+        }));
+        return /form-data/i.test(type) ? { type, multipart: fields } : { type, form: fields };
+    }
+    if (isJsonType(type)) return { type, json: example.example === undefined ? {} : example.example };
+    const raw = example.example === undefined ? ''
+        : typeof example.example === 'string' ? example.example : JSON.stringify(example.example, null, 2);
+    return { type, raw };
+}
+
+/**
+ * Everything a snippet needs for one operation.
+ * @returns {{ method: string, url: string, headers: string[][], basic: object|null, body: object|null }}
+ */
+function buildRequest(spec, route, method, pathItem, operation, baseUrl) {
+    const isV2 = spec.swagger !== undefined;
+    const parameters = parametersOf(pathItem, operation);
+    const schemes = (isV2 ? spec.securityDefinitions : spec.components?.securitySchemes) || {};
+    const auth = securityAuth(operation.security ?? spec.security, schemes);
+
+    let path = route;
+    parameters.filter((param) => param.in === 'path').forEach((param) => {
+        path = path.split(`{${param.name}}`).join(encodeURIComponent(formatValue(parameterExample(param, isV2))));
+    });
+    const query = parameters
+        .filter((param) => param.in === 'query')
+        .flatMap((param) => queryPairs(param, parameterExample(param, isV2), isV2));
+    query.push(...auth.query);
+    const search = query.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&');
+
+    const body = requestBody(bodyExample(spec, operation, parameters));
+    const headers = [];
+    parameters
+        .filter((param) => param.in === 'header' && !/^(accept|content-type|authorization)$/i.test(param.name))
+        .forEach((param) => headers.push([param.name, formatValue(parameterExample(param, isV2))]));
+    const cookies = parameters
+        .filter((param) => param.in === 'cookie')
+        .map((param) => [param.name, formatValue(parameterExample(param, isV2))])
+        .concat(auth.cookies);
+    if (cookies.length) headers.push(['Cookie', cookies.map(([name, value]) => `${name}=${value}`).join('; ')]);
+    // Multipart bodies need the boundary, which every client adds itself
+    if (body && !body.multipart) headers.push(['Content-Type', body.type]);
+    const accept = acceptOf(spec, operation);
+    if (accept) headers.push(['Accept', accept]);
+    headers.push(...auth.headers);
+
+    return {
+        method: method.toUpperCase(),
+        url: `${baseUrl}${path}${search ? `?${search}` : ''}`,
+        headers,
+        basic: auth.basic,
+        body,
+    };
+}
+
+// ── Renderers ────────────────────────────────────────────────────────────
+
+/** Single-quoted shell word */
+function shellQuote(text) {
+    return `'${String(text).replace(/'/g, "'\\''")}'`;
+}
+
+/** Python/Go string literal (JSON escaping is valid in both) */
+function quote(text) {
+    return JSON.stringify(String(text));
+}
+
+/** Single-quoted JavaScript string literal */
+function jsQuote(text) {
+    return `'${JSON.stringify(String(text)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map((line, i) => (i === 0 ? line : prefix + line)).join('\n');
+}
+
+/** Object key for JavaScript – bare when it is a valid identifier */
+function jsKey(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsQuote(name);
+}
+
+function jsHeaders(headers, extra = []) {
+    if (!headers.length && !extra.length) return null;
+    const lines = [...headers.map(([name, value]) => `${jsKey(name)}: ${jsQuote(value)}`), ...extra];
+    return `{\n${lines.map((line) => `    ${line},`).join('\n')}\n  }`;
+}
+
+function renderCurl(request) {
+    const parts = [`curl${request.method === 'GET' ? '' : ` -X ${request.method}`} ${shellQuote(request.url)}`];
+    request.headers.forEach(([name, value]) => parts.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+    if (request.basic) parts.push(`-u ${shellQuote(`${request.basic.username}:${request.basic.password}`)}`);
+
+    const { body } = request;
+    if (body?.multipart) {
+        body.multipart.forEach((field) => parts.push(`-F ${shellQuote(`${field.name}=${field.file ? `@${FILE_PLACEHOLDER}` : field.value}`)}`));
+    } else if (body?.form) {
+        body.form.forEach((field) => parts.push(`--data-urlencode ${shellQuote(`${field.name}=${field.value}`)}`));
+    } else if (body) {
+        parts.push(`--data-raw ${shellQuote(body.json !== undefined ? JSON.stringify(body.json, null, 2) : body.raw)}`);
+    }
+    return parts.join(' \\\n  ');
+}
+
+function renderFetch(request) {
+    const { body } = request;
+    const lines = [];
+    const extra = request.basic ? [`Authorization: 'Basic ' + btoa(${jsQuote(`${request.basic.username}:${request.basic.password}`)})`] : [];
+    const options = [`  method: '${request.method}',`];
+    const headers = jsHeaders(request.headers, extra);
+    if (headers) options.push(`  headers: ${headers},`);
+
+    if (body?.multipart) {
+        lines.push('const form = new FormData();');
+        body.multipart.forEach((field) => lines.push(field.file
+            ? `form.append(${jsQuote(field.name)}, fileInput.files[0]); // an <input type="file">`
+            : `form.append(${jsQuote(field.name)}, ${jsQuote(field.value)});`));
+        lines.push('');
+        options.push('  body: form,');
+    } else if (body?.form) {
+        const fields = body.form.map((field) => `    ${jsKey(field.name)}: ${jsQuote(field.value)},`).join('\n');
+        options.push(`  body: new URLSearchParams({\n${fields}\n  }),`);
+    } else if (body?.json !== undefined) {
+        options.push(`  body: JSON.stringify(${indent(JSON.stringify(body.json, null, 2), '  ')}),`);
+    } else if (body) {
+        options.push(`  body: ${jsQuote(body.raw)},`);
+    }
+
+    lines.push(`const response = await fetch(${jsQuote(request.url)}, {`, ...options, '});');
+    const accept = request.headers.find(([name]) => name === 'Accept')?.[1];
+    lines.push(accept && isJsonType(accept)
+        ? 'console.log(response.status, await response.json());'
+        : 'console.log(response.status, await response.text());');
+    return lines.join('\n');
+}
+
+function renderAxios(request) {
+    const { body } = request;
+    const lines = ["const axios = require('axios');"];
+    const config = [`  method: '${request.method.toLowerCase()}',`, `  url: ${jsQuote(request.url)},`];
+
+    if (body?.multipart) {
+        lines.push("const FormData = require('form-data');");
+        if (body.multipart.some((field) => field.file)) lines.push("const fs = require('fs');");
+        lines.push('', 'const form = new FormData();');
+        body.multipart.forEach((field) => lines.push(field.file
+            ? `form.append(${jsQuote(field.name)}, fs.createReadStream(${jsQuote(FILE_PLACEHOLDER)}));`
+            : `form.append(${jsQuote(field.name)}, ${jsQuote(field.value)});`));
+    }
+    lines.push('');
+
+    const headers = jsHeaders(request.headers, body?.multipart ? ['...form.getHeaders()'] : []);
+    if (headers) config.push(`  headers: ${headers},`);
+    if (request.basic) config.push(`  auth: { username: ${jsQuote(request.basic.username)}, password: ${jsQuote(request.basic.password)} },`);
+    if (body?.multipart) {
+        config.push('  data: form,');
+    } else if (body?.form) {
+        const fields = body.form.map((field) => `    ${jsKey(field.name)}: ${jsQuote(field.value)},`).join('\n');
+        config.push(`  data: new URLSearchParams({\n${fields}\n  }),`);
+    } else if (body?.json !== undefined) {
+        config.push(`  data: ${indent(JSON.stringify(body.json, null, 2), '  ')},`);
+    } else if (body) {
+        config.push(`  data: ${jsQuote(body.raw)},`);
+    }
+
+    lines.push('axios({', ...config, '})');
+    lines.push('  .then((response) => console.log(response.status, response.data))');
+    lines.push('  .catch((error) => console.error(error.response?.status, error.response?.data ?? error.message));');
+    return lines.join('\n');
+}
+
+/** JSON value as a Python literal */
+function pythonLiteral(value, level = 0) {
+    const pad = '    '.repeat(level + 1);
+    const end = '    '.repeat(level);
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value === 'number' || typeof value === 'string') return JSON.stringify(value);
+    if (Array.isArray(value)) {
+        if (!value.length) return '[]';
+        return `[\n${value.map((item) => `${pad}${pythonLiteral(item, level + 1)},`).join('\n')}\n${end}]`;
+    }
+    const entries = Object.entries(value);
+    if (!entries.length) return '{}';
+    return `{\n${entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${pythonLiteral(item, level + 1)},`).join('\n')}\n${end}}`;
+}
+
+function renderPython(request) {
+    const { body } = request;
+    const method = request.method.toLowerCase();
+    const standard = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method);
+    const args = standard ? [quote(request.url)] : [quote(request.method), quote(request.url)];
+
+    if (request.headers.length) {
+        args.push(`headers=${pythonLiteral(Object.fromEntries(request.headers), 1)}`);
+    }
+    if (request.basic) args.push(`auth=(${quote(request.basic.username)}, ${quote(request.basic.password)})`);
+    if (body?.multipart) {
+        const files = body.multipart.filter((field) => field.file);
+        const data = body.multipart.filter((field) => !field.file);
+        if (data.length) args.push(`data=${pythonLiteral(Object.fromEntries(data.map((field) => [field.name, field.value])), 1)}`);
+        if (files.length) {
+            args.push(`files={\n${files.map((field) => `        ${quote(field.name)}: open(${quote(FILE_PLACEHOLDER)}, "rb"),`).join('\n')}\n    }`);
+        }
+    } else if (body?.form) {
+        args.push(`data=${pythonLiteral(Object.fromEntries(body.form.map((field) => [field.name, field.value])), 1)}`);
+    } else if (body?.json !== undefined) {
+        args.push(`json=${pythonLiteral(body.json, 1)}`);
+    } else if (body) {
+        args.push(`data=${quote(body.raw)}`);
+    }
+
+    return [
+        'import requests',
+        '',
+        `response = requests.${standard ? method : 'request'}(`,
+        ...args.map((arg) => `    ${arg},`),
+        ')',
+        'print(response.status_code, response.text)',
+    ].join('\n');
+}
+
+/** Go string literal – a raw string unless the text contains a backtick */
+function goString(text) {
+    return text.includes('`') ? quote(text) : `\`${text}\``;
+}
+
+function renderGo(request) {
+    const { body } = request;
+    const imports = new Set(['fmt', 'io', 'net/http']);
+    const lines = [];
+    let bodyVar = 'nil';
+
+    if (body?.multipart) {
+        ['bytes', 'mime/multipart'].forEach((name) => imports.add(name));
+        lines.push('body := &bytes.Buffer{}', 'writer := multipart.NewWriter(body)');
+        body.multipart.forEach((field) => {
+            if (field.file) {
+                imports.add('os');
+                imports.add('path/filepath');
+                // A block per file keeps the variable names free for the next one
+                lines.push('{', ...[
+                    `file, err := os.Open(${quote(FILE_PLACEHOLDER)})`,
+                    'if err != nil {', '\tpanic(err)', '}',
+                    'defer file.Close()',
+                    `part, err := writer.CreateFormFile(${quote(field.name)}, filepath.Base(file.Name()))`,
+                    'if err != nil {', '\tpanic(err)', '}',
+                    'if _, err := io.Copy(part, file); err != nil {', '\tpanic(err)', '}',
+                ].map((line) => `\t${line}`), '}');
+            } else {
+                lines.push(`writer.WriteField(${quote(field.name)}, ${quote(field.value)})`);
+            }
+        });
+        lines.push('writer.Close()', '');
+        bodyVar = 'body';
+    } else if (body?.form) {
+        imports.add('net/url');
+        imports.add('strings');
+        lines.push('form := url.Values{}');
+        body.form.forEach((field) => lines.push(`form.Set(${quote(field.name)}, ${quote(field.value)})`));
+        lines.push('body := strings.NewReader(form.Encode())', '');
+        bodyVar = 'body';
+    } else if (body) {
+        imports.add('strings');
+        const text = body.json !== undefined ? JSON.stringify(body.json, null, 2) : body.raw;
+        lines.push(`body := strings.NewReader(${goString(text)})`, '');
+        bodyVar = 'body';
+    }
+
+    lines.push(
+        `req, err := http.NewRequest(${quote(request.method)}, ${quote(request.url)}, ${bodyVar})`,
+        'if err != nil {', '\tpanic(err)', '}',
+    );
+    request.headers.forEach(([name, value]) => lines.push(`req.Header.Set(${quote(name)}, ${quote(value)})`));
+    if (body?.multipart) lines.push('req.Header.Set("Content-Type", writer.FormDataContentType())');
+    if (request.basic) lines.push(`req.SetBasicAuth(${quote(request.basic.username)}, ${quote(request.basic.password)})`);
+    lines.push(
+        '',
+        'res, err := http.DefaultClient.Do(req)',
+        'if err != nil {', '\tpanic(err)', '}',
+        'defer res.Body.Close()',
+        '',
+        'data, err := io.ReadAll(res.Body)',
+        'if err != nil {', '\tpanic(err)', '}',
+        'fmt.Println(res.Status, string(data))',
+    );
+
+    return [
+        'package main',
+        '',
+        'import (',
+        ...[...imports].sort().map((name) => `\t"${name}"`),
+        ')',
+        '',
+        'func main() {',
+        ...lines.map((line) => (line ? `\t${line}` : '')),
+        '}',
+    ].join('\n');
+}
+
+const RENDERERS = { curl: renderCurl, fetch: renderFetch, axios: renderAxios, python: renderPython, go: renderGo };
+
+/**
+ * Snippets for every operation of a dereferenced spec.
+ * @param {object} spec
+ * @param {object} [options]
+ * @param {string} [options.server] – base URL; defaults to the first server
+ * @returns {{ servers: string[], server: string, operations: Array<{ method, path, summary, operationId, tag, snippets: object }> }}
+ */
+function generateSnippets(spec, { server } = {}) {
+    const servers = serverUrls(spec);
+    const baseUrl = typeof server === 'string' ? server.replace(/\/+$/, '') : servers[0];
+
+    const operations = [];
+    Object.entries(isObject(spec.paths) ? spec.paths : {}).forEach(([route, pathItem]) => {
+        if (!isObject(pathItem)) return;
+        METHODS.forEach((method) => {
+            const operation = pathItem[method];
+            if (!isObject(operation)) return;
+            const request = buildRequest(spec, route, method, pathItem, operation, baseUrl);
+            const snippets = {};
+            Object.entries(RENDERERS).forEach(([language, render]) => {
+                snippets[language] = render(request);
+            });
+            operations.push({
+                method: method.toUpperCase(),
+                path: route,
+                summary: operation.summary || '',
+                operationId: operation.operationId || '',
+                tag: Array.isArray(operation.tags) ? operation.tags[0] || '' : '',
+                snippets,
+            });
+        });
+    });
+    return { servers, server: baseUrl, operations };
+}
+
+/** All snippets as one Markdown document */
+function toMarkdown(result, { title = 'API' } = {}) {
+    const lines = [`# ${title} – Code Snippets`, ''];
+    if (result.server) lines.push(`Server: \`${result.server}\``, '');
+    lines.push('Credentials are placeholders (`YOUR_TOKEN`, `YOUR_API_KEY`, …) – replace them before running a snippet.', '');
+
+    result.operations.forEach((operation) => {
+        lines.push(`## ${operation.method} ${operation.path}`, '');
+        if (operation.summary) lines.push(operation.summary, '');
+        Object.entries(LANGUAGES).forEach(([language, { label, fence }]) => {
+            const fenceMarks = operation.snippets[language].includes('```') ? '````' : '```';
+            lines.push(`### ${label}`, '', `${fenceMarks}${fence}`, operation.snippets[language], fenceMarks, '');
+        });
+    });
+    return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = { LANGUAGES, generateSnippets, toMarkdown };
@@ -0,0 +1,192 @@
+/**
+ * YAML source map.
+ * Parses YAML (or JSON) text while keeping node positions, so problems that
+ * are reported against a JSON path can be pointed back at a line and column
+ * in the editor.
+ */
+
+const YAML = require('yaml');
+
+/**
+ * Parse a document and return its value together with a locator.
+ * @param {string} text – raw YAML/JSON source
+ * @returns {{ value: any, errors: object[], locate: Function, span: Function, ranges: Function, position: Function }}
+ */
+function createSourceMap(text) {
+    const lineCounter = new YAML.LineCounter();
+    const doc = YAML.parseDocument(text, { lineCounter, uniqueKeys: false, prettyErrors: false });
+
+    const toPosition = (offset) => {
+        const { line, col } = lineCounter.linePos(offset);
+        return { line, column: col };
+    };
+
+    let value = null;
+    try {
+        value = doc.toJS({ maxAliasCount: -1 });
+    } catch {
+        value = null;
+    }
+
+    const errors = doc.errors.map((err) => ({
+        message: err.message.split('\n')[0],
+        ...toPosition(err.pos[0]),
+    }));
+
+    /**
+     * Find the source range for a path, falling back to the closest ancestor
+     * that exists in the document.
+     * @param {Array<string|number>} path
+     * @returns {{ line: number, column: number, endLine: number, endColumn: number }}
+     */
+    function locate(path) {
+        let node = doc.contents;
+        let range = node && node.range ? [node.range[0], node.range[0]] : [0, 0];
+
+        for (const segment of path) {
+            node = resolveAlias(node, doc);
+            if (YAML.isMap(node)) {
+                const pair = node.items.find((item) => keyOf(item) === String(segment));
+                if (!pair) break;
+                if (pair.key && pair.key.range) range = [pair.key.range[0], pair.key.range[1]];
+                node = pair.value;
+            } else if (YAML.isSeq(node)) {
+                const item = node.items[Number(segment)];
+                if (!item) break;
+                if (item.range) range = [item.range[0], firstLineEnd(text, item.range)];
+                node = item;
+            } else {
+                break;
+            }
+        }
+
+        const start = toPosition(range[0]);
+        const end = toPosition(Math.max(range[1], range[0]));
+        return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+    }
+
+    /**
+     * Lines a node covers, from its key (or array item) to the end of its
+     * value; null when the path does not exist.
+     * @param {Array<string|number>} path
+     * @returns {{ line: number, endLine: number }|null}
+     */
+    function span(path) {
+        let node = doc.contents;
+        let start = node && node.range ? node.range[0] : 0;
+        for (const segment of path) {
+            node = resolveAlias(node, doc);
+            if (YAML.isMap(node)) {
+                const pair = node.items.find((item) => keyOf(item) === String(segment));
+                if (!pair) return null;
+                if (pair.key && pair.key.range) start = pair.key.range[0];
+                node = pair.value;
+            } else if (YAML.isSeq(node)) {
+                node = node.items[Number(segment)];
+                if (!node) return null;
+                if (node.range) start = node.range[0];
+            } else {
+                return null;
+            }
+        }
+        const end = node && node.range ? node.range[1] : start;
+        return { line: toPosition(start).line, endLine: toPosition(Math.max(end - 1, start)).line };
+    }
+
+    /**
+     * Source offsets of the key and the value at a path, without falling
+     * back to an ancestor; null when the path does not exist. The value is
+     * null when it is an alias, whose text is not the value itself.
+     * @param {Array<string|number>} path
+     * @returns {{ key: number[]|null, value: number[]|null }|null}
+     */
+    function ranges(path) {
+        let node = doc.contents;
+        let key = null;
+        for (const segment of path) {
+            node = resolveAlias(node, doc);
+            if (YAML.isMap(node)) {
+                const pair = node.items.find((item) => keyOf(item) === String(segment));
+                if (!pair) return null;
+                key = pair.key && pair.key.range ? [pair.key.range[0], pair.key.range[1]] : null;
+                node = pair.value;
+            } else if (YAML.isSeq(node)) {
+                node = node.items[Number(segment)];
+                if (!node) return null;
+                key = null;
+            } else {
+                return null;
+            }
+        }
+        const value = node && node.range && !YAML.isAlias(node) ? [node.range[0], node.range[1]] : null;
+        return { key, value };
+    }
+
+    return { value, errors, locate, span, ranges, position: toPosition };
+}
+
+function keyOf(pair) {
+    if (!pair || pair.key === null || pair.key === undefined) return null;
+    if (YAML.isScalar(pair.key)) return String(pair.key.value);
+    return String(pair.key);
+}
+
+function resolveAlias(node, doc) {
+    return YAML.isAlias(node) ? node.resolve(doc) : node;
+}
+
+/** Limit a range to the line it starts on so gutter marks stay readable */
+function firstLineEnd(text, range) {
+    const newline = text.indexOf('\n', range[0]);
+    return newline === -1 || newline > range[1] ? range[1] : newline;
+}
+
+/* ── Path helpers ──────────────────────────────────────────────────────── */
+
+/**
+ * Convert a JSON pointer ("/paths/~1pets/get") into path segments.
+ * When the document is given, array indices come back as numbers.
+ */
+function pointerToPath(pointer, root) {
+    if (!pointer) return [];
+    let node = root;
+    return pointer
+        .replace(/^#/, '')
+        .split('/')
+        .slice(1)
+        .map((raw) => {
+            const segment = safeDecode(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+            const isIndex = Array.isArray(node) && /^\d+$/.test(segment);
+            node = node && typeof node === 'object' ? node[segment] : undefined;
+            return isIndex ? Number(segment) : segment;
+        });
+}
+
+function safeDecode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/** Convert path segments into a JSON pointer */
+function pathToPointer(path) {
+    return path.map((segment) => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/** Render path segments as a readable JSONPath, e.g. $.paths['/pets'].get */
+function formatPath(path) {
+    return path.reduce((acc, segment) => {
+        if (typeof segment === 'number') return `${acc}[${segment}]`;
+        if (/^[A-Za-z_$][\w$-]*$/.test(segment)) return `${acc}.${segment}`;
+        return `${acc}['${String(segment).replace(/'/g, "\\'")}']`;
+    }, '$');
+}
+
+module.exports = {
+    createSourceMap,
+    pointerToPath,
+    pathToPointer,
+    formatPath,
+};
@@ -0,0 +1,86 @@
+/**
+ * In-memory registry of specs pushed from the editor (or pointed at a
+ * workspace file). The mock server answers from these specs and the
+ * proxy validates traffic against them. Workspace-backed entries re-read
+ * their file whenever it changes.
+ */
+
+const path = require('path');
+const { createSourceMap } = require('./source-map');
+const { dereference } = require('./refs');
+const { compileRoutes, basePathsOf } = require('./mock');
+
+const ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * @param {{ workspace: object, workspaceDir: string, limit?: number }} options
+ *   workspace is a store from createWorkspace()
+ */
+function createSpecRegistry({ workspace, workspaceDir, limit = 50 }) {
+    const entries = new Map();
+
+    /** Parse and index a spec; throws an Error with a user-facing message */
+    function compile(source, documentPath) {
+        const sourceMap = createSourceMap(source);
+        if (sourceMap.errors.length) {
+            throw new Error(`Spec is not valid YAML (line ${sourceMap.errors[0].line}): ${sourceMap.errors[0].message}`);
+        }
+        const raw = sourceMap.value;
+        if (!raw || typeof raw !== 'object' || (raw.openapi === undefined && raw.swagger === undefined)) {
+            throw new Error('Spec is not an OpenAPI or Swagger document');
+        }
+        const spec = dereference(raw, {
+            workspaceDir,
+            baseDir: path.posix.dirname((documentPath || '').replace(/\\/g, '/')),
+        });
+        return {
+            raw,
+            spec,
+            routes: compileRoutes(spec),
+            basePaths: basePathsOf(spec),
+            title: spec.info?.title || '',
+            validator: null, // contract validator, compiled on first use
+        };
+    }
+
+    function store(id, fields) {
+        entries.delete(id);
+        entries.set(id, { id, ...fields, updated: new Date().toISOString() });
+        // Forget the least recently registered specs
+        while (entries.size > limit) entries.delete(entries.keys().next().value);
+        return entries.get(id);
+    }
+
+    /** Register editor source: { source, documentPath? } */
+    function registerSource(id, source, documentPath = '') {
+        return store(id, { path: null, ...compile(source, documentPath) });
+    }
+
+    /** Register a workspace file by its relative path */
+    function registerFile(id, relPath) {
+        const file = workspace.read(relPath);
+        return store(id, { path: file.path, version: file.version, ...compile(file.content, file.path) });
+    }
+
+    /** Look an entry up, reloading workspace-backed ones if their file changed */
+    function get(id) {
+        const entry = entries.get(id);
+        if (!entry || !entry.path) return entry || null;
+        const file = workspace.read(entry.path);
+        if (file.version !== entry.version) {
+            Object.assign(entry, compile(file.content, entry.path), { version: file.version, updated: new Date().toISOString() });
+        }
+        return entry;
+    }
+
+    return {
+        isValidId: (id) => ID_PATTERN.test(id),
+        registerSource,
+        registerFile,
+        get,
+        list: () => [...entries.values()],
+        remove: (id) => entries.delete(id),
+    };
+}
+
+module.exports = { createSpecRegistry };
@@ -0,0 +1,344 @@
+/**
+ * Static documentation.
+ * Renders a spec as documentation that works without this editor: one
+ * offline HTML file with Swagger UI and the spec embedded, or Markdown
+ * pages – an index plus one page per tag – for a docs site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sampleFromSchema } = require('./sample-data');
+const { parametersOf } = require('./request-examples');
+const { METHODS, isObject } = require('./util');
+
+// "Try it out" in exported docs may only send requests that change nothing
+const READ_ONLY_METHODS = ['get', 'head', 'options'];
+
+const UNTAGGED = 'Other';
+
+// ── HTML ─────────────────────────────────────────────────────────────────
+
+let assets = null;
+
+/** Swagger UI's script and stylesheet, read once from swagger-ui-dist */
+function swaggerAssets() {
+    if (!assets) {
+        const dist = path.dirname(require.resolve('swagger-ui-dist/package.json'));
+        const read = (file) => fs.readFileSync(path.join(dist, file), 'utf-8').replace(/\/[/*]# sourceMappingURL=\S+/g, '');
+        assets = { script: read('swagger-ui-bundle.js'), style: read('swagger-ui.css') };
+    }
+    return assets;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** Keep inline script and style text from ending its element early */
+function inlineSafe(text) {
+    return text.replace(/<(\/script|\/style|!--)/gi, '\\x3C$1');
+}
+
+/**
+ * A single HTML file that renders the spec with Swagger UI, offline.
+ * @param {object} spec – parsed document; local $refs are fine, external ones must be inlined first
+ * @returns {string}
+ */
+function toStaticHtml(spec) {
+    const { script, style } = swaggerAssets();
+    const title = `${spec.info?.title || 'API'}${spec.info?.version ? ` ${spec.info.version}` : ''}`;
+    // < keeps "</script>" inside string values from closing the element
+    const json = JSON.stringify(spec).replace(/</g, '\\u003c');
+    const options = {
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        validatorUrl: null,
+        supportedSubmitMethods: READ_ONLY_METHODS,
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="generator" content="Swagger Editor" />
+    <title>${escapeHtml(title)}</title>
+    <style>${inlineSafe(style)}</style>
+    <style>body { margin: 0; background: #fafafa; }</style>
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script id="spec" type="application/json">${json}</script>
+    <script>${inlineSafe(script)}</script>
+    <script>
+        window.ui = SwaggerUIBundle(Object.assign(${JSON.stringify(options)}, {
+            spec: JSON.parse(document.getElementById('spec').textContent),
+        }));
+    </script>
+</body>
+</html>
+`;
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────
+
+/** Table cell text: pipes escaped, line breaks kept */
+function cell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+}
+
+function codeBlock(value, language = 'json') {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    const fence = text.includes('```') ? '````' : '```';
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/** Short type description: "string (date-time)", "array of integer", … */
+function typeLabel(schema) {
+    if (!isObject(schema)) return '';
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives)) return alternatives.map(typeLabel).filter(Boolean).join(' or ');
+    if (Array.isArray(schema.allOf)) return 'object';
+
+    let type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type;
+    if (!type) type = schema.properties ? 'object' : schema.items ? 'array' : 'any';
+    if (type === 'array') return `array of ${typeLabel(schema.items) || 'any'}`;
+    const details = [schema.format, Array.isArray(schema.enum) ? `one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` : '']
+        .filter(Boolean);
+    return details.length ? `${type} (${details.join('; ')})` : type;
+}
+
+/** Top-level properties of an object schema (or of an array's items) */
+function propertyRows(schema) {
+    let target = schema;
+    if (isObject(target?.items) && !target.properties) target = target.items;
+    if (!isObject(target)) return [];
+
+    const properties = {};
+    const required = new Set(Array.isArray(target.required) ? target.required : []);
+    [target, ...(Array.isArray(target.allOf) ? target.allOf : [])].forEach((part) => {
+        if (!isObject(part)) return;
+        Object.assign(properties, isObject(part.properties) ? part.properties : {});
+        (Array.isArray(part.required) ? part.required : []).forEach((name) => required.add(name));
+    });
+    return Object.entries(properties).map(([name, prop]) => [
+        `\`${name}\``,
+        typeLabel(prop),
+        required.has(name) ? 'yes' : 'no',
+        prop?.description || '',
+    ]);
+}
+
+function mediaExample(media, direction) {
+    if (!isObject(media)) return undefined;
+    if (media.example !== undefined) return media.example;
+    const named = isObject(media.examples) ? Object.values(media.examples)[0] : undefined;
+    if (isObject(named) && named.value !== undefined) return named.value;
+    return isObject(media.schema) ? sampleFromSchema(media.schema, { direction }) : undefined;
+}
+
+/** A body (request or response) as a content type line, property table and example */
+function renderContent(content, direction) {
+    const lines = [];
+    Object.entries(content).forEach(([type, media]) => {
+        lines.push(`Content type: \`${type}\``, '');
+        const rows = propertyRows(media?.schema);
+        if (rows.length) lines.push(table(['Property', 'Type', 'Required', 'Description'], rows), '');
+        else if (media?.schema) lines.push(`Type: ${typeLabel(media.schema)}`, '');
+        const example = mediaExample(media, direction);
+        if (example !== undefined) {
+            lines.push(codeBlock(example, /[/+]json/i.test(type) || typeof example !== 'string' ? 'json' : ''), '');
+        }
+    });
+    return lines;
+}
+
+/** OpenAPI 3 view of an operation's body and responses, for either version */
+function normalise(spec, operation, parameters) {
+    if (spec.swagger === undefined) {
+        return {
+            requestBody: operation.requestBody,
+            responses: operation.responses,
+        };
+    }
+
+    const consumes = operation.consumes || spec.consumes || ['application/json'];
+    const produces = operation.produces || spec.produces || ['application/json'];
+    let requestBody;
+    const bodyParam = parameters.find((param) => param.in === 'body');
+    const formParams = parameters.filter((param) => param.in === 'formData');
+    if (bodyParam) {
+        requestBody = {
+            description: bodyParam.description,
+            required: bodyParam.required,
+            content: { [consumes[0]]: { schema: bodyParam.schema } },
+        };
+    } else if (formParams.length) {
+        const type = formParams.some((param) => param.type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+        const schema = {
+            type: 'object',
+            properties: Object.fromEntries(formParams.map((param) => [param.name, param])),
+            required: formParams.filter((param) => param.required).map((param) => param.name),
+        };
+        requestBody = { content: { [type]: { schema } } };
+    }
+
+    const responses = {};
+    Object.entries(isObject(operation.responses) ? operation.responses : {}).forEach(([status, response]) => {
+        if (!isObject(response)) return;
+        const content = {};
+        if (response.schema) {
+            content[produces[0]] = { schema: response.schema };
+            const example = isObject(response.examples) ? response.examples[produces[0]] : undefined;
+            if (example !== undefined) content[produces[0]].example = example;
+        }
+        responses[status] = { description: response.description, content };
+    });
+    return { requestBody, responses };
+}
+
+/** Parameter type, for either version */
+function parameterType(param) {
+    return typeLabel(isObject(param.schema) ? param.schema : param);
+}
+
+function renderOperation(spec, route, method, pathItem, operation) {
+    const parameters = parametersOf(pathItem, operation);
+    const { requestBody, responses } = normalise(spec, operation, parameters);
+    const lines = [`## ${operation.summary || `${method.toUpperCase()} ${route}`}`, '', `\`${method.toUpperCase()} ${route}\``, ''];
+    if (operation.deprecated) lines.push('> **Deprecated**', '');
+    if (operation.description) lines.push(operation.description, '');
+
+    const security = operation.security ?? spec.security;
+    if (Array.isArray(security) && security.length) {
+        const options = security.filter(isObject).map((requirement) => Object.keys(requirement).join(' + ') || 'none');
+        lines.push(`Authentication: ${options.join(' or ')}`, '');
+    }
+
+    const listed = parameters.filter((param) => !['body', 'formData'].includes(param.in));
+    if (listed.length) {
+        lines.push('### Parameters', '', table(['Name', 'In', 'Type', 'Required', 'Description'], listed.map((param) => [
+            `\`${param.name}\``,
+            param.in,
+            parameterType(param),
+            param.required ? 'yes' : 'no',
+            param.description || '',
+        ])), '');
+    }
+
+    if (isObject(requestBody)) {
+        lines.push('### Request body', '');
+        if (requestBody.description) lines.push(requestBody.description, '');
+        lines.push(...renderContent(isObject(requestBody.content) ? requestBody.content : {}, 'request'));
+    }
+
+    const entries = Object.entries(isObject(responses) ? responses : {}).filter(([, response]) => isObject(response));
+    if (entries.length) {
+        lines.push('### Responses', '', table(['Status', 'Description'], entries.map(([status, response]) => [status, response.description || ''])), '');
+        entries.forEach(([status, response]) => {
+            const content = isObject(response.content) ? response.content : {};
+            if (!Object.keys(content).length) return;
+            lines.push(`#### ${status}`, '', ...renderContent(content, 'response'));
+        });
+    }
+    return lines;
+}
+
+/** File name for a tag page: lower-case, dashes, unique */
+function pageName(tag, taken) {
+    const base = tag.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tag';
+    let name = base === 'index' ? 'index-tag' : base;
+    for (let i = 2; taken.has(name); i++) name = `${base}-${i}`;
+    taken.add(name);
+    return `${name}.md`;
+}
+
+/** Server URLs, for either version */
+function serverList(spec) {
+    if (spec.swagger !== undefined) {
+        if (!spec.host) return spec.basePath ? [{ url: spec.basePath }] : [];
+        return (spec.schemes || ['https']).map((scheme) => ({ url: `${scheme}://${spec.host}${spec.basePath || ''}` }));
+    }
+    return (Array.isArray(spec.servers) ? spec.servers : []).filter(isObject);
+}
+
+function renderIndex(spec, pages) {
+    const info = spec.info || {};
+    const lines = [`# ${info.title || 'API'}`, ''];
+    if (info.version) lines.push(`Version: ${info.version}`, '');
+    if (info.description) lines.push(info.description, '');
+
+    const servers = serverList(spec);
+    if (servers.length) {
+        lines.push('## Servers', '', ...servers.map((server) => `- \`${server.url}\`${server.description ? ` – ${server.description}` : ''}`), '');
+    }
+
+    const schemes = (spec.swagger !== undefined ? spec.securityDefinitions : spec.components?.securitySchemes) || {};
+    if (Object.keys(schemes).length) {
+        lines.push('## Authentication', '', table(['Name', 'Type', 'Details'], Object.entries(schemes).filter(([, scheme]) => isObject(scheme)).map(([name, scheme]) => [
+            `\`${name}\``,
+            scheme.type === 'http' ? `http ${scheme.scheme || ''}`.trim() : scheme.type,
+            scheme.type === 'apiKey' ? `\`${scheme.name}\` in ${scheme.in}` : scheme.description || '',
+        ])), '');
+    }
+
+    lines.push('## Operations', '');
+    pages.forEach((page) => {
+        lines.push(`- [${page.tag}](${page.name}) – ${page.count} operation${page.count === 1 ? '' : 's'}${page.description ? `. ${page.description.split('\n')[0]}` : ''}`);
+    });
+    return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Markdown pages: index.md plus one page per tag, in the spec's tag order.
+ * An operation appears on the page of every tag it lists; operations
+ * without tags go on an "Other" page.
+ * @param {object} spec – dereferenced document
+ * @returns {Array<{ name: string, content: string }>}
+ */
+function toMarkdownPages(spec) {
+    const groups = new Map();
+    (Array.isArray(spec.tags) ? spec.tags : []).forEach((tag) => {
+        if (isObject(tag) && tag.name) groups.set(tag.name, { tag: tag.name, description: tag.description || '', operations: [] });
+    });
+
+    Object.entries(isObject(spec.paths) ? spec.paths : {}).forEach(([route, pathItem]) => {
+        if (!isObject(pathItem)) return;
+        METHODS.forEach((method) => {
+            const operation = pathItem[method];
+            if (!isObject(operation)) return;
+            const tags = Array.isArray(operation.tags) ? operation.tags.filter((tag) => typeof tag === 'string' && tag) : [];
+            new Set(tags.length ? tags : [UNTAGGED]).forEach((tag) => {
+                if (!groups.has(tag)) groups.set(tag, { tag, description: '', operations: [] });
+                groups.get(tag).operations.push({ route, method, pathItem, operation });
+            });
+        });
+    });
+
+    const taken = new Set(['index']);
+    const pages = [...groups.values()].filter((group) => group.operations.length).map((group) => {
+        const name = pageName(group.tag, taken);
+        const lines = [`# ${group.tag}`, ''];
+        if (group.description) lines.push(group.description, '');
+        lines.push(`[← ${spec.info?.title || 'API'}](index.md)`, '');
+        group.operations.forEach(({ route, method, pathItem, operation }) => {
+            lines.push(...renderOperation(spec, route, method, pathItem, operation));
+        });
+        return { ...group, name, count: group.operations.length, content: `${lines.join('\n').trimEnd()}\n` };
+    });
+
+    return [
+        { name: 'index.md', content: renderIndex(spec, pages) },
+        ...pages.map((page) => ({ name: page.name, content: page.content })),
+    ];
+}
+
+module.exports = { toStaticHtml, toMarkdownPages };
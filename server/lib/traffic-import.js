@@ -0,0 +1,668 @@
+/**
+ * Traffic import.
+ * Turns a Postman v2.1 collection or a HAR capture into a draft OpenAPI
+ * 3.0 document. Requests become operations grouped into tags by Postman
+ * folder or HAR host, varying URL segments become path parameters and
+ * request/response schemas are inferred from the sample JSON bodies.
+ */
+
+const { STATUS_CODES } = require('http');
+const { inferSchema, inferParameterSchema, coerceScalar } = require('./schema-inference');
+const { METHODS, isObject } = require('./util');
+
+// Headers every client or browser sends – not worth documenting as parameters
+const IGNORED_HEADERS = new Set([
+    'accept', 'accept-charset', 'accept-encoding', 'accept-language', 'authorization', 'cache-control',
+    'connection', 'content-length', 'content-type', 'cookie', 'dnt', 'host', 'if-modified-since',
+    'if-none-match', 'origin', 'postman-token', 'pragma', 'referer', 'te', 'upgrade-insecure-requests',
+    'user-agent', 'x-requested-with',
+]);
+
+// HAR entries for page assets rather than API calls
+const STATIC_CONTENT = /^(image|font|video|audio)\/|css|javascript|ecmascript|html/i;
+
+const EXAMPLE_TEXT_LIMIT = 2000;
+
+/** "application/json; charset=utf-8" → "application/json" */
+function baseMediaType(type) {
+    return String(type || '').split(';')[0].trim().toLowerCase();
+}
+
+function isJsonType(type) {
+    return /[/+]json$/i.test(baseMediaType(type));
+}
+
+function headerValue(headers, name) {
+    const found = headers.find((header) => header.name.toLowerCase() === name);
+    return found ? found.value : undefined;
+}
+
+function parseJson(text) {
+    try {
+        return { value: JSON.parse(text) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Work out what kind of file was uploaded.
+ * @returns {'postman'|'har'|null}
+ */
+function detectFormat(doc) {
+    if (!isObject(doc)) return null;
+    if (isObject(doc.log) && Array.isArray(doc.log.entries)) return 'har';
+    if (isObject(doc.info) && Array.isArray(doc.item)) return 'postman';
+    return null;
+}
+
+// ── Postman ──────────────────────────────────────────────────────────────
+
+function postmanVariables(list) {
+    const variables = {};
+    (Array.isArray(list) ? list : []).forEach((variable) => {
+        if (isObject(variable) && variable.key) variables[variable.key] = variable.value;
+    });
+    return variables;
+}
+
+function authAttributes(auth) {
+    const values = {};
+    const list = auth[auth.type];
+    (Array.isArray(list) ? list : []).forEach((attr) => {
+        if (isObject(attr)) values[attr.key] = attr.value;
+    });
+    return values;
+}
+
+/** Security scheme for a Postman auth block: { name, scheme } or 'none' */
+function postmanSecurity(auth) {
+    if (!isObject(auth)) return null;
+    const attrs = authAttributes(auth);
+    switch (auth.type) {
+        case 'noauth':
+            return 'none';
+        case 'basic':
+            return { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' } };
+        case 'bearer':
+            return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' } };
+        case 'apikey':
+            return {
+                name: 'apiKeyAuth',
+                scheme: { type: 'apiKey', in: attrs.in === 'query' ? 'query' : 'header', name: attrs.key || 'X-API-Key' },
+            };
+        case 'oauth2': {
+            const flows = {
+                authorization_code: ['authorizationCode', { authorizationUrl: attrs.authUrl, tokenUrl: attrs.accessTokenUrl }],
+                implicit: ['implicit', { authorizationUrl: attrs.authUrl }],
+                password_credentials: ['password', { tokenUrl: attrs.accessTokenUrl }],
+                client_credentials: ['clientCredentials', { tokenUrl: attrs.accessTokenUrl }],
+            };
+            const [flow, urls] = flows[attrs.grant_type] || flows.authorization_code;
+            Object.keys(urls).forEach((key) => {
+                if (!urls[key]) urls[key] = 'https://example.com/oauth';
+            });
+            return { name: 'oauth2', scheme: { type: 'oauth2', flows: { [flow]: { ...urls, scopes: {} } } } };
+        }
+        default:
+            return null;
+    }
+}
+
+/** Split a Postman URL into origin, path segments and query */
+function postmanUrl(url, variables) {
+    let origin;
+    let pathParts;
+    let query = [];
+    let pathVariables = {};
+
+    if (isObject(url) && (Array.isArray(url.host) || Array.isArray(url.path))) {
+        const host = (Array.isArray(url.host) ? url.host : [url.host]).filter(Boolean).join('.');
+        origin = `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}`;
+        pathParts = (Array.isArray(url.path) ? url.path : String(url.path || '').split('/'))
+            .map((part) => (isObject(part) ? part.value : part));
+        query = (Array.isArray(url.query) ? url.query : [])
+            .filter((q) => isObject(q) && q.key && !q.disabled)
+            .map((q) => ({ name: q.key, value: q.value == null ? '' : String(q.value) }));
+        pathVariables = postmanVariables(url.variable);
+    } else {
+        const raw = String(isObject(url) ? url.raw || '' : url || '');
+        const [withoutQuery, search = ''] = raw.split('?');
+        const match = withoutQuery.match(/^((?:[a-z][\w+.-]*:\/\/)?[^/]*)(.*)$/i);
+        origin = match[1];
+        pathParts = match[2].split('/');
+        query = [...new URLSearchParams(search)].map(([name, value]) => ({ name, value }));
+    }
+
+    // Variables in the origin are resolved; unresolved ones become server variables
+    origin = origin.replace(/\{\{([^}]+)\}\}/g, (token, name) => (variables[name] ? String(variables[name]) : token));
+    if (origin && !/^[a-z][\w+.-]*:\/\//i.test(origin) && !origin.startsWith('{{')) origin = `https://${origin}`;
+    // A base URL variable may carry a path of its own ("https://api.test/v1"); it stays in the server URL
+    origin = origin.replace(/\/+$/, '');
+
+    const segments = pathParts.filter((part) => part !== '' && part !== undefined).map((part) => {
+        const text = String(part);
+        const param = text.match(/^:([\w.-]+)$/) || text.match(/^\{\{([^}]+)\}\}$/);
+        if (!param) return { value: text };
+        const example = pathVariables[param[1]] !== undefined ? pathVariables[param[1]] : variables[param[1]];
+        return { value: example === undefined ? '' : String(example), param: param[1] };
+    });
+
+    return { origin: origin.replace(/\{\{([^}]+)\}\}/g, '{$1}'), segments, query };
+}
+
+function postmanBody(body, headers) {
+    if (!isObject(body)) return null;
+    const declared = headerValue(headers, 'content-type');
+    switch (body.mode) {
+        case 'raw': {
+            if (!body.raw) return null;
+            const language = body.options?.raw?.language;
+            const fallback = language === 'json' ? 'application/json' : language === 'xml' ? 'application/xml' : 'text/plain';
+            return { mimeType: declared || fallback, text: body.raw };
+        }
+        case 'urlencoded':
+            return {
+                mimeType: 'application/x-www-form-urlencoded',
+                params: (body.urlencoded || []).filter((p) => p && !p.disabled).map((p) => ({ name: p.key, value: p.value || '' })),
+            };
+        case 'formdata':
+            return {
+                mimeType: 'multipart/form-data',
+                params: (body.formdata || []).filter((p) => p && !p.disabled)
+                    .map((p) => ({ name: p.key, value: p.value || '', file: p.type === 'file' })),
+            };
+        case 'graphql':
+            return { mimeType: 'application/json', text: JSON.stringify(body.graphql || {}) };
+        default:
+            return null;
+    }
+}
+
+function postmanHeaders(list) {
+    return (Array.isArray(list) ? list : [])
+        .filter((header) => isObject(header) && header.key && !header.disabled)
+        .map((header) => ({ name: header.key, value: String(header.value ?? '') }));
+}
+
+/** Samples from a Postman collection, one per saved response (or per request) */
+function fromPostman(collection) {
+    const variables = postmanVariables(collection.variable);
+    const samples = [];
+
+    function visit(items, folders, inheritedAuth) {
+        items.filter(isObject).forEach((item) => {
+            if (Array.isArray(item.item)) {
+                visit(item.item, [...folders, item.name || 'Folder'], item.auth || inheritedAuth);
+                return;
+            }
+            const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+            if (!isObject(request)) return;
+
+            const headers = postmanHeaders(request.header);
+            const base = {
+                tag: folders.length ? folders.join(' / ') : null,
+                name: item.name,
+                description: typeof request.description === 'string' ? request.description : request.description?.content,
+                method: String(request.method || 'GET').toLowerCase(),
+                ...postmanUrl(request.url, variables),
+                headers,
+                body: postmanBody(request.body, headers),
+                security: postmanSecurity(request.auth || inheritedAuth),
+            };
+
+            const responses = (Array.isArray(item.response) ? item.response : []).filter(isObject);
+            if (!responses.length) {
+                samples.push({ ...base, response: null });
+                return;
+            }
+            responses.forEach((response) => {
+                const responseHeaders = postmanHeaders(response.header);
+                const mimeType = headerValue(responseHeaders, 'content-type')
+                    || (response._postman_previewlanguage === 'json' ? 'application/json' : 'text/plain');
+                samples.push({
+                    ...base,
+                    response: { status: Number(response.code) || 200, statusText: response.status, mimeType, text: response.body || '' },
+                });
+            });
+        });
+    }
+
+    visit(collection.item, [], collection.auth);
+    return { title: collection.info.name, description: collection.info.description, samples };
+}
+
+// ── HAR ──────────────────────────────────────────────────────────────────
+
+function harSecurity(headers) {
+    const authorization = headerValue(headers, 'authorization') || '';
+    if (/^bearer\s/i.test(authorization)) return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' } };
+    if (/^basic\s/i.test(authorization)) return { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' } };
+    return null;
+}
+
+/** Samples from a HAR capture; page assets (scripts, images, …) are skipped */
+function fromHar(har) {
+    const samples = [];
+    har.log.entries.filter(isObject).forEach((entry) => {
+        const { request, response } = entry;
+        if (!isObject(request) || !isObject(response)) return;
+        if (entry._resourceType && !['xhr', 'fetch'].includes(entry._resourceType)) return;
+        const content = isObject(response.content) ? response.content : {};
+        if (STATIC_CONTENT.test(content.mimeType || '')) return;
+
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch {
+            return;
+        }
+        if (!/^https?:$/.test(url.protocol)) return;
+
+        const headers = (request.headers || []).filter((h) => isObject(h) && h.name && !h.name.startsWith(':'));
+        const postData = isObject(request.postData) ? request.postData : null;
+        let text = content.text || '';
+        if (content.encoding === 'base64') text = Buffer.from(text, 'base64').toString('utf-8');
+
+        samples.push({
+            tag: url.host,
+            name: null,
+            method: String(request.method || 'GET').toLowerCase(),
+            origin: url.origin,
+            segments: url.pathname.split('/').filter(Boolean).map((value) => ({ value: safeDecode(value) })),
+            query: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            headers,
+            body: postData && (postData.text || postData.params?.length)
+                ? { mimeType: postData.mimeType || '', text: postData.text, params: postData.params }
+                : null,
+            security: harSecurity(headers),
+            response: response.status
+                ? { status: response.status, statusText: response.statusText, mimeType: content.mimeType || '', text }
+                : null,
+        });
+    });
+    const pages = har.log.pages || [];
+    return { title: pages[0]?.title, description: 'Draft generated from a HAR capture.', samples };
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        return text;
+    }
+}
+
+// ── Path templating ──────────────────────────────────────────────────────
+
+/** Segments that are obviously identifiers: numbers, UUIDs, hashes, tokens */
+function looksLikeId(value) {
+    return /^\d+$/.test(value)
+        || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+        || /^[0-9a-f]{12,}$/i.test(value)
+        || (/^[\w-]{16,}$/.test(value) && /\d/.test(value) && /[a-z]/i.test(value));
+}
+
+/** Segment values that look like data rather than route names */
+function looksLikeValue(value) {
+    return looksLikeId(value) || /\d/.test(value) || /[^a-z_-]/i.test(value);
+}
+
+/**
+ * Turn varying segments into parameters. A position becomes a parameter
+ * when requests that agree on every other segment disagree on it, and
+ * the values look like data (digits, mixed case, punctuation) – or when
+ * there are so many of them that they cannot all be route names.
+ */
+function templatePaths(samples) {
+    samples.forEach((sample) => {
+        sample.segments.forEach((segment) => {
+            if (!segment.param && looksLikeId(segment.value)) segment.param = true;
+        });
+    });
+
+    const maxLength = Math.max(0, ...samples.map((sample) => sample.segments.length));
+    for (let i = 0; i < maxLength; i++) {
+        const groups = new Map();
+        samples.filter((sample) => sample.segments.length > i && !sample.segments[i].param).forEach((sample) => {
+            const key = [sample.origin, ...sample.segments.map((s, j) => (j === i ? '*' : s.param ? '{}' : s.value))].join('\u0000');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(sample);
+        });
+        groups.forEach((group) => {
+            const values = [...new Set(group.map((sample) => sample.segments[i].value))];
+            const dataLike = values.filter(looksLikeValue).length;
+            if (values.length >= 2 && (dataLike * 2 >= values.length || values.length >= 5)) {
+                group.forEach((sample) => { sample.segments[i].param = true; });
+            }
+        });
+    }
+}
+
+/** "order-items" → "orderItemId" */
+function paramNameFor(previous) {
+    if (!previous) return 'id';
+    const words = previous.split(/[^a-z0-9]+/i).filter(Boolean);
+    if (!words.length) return 'id';
+    const last = words.pop()
+        .replace(/ies$/i, 'y')
+        .replace(/(ss|sh|ch|x)es$/i, '$1')
+        .replace(/([^s])s$/i, '$1');
+    return [...words, last]
+        .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+        .join('') + 'Id';
+}
+
+/** Path template for a sample, naming parameters after the segment before them */
+function templateOf(sample) {
+    const used = new Set();
+    return '/' + sample.segments.map((segment, i) => {
+        if (!segment.param) return segment.value;
+        let name = typeof segment.param === 'string' ? segment.param : paramNameFor(sample.segments[i - 1]?.value);
+        const base = name;
+        for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+        used.add(name);
+        segment.name = name;
+        return `{${name}}`;
+    }).join('/');
+}
+
+// ── Spec generation ──────────────────────────────────────────────────────
+
+function operationIdFor(method, template, taken) {
+    const words = template.split('/').filter(Boolean).map((segment) => {
+        const param = segment.match(/^\{(.+)\}$/);
+        return param ? `by-${param[1]}` : segment;
+    });
+    const base = [method, ...words.join('-').split(/[^a-z0-9]+/i)]
+        .filter(Boolean)
+        .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1)))
+        .join('');
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}${n}`;
+    taken.add(id);
+    return id;
+}
+
+function exampleText(text) {
+    return text.length > EXAMPLE_TEXT_LIMIT ? `${text.slice(0, EXAMPLE_TEXT_LIMIT)}…` : text;
+}
+
+/** Media type object inferred from the bodies sent with one media type */
+function mediaObject(mimeType, bodies) {
+    if (isJsonType(mimeType)) {
+        const values = bodies.map((body) => parseJson(body.text || '')).filter(Boolean).map((parsed) => parsed.value);
+        if (values.length) return { schema: inferSchema(values), example: values[0] };
+    }
+    if (/x-www-form-urlencoded|form-data/i.test(mimeType)) {
+        const objects = bodies.map((body) => {
+            const params = Array.isArray(body.params) && body.params.length
+                ? body.params
+                : [...new URLSearchParams(body.text || '')].map(([name, value]) => ({ name, value }));
+            const object = {};
+            params.forEach((param) => {
+                if (param && param.name) object[param.name] = param.file || param.fileName ? '' : coerceScalar(String(param.value ?? ''));
+            });
+            return { object, files: params.filter((p) => p && (p.file || p.fileName)).map((p) => p.name) };
+        });
+        const schema = inferSchema(objects.map((o) => o.object));
+        objects.flatMap((o) => o.files).forEach((name) => {
+            if (schema.properties) schema.properties[name] = { type: 'string', format: 'binary' };
+        });
+        return { schema };
+    }
+    const text = bodies.map((body) => body.text).find(Boolean);
+    return { schema: { type: 'string' }, ...(text ? { example: exampleText(text) } : {}) };
+}
+
+/** Group bodies by media type and infer one media type object per group */
+function contentOf(bodies) {
+    const byType = new Map();
+    bodies.forEach((body) => {
+        const type = baseMediaType(body.mimeType) || 'application/octet-stream';
+        if (!byType.has(type)) byType.set(type, []);
+        byType.get(type).push(body);
+    });
+    const content = {};
+    byType.forEach((group, type) => {
+        content[type] = mediaObject(type, group);
+    });
+    return content;
+}
+
+function parameterObject(location, name, values, required) {
+    return {
+        name,
+        in: location,
+        required: location === 'path' || required,
+        schema: inferParameterSchema(values),
+        example: coerceScalar(values[0]),
+    };
+}
+
+function buildOperation(method, template, samples, context) {
+    const first = samples[0];
+    const operation = {};
+    if (first.tag) operation.tags = [first.tag];
+    operation.summary = first.name || `${method.toUpperCase()} ${template}`;
+    if (first.description) operation.description = first.description;
+    operation.operationId = operationIdFor(method, template, context.operationIds);
+
+    // Parameters
+    const parameters = [];
+    first.segments.filter((segment) => segment.param).forEach((segment) => {
+        const index = first.segments.indexOf(segment);
+        const values = samples.map((sample) => sample.segments[index].value).filter((value) => value !== '');
+        parameters.push(parameterObject('path', segment.name, values.length ? values : ['1'], true));
+    });
+    [['query', (sample) => sample.query], ['header', (sample) => sample.headers]].forEach(([location, listOf]) => {
+        const seen = new Map();
+        samples.forEach((sample) => {
+            listOf(sample).forEach(({ name, value }) => {
+                if (location === 'header' && (IGNORED_HEADERS.has(name.toLowerCase()) || /^sec-/i.test(name))) return;
+                const key = location === 'header' ? name.toLowerCase() : name;
+                if (!seen.has(key)) seen.set(key, { name, values: [], count: new Set() });
+                seen.get(key).values.push(String(value ?? ''));
+                seen.get(key).count.add(sample);
+            });
+        });
+        seen.forEach(({ name, values, count }) => {
+            parameters.push(parameterObject(location, name, values, count.size === samples.length));
+        });
+    });
+    if (parameters.length) operation.parameters = parameters;
+
+    // Request body
+    const bodies = samples.map((sample) => sample.body).filter(Boolean);
+    if (bodies.length) {
+        operation.requestBody = { required: bodies.length === samples.length, content: contentOf(bodies) };
+    }
+
+    // Responses
+    const byStatus = new Map();
+    samples.filter((sample) => sample.response).forEach(({ response }) => {
+        const status = String(response.status);
+        if (!byStatus.has(status)) byStatus.set(status, []);
+        byStatus.get(status).push(response);
+    });
+    operation.responses = {};
+    [...byStatus.keys()].sort().forEach((status) => {
+        const responses = byStatus.get(status);
+        const description = responses.find((r) => r.statusText)?.statusText || STATUS_CODES[status] || 'Response';
+        const withBody = responses.filter((r) => r.text);
+        operation.responses[status] = withBody.length
+            ? { description, content: contentOf(withBody) }
+            : { description };
+    });
+    if (!byStatus.size) operation.responses.default = { description: 'No response was captured' };
+
+    // Security
+    const security = first.security;
+    if (security === 'none') operation.security = [];
+    else if (security) {
+        context.securitySchemes[security.name] = security.scheme;
+        operation.security = [{ [security.name]: [] }];
+    }
+    return operation;
+}
+
+function serverObject(origin) {
+    const variables = {};
+    (origin.match(/\{([^}]+)\}/g) || []).forEach((token) => {
+        variables[token.slice(1, -1)] = { default: 'https://api.example.com' };
+    });
+    return Object.keys(variables).length ? { url: origin, variables } : { url: origin };
+}
+
+/**
+ * Build a draft OpenAPI 3.0 document from a parsed Postman collection or HAR file.
+ * @param {object} doc
+ * @returns {{ spec: object, format: 'postman'|'har', summary: { requests: number, operations: number, paths: number } }}
+ * @throws {Error} when the file is neither
+ */
+function importTraffic(doc) {
+    const format = detectFormat(doc);
+    if (!format) throw new Error('The file is neither a Postman v2.1 collection nor a HAR capture');
+    const { title, description, samples } = format === 'postman' ? fromPostman(doc) : fromHar(doc);
+    const usable = samples.filter((sample) => METHODS.includes(sample.method));
+    if (!usable.length) throw new Error(`No API requests found in the ${format === 'har' ? 'HAR file' : 'collection'}`);
+
+    templatePaths(usable);
+
+    // Equivalent templates share the names of the first one seen
+    const templates = new Map();
+    const operations = new Map();
+    usable.forEach((sample) => {
+        const template = templateOf(sample);
+        const shape = template.replace(/\{[^}]+\}/g, '{}');
+        if (!templates.has(shape)) templates.set(shape, { template, origins: new Set() });
+        const route = templates.get(shape);
+        route.origins.add(sample.origin);
+        const names = route.template.match(/\{[^}]+\}/g) || [];
+        sample.segments.filter((segment) => segment.param).forEach((segment, i) => {
+            segment.name = names[i].slice(1, -1);
+        });
+
+        const key = `${route.template} ${sample.method}`;
+        if (!operations.has(key)) operations.set(key, { template: route.template, method: sample.method, samples: [] });
+        operations.get(key).samples.push(sample);
+    });
+
+    const context = { operationIds: new Set(), securitySchemes: {} };
+    const paths = {};
+    operations.forEach(({ template, method, samples: group }) => {
+        if (!paths[template]) paths[template] = {};
+        paths[template][method] = buildOperation(method, template, group, context);
+    });
+
+    const origins = [...new Set(usable.map((sample) => sample.origin))].filter(Boolean);
+    if (origins.length > 1) {
+        templates.forEach(({ template, origins: pathOrigins }) => {
+            paths[template] = { servers: [...pathOrigins].filter(Boolean).map(serverObject), ...paths[template] };
+        });
+    }
+
+    // A scheme every operation uses is declared once, for the whole API
+    const allOperations = Object.values(paths).flatMap((pathItem) => METHODS.map((m) => pathItem[m]).filter(Boolean));
+    const schemeNames = Object.keys(context.securitySchemes);
+    const globalSecurity = schemeNames.length === 1
+        && allOperations.every((op) => op.security && op.security.length && op.security[0][schemeNames[0]]);
+    if (globalSecurity) allOperations.forEach((op) => { delete op.security; });
+
+    const tags = [...new Set(usable.map((sample) => sample.tag).filter(Boolean))].map((name) => ({ name }));
+    const spec = {
+        openapi: '3.0.3',
+        info: {
+            title: title || 'Imported API',
+            version: '1.0.0',
+            description: typeof description === 'string' && description
+                ? description
+                : `Draft generated from a ${format === 'har' ? 'HAR capture' : 'Postman collection'}.`,
+        },
+        servers: origins.length ? origins.map(serverObject) : [{ url: '/' }],
+    };
+    if (globalSecurity) spec.security = [{ [schemeNames[0]]: [] }];
+    if (tags.length) spec.tags = tags;
+    spec.paths = paths;
+    if (schemeNames.length) spec.components = { securitySchemes: context.securitySchemes };
+
+    return {
+        spec,
+        format,
+        summary: { requests: usable.length, operations: operations.size, paths: Object.keys(paths).length },
+    };
+}
+
+/**
+ * Merge a draft into an existing OpenAPI 3 document. Operations the
+ * document already has are kept as they are.
+ * @returns {{ spec: object, added: number, skipped: number }}
+ * @throws {Error} for Swagger 2.0 documents
+ */
+function mergeSpecs(current, draft) {
+    if (!isObject(current) || (current.openapi === undefined && current.swagger === undefined)) {
+        return { spec: draft, added: countOperations(draft), skipped: 0 };
+    }
+    if (current.swagger !== undefined) {
+        throw new Error('Imports can only be merged into OpenAPI 3 documents – replace the document instead');
+    }
+
+    const spec = JSON.parse(JSON.stringify(current));
+    let added = 0;
+    let skipped = 0;
+
+    spec.paths = isObject(spec.paths) ? spec.paths : {};
+    Object.entries(draft.paths).forEach(([template, pathItem]) => {
+        const shape = template.replace(/\{[^}]+\}/g, '{}');
+        const existingKey = Object.keys(spec.paths).find((key) => key.replace(/\{[^}]+\}/g, '{}') === shape);
+        if (!existingKey) {
+            spec.paths[template] = pathItem;
+            added += countOperations({ paths: { [template]: pathItem } });
+            return;
+        }
+        const existing = spec.paths[existingKey];
+        METHODS.filter((method) => pathItem[method]).forEach((method) => {
+            if (existing[method]) {
+                skipped++;
+                return;
+            }
+            // Keep the document's parameter names for the route
+            existing[method] = renameParameters(pathItem[method], template, existingKey);
+            added++;
+        });
+    });
+
+    const serverUrls = new Set((spec.servers || []).map((server) => server?.url));
+    const newServers = (draft.servers || []).filter((server) => server.url !== '/' && !serverUrls.has(server.url));
+    if (newServers.length) spec.servers = [...(spec.servers || []), ...newServers];
+
+    const tagNames = new Set((spec.tags || []).map((tag) => tag?.name));
+    const newTags = (draft.tags || []).filter((tag) => !tagNames.has(tag.name));
+    if (newTags.length) spec.tags = [...(spec.tags || []), ...newTags];
+
+    Object.entries(draft.components?.securitySchemes || {}).forEach(([name, scheme]) => {
+        spec.components = isObject(spec.components) ? spec.components : {};
+        spec.components.securitySchemes = isObject(spec.components.securitySchemes) ? spec.components.securitySchemes : {};
+        if (!spec.components.securitySchemes[name]) spec.components.securitySchemes[name] = scheme;
+    });
+
+    return { spec, added, skipped };
+}
+
+function renameParameters(operation, from, to) {
+    const fromNames = (from.match(/\{[^}]+\}/g) || []).map((t) => t.slice(1, -1));
+    const toNames = (to.match(/\{[^}]+\}/g) || []).map((t) => t.slice(1, -1));
+    (operation.parameters || []).forEach((param) => {
+        const index = param.in === 'path' ? fromNames.indexOf(param.name) : -1;
+        if (index !== -1 && toNames[index]) param.name = toNames[index];
+    });
+    return operation;
+}
+
+function countOperations(spec) {
+    return Object.values(spec.paths || {}).reduce((count, pathItem) => (
+        count + METHODS.filter((method) => isObject(pathItem?.[method])).length
+    ), 0);
+}
+
+module.exports = { detectFormat, importTraffic, mergeSpecs };
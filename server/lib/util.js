@@ -0,0 +1,17 @@
+/**
+ * Small helpers shared by the libs and routes.
+ */
+
+/** Operation keys of a Path Item, in the order the specification lists them */
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Whether an incoming request carries a body */
+function hasBody(req) {
+    return Number(req.get('content-length')) > 0 || req.get('transfer-encoding') !== undefined;
+}
+
+module.exports = { METHODS, isObject, hasBody };
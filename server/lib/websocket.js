@@ -0,0 +1,242 @@
+/**
+ * WebSocket connections (RFC 6455).
+ * Just enough of the protocol for the collaboration endpoint: the opening
+ * handshake, text messages (fragmented or not), ping/pong and the closing
+ * handshake. No extensions (permessage-deflate) and no binary messages.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('net').Socket} socket – upgraded socket
+     * @param {object} options
+     * @param {number} options.maxMessage – longest message accepted, in bytes
+     * @param {number} options.heartbeat – ping interval in ms; silent peers are dropped
+     */
+    constructor(socket, { maxMessage, heartbeat }) {
+        super();
+        this.socket = socket;
+        this.maxMessage = maxMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.closed = false;
+        this.finished = false;
+        this.alive = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('error', () => this.terminate());
+        socket.on('close', () => this.terminate());
+
+        this.heartbeat = setInterval(() => {
+            if (!this.alive) {
+                this.terminate();
+                return;
+            }
+            this.alive = false;
+            this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+        }, heartbeat);
+        this.heartbeat.unref();
+    }
+
+    /** Send a text message; ignored once the connection is closing */
+    send(text) {
+        if (!this.closed) this.sendFrame(OPCODES.text, Buffer.from(text, 'utf-8'));
+    }
+
+    /** Start the closing handshake */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.closed = true;
+        this.socket.end();
+        // A peer that never answers the close frame
+        setTimeout(() => this.socket.destroy(), 5000).unref();
+    }
+
+    /** Drop the connection without a closing handshake */
+    terminate() {
+        this.socket.destroy();
+        this.finish();
+    }
+
+    /** Stop the heartbeat and report the connection closed, once */
+    finish() {
+        this.closed = true;
+        if (this.finished) return;
+        this.finished = true;
+        clearInterval(this.heartbeat);
+        this.emit('close');
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(payload.length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    receive(chunk) {
+        if (this.finished) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            const frame = this.parseFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+            if (this.finished) return;
+        }
+    }
+
+    /** The next complete frame in the buffer, or null */
+    parseFrame() {
+        const { buffer } = this;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const big = buffer.readBigUInt64BE(2);
+            length = big > BigInt(this.maxMessage) ? Infinity : Number(big);
+            offset = 10;
+        }
+        if ((buffer[0] & 0x70) !== 0 || !masked) {
+            // Reserved bits need an extension; clients must mask
+            this.fail(1002, 'Protocol error');
+            return null;
+        }
+        if (length > this.maxMessage) {
+            this.fail(1009, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        this.alive = true;
+        switch (opcode) {
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                if (!this.closed) {
+                    this.sendFrame(OPCODES.close, payload.subarray(0, 2));
+                    this.socket.end();
+                }
+                this.finish();
+                return;
+            case OPCODES.binary:
+                this.fail(1003, 'Only text messages are supported');
+                return;
+            case OPCODES.text:
+                if (this.fragments) {
+                    this.fail(1002, 'Expected a continuation frame');
+                    return;
+                }
+                this.fragments = [];
+                break;
+            case OPCODES.continuation:
+                if (!this.fragments) {
+                    this.fail(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                break;
+            default:
+                this.fail(1002, 'Unknown opcode');
+                return;
+        }
+
+        this.fragments.push(payload);
+        const message = Buffer.concat(this.fragments);
+        if (message.length > this.maxMessage) {
+            this.fail(1009, 'Message too big');
+            return;
+        }
+        if (!fin) return;
+        this.fragments = null;
+        this.emit('message', message.toString('utf-8'));
+    }
+
+    fail(code, reason) {
+        this.close(code, reason);
+        this.finish();
+    }
+}
+
+/**
+ * Complete the opening handshake of an HTTP upgrade request.
+ * Answers the request itself when it is not a valid WebSocket handshake.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head – bytes received after the request head
+ * @param {object} [options]
+ * @param {number} [options.maxMessage] – bytes, default 1 MB
+ * @param {number} [options.heartbeat] – ms, default 30 s
+ * @returns {WebSocketConnection|null}
+ */
+function acceptWebSocket(req, socket, head, { maxMessage = 1024 * 1024, heartbeat = 30000 } = {}) {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    const connection = new WebSocketConnection(socket, { maxMessage, heartbeat });
+    if (head?.length) connection.receive(head);
+    return connection;
+}
+
+/** Refuse an upgrade request with an HTTP status */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+module.exports = { acceptWebSocket, rejectUpgrade };
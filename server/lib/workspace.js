@@ -0,0 +1,200 @@
+/**
+ * Workspace spec store.
+ * Lists, reads and writes spec files inside the workspace directory. Every
+ * read returns a content `version` (hash) that callers send back on write,
+ * so a save based on stale contents is rejected instead of overwriting
+ * someone else's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./http-error');
+
+const SPEC_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+class WorkspaceError extends HttpError {}
+
+function versionOf(content) {
+    return crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create a store rooted at a directory.
+ * @param {string} rootDir – absolute workspace directory
+ */
+function createWorkspace(rootDir) {
+    const root = path.resolve(rootDir);
+
+    /** Map a client path ("apis/pets.yaml") to an absolute path inside root */
+    function resolvePath(relPath) {
+        if (typeof relPath !== 'string' || !relPath.trim()) {
+            throw new WorkspaceError('Missing spec path');
+        }
+        const normalised = path.posix.normalize(relPath.replace(/\\/g, '/')).replace(/^\/+/, '');
+        if (normalised.startsWith('..') || normalised.split('/').some((part) => part.startsWith('.'))) {
+            throw new WorkspaceError(`Invalid spec path "${relPath}"`);
+        }
+        if (!SPEC_EXTENSIONS.includes(path.extname(normalised).toLowerCase())) {
+            throw new WorkspaceError(`Spec files must end in ${SPEC_EXTENSIONS.join(', ')}`);
+        }
+        const absolute = path.join(root, normalised);
+        if (!absolute.startsWith(root + path.sep)) throw new WorkspaceError(`Invalid spec path "${relPath}"`);
+        return { absolute, relative: normalised };
+    }
+
+    function readExisting(relPath) {
+        const { absolute, relative } = resolvePath(relPath);
+        if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+            throw new WorkspaceError(`Spec "${relative}" not found`, 404);
+        }
+        const content = fs.readFileSync(absolute, 'utf-8');
+        return { absolute, relative, content, version: versionOf(content) };
+    }
+
+    /** A temporary file next to `absolute`, holding `content` */
+    function stage(absolute, content) {
+        fs.mkdirSync(path.dirname(absolute), { recursive: true });
+        const temp = `${absolute}.${process.pid}.${Date.now()}.tmp`;
+        fs.writeFileSync(temp, content, 'utf-8');
+        return temp;
+    }
+
+    /** Write via a temporary file so readers never see half a spec */
+    function writeAtomic(absolute, content) {
+        fs.renameSync(stage(absolute, content), absolute);
+    }
+
+    /** 409 unless the spec on disk is still at `baseVersion` */
+    function checkVersion(absolute, relPath, baseVersion) {
+        if (!fs.existsSync(absolute)) {
+            throw new WorkspaceError(`Spec "${relPath}" was deleted by someone else`, 409, { current: null });
+        }
+        const current = readExisting(relPath);
+        if (current.version !== baseVersion) {
+            throw new WorkspaceError(`Spec "${current.relative}" was changed by someone else`, 409, {
+                current: { content: current.content, version: current.version },
+            });
+        }
+    }
+
+    function list() {
+        const specs = [];
+        (function scan(dir) {
+            if (!fs.existsSync(dir)) return;
+            fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+                if (entry.name.startsWith('.')) return;
+                const absolute = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    scan(absolute);
+                } else if (SPEC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                    const stat = fs.statSync(absolute);
+                    specs.push({
+                        path: path.relative(root, absolute).split(path.sep).join('/'),
+                        size: stat.size,
+                        modified: stat.mtime.toISOString(),
+                    });
+                }
+            });
+        })(root);
+        return specs.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    function read(relPath) {
+        const { relative, content, version } = readExisting(relPath);
+        return { path: relative, content, version };
+    }
+
+    function create(relPath, content = '') {
+        const { absolute, relative } = resolvePath(relPath);
+        if (fs.existsSync(absolute)) throw new WorkspaceError(`Spec "${relative}" already exists`, 409);
+        writeAtomic(absolute, content);
+        return { path: relative, version: versionOf(content) };
+    }
+
+    /**
+     * Overwrite a spec. When `baseVersion` is given it must match the file
+     * on disk, otherwise a 409 carrying the current contents is thrown;
+     * `current` is null when the file has been deleted since.
+     */
+    function update(relPath, content, baseVersion = null) {
+        const { absolute, relative } = resolvePath(relPath);
+        if (baseVersion) checkVersion(absolute, relative, baseVersion);
+        writeAtomic(absolute, content);
+        return { path: relative, version: versionOf(content) };
+    }
+
+    /**
+     * Overwrite several specs, all or none. Every `baseVersion` is checked
+     * as in update(), then every new content is staged in a temporary file;
+     * only when all are written do they replace the specs. Should one of
+     * those renames fail, the specs already replaced get their old contents
+     * back.
+     * @param {{ path: string, content: string, baseVersion?: string }[]} changes
+     * @returns {{ path: string, version: string }[]}
+     */
+    function updateAll(changes) {
+        const targets = changes.map(({ path: relPath, content, baseVersion = null }) => {
+            const { absolute, relative } = resolvePath(relPath);
+            if (baseVersion) checkVersion(absolute, relative, baseVersion);
+            const original = fs.existsSync(absolute) && fs.statSync(absolute).isFile()
+                ? fs.readFileSync(absolute, 'utf-8')
+                : null;
+            return { absolute, relative, content, original, temp: null };
+        });
+
+        const discardStaged = () => targets.forEach((target) => {
+            if (target.temp) fs.rmSync(target.temp, { force: true });
+        });
+        try {
+            targets.forEach((target) => { target.temp = stage(target.absolute, target.content); });
+        } catch (err) {
+            discardStaged();
+            throw err;
+        }
+
+        const replaced = [];
+        try {
+            targets.forEach((target) => {
+                fs.renameSync(target.temp, target.absolute);
+                target.temp = null;
+                replaced.push(target);
+            });
+        } catch (err) {
+            discardStaged();
+            replaced.forEach((target) => {
+                if (target.original === null) fs.rmSync(target.absolute, { force: true });
+                else writeAtomic(target.absolute, target.original);
+            });
+            throw err;
+        }
+        return targets.map((target) => ({ path: target.relative, version: versionOf(target.content) }));
+    }
+
+    function rename(fromPath, toPath) {
+        const from = readExisting(fromPath);
+        const to = resolvePath(toPath);
+        if (fs.existsSync(to.absolute)) throw new WorkspaceError(`Spec "${to.relative}" already exists`, 409);
+        fs.mkdirSync(path.dirname(to.absolute), { recursive: true });
+        fs.renameSync(from.absolute, to.absolute);
+        return { path: to.relative, version: from.version };
+    }
+
+    function remove(relPath, baseVersion = null) {
+        const current = readExisting(relPath);
+        if (baseVersion && current.version !== baseVersion) {
+            throw new WorkspaceError(`Spec "${current.relative}" was changed by someone else`, 409, {
+                current: { content: current.content, version: current.version },
+            });
+        }
+        fs.unlinkSync(current.absolute);
+    }
+
+    return { root, resolvePath, list, read, create, update, updateAll, rename, remove };
+}
+
+module.exports = {
+    WorkspaceError,
+    createWorkspace,
+    versionOf,
+};
@@ -0,0 +1,71 @@
+/**
+ * ZIP archives.
+ * Just enough of the format to hand several generated files over as one
+ * download: deflated entries, no directory entries, no ZIP64.
+ */
+
+const zlib = require('zlib');
+
+// 1980-01-01 00:00 in MS-DOS date/time format – the earliest ZIP can store
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{ name: string, content: string|Buffer }>} files – names may contain "/"
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name, 'utf-8');
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+module.exports = { createZip };
@@ -0,0 +1,34 @@
+/**
+ * Collaboration routes.
+ * - WebSocket /api/collab   – live editing sessions, see lib/collab.js for
+ *                             the protocol; wired to the HTTP server's
+ *                             upgrade event with handleUpgrade
+ * - GET /api/collab/rooms   – sessions with their participants
+ *
+ * Upgrades are only accepted from pages served by this server (the Origin
+ * header must name the Host), so other sites cannot join on a visitor's
+ * behalf.
+ */
+
+const express = require('express');
+const config = require('../config');
+const { createCollabHub } = require('../lib/collab');
+const { acceptWebSocket, rejectUpgrade } = require('../lib/websocket');
+const { isSameOrigin } = require('../lib/origin');
+
+const hub = createCollabHub({ dir: config.collab.dir, maxDocument: config.collab.maxDocument });
+
+const router = express.Router();
+
+router.get('/rooms', (_req, res) => {
+    res.json({ rooms: hub.list() });
+});
+
+/** Handle an HTTP upgrade request for /api/collab */
+function handleUpgrade(req, socket, head) {
+    if (!isSameOrigin(req)) return rejectUpgrade(socket, 403, 'Forbidden');
+    const connection = acceptWebSocket(req, socket, head, { maxMessage: config.collab.maxMessage });
+    if (connection) hub.connect(connection);
+}
+
+module.exports = { router, handleUpgrade };
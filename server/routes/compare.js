@@ -0,0 +1,67 @@
+/**
+ * Spec comparison routes.
+ * - POST /api/compare – compares a baseline spec with the editor document
+ *   and returns a changelog of breaking and non-breaking changes.
+ *   Body: { base, revision, documentPath?, labels? } where base/revision
+ *   are YAML/JSON sources. `?format=markdown` returns the changelog as
+ *   Markdown instead of JSON.
+ */
+
+const express = require('express');
+const path = require('path');
+const config = require('../config');
+const { createSourceMap } = require('../lib/source-map');
+const { dereference } = require('../lib/refs');
+const { compareSpecs, locateChanges, toMarkdown } = require('../lib/breaking-changes');
+
+const router = express.Router();
+
+/** Parse one side of the comparison, or return an error message */
+function parseSpec(source, field, name) {
+    if (typeof source !== 'string') return { error: `Missing "${field}" string in request body` };
+    const sourceMap = createSourceMap(source);
+    if (sourceMap.errors.length) {
+        const [first] = sourceMap.errors;
+        return { error: `The ${name} document is not valid YAML (line ${first.line}): ${first.message}` };
+    }
+    const spec = sourceMap.value;
+    if (!spec || typeof spec !== 'object' || (spec.openapi === undefined && spec.swagger === undefined)) {
+        return { error: `The ${name} document is not an OpenAPI or Swagger document` };
+    }
+    return { spec, sourceMap };
+}
+
+router.post('/', (req, res) => {
+    const base = parseSpec(req.body?.base, 'base', 'baseline');
+    const revision = parseSpec(req.body?.revision, 'revision', 'revised');
+    const failed = base.error || revision.error;
+    if (failed) return res.status(400).json({ error: failed });
+
+    try {
+        const documentPath = typeof req.body?.documentPath === 'string' ? req.body.documentPath : '';
+        const refOptions = {
+            workspaceDir: config.workspaceDir,
+            baseDir: path.posix.dirname(documentPath.replace(/\\/g, '/')),
+        };
+        const report = locateChanges(
+            compareSpecs(dereference(base.spec, refOptions), dereference(revision.spec, refOptions)),
+            { base: base.sourceMap, revision: revision.sourceMap },
+        );
+
+        if (req.query.format === 'markdown') {
+            const labels = req.body?.labels || {};
+            res.type('text/markdown').send(toMarkdown(report, {
+                title: `${revision.spec.info?.title || 'API'} Changelog`,
+                base: labels.base || base.spec.info?.version || 'baseline',
+                revision: labels.revision || revision.spec.info?.version || 'current',
+            }));
+            return;
+        }
+        res.json(report);
+    } catch (err) {
+        console.error('[compare] Unexpected error:', err);
+        res.status(500).json({ error: 'Comparison failed', details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Editor completion routes.
+ * - GET /api/completions/:version – completion vocabulary for OpenAPI
+ *   2.0, 3.0 or 3.1: allowed keys and values derived from the official
+ *   JSON Schema, key descriptions, status codes and media types
+ */
+
+const express = require('express');
+const { getCompletionVocabulary } = require('../lib/completion');
+
+const router = express.Router();
+
+router.get('/:version', (req, res) => {
+    const vocabulary = getCompletionVocabulary(req.params.version);
+    if (!vocabulary) return res.status(404).json({ error: `Unknown OpenAPI version "${req.params.version}" – use 2.0, 3.0 or 3.1` });
+    res.json(vocabulary);
+});
+
+module.exports = router;
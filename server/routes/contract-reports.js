@@ -0,0 +1,27 @@
+/**
+ * Contract validation report routes.
+ * - GET /api/contract-reports      – recent reports (summaries, newest first)
+ * - GET /api/contract-reports/:id  – one report, as linked from the
+ *   X-Validation-Report header of a validated proxy or mock response
+ */
+
+const express = require('express');
+const { getReport, listReports } = require('../lib/contract-reports');
+
+const router = express.Router();
+
+router.get('/', (_req, res) => {
+    res.json({
+        reports: listReports().map(({ id, created, spec, method, url, operation, status, valid, violations, truncated }) => ({
+            id, created, spec, method, url, operation, status, valid, violations: violations.length + (truncated || 0),
+        })),
+    });
+});
+
+router.get('/:id', (req, res) => {
+    const report = getReport(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found – only the most recent reports are kept' });
+    res.json(report);
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Conversion routes.
+ * - POST /api/convert – rewrites a Swagger 2.0 document as OpenAPI 3.0 or
+ *   3.1, or upgrades an OpenAPI 3.0 document to 3.1.
+ *   Body: { source, target } where target is '3.0' or '3.1'. Returns
+ *   { source, version, notes } – source keeps the input's format (JSON
+ *   stays JSON, anything else becomes YAML) and notes lists what could
+ *   not be translated.
+ */
+
+const express = require('express');
+const YAML = require('yaml');
+const { createSourceMap } = require('../lib/source-map');
+const { detectVersion } = require('../lib/schema-validator');
+const { convertSwagger2, upgradeOpenApi30 } = require('../lib/convert');
+
+const router = express.Router();
+
+const TARGETS = ['3.0', '3.1'];
+
+router.post('/', (req, res) => {
+    const { source, target } = req.body || {};
+    if (typeof source !== 'string') return res.status(400).json({ error: 'Missing "source" string in request body' });
+    if (!TARGETS.includes(target)) return res.status(400).json({ error: `"target" must be one of ${TARGETS.join(', ')}` });
+
+    const sourceMap = createSourceMap(source);
+    if (sourceMap.errors.length) {
+        const [first] = sourceMap.errors;
+        return res.status(400).json({ error: `The document is not valid YAML (line ${first.line}): ${first.message}` });
+    }
+    const version = detectVersion(sourceMap.value);
+    if (!version) return res.status(400).json({ error: 'The document is not a Swagger 2.0 or OpenAPI 3.x document' });
+    if (version === target || (version === '3.1' && target === '3.0')) {
+        return res.status(400).json({ error: `The document is already OpenAPI ${version}` });
+    }
+
+    let spec = sourceMap.value;
+    const notes = [];
+    try {
+        if (version === '2.0') {
+            const converted = convertSwagger2(spec);
+            spec = converted.spec;
+            notes.push(...converted.notes);
+        }
+        if (target === '3.1') {
+            const upgraded = upgradeOpenApi30(spec);
+            spec = upgraded.spec;
+            notes.push(...upgraded.notes);
+        }
+    } catch (err) {
+        console.error('[convert] Conversion failed:', err);
+        return res.status(500).json({ error: 'Conversion failed', details: err.message });
+    }
+
+    const output = source.trimStart().startsWith('{')
+        ? `${JSON.stringify(spec, null, 2)}\n`
+        : YAML.stringify(spec, { aliasDuplicateObjects: false });
+    res.json({ source: output, version: spec.openapi, notes });
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * Export routes.
+ * - POST /api/export/postman – converts the editor document into a
+ *   Postman Collection v2.1. Body: { source, documentPath? }
+ * - POST /api/export/snippets – code snippets (curl, fetch, axios, Python,
+ *   Go) for every operation. Body: { source, documentPath?, server? }
+ *   where server overrides the base URL. `?format=markdown` returns all
+ *   snippets as one Markdown file instead of JSON.
+ * - POST /api/export/html – the documentation as one self-contained HTML
+ *   file (Swagger UI and the spec inlined, read-only "Try it out").
+ *   Body: { source, documentPath? }
+ * - POST /api/export/markdown – the documentation as Markdown pages, an
+ *   index plus one page per tag, in a ZIP archive. Body as above.
+ */
+
+const express = require('express');
+const path = require('path');
+const config = require('../config');
+const { createSourceMap } = require('../lib/source-map');
+const { dereference, inlineExternalRefs } = require('../lib/refs');
+const { toPostmanCollection } = require('../lib/postman');
+const snippets = require('../lib/snippets');
+const { toStaticHtml, toMarkdownPages } = require('../lib/static-docs');
+const { createZip } = require('../lib/zip');
+
+const router = express.Router();
+
+/**
+ * Parse and dereference the posted document, or return an error message.
+ * `raw` is the document as parsed and `refOptions` what resolves its refs.
+ */
+function loadSpec(body) {
+    if (typeof body?.source !== 'string') return { error: 'Missing "source" string in request body' };
+    const sourceMap = createSourceMap(body.source);
+    if (sourceMap.errors.length) {
+        const [first] = sourceMap.errors;
+        return { error: `The document is not valid YAML (line ${first.line}): ${first.message}` };
+    }
+    const spec = sourceMap.value;
+    if (!spec || typeof spec !== 'object' || (spec.openapi === undefined && spec.swagger === undefined)) {
+        return { error: 'The document is not an OpenAPI or Swagger document' };
+    }
+    const documentPath = typeof body.documentPath === 'string' ? body.documentPath : '';
+    const refOptions = {
+        workspaceDir: config.workspaceDir,
+        baseDir: path.posix.dirname(documentPath.replace(/\\/g, '/')),
+    };
+    return { spec: dereference(spec, refOptions), raw: spec, refOptions };
+}
+
+/** File name stem for the API's title */
+function fileStem(spec) {
+    return (spec.info?.title || 'api').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'api';
+}
+
+router.post('/postman', (req, res) => {
+    const { spec, error } = loadSpec(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.json(toPostmanCollection(spec));
+    } catch (err) {
+        console.error('[export] Postman conversion failed:', err);
+        res.status(500).json({ error: 'Postman export failed', details: err.message });
+    }
+});
+
+router.post('/snippets', (req, res) => {
+    const { spec, error } = loadSpec(req.body);
+    if (error) return res.status(400).json({ error });
+    const server = typeof req.body.server === 'string' ? req.body.server : undefined;
+
+    try {
+        const result = snippets.generateSnippets(spec, { server });
+        if (req.query.format === 'markdown') {
+            res.type('text/markdown').send(snippets.toMarkdown(result, { title: spec.info?.title || 'API' }));
+            return;
+        }
+        res.json({ languages: snippets.LANGUAGES, ...result });
+    } catch (err) {
+        console.error('[export] Snippet generation failed:', err);
+        res.status(500).json({ error: 'Snippet generation failed', details: err.message });
+    }
+});
+
+router.post('/html', (req, res) => {
+    const { raw, refOptions, error } = loadSpec(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        // Local refs are left for Swagger UI; files from the workspace are not available offline
+        const { spec, unresolved } = inlineExternalRefs(raw, refOptions);
+        if (unresolved.length) res.set('X-Unresolved-Refs', String(unresolved.length));
+        res.type('text/html')
+            .attachment(`${fileStem(spec)}-docs.html`)
+            .send(toStaticHtml(spec));
+    } catch (err) {
+        console.error('[export] HTML docs failed:', err);
+        res.status(500).json({ error: 'HTML documentation export failed', details: err.message });
+    }
+});
+
+router.post('/markdown', (req, res) => {
+    const { spec, error } = loadSpec(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.type('application/zip')
+            .attachment(`${fileStem(spec)}-docs.zip`)
+            .send(createZip(toMarkdownPages(spec)));
+    } catch (err) {
+        console.error('[export] Markdown docs failed:', err);
+        res.status(500).json({ error: 'Markdown documentation export failed', details: err.message });
+    }
+});
+
+module.exports = router;
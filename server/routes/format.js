@@ -0,0 +1,39 @@
+/**
+ * Formatting route.
+ * - POST /api/format – re-indents the editor document keeping comments,
+ *   anchors, quoting and blank lines.
+ *   Body: { source, options?: { order, sortPaths, sortSchemas },
+ *   selection?: { startLine, endLine } } with 1-based lines to format only
+ *   the entries they touch. Returns { formatted, changed }.
+ */
+
+const express = require('express');
+const { formatDocument } = require('../lib/format');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const { source, options, selection } = req.body || {};
+    if (typeof source !== 'string') {
+        return res.status(400).json({ error: 'Missing "source" string in request body' });
+    }
+    if (selection && !(Number.isInteger(selection.startLine) && Number.isInteger(selection.endLine)
+        && selection.startLine >= 1 && selection.endLine >= selection.startLine)) {
+        return res.status(400).json({ error: '"selection" needs positive "startLine" and "endLine" integers' });
+    }
+
+    const flags = options && typeof options === 'object' ? options : {};
+    try {
+        res.json(formatDocument(source, {
+            order: flags.order === true,
+            sortPaths: flags.sortPaths === true,
+            sortSchemas: flags.sortSchemas === true,
+        }, selection || null));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[format] Unexpected error:', err);
+        res.status(500).json({ error: 'Formatting failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Import routes.
+ * - POST /api/import – builds a draft OpenAPI 3 document from a Postman
+ *   v2.1 collection or a HAR capture.
+ *   Body: { content, merge? } where content is the uploaded file's text
+ *   and merge is the editor document to merge the draft into. Returns
+ *   { source (YAML), format, summary }.
+ * - POST /api/import/url – fetches a YAML or JSON spec from a URL the
+ *   browser cannot reach itself (CORS). Body: { url }. Returns
+ *   { url, content, format, version } – url after redirects, content as
+ *   served, format 'json' or 'yaml', and the content version (hash) so
+ *   the editor can tell later whether the remote copy changed.
+ */
+
+const express = require('express');
+const YAML = require('yaml');
+const { createSourceMap } = require('../lib/source-map');
+const { importTraffic, mergeSpecs } = require('../lib/traffic-import');
+const { fetchText } = require('../lib/outbound');
+const { versionOf } = require('../lib/workspace');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const { content, merge } = req.body || {};
+    if (typeof content !== 'string') return res.status(400).json({ error: 'Missing "content" string in request body' });
+
+    let doc;
+    try {
+        doc = JSON.parse(content);
+    } catch (err) {
+        return res.status(400).json({ error: `The file is not valid JSON: ${err.message}` });
+    }
+
+    let imported;
+    try {
+        imported = importTraffic(doc);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const summary = { ...imported.summary };
+    let { spec } = imported;
+    if (typeof merge === 'string') {
+        const sourceMap = createSourceMap(merge);
+        if (sourceMap.errors.length) {
+            const [first] = sourceMap.errors;
+            return res.status(400).json({ error: `The current document is not valid YAML (line ${first.line}): ${first.message}` });
+        }
+        try {
+            const merged = mergeSpecs(sourceMap.value, spec);
+            spec = merged.spec;
+            Object.assign(summary, { added: merged.added, skipped: merged.skipped });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+    }
+
+    try {
+        res.json({ source: YAML.stringify(spec, { aliasDuplicateObjects: false }), format: imported.format, summary });
+    } catch (err) {
+        console.error('[import] Could not serialise the draft:', err);
+        res.status(500).json({ error: 'Import failed', details: err.message });
+    }
+});
+
+/** 'json' when the response says or looks like JSON, otherwise 'yaml' */
+function detectFormat(contentType, body) {
+    if (/[/+]json\b/i.test(contentType || '')) return 'json';
+    return /^\s*[{[]/.test(body) ? 'json' : 'yaml';
+}
+
+router.post('/url', async (req, res) => {
+    const { url } = req.body || {};
+    if (typeof url !== 'string' || !url.trim()) return res.status(400).json({ error: 'Missing "url" string in request body' });
+
+    let response;
+    try {
+        response = await fetchText(url.trim(), { headers: { Accept: 'application/yaml, application/json;q=0.9, text/*;q=0.8' } });
+    } catch (err) {
+        if (!err.status) console.error('[import] URL fetch failed:', err);
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    if (response.status >= 400) {
+        return res.status(502).json({ error: `The server answered HTTP ${response.status}` });
+    }
+
+    const content = response.body;
+    const format = detectFormat(response.headers['content-type'], content);
+    if (format === 'json') {
+        try {
+            JSON.parse(content);
+        } catch (err) {
+            return res.status(422).json({ error: `The document is not valid JSON: ${err.message}` });
+        }
+    }
+    const sourceMap = createSourceMap(content);
+    if (sourceMap.errors.length) {
+        const [first] = sourceMap.errors;
+        return res.status(422).json({ error: `The document is not valid YAML (line ${first.line}): ${first.message}` });
+    }
+    const spec = sourceMap.value;
+    if (!spec || typeof spec !== 'object' || (spec.openapi === undefined && spec.swagger === undefined)) {
+        return res.status(422).json({ error: 'The document is not an OpenAPI or Swagger document' });
+    }
+
+    res.json({ url: response.url, content, format, version: versionOf(content) });
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Mock server routes.
+ * Management (`admin`, mounted at /api/mocks):
+ * - GET    /api/mocks       – list registered mocks
+ * - PUT    /api/mocks/:id   – register or refresh a mock from editor source
+ *                            { source, documentPath? } or a workspace file { path }
+ * - DELETE /api/mocks/:id   – remove a mock
+ * Serving (`serve`, mounted at /api/mock):
+ * - ALL    /api/mock/:id/*  – answer a request from the mock's spec
+ *
+ * Mocks live in memory; the editor re-registers its document on every
+ * render while mock mode is on. Workspace mocks re-read their file when
+ * it changes. Send `Prefer: code=404` or `Prefer: example=<name>` to pick
+ * a specific response, and `X-Validate-Spec` (any value) to have the
+ * exchange checked against the spec. Generated data that could not meet
+ * a `pattern` or `minProperties` is flagged in X-Mock-Warning.
+ *
+ * The registry is exported so the proxy can validate traffic against
+ * the same specs.
+ */
+
+const express = require('express');
+const config = require('../config');
+const { createWorkspace } = require('../lib/workspace');
+const { createSpecRegistry } = require('../lib/spec-registry');
+const { matchRoute, allowedMethods, buildResponse, serialiseBody } = require('../lib/mock');
+const { validateExchange } = require('../lib/contract-validator');
+const { saveReport, reportHeaders } = require('../lib/contract-reports');
+const { hasBody } = require('../lib/util');
+
+const registry = createSpecRegistry({
+    workspace: createWorkspace(config.workspaceDir),
+    workspaceDir: config.workspaceDir,
+});
+
+function describeMock(mock) {
+    return {
+        id: mock.id,
+        title: mock.title,
+        origin: mock.path ? 'workspace' : 'editor',
+        path: mock.path,
+        url: `/api/mock/${mock.id}`,
+        operations: mock.routes.reduce((count, route) => count + allowedMethods(route.pathItem).length, 0),
+        updated: mock.updated,
+    };
+}
+
+// ── Management ────────────────────────────────────────────────────────────
+const admin = express.Router();
+
+admin.get('/', (_req, res) => {
+    res.json({ mocks: registry.list().map(describeMock) });
+});
+
+admin.put('/:id', (req, res) => {
+    const { id } = req.params;
+    if (!registry.isValidId(id)) return res.status(400).json({ error: 'Mock ids may only contain letters, digits, ".", "-" and "_"' });
+
+    try {
+        let mock;
+        if (typeof req.body?.path === 'string') {
+            mock = registry.registerFile(id, req.body.path);
+        } else if (typeof req.body?.source === 'string') {
+            const documentPath = typeof req.body.documentPath === 'string' ? req.body.documentPath : '';
+            mock = registry.registerSource(id, req.body.source, documentPath);
+        } else {
+            return res.status(400).json({ error: 'Send either "source" or a workspace "path"' });
+        }
+        res.json(describeMock(mock));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+admin.delete('/:id', (req, res) => {
+    if (!registry.remove(req.params.id)) return res.status(404).json({ error: `No mock registered as "${req.params.id}"` });
+    res.status(204).end();
+});
+
+// ── Serving ───────────────────────────────────────────────────────────────
+const serve = express.Router();
+
+serve.all(['/:id', '/:id/*'], (req, res) => {
+    const { id } = req.params;
+    let mock;
+    try {
+        mock = registry.get(id);
+    } catch (err) {
+        console.error(`[mock] Could not reload "${id}":`, err.message);
+        return res.status(500).json({ error: `Could not reload mock spec: ${err.message}` });
+    }
+    if (!mock) return res.status(404).json({ error: `No mock registered as "${id}"` });
+
+    const requestPath = req.path.slice(id.length + 1) || '/';
+    const match = matchRoute(mock.routes, requestPath, mock.basePaths);
+    if (!match) {
+        return res.status(404).json({ error: `No path in "${mock.title || id}" matches ${req.method} ${requestPath}` });
+    }
+
+    const method = req.method.toLowerCase();
+    const operation = match.pathItem[method] || (method === 'head' ? match.pathItem.get : undefined);
+    if (!operation) {
+        const allowed = allowedMethods(match.pathItem);
+        res.setHeader('Allow', allowed.join(', '));
+        return res.status(405).json({ error: `${req.method} is not defined for ${match.template}`, allowed });
+    }
+
+    const result = buildResponse(mock.spec, operation, { prefer: req.get('prefer'), accept: req.get('accept') });
+    const body = result.mediaType && result.body !== undefined ? serialiseBody(result.body, result.mediaType) : '';
+    res.status(result.status);
+    res.set(result.headers);
+    res.setHeader('X-Mock-Operation', `${req.method} ${match.template} -> ${result.responseKey || 'none'}`);
+    if (result.unsatisfied.length) res.setHeader('X-Mock-Warning', `may not conform; unsatisfied=${result.unsatisfied.join(',')}`);
+
+    // Contract validation – catches bad requests and examples that break their own schema
+    if (req.get('x-validate-spec') !== undefined) {
+        const responseHeaders = { 'content-type': result.mediaType || '' };
+        Object.entries(result.headers).forEach(([name, value]) => { responseHeaders[name.toLowerCase()] = value; });
+        const report = validateExchange(mock, {
+            method: req.method,
+            path: requestPath,
+            query: req.originalUrl.split('?')[1],
+            request: { headers: req.headers, body: hasBody(req) ? req.body : undefined },
+            response: { status: result.status, headers: responseHeaders, body },
+        });
+        res.set(reportHeaders(saveReport({ spec: id, method: req.method, url: req.originalUrl, status: result.status, ...report })));
+    }
+
+    if (!body) return res.end();
+    res.type(result.mediaType).send(body);
+});
+
+module.exports = { admin, serve, registry };
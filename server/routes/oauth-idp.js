@@ -0,0 +1,226 @@
+/**
+ * Stand-in identity provider for trying OAuth flows locally and in tests.
+ * Implements just enough OAuth 2.0 and OpenID Connect for the editor's own
+ * flows: discovery, an authorization endpoint that approves every request
+ * at once, and a token endpoint for the client credentials, password,
+ * authorization code (with PKCE) and refresh token grants.
+ * - GET  /.well-known/openid-configuration
+ * - GET  /authorize   – redirects straight back with a code
+ * - POST /token
+ * - GET  /userinfo    – { sub } for a bearer token
+ * - POST /introspect  – RFC 7662 token introspection
+ *
+ * The server mounts one at /api/oauth/idp when OAUTH_TEST_IDP is set; a
+ * test can mount its own with createIdentityProvider(). Nothing here is
+ * fit for protecting anything real.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const CODE_LIFETIME = 60 * 1000;
+
+function randomToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.clients] – { [clientId]: secret }, null for a
+ *   public client; when omitted any client id is accepted with any secret
+ * @param {object} [options.users] – { [username]: password } for the
+ *   password grant; when omitted any non-empty user name is accepted
+ * @param {string} [options.subject] – user the authorization endpoint signs in
+ * @param {number} [options.tokenLifetime] – access token lifetime in seconds
+ * @param {string} [options.issuer] – defaults to the URL the router is mounted at
+ * @returns {import('express').Router}
+ */
+function createIdentityProvider(options = {}) {
+    const {
+        clients,
+        users,
+        subject = 'developer',
+        tokenLifetime = 3600,
+    } = options;
+    const codes = new Map();
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    const issuerOf = (req) => options.issuer || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    const knownClient = (clientId) => !clients || Object.prototype.hasOwnProperty.call(clients, clientId);
+
+    /** The authenticated client id of a token request, or null */
+    function authenticateClient(req) {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+        const basic = /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+        if (basic) {
+            const decoded = Buffer.from(basic[1], 'base64').toString('utf-8');
+            const colon = decoded.indexOf(':');
+            const decode = (text) => decodeURIComponent(text.replace(/\+/g, ' '));
+            id = decode(decoded.slice(0, colon === -1 ? undefined : colon));
+            secret = colon === -1 ? '' : decode(decoded.slice(colon + 1));
+        }
+        if (!id || !knownClient(id)) return null;
+        if (clients && clients[id] !== null && clients[id] !== secret) return null;
+        return id;
+    }
+
+    function tokenError(res, status, error, description) {
+        res.set('Cache-Control', 'no-store');
+        res.status(status).json({ error, error_description: description });
+    }
+
+    function issueTokens(res, { sub, clientId, scope, refresh = true }) {
+        const accessToken = randomToken();
+        accessTokens.set(accessToken, { sub, clientId, scope, expires: Date.now() + tokenLifetime * 1000 });
+        const body = { access_token: accessToken, token_type: 'Bearer', expires_in: tokenLifetime };
+        if (scope) body.scope = scope;
+        if (refresh) {
+            const refreshToken = randomToken();
+            refreshTokens.set(refreshToken, { sub, clientId, scope });
+            body.refresh_token = refreshToken;
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(body);
+    }
+
+    function activeToken(token) {
+        const entry = accessTokens.get(token);
+        if (entry && entry.expires <= Date.now()) accessTokens.delete(token);
+        return entry && entry.expires > Date.now() ? entry : null;
+    }
+
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        const issuer = issuerOf(req);
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            introspection_endpoint: `${issuer}/introspect`,
+            grant_types_supported: ['authorization_code', 'client_credentials', 'password', 'refresh_token'],
+            response_types_supported: ['code'],
+            scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+            code_challenge_methods_supported: ['S256', 'plain'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+            subject_types_supported: ['public'],
+        });
+    });
+
+    router.get('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state, scope } = req.query;
+        let target;
+        try {
+            target = new URL(redirectUri);
+        } catch {
+            return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri must be an absolute URL' });
+        }
+        if (!knownClient(clientId)) {
+            return res.status(400).json({ error: 'unauthorized_client', error_description: `Unknown client "${clientId}"` });
+        }
+
+        const method = req.query.code_challenge_method || 'plain';
+        if (responseType !== 'code') {
+            target.searchParams.set('error', 'unsupported_response_type');
+        } else if (req.query.code_challenge && !['S256', 'plain'].includes(method)) {
+            target.searchParams.set('error', 'invalid_request');
+            target.searchParams.set('error_description', `Unsupported code_challenge_method "${method}"`);
+        } else {
+            const code = randomToken();
+            codes.set(code, {
+                clientId,
+                redirectUri,
+                scope,
+                challenge: req.query.code_challenge,
+                method,
+                sub: req.query.login_hint || subject,
+                expires: Date.now() + CODE_LIFETIME,
+            });
+            target.searchParams.set('code', code);
+        }
+        if (state !== undefined) target.searchParams.set('state', state);
+        res.redirect(target.href);
+    });
+
+    router.post('/token', (req, res) => {
+        const clientId = authenticateClient(req);
+        if (!clientId) return tokenError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+        const { grant_type: grantType, scope } = req.body;
+
+        if (grantType === 'client_credentials') {
+            return issueTokens(res, { sub: clientId, clientId, scope, refresh: false });
+        }
+
+        if (grantType === 'password') {
+            const { username, password } = req.body;
+            const valid = users
+                ? Object.prototype.hasOwnProperty.call(users, username) && users[username] === password
+                : Boolean(username);
+            if (!valid) return tokenError(res, 400, 'invalid_grant', 'Wrong user name or password');
+            return issueTokens(res, { sub: username, clientId, scope });
+        }
+
+        if (grantType === 'authorization_code') {
+            const entry = codes.get(req.body.code);
+            codes.delete(req.body.code);
+            if (!entry || entry.expires < Date.now() || entry.clientId !== clientId) {
+                return tokenError(res, 400, 'invalid_grant', 'Unknown, used or expired authorization code');
+            }
+            if (entry.redirectUri !== req.body.redirect_uri) {
+                return tokenError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+            }
+            if (entry.challenge) {
+                const verifier = String(req.body.code_verifier || '');
+                const expected = entry.method === 'S256'
+                    ? crypto.createHash('sha256').update(verifier).digest('base64url')
+                    : verifier;
+                if (!verifier || expected !== entry.challenge) {
+                    return tokenError(res, 400, 'invalid_grant', 'PKCE verification failed');
+                }
+            }
+            return issueTokens(res, { sub: entry.sub, clientId, scope: entry.scope });
+        }
+
+        if (grantType === 'refresh_token') {
+            const entry = refreshTokens.get(req.body.refresh_token);
+            if (!entry || entry.clientId !== clientId) return tokenError(res, 400, 'invalid_grant', 'Unknown refresh token');
+            // Refresh tokens are rotated
+            refreshTokens.delete(req.body.refresh_token);
+            return issueTokens(res, { sub: entry.sub, clientId, scope: entry.scope });
+        }
+
+        tokenError(res, 400, 'unsupported_grant_type', `Unsupported grant_type "${grantType}"`);
+    });
+
+    router.get('/userinfo', (req, res) => {
+        const token = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+        const entry = token && activeToken(token);
+        if (!entry) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        res.json({ sub: entry.sub });
+    });
+
+    router.post('/introspect', (req, res) => {
+        const entry = activeToken(String(req.body.token || ''));
+        if (!entry) return res.json({ active: false });
+        res.json({
+            active: true,
+            sub: entry.sub,
+            client_id: entry.clientId,
+            scope: entry.scope,
+            token_type: 'Bearer',
+            exp: Math.floor(entry.expires / 1000),
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createIdentityProvider };
@@ -0,0 +1,133 @@
+/**
+ * OAuth routes (mounted at /api/oauth).
+ * Run a security scheme's OAuth 2.0 / OpenID Connect flows on the server,
+ * so neither CORS on the token endpoint nor a redirect URI per developer
+ * gets in the way. The scheme object comes from the editor's document.
+ * - POST   /api/oauth/flows       – the flows of a scheme, OpenID Connect
+ *                                   ones discovered. Body: { scheme }
+ * - POST   /api/oauth/token       – client credentials or password flow.
+ *   Body: { scheme, flow, clientId, clientSecret?, clientAuth?, username?,
+ *   password?, scopes? }
+ * - POST   /api/oauth/authorize   – start the authorization code flow with
+ *   PKCE; open the returned authorizationUrl in a window. Body as /token
+ *   without the user fields
+ * - GET    /api/oauth/callback    – the redirect URI to register with the
+ *   identity provider; reports the result to the window that opened it
+ * - GET    /api/oauth/grants/:id  – expiry and scope of a grant
+ * - DELETE /api/oauth/grants/:id  – forget a grant
+ *
+ * Token requests answer with a grant description; the tokens themselves
+ * stay on the server. Send the grant id to /api/proxy as X-OAuth-Grant.
+ */
+
+const express = require('express');
+const config = require('../config');
+const oauth = require('../lib/oauth');
+
+const router = express.Router();
+
+function fail(res, err, action) {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error(`[oauth] ${action} failed:`, err);
+    res.status(500).json({ error: `${action} failed`, details: err.message });
+}
+
+/** Flow options from a request body, with the scopes as a list */
+function flowRequest(body) {
+    const text = (value) => (typeof value === 'string' ? value : undefined);
+    let scopes = body.scopes;
+    if (typeof scopes === 'string') scopes = scopes.split(/[\s,]+/);
+    return {
+        flow: text(body.flow),
+        clientId: text(body.clientId),
+        clientSecret: text(body.clientSecret),
+        clientAuth: text(body.clientAuth),
+        username: text(body.username),
+        password: text(body.password),
+        scopes: Array.isArray(scopes) ? scopes.map(String).filter(Boolean) : [],
+    };
+}
+
+function redirectUri(req) {
+    return config.oauth.redirectUri || `${req.protocol}://${req.get('host')}${req.baseUrl}/callback`;
+}
+
+router.post('/flows', async (req, res) => {
+    try {
+        const flows = await oauth.resolveFlows(req.body?.scheme);
+        res.json({
+            flows: Object.fromEntries(Object.entries(flows).filter(([name]) => oauth.SUPPORTED_FLOWS.includes(name))),
+            redirectUri: redirectUri(req),
+        });
+    } catch (err) {
+        fail(res, err, 'Flow discovery');
+    }
+});
+
+router.post('/token', async (req, res) => {
+    try {
+        const grant = await oauth.obtainToken(req.body?.scheme, flowRequest(req.body || {}));
+        res.json(oauth.describeGrant(grant));
+    } catch (err) {
+        fail(res, err, 'Token request');
+    }
+});
+
+router.post('/authorize', async (req, res) => {
+    try {
+        res.json(await oauth.startAuthorization(req.body?.scheme, flowRequest(req.body || {}), redirectUri(req)));
+    } catch (err) {
+        fail(res, err, 'Authorization');
+    }
+});
+
+/** A page that hands the outcome to the editor window and closes itself */
+function callbackPage(message) {
+    const data = JSON.stringify({ type: 'oauth-callback', ...message }).replace(/</g, '\\u003c');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Sign-in</title></head>
+<body>
+<p id="message">${message.error ? 'Sign-in failed. You can close this window.' : 'Signed in. You can close this window.'}</p>
+<script>
+  const data = ${data};
+  if (window.opener) {
+    window.opener.postMessage(data, window.location.origin);
+    window.close();
+  }
+</script>
+</body>
+</html>
+`;
+}
+
+router.get('/callback', async (req, res) => {
+    const { state, code, error } = req.query;
+    res.set('Cache-Control', 'no-store');
+    if (error) {
+        const reason = req.query.error_description ? `${error}: ${req.query.error_description}` : error;
+        return res.type('html').send(callbackPage({ state, error: `The identity provider refused: ${reason}` }));
+    }
+    try {
+        const grant = await oauth.completeAuthorization(String(state || ''), String(code || ''));
+        res.type('html').send(callbackPage({ state, ...oauth.describeGrant(grant) }));
+    } catch (err) {
+        if (!err.status) console.error('[oauth] Code exchange failed:', err);
+        res.status(err.status || 500).type('html').send(callbackPage({ state, error: err.message }));
+    }
+});
+
+router.get('/grants/:id', (req, res) => {
+    const grant = oauth.getGrant(req.params.id);
+    if (!grant) return res.status(404).json({ error: 'Unknown OAuth grant' });
+    res.json(oauth.describeGrant(grant));
+});
+
+router.delete('/grants/:id', (req, res) => {
+    if (!oauth.revokeGrant(req.params.id)) return res.status(404).json({ error: 'Unknown OAuth grant' });
+    res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+/**
+ * CORS proxy route (mounted at /api/proxy, ahead of the body parsers).
+ * Forwards requests to external APIs so the browser does not hit CORS
+ * errors when using the "Try it out" feature. Two forms:
+ * - ALL  /api/proxy?url=<target> – the request as it is: method, headers
+ *   (less hop-by-hop ones and the editor's cookies, origin and X- proxy
+ *   instructions) and body bytes (JSON, forms, multipart uploads, binary)
+ *   are streamed on unchanged
+ * - POST /api/proxy with a JSON envelope { url, method?, headers?, body?,
+ *   encoding? } – object bodies are encoded for their content type, see
+ *   encodeEnvelopeBody in lib/proxy.js
+ *
+ * Responses stream back byte for byte, with the headers the configured
+ * policy lets through (config.proxy). Redirects are followed up to
+ * config.proxy.maxRedirects, every hop checked like the first;
+ * X-Proxy-Final-Url names the URL that answered.
+ *
+ * Send `X-OAuth-Grant: <grant id>` (from /api/oauth) to have the grant's
+ * access token added as the Authorization header, unless the request
+ * carries one already.
+ *
+ * Send `X-Validate-Spec: <mock id>` to check the exchange against a spec
+ * registered through /api/mocks. The verdict comes back in X-Validation
+ * headers, so those responses are buffered before they are sent.
+ */
+
+const express = require('express');
+const { once } = require('events');
+const config = require('../config');
+const { registry } = require('./mock');
+const { validateExchange } = require('../lib/contract-validator');
+const { saveReport, reportHeaders } = require('../lib/contract-reports');
+const { OutboundError, checkOutboundUrl, transportFor } = require('../lib/outbound');
+const { accessToken } = require('../lib/oauth');
+const { filterRequestHeaders, filterResponseHeaders, encodeEnvelopeBody, decodeBody } = require('../lib/proxy');
+const { hasBody } = require('../lib/util');
+
+const router = express.Router();
+
+const parseEnvelope = express.json({ limit: '50mb' });
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Streamed request bodies are kept up to this size, to replay them on
+// 307/308 redirects and to validate them
+const CAPTURE_LIMIT = 10 * 1024 * 1024;
+
+function readEnvelope(req, res) {
+    return new Promise((resolve, reject) => {
+        parseEnvelope(req, res, (err) => (err ? reject(err) : resolve(req.body || {})));
+    });
+}
+
+/**
+ * Send one request upstream, pinned to the checked address.
+ * @param {{ url: URL, lookup: Function }} target – from checkOutboundUrl
+ * @param {{ method: string, headers: object, body: null|{ stream }|{ payload } }} request
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+function send(target, { method, headers, body }) {
+    return new Promise((resolve, reject) => {
+        const upstream = transportFor(target.url).request(target.url, {
+            method,
+            headers,
+            timeout: config.proxy.timeout,
+            lookup: target.lookup,
+        }, resolve);
+        upstream.on('error', reject);
+        upstream.on('timeout', () => upstream.destroy(new OutboundError('Proxy request timed out', 504)));
+        if (body?.stream) body.stream.pipe(upstream);
+        else upstream.end(body?.payload);
+    });
+}
+
+/**
+ * The request to send after a redirect, as browsers do it: 303 (and 301/302
+ * after a POST) become a GET without a body, 307/308 repeat the request.
+ * @returns {object|null} null when a streamed body cannot be replayed
+ */
+async function redirectRequest(previous, status, capture) {
+    if (status === 303 || ((status === 301 || status === 302) && previous.method === 'POST')) {
+        const headers = { ...previous.headers };
+        delete headers['content-type'];
+        delete headers['content-length'];
+        return { method: previous.method === 'HEAD' ? 'HEAD' : 'GET', headers, body: null };
+    }
+    if (!previous.body?.stream) return previous;
+
+    // The upstream may answer before it has read the whole body
+    if (!capture.stream.readableEnded) {
+        capture.stream.resume();
+        await once(capture.stream, 'end');
+    }
+    if (capture.size > CAPTURE_LIMIT) return null;
+    return { ...previous, body: { payload: Buffer.concat(capture.chunks) } };
+}
+
+router.all('/', async (req, res) => {
+    try {
+        // Either ?url= with the request as-is, or a JSON envelope { url, method, headers, body }
+        const streamed = typeof req.query.url === 'string' && req.query.url !== '';
+        let envelope = {};
+        if (!streamed) {
+            try {
+                envelope = await readEnvelope(req, res);
+            } catch (err) {
+                return res.status(err.status || 400).json({ error: `Invalid proxy request: ${err.message}` });
+            }
+        }
+        const targetUrl = streamed ? req.query.url : envelope.url;
+        if (!targetUrl || typeof targetUrl !== 'string') {
+            return res.status(400).json({ error: 'Missing "url" query parameter' });
+        }
+
+        // Protocol and SSRF checks; the connection is pinned to the checked address
+        let target;
+        try {
+            target = await checkOutboundUrl(targetUrl);
+        } catch (err) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        // A streamed request keeps the browser's headers; an envelope names its own
+        const forwardHeaders = streamed ? filterRequestHeaders(req.headers) : {};
+        if (!streamed) {
+            ['content-type', 'authorization', 'accept'].forEach((name) => {
+                if (req.headers[name]) forwardHeaders[name] = req.headers[name];
+            });
+        }
+
+        // Forward custom headers from the envelope
+        const customHeaders = envelope.headers;
+        if (customHeaders && typeof customHeaders === 'object') {
+            Object.entries(customHeaders).forEach(([key, value]) => {
+                // Prevent header injection
+                const sanitisedKey = String(key).replace(/[\r\n]/g, '').toLowerCase();
+                const sanitisedValue = String(value).replace(/[\r\n]/g, '');
+                forwardHeaders[sanitisedKey] = sanitisedValue;
+            });
+        }
+
+        // Credentials from an OAuth grant, refreshed when they are about to expire
+        const grantId = forwardHeaders['x-oauth-grant'] || req.headers['x-oauth-grant'];
+        delete forwardHeaders['x-oauth-grant'];
+        if (grantId && !forwardHeaders.authorization) {
+            const token = await accessToken(String(grantId));
+            forwardHeaders.authorization = `${token.tokenType} ${token.accessToken}`;
+        }
+
+        const method = String(envelope.method || req.method).toUpperCase();
+        const canHaveBody = !['GET', 'HEAD'].includes(method);
+
+        // The body is either the incoming stream or the encoded envelope body;
+        // streamed bytes are captured on the side
+        let body = null;
+        const capture = { stream: req, chunks: [], size: 0 };
+        if (streamed && canHaveBody && hasBody(req)) {
+            if (req.headers['content-length']) forwardHeaders['content-length'] = req.headers['content-length'];
+            body = { stream: req };
+        } else if (!streamed && canHaveBody && envelope.body !== undefined && envelope.body !== null) {
+            const encoded = encodeEnvelopeBody(envelope.body, forwardHeaders['content-type'], envelope.encoding);
+            if (encoded.contentType) forwardHeaders['content-type'] = encoded.contentType;
+            forwardHeaders['content-length'] = String(encoded.payload.length);
+            body = { payload: encoded.payload };
+            capture.chunks.push(encoded.payload);
+            capture.size = encoded.payload.length;
+        }
+
+        // Optional contract validation against a registered spec
+        const validateId = req.headers['x-validate-spec'];
+        let contract = null;
+        if (validateId) {
+            try {
+                contract = registry.get(validateId);
+            } catch (err) {
+                console.error(`[proxy] Could not reload spec "${validateId}":`, err.message);
+            }
+            if (!contract) res.setHeader('X-Validation', `unavailable; no spec registered as "${String(validateId).replace(/[^\w.-]/g, '')}"`);
+        }
+
+        // Send, following redirects
+        let current = target;
+        let request = { method, headers: forwardHeaders, body };
+        let redirects = 0;
+        const sending = send(current, request);
+        if (body?.stream) {
+            req.on('data', (chunk) => {
+                capture.size += chunk.length;
+                if (capture.size <= CAPTURE_LIMIT) capture.chunks.push(chunk);
+            });
+        }
+        let response = await sending;
+        while (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location && redirects < config.proxy.maxRedirects) {
+            const next = await redirectRequest(request, response.statusCode, capture);
+            if (!next) break;
+            response.resume();
+            const from = current.url;
+            current = await checkOutboundUrl(new URL(response.headers.location, from).href);
+            // Credentials stay with the origin they were meant for
+            if (current.url.origin !== from.origin) {
+                next.headers = { ...next.headers };
+                delete next.headers.authorization;
+            }
+            request = next;
+            redirects++;
+            response = await send(current, request);
+        }
+
+        // Forward status and the headers the policy allows
+        const headers = filterResponseHeaders(response.headers, {
+            forward: config.proxy.forwardHeaders,
+            block: config.proxy.blockHeaders,
+        });
+        if (headers.location) headers.location = new URL(headers.location, current.url).href;
+        res.status(response.statusCode);
+        Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+        if (redirects) res.setHeader('X-Proxy-Final-Url', current.url.href);
+
+        if (!contract) {
+            response.on('error', () => res.destroy());
+            res.on('close', () => {
+                if (!res.writableFinished) response.destroy();
+            });
+            response.pipe(res);
+            return;
+        }
+
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+        const responseBody = Buffer.concat(chunks);
+        const requestHeaders = { ...req.headers, ...forwardHeaders };
+        const report = validateExchange(contract, {
+            method,
+            path: target.url.pathname,
+            query: target.url.search,
+            request: { headers: requestHeaders, body: decodeBody(Buffer.concat(capture.chunks), requestHeaders) },
+            response: { status: response.statusCode, headers: response.headers, body: decodeBody(responseBody, response.headers) },
+        });
+        res.set(reportHeaders(saveReport({ spec: validateId, method, url: targetUrl, status: response.statusCode, ...report })));
+        res.end(responseBody);
+    } catch (err) {
+        if (res.headersSent) {
+            console.error('[proxy] Response failed mid-stream:', err.message);
+            res.destroy();
+            return;
+        }
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        if (err.code) {
+            console.error('[proxy] Request error:', err.message);
+            return res.status(502).json({ error: 'Proxy request failed', details: err.message });
+        }
+        console.error('[proxy] Unexpected error:', err);
+        res.status(500).json({ error: 'Internal proxy error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Structural query route.
+ * - POST /api/query – evaluates a JSONPath expression ({ source, path })
+ *   against the editor document and returns the matching nodes with
+ *   their source positions
+ */
+
+const express = require('express');
+const { queryDocument } = require('../lib/query');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const { source, path } = req.body || {};
+    if (typeof source !== 'string') {
+        return res.status(400).json({ error: 'Missing "source" string in request body' });
+    }
+    if (typeof path !== 'string' || !path.trim()) {
+        return res.status(400).json({ error: 'Missing "path" (a JSONPath expression) in request body' });
+    }
+
+    try {
+        res.json(queryDocument(source, path.trim()));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[query] Unexpected error:', err);
+        res.status(500).json({ error: 'Query failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * Reference navigation routes.
+ * Every request carries the editor document ({ source, documentPath }),
+ * the 1-based cursor position ({ line, column }) and optionally the other
+ * open documents ({ documents: [{ path, content }] }) so unsaved edits are
+ * taken into account.
+ * - POST /api/references/definition   – where the $ref at the cursor points
+ * - POST /api/references              – the component at the cursor and
+ *   everywhere it is used, across the workspace
+ * - POST /api/references/rename       – preview of renaming that component
+ *   to { newName }: the edits, file by file
+ * - POST /api/references/rename/apply – the same, writing the workspace
+ *   files that are not open. `versions` ({ path: version } from the
+ *   preview) must still match or nothing is written (409); the edits for
+ *   open documents come back for the editor to apply.
+ */
+
+const express = require('express');
+const config = require('../config');
+const { createWorkspace } = require('../lib/workspace');
+const { createReferenceIndex, applyEdits } = require('../lib/references');
+
+const router = express.Router();
+const workspace = createWorkspace(config.workspaceDir);
+
+/** Read the shared request fields and answer errors as JSON */
+function handle(req, res, fn) {
+    const { source, documentPath, documents, line, column } = req.body || {};
+    if (typeof source !== 'string') {
+        return res.status(400).json({ error: 'Missing "source" string in request body' });
+    }
+    if (!Number.isInteger(line) || !Number.isInteger(column) || line < 1 || column < 1) {
+        return res.status(400).json({ error: '"line" and "column" must be positive integers' });
+    }
+    const index = createReferenceIndex({
+        active: { path: typeof documentPath === 'string' && documentPath ? documentPath : null, content: source },
+        documents: Array.isArray(documents) ? documents : [],
+        workspace,
+    });
+    try {
+        return fn(index, { line, column });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('[references] Unexpected error:', err);
+        return res.status(500).json({ error: 'Reference lookup failed' });
+    }
+}
+
+router.post('/definition', (req, res) => handle(req, res, (index, { line, column }) => {
+    res.json(index.definitionAt(line, column));
+}));
+
+router.post('/', (req, res) => handle(req, res, (index, { line, column }) => {
+    const symbol = index.symbolAt(line, column);
+    res.json({ symbol, ...index.findReferences(symbol) });
+}));
+
+router.post('/rename', (req, res) => handle(req, res, (index, { line, column }) => {
+    const symbol = index.symbolAt(line, column);
+    res.json({ symbol, newName: req.body.newName, ...index.planRename(symbol, req.body.newName) });
+}));
+
+router.post('/rename/apply', (req, res) => handle(req, res, (index, { line, column }) => {
+    const symbol = index.symbolAt(line, column);
+    const plan = index.planRename(symbol, req.body.newName);
+    const versions = req.body.versions && typeof req.body.versions === 'object' ? req.body.versions : {};
+
+    // Check every file before writing any, so the rename happens everywhere or nowhere
+    const closed = plan.files.filter((file) => !file.open);
+    const changed = closed.filter((file) => versions[file.path] !== file.version);
+    if (changed.length) {
+        return res.status(409).json({
+            error: `${changed.map((file) => file.path).join(', ')} changed since the preview – review the rename again`,
+            changed: changed.map((file) => file.path),
+        });
+    }
+
+    // Staged and swapped in together; a failed write leaves every file as it was
+    const saved = workspace.updateAll(closed.map((file) => ({
+        path: file.path,
+        content: applyEdits(index.contentOf(file.path), file.edits),
+        baseVersion: file.version,
+    })));
+    const written = new Map(saved.map((file) => [file.path, file.version]));
+    const files = plan.files.map((file) => (file.open ? file : { ...file, version: written.get(file.path) }));
+    res.json({ symbol, newName: req.body.newName, ...plan, files });
+}));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Lint ruleset routes.
+ * - GET /api/rulesets       – names of the rulesets in the ruleset directory
+ * - GET /api/rulesets/:name – raw source of one ruleset
+ */
+
+const express = require('express');
+const config = require('../config');
+const { listRulesets, readRulesetSource } = require('../lib/rulesets');
+
+const router = express.Router();
+
+router.get('/', (_req, res) => {
+    res.json({ rulesets: listRulesets(config.rulesetDir) });
+});
+
+router.get('/:name', (req, res) => {
+    try {
+        res.json({ name: req.params.name, source: readRulesetSource(req.params.name, config.rulesetDir) });
+    } catch (err) {
+        res.status(404).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Workspace spec routes.
+ * - GET    /api/specs          – list spec files in the workspace
+ * - POST   /api/specs          – create a spec   { path, content }
+ * - GET    /api/specs/<path>   – read a spec     → { path, content, version }
+ * - PUT    /api/specs/<path>   – save a spec     { content, version? }
+ * - PATCH  /api/specs/<path>   – rename a spec   { path }
+ * - DELETE /api/specs/<path>   – delete a spec   (?version=)
+ *
+ * `version` is the content hash returned by every read/write. Sending it
+ * back on save turns a write over someone else's changes into a 409.
+ */
+
+const express = require('express');
+const config = require('../config');
+const { createWorkspace } = require('../lib/workspace');
+
+const router = express.Router();
+const workspace = createWorkspace(config.workspaceDir);
+
+/** Translate store errors into JSON responses */
+function handle(res, fn) {
+    try {
+        return fn();
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message, ...err.details });
+        }
+        console.error('[specs] Unexpected error:', err);
+        return res.status(500).json({ error: 'Workspace operation failed' });
+    }
+}
+
+router.get('/', (_req, res) => handle(res, () => {
+    res.json({ specs: workspace.list() });
+}));
+
+router.post('/', (req, res) => handle(res, () => {
+    const content = typeof req.body?.content === 'string' ? req.body.content : '';
+    res.status(201).json(workspace.create(req.body?.path, content));
+}));
+
+router.get('/*', (req, res) => handle(res, () => {
+    const spec = workspace.read(req.params[0]);
+    res.setHeader('ETag', `"${spec.version}"`);
+    res.json(spec);
+}));
+
+router.put('/*', (req, res) => handle(res, () => {
+    if (typeof req.body?.content !== 'string') {
+        return res.status(400).json({ error: 'Missing "content" string in request body' });
+    }
+    const baseVersion = req.body.version || (req.headers['if-match'] || '').replace(/"/g, '') || null;
+    res.json(workspace.update(req.params[0], req.body.content, baseVersion));
+}));
+
+router.patch('/*', (req, res) => handle(res, () => {
+    res.json(workspace.rename(req.params[0], req.body?.path));
+}));
+
+router.delete('/*', (req, res) => handle(res, () => {
+    workspace.remove(req.params[0], req.query.version || null);
+    res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Validation routes.
+ * - POST /api/validate – runs the analysis pipeline over the editor source
+ *   and returns every problem with its path, severity and position, plus
+ *   the document outline for the editor's navigator.
+ *   An optional `ruleset` ({ name } of a server ruleset, or { source } with
+ *   pasted YAML/JSON) adds style-guide lint results. `documentPath` (the
+ *   document's workspace-relative path) anchors relative external $refs.
+ */
+
+const express = require('express');
+const path = require('path');
+const config = require('../config');
+const { analyseDocument } = require('../lib/analysis');
+const { loadRuleset, compileRuleset } = require('../lib/rulesets');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+    const source = req.body?.source;
+    if (typeof source !== 'string') {
+        return res.status(400).json({ error: 'Missing "source" string in request body' });
+    }
+
+    // A broken ruleset should not hide schema problems – report it alongside
+    let ruleset = null;
+    let rulesetError = null;
+    const requested = req.body?.ruleset;
+    try {
+        if (requested && typeof requested.source === 'string') {
+            ruleset = compileRuleset(requested.source, config.rulesetDir);
+        } else if (requested && typeof requested.name === 'string') {
+            ruleset = loadRuleset(requested.name, config.rulesetDir);
+        }
+    } catch (err) {
+        if (!err.status) console.error('[validate] Ruleset error:', err);
+        rulesetError = err.message;
+    }
+
+    try {
+        const documentPath = typeof req.body?.documentPath === 'string' ? req.body.documentPath : '';
+        const result = analyseDocument(source, {
+            ruleset,
+            workspaceDir: config.workspaceDir,
+            baseDir: path.posix.dirname(documentPath.replace(/\\/g, '/')),
+        });
+        res.json({ ...result, rulesetError });
+    } catch (err) {
+        console.error('[validate] Unexpected error:', err);
+        res.status(500).json({ error: 'Validation failed', details: err.message });
+    }
+});
+
+module.exports = router;
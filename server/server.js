@@ -2,133 +2,116 @@
  * Express server for the Swagger Editor clone.
  * - Serves static frontend files from /public
  * - Provides a CORS-enabled proxy endpoint for "Try it out" API testing
+ * - Refuses state-changing API calls from other origins
  * - Validates and sanitises proxy requests
+ * - Validates OpenAPI documents against the official JSON Schemas
+ * - Lints documents with configurable style-guide rulesets
+ * - Serves OpenAPI-aware completion data for the editor
+ * - Finds and renames component references across the workspace
+ * - Runs JSONPath queries over the editor document
+ * - Formats YAML documents without losing comments or anchors
+ * - Serves workspace files so external $refs can be followed
+ * - Provides a CRUD API for spec files in the workspace
+ * - Compares spec versions and reports breaking changes
+ * - Mocks APIs from a spec's examples and schemas
+ * - Validates proxied and mocked traffic against the spec on request
+ * - Exports specs as Postman collections, code snippets and static docs
+ * - Imports Postman collections and HAR captures as draft specs
+ * - Converts Swagger 2.0 to OpenAPI 3.x and upgrades 3.0 to 3.1
+ * - Runs OAuth 2.0 / OpenID Connect flows and keeps the tokens for the proxy
+ * - Hosts live collaborative editing sessions over WebSocket
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const http = require('http');
-const https = require('https');
-const { URL } = require('url');
+const fs = require('fs');
+
+const config = require('./config');
+const { sameOriginOnly } = require('./lib/origin');
+const validateRoutes = require('./routes/validate');
+const rulesetRoutes = require('./routes/rulesets');
+const completionRoutes = require('./routes/completions');
+const referenceRoutes = require('./routes/references');
+const queryRoutes = require('./routes/query');
+const formatRoutes = require('./routes/format');
+const specRoutes = require('./routes/specs');
+const compareRoutes = require('./routes/compare');
+const mockRoutes = require('./routes/mock');
+const contractReportRoutes = require('./routes/contract-reports');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const convertRoutes = require('./routes/convert');
+const proxyRoutes = require('./routes/proxy');
+const oauthRoutes = require('./routes/oauth');
+const { createIdentityProvider } = require('./routes/oauth-idp');
+const collabRoutes = require('./routes/collab');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // ── Middleware ──────────────────────────────────────────────────────────────
-app.use(cors());
+// Only the mock APIs answer other origins; everything else is the editor's own
+app.use('/api/mock', cors());
+app.use('/api', sameOriginOnly({ except: ['/mock'] }));
+
+// ── CORS Proxy endpoint ───────────────────────────────────────────────────
+// Streams request bodies as they are, so it comes before the body parsers
+app.use('/api/proxy', proxyRoutes);
+
+// HAR captures get large; parsed here, the general parser below skips them
+app.use('/api/import', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from /public
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Serve workspace files so the preview can follow external $refs
+fs.mkdirSync(config.workspaceDir, { recursive: true });
+app.use('/workspace', express.static(config.workspaceDir, { fallthrough: false }));
+
 // ── Health check ───────────────────────────────────────────────────────────
 app.get('/api/health', (_req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// ── CORS Proxy endpoint ───────────────────────────────────────────────────
-// Forwards requests to external APIs so the browser does not hit CORS errors
-// when using the "Try it out" feature.
-app.all('/api/proxy', async (req, res) => {
-    try {
-        const targetUrl = req.query.url || req.body?.url;
-        if (!targetUrl) {
-            return res.status(400).json({ error: 'Missing "url" query parameter' });
-        }
-
-        // Basic URL validation
-        let parsedUrl;
-        try {
-            parsedUrl = new URL(targetUrl);
-        } catch {
-            return res.status(400).json({ error: 'Invalid URL provided' });
-        }
-
-        // Only allow http and https
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            return res.status(400).json({ error: 'Only HTTP and HTTPS protocols are allowed' });
-        }
-
-        // Block private / internal IPs (basic SSRF protection)
-        const blockedHosts = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
-        if (blockedHosts.includes(parsedUrl.hostname)) {
-            return res.status(403).json({ error: 'Requests to local addresses are not allowed' });
-        }
-
-        // Build headers – forward content-type and authorization if present
-        const forwardHeaders = {};
-        if (req.headers['content-type']) forwardHeaders['Content-Type'] = req.headers['content-type'];
-        if (req.headers['authorization']) forwardHeaders['Authorization'] = req.headers['authorization'];
-        if (req.headers['accept']) forwardHeaders['Accept'] = req.headers['accept'];
-
-        // Forward custom headers from the body
-        const customHeaders = req.body?.headers;
-        if (customHeaders && typeof customHeaders === 'object') {
-            Object.entries(customHeaders).forEach(([key, value]) => {
-                // Prevent header injection
-                const sanitisedKey = String(key).replace(/[\r\n]/g, '');
-                const sanitisedValue = String(value).replace(/[\r\n]/g, '');
-                forwardHeaders[sanitisedKey] = sanitisedValue;
-            });
-        }
-
-        const method = (req.body?.method || req.method).toUpperCase();
-        const bodyPayload = req.body?.body;
-
-        // Determine the right http(s) module
-        const transport = parsedUrl.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.pathname + parsedUrl.search,
-            method,
-            headers: forwardHeaders,
-            timeout: 30000,
-        };
-
-        const proxyReq = transport.request(options, (proxyRes) => {
-            // Collect the response body
-            const chunks = [];
-            proxyRes.on('data', (chunk) => chunks.push(chunk));
-            proxyRes.on('end', () => {
-                const body = Buffer.concat(chunks).toString('utf-8');
-
-                // Forward status and selected headers
-                res.status(proxyRes.statusCode);
-                const safeHeaders = ['content-type', 'x-request-id', 'x-ratelimit-remaining'];
-                safeHeaders.forEach((h) => {
-                    if (proxyRes.headers[h]) res.setHeader(h, proxyRes.headers[h]);
-                });
-
-                res.send(body);
-            });
-        });
-
-        proxyReq.on('error', (err) => {
-            console.error('[proxy] Request error:', err.message);
-            res.status(502).json({ error: 'Proxy request failed', details: err.message });
-        });
-
-        proxyReq.on('timeout', () => {
-            proxyReq.destroy();
-            res.status(504).json({ error: 'Proxy request timed out' });
-        });
-
-        // Write body for non-GET requests
-        if (bodyPayload && method !== 'GET') {
-            const payload = typeof bodyPayload === 'string' ? bodyPayload : JSON.stringify(bodyPayload);
-            proxyReq.write(payload);
-        }
-
-        proxyReq.end();
-    } catch (err) {
-        console.error('[proxy] Unexpected error:', err);
-        res.status(500).json({ error: 'Internal proxy error' });
-    }
-});
+// ── Validation ─────────────────────────────────────────────────────────────
+app.use('/api/validate', validateRoutes);
+app.use('/api/rulesets', rulesetRoutes);
+app.use('/api/completions', completionRoutes);
+app.use('/api/references', referenceRoutes);
+app.use('/api/query', queryRoutes);
+app.use('/api/format', formatRoutes);
+
+// ── Workspace specs ────────────────────────────────────────────────────────
+app.use('/api/specs', specRoutes);
+
+// ── Breaking-change detection ─────────────────────────────────────────────
+app.use('/api/compare', compareRoutes);
+
+// ── Export ─────────────────────────────────────────────────────────────────
+app.use('/api/export', exportRoutes);
+
+// ── Import ─────────────────────────────────────────────────────────────────
+app.use('/api/import', importRoutes);
+
+// ── Conversion ────────────────────────────────────────────────────────────
+app.use('/api/convert', convertRoutes);
+
+// ── Mock server ───────────────────────────────────────────────────────────
+app.use('/api/mocks', mockRoutes.admin);
+app.use('/api/mock', mockRoutes.serve);
+
+// ── OAuth ─────────────────────────────────────────────────────────────────
+if (config.oauth.testIdp) app.use('/api/oauth/idp', createIdentityProvider());
+app.use('/api/oauth', oauthRoutes);
+
+// ── Collaboration ─────────────────────────────────────────────────────────
+app.use('/api/collab', collabRoutes.router);
+
+// ── Contract validation reports ───────────────────────────────────────────
+app.use('/api/contract-reports', contractReportRoutes);
 
 // ── SPA fallback ──────────────────────────────────────────────────────────
 app.get('*', (_req, res) => {
@@ -136,6 +119,12 @@ app.get('*', (_req, res) => {
 });
 
 // ── Start server ──────────────────────────────────────────────────────────
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n  🚀  Swagger Editor is running at  http://localhost:${PORT}\n`);
 });
+
+// WebSocket upgrades bypass Express
+server.on('upgrade', (req, socket, head) => {
+    if (req.url.split('?')[0] === '/api/collab') collabRoutes.handleUpgrade(req, socket, head);
+    else socket.destroy();
+});
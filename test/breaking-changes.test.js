@@ -0,0 +1,82 @@
+/**
+ * compareSpecs: which changes break existing clients. Requests and
+ * responses are judged in opposite directions.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareSpecs, toMarkdown } = require('../server/lib/breaking-changes');
+
+/** A one-operation spec: GET /pets with the given parameters and 200 schema */
+function spec({ version = '1.0.0', parameters = [], response = { type: 'object' }, requestBody, paths } = {}) {
+    const operation = {
+        operationId: 'listPets',
+        parameters,
+        responses: { 200: { description: 'ok', content: { 'application/json': { schema: response } } } },
+    };
+    if (requestBody) operation.requestBody = requestBody;
+    return { openapi: '3.0.3', info: { title: 'Pets', version }, paths: paths || { '/pets': { get: operation } } };
+}
+
+function codes(report) {
+    return report.changes.map((change) => `${change.level} ${change.code}`);
+}
+
+test('identical specs have no changes', () => {
+    const report = compareSpecs(spec(), spec());
+    assert.deepEqual(report.changes, []);
+    assert.deepEqual(report.summary, { breaking: 0, nonBreaking: 0, total: 0 });
+});
+
+test('removed operations break clients, added ones do not', () => {
+    const base = spec();
+    const revision = spec({ paths: { '/cats': base.paths['/pets'] } });
+    assert.deepEqual(codes(compareSpecs(base, revision)), [
+        'breaking operation-removed',
+        'non-breaking operation-added',
+    ]);
+});
+
+test('a new required parameter breaks clients, a new optional one does not', () => {
+    const limit = { name: 'limit', in: 'query', schema: { type: 'integer' } };
+    assert.deepEqual(codes(compareSpecs(spec(), spec({ parameters: [{ ...limit, required: true }] }))), [
+        'breaking required-parameter-added',
+    ]);
+    assert.deepEqual(codes(compareSpecs(spec(), spec({ parameters: [limit] }))), ['non-breaking parameter-added']);
+});
+
+test('enum changes are judged by direction', () => {
+    const status = (values) => ({ name: 'status', in: 'query', schema: { type: 'string', enum: values } });
+    const narrowed = compareSpecs(spec({ parameters: [status(['a', 'b'])] }), spec({ parameters: [status(['a'])] }));
+    assert.deepEqual(codes(narrowed), ['breaking enum-value-removed']);
+
+    const returned = (values) => ({ type: 'string', enum: values });
+    const widened = compareSpecs(spec({ response: returned(['a']) }), spec({ response: returned(['a', 'b']) }));
+    assert.deepEqual(codes(widened), ['breaking enum-value-added']);
+});
+
+test('response properties may be added but not removed', () => {
+    const pet = (properties) => ({ type: 'object', properties });
+    const added = compareSpecs(spec({ response: pet({ id: { type: 'integer' } }) }),
+        spec({ response: pet({ id: { type: 'integer' }, name: { type: 'string' } }) }));
+    assert.deepEqual(codes(added), ['non-breaking property-added']);
+
+    const removed = compareSpecs(spec({ response: pet({ id: { type: 'integer' }, name: { type: 'string' } }) }),
+        spec({ response: pet({ id: { type: 'integer' } }) }));
+    assert.deepEqual(codes(removed), ['breaking property-removed']);
+});
+
+test('changes are sorted breaking first and counted in the summary', () => {
+    const base = spec({ response: { type: 'object', properties: { id: { type: 'integer' } } } });
+    const revision = spec({ version: '2.0.0', response: { type: 'object', properties: {} } });
+    const report = compareSpecs(base, revision);
+    assert.deepEqual(codes(report), ['breaking property-removed', 'non-breaking version-changed']);
+    assert.deepEqual(report.summary, { breaking: 1, nonBreaking: 1, total: 2 });
+    assert.equal(report.changes[0].operation, 'GET /pets');
+});
+
+test('toMarkdown groups changes by level and operation', () => {
+    const markdown = toMarkdown(compareSpecs(spec(), spec({ paths: {} })), { base: 'v1', revision: 'v2' });
+    assert.match(markdown, /Comparing \*\*v1\*\* → \*\*v2\*\*: 1 breaking, 0 non-breaking change\./);
+    assert.match(markdown, /## Breaking changes\n\n### `GET \/pets`\n\n- Removed operation GET \/pets\./);
+});
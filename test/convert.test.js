@@ -0,0 +1,137 @@
+/**
+ * Swagger 2.0 → OpenAPI 3.0 conversion and the 3.0 → 3.1 upgrade.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertSwagger2, upgradeOpenApi30 } = require('../server/lib/convert');
+
+const swagger = {
+    swagger: '2.0',
+    info: { title: 'Pets', version: '1.0.0' },
+    host: 'api.example.com',
+    basePath: '/v1',
+    schemes: ['https'],
+    consumes: ['application/json'],
+    produces: ['application/json'],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                parameters: [{ name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' }],
+                responses: { 200: { description: 'ok', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } } },
+            },
+            post: {
+                parameters: [{ name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }],
+                responses: { 201: { description: 'created' } },
+            },
+        },
+        '/pets/{id}/photo': {
+            put: {
+                consumes: ['multipart/form-data'],
+                parameters: [
+                    { name: 'id', in: 'path', type: 'integer' },
+                    { name: 'file', in: 'formData', type: 'file', required: true },
+                ],
+                responses: { 204: { description: 'stored' } },
+            },
+        },
+    },
+    definitions: {
+        Pet: { type: 'object', discriminator: 'kind', properties: { name: { type: 'string', 'x-nullable': true } } },
+    },
+    securityDefinitions: {
+        basicAuth: { type: 'basic' },
+        oauth: { type: 'oauth2', flow: 'accessCode', authorizationUrl: 'https://auth.example.com/authorize', tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read' } },
+    },
+};
+
+test('Swagger 2.0 becomes OpenAPI 3.0 with servers and components', () => {
+    const { spec, notes } = convertSwagger2(swagger);
+    assert.equal(spec.openapi, '3.0.3');
+    assert.deepEqual(spec.servers, [{ url: 'https://api.example.com/v1' }]);
+    assert.deepEqual(spec.components.schemas.Pet, {
+        type: 'object',
+        discriminator: { propertyName: 'kind' },
+        properties: { name: { type: 'string', nullable: true } },
+    });
+    assert.deepEqual(spec.components.securitySchemes.basicAuth, { type: 'http', scheme: 'basic' });
+    assert.deepEqual(spec.components.securitySchemes.oauth.flows.authorizationCode.scopes, { read: 'Read' });
+    assert.deepEqual(notes, []);
+});
+
+test('parameters, bodies and responses move to their OpenAPI 3 shapes', () => {
+    const { spec } = convertSwagger2(swagger);
+    const list = spec.paths['/pets'].get;
+    assert.deepEqual(list.parameters, [{
+        name: 'tags',
+        in: 'query',
+        style: 'form',
+        explode: true,
+        schema: { type: 'array', items: { type: 'string' } },
+    }]);
+    assert.equal(list.responses[200].content['application/json'].schema.items.$ref, '#/components/schemas/Pet');
+
+    const create = spec.paths['/pets'].post;
+    assert.equal(create.parameters, undefined);
+    assert.equal(create.requestBody.required, true);
+    assert.equal(create.requestBody.content['application/json'].schema.$ref, '#/components/schemas/Pet');
+    assert.equal(create.requestBody['x-codegen-request-body-name'], 'pet');
+});
+
+test('form parameters become a request body and file fields binary strings', () => {
+    const upload = convertSwagger2(swagger).spec.paths['/pets/{id}/photo'].put;
+    assert.deepEqual(upload.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }]);
+    assert.deepEqual(upload.requestBody, {
+        content: {
+            'multipart/form-data': {
+                schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] },
+            },
+        },
+        required: true,
+    });
+});
+
+test('what cannot be translated is reported, not dropped silently', () => {
+    const { spec, notes } = convertSwagger2({
+        swagger: '2.0',
+        info: { title: 'T', version: '1' },
+        paths: { '/a': { get: { parameters: [{ name: 'ids', in: 'header', type: 'array', items: { type: 'string' }, collectionFormat: 'pipes' }], responses: {} } } },
+    });
+    assert.deepEqual(spec.servers, [{ url: '/' }]);
+    assert.equal(notes.length, 2);
+    assert.match(notes[0].message, /No host given/);
+    assert.match(notes[1].message, /collectionFormat "pipes" has no OpenAPI 3 equivalent for header parameters/);
+});
+
+test('the source document is left untouched', () => {
+    const before = JSON.stringify(swagger);
+    convertSwagger2(swagger);
+    assert.equal(JSON.stringify(swagger), before);
+});
+
+test('OpenAPI 3.0 upgrades to 3.1: nullable, example, exclusive bounds and binary', () => {
+    const { spec, notes } = upgradeOpenApi30({
+        openapi: '3.0.3',
+        info: { title: 'T', version: '1' },
+        paths: {},
+        components: {
+            schemas: {
+                Name: { type: 'string', nullable: true, example: 'Rex' },
+                Owner: { $ref: '#/components/schemas/Name', nullable: true },
+                Age: { type: 'integer', minimum: 0, exclusiveMinimum: true },
+                Photo: { type: 'string', format: 'binary' },
+                Broken: { exclusiveMaximum: true },
+            },
+        },
+    });
+    assert.equal(spec.openapi, '3.1.0');
+    const { schemas } = spec.components;
+    assert.deepEqual(schemas.Name, { type: ['string', 'null'], examples: ['Rex'] });
+    assert.deepEqual(schemas.Owner, { anyOf: [{ $ref: '#/components/schemas/Name' }, { type: 'null' }] });
+    assert.deepEqual(schemas.Age, { type: 'integer', exclusiveMinimum: 0 });
+    assert.deepEqual(schemas.Photo, { type: 'string', contentMediaType: 'application/octet-stream' });
+    assert.deepEqual(schemas.Broken, {});
+    assert.equal(notes.length, 1);
+    assert.match(notes[0].message, /exclusiveMaximum without maximum was dropped/);
+});
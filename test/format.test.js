@@ -0,0 +1,90 @@
+/**
+ * formatDocument: re-indents from the syntax tree so comments, anchors
+ * and quoting survive, optionally in canonical order, and can format
+ * just a selection.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const YAML = require('yaml');
+const { formatDocument, FormatError } = require('../server/lib/format');
+
+const SOURCE = [
+    'openapi: 3.0.3',
+    'info:',
+    '    title: Pets   # the title',
+    '    version: "1"',
+    'paths:',
+    '    /pets:',
+    '        get:',
+    '            # list them',
+    '            responses:',
+    '                "200": &ok',
+    '                    description: ok',
+    '    /cats:',
+    '        get:',
+    '            responses:',
+    '                "200": *ok',
+    'components: {}',
+    '',
+].join('\n');
+
+test('re-indents to two spaces and keeps comments, anchors, aliases and quoting', () => {
+    const { formatted, changed } = formatDocument(SOURCE);
+    assert.equal(changed, true);
+    assert.equal(formatted, [
+        'openapi: 3.0.3',
+        'info:',
+        '  title: Pets # the title',
+        '  version: "1"',
+        'paths:',
+        '  /pets:',
+        '    get:',
+        '      # list them',
+        '      responses:',
+        '        "200": &ok',
+        '          description: ok',
+        '  /cats:',
+        '    get:',
+        '      responses:',
+        '        "200": *ok',
+        'components: {}',
+        '',
+    ].join('\n'));
+    assert.deepEqual(YAML.parse(formatted), YAML.parse(SOURCE));
+});
+
+test('formatting is idempotent', () => {
+    const once = formatDocument(SOURCE).formatted;
+    assert.deepEqual(formatDocument(once), { formatted: once, changed: false });
+});
+
+test('canonical order moves keys without breaking anchors', () => {
+    const source = 'paths:\n  /b:\n    get: &op\n      responses: {}\n  /a:\n    get: *op\nopenapi: 3.0.3\n';
+    const { formatted } = formatDocument(source, { order: true, sortPaths: true });
+    assert.equal(formatted, 'openapi: 3.0.3\npaths:\n  /a:\n    get: &op\n      responses: {}\n  /b:\n    get: *op\n');
+    assert.deepEqual(YAML.parse(formatted), YAML.parse(source));
+});
+
+test('canonical order leaves the header comment at the top', () => {
+    const source = '# top note\ninfo: {title: T, version: "1"}\n# the version\nopenapi: 3.0.3\n';
+    const { formatted } = formatDocument(source, { order: true });
+    assert.equal(formatted, '# top note\n# the version\nopenapi: 3.0.3\ninfo: { title: T, version: "1" }\n');
+});
+
+test('a selection formats only the entries it touches', () => {
+    const { formatted } = formatDocument(SOURCE, {}, { startLine: 12, endLine: 15 });
+    const lines = formatted.split('\n');
+    assert.deepEqual(lines.slice(0, 11), SOURCE.split('\n').slice(0, 11));
+    assert.deepEqual(lines.slice(11, 15), ['    /cats:', '      get:', '        responses:', '          "200": *ok']);
+    assert.deepEqual(YAML.parse(formatted), YAML.parse(SOURCE));
+});
+
+test('JSON comes back as two-space JSON', () => {
+    assert.equal(formatDocument('{"a":1,\n"b":[1,2]}').formatted, '{\n  "a": 1,\n  "b": [\n    1,\n    2\n  ]\n}\n');
+    assert.throws(() => formatDocument('{"a":1}', {}, { startLine: 1, endLine: 1 }), FormatError);
+});
+
+test('invalid YAML is refused with its line', () => {
+    assert.throws(() => formatDocument('a: [1'), (err) => err instanceof FormatError && err.status === 422 && /line 1/.test(err.message));
+});
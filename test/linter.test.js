@@ -0,0 +1,88 @@
+/**
+ * Ruleset parsing and linting: severities, disabled rules and the
+ * built-in functions.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRuleset, lintDocument, RulesetError } = require('../server/lib/linter');
+
+const BASE = parseRuleset([
+    'rules:',
+    '  info-contact:',
+    '    given: $.info',
+    '    then: { field: contact, function: truthy }',
+].join('\n'));
+
+function lint(rules, spec = { info: {} }) {
+    return lintDocument(spec, parseRuleset(rules, { resolveExtends: () => BASE }));
+}
+
+test('rules default to warnings and report through their severity', () => {
+    assert.deepEqual(lintDocument({ info: {} }, BASE).map((problem) => problem.severity), ['warning']);
+    assert.deepEqual(lint('extends: [base]\nrules:\n  info-contact: error').map((problem) => problem.severity), ['error']);
+    assert.deepEqual(lint('extends: [base]\nrules:\n  info-contact: 3').map((problem) => problem.severity), ['hint']);
+});
+
+test('off, -1 and false disable a rule, in shorthand or in the rule object', () => {
+    for (const severity of ['off', '-1', 'false']) {
+        assert.deepEqual(lint(`extends: [base]\nrules:\n  info-contact: ${severity}`), []);
+        assert.deepEqual(lint([
+            'rules:',
+            '  own-rule:',
+            `    severity: ${severity}`,
+            '    given: $.info',
+            '    then: { field: contact, function: truthy }',
+        ].join('\n')), []);
+    }
+});
+
+test('unknown severities are refused instead of raised to error', () => {
+    assert.throws(() => lint('extends: [base]\nrules:\n  info-contact: warnn'), RulesetError);
+    assert.throws(() => lint([
+        'rules:',
+        '  own-rule:',
+        '    severity: 7',
+        '    given: $.info',
+        '    then: { field: contact, function: truthy }',
+    ].join('\n')), /unknown severity 7/);
+});
+
+test('a severity override needs a rule to override', () => {
+    assert.throws(() => lint('rules:\n  missing: warn'), /not defined by an extended ruleset/);
+});
+
+test('pattern checks match and notMatch, including /regex/flags literals', () => {
+    const rules = [
+        'rules:',
+        '  kebab-paths:',
+        '    given: $.paths.*~',
+        '    then: { function: pattern, functionOptions: { match: "/^(\\\\/[a-z-]+)+$/i", notMatch: "_" } }',
+    ].join('\n');
+    const problems = lint(rules, { paths: { '/Pets': {}, '/pet_owners': {} } });
+    assert.deepEqual(problems.map((problem) => problem.path), [['paths', '/pet_owners'], ['paths', '/pet_owners']]);
+});
+
+test('a catastrophically slow pattern is cut off instead of blocking the server', () => {
+    const slow = 'a'.repeat(40);
+    const rules = [
+        'rules:',
+        '  slow-pattern:',
+        '    given: $.paths.*~',
+        '    then: { function: pattern, functionOptions: { match: "^/(a+)+$" } }',
+        '  slow-schema:',
+        '    given: $.info',
+        '    then: { field: title, function: schema, functionOptions: { schema: { pattern: "^(a|a)+$" } } }',
+    ].join('\n');
+    const started = Date.now();
+    const problems = lint(rules, {
+        info: { title: `${slow}!` },
+        paths: Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`/${slow}!${i}`, {}])),
+    });
+    assert.ok(Date.now() - started < 2000, 'linting took too long');
+    assert.equal(problems.length, 21);
+    problems.forEach((problem) => {
+        assert.equal(problem.severity, 'error');
+        assert.match(problem.message, /^Rule failed: The pattern .* (took longer than \d+ ms|is too slow) and was skipped$/);
+    });
+});
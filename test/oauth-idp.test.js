@@ -0,0 +1,151 @@
+/**
+ * The stand-in identity provider, driven through the editor's OAuth routes
+ * and the proxy the way the browser does it.
+ */
+
+process.env.OUTBOUND_ALLOW = '127.0.0.1';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createIdentityProvider } = require('../server/routes/oauth-idp');
+const oauthRoutes = require('../server/routes/oauth');
+const proxyRoutes = require('../server/routes/proxy');
+
+let server;
+let base;
+
+before(async () => {
+    const app = express();
+    app.use('/api/proxy', proxyRoutes);
+    app.use(express.json());
+    app.use('/idp', createIdentityProvider({ clients: { editor: 'secret', spa: null }, subject: 'alice' }));
+    app.use('/api/oauth', oauthRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const scheme = () => ({ type: 'openIdConnect', openIdConnectUrl: `${base}/idp/.well-known/openid-configuration` });
+
+async function postJson(path, body) {
+    const response = await fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('discovery describes the endpoints and the flows come from it', async () => {
+    const response = await fetch(`${base}/idp/.well-known/openid-configuration`);
+    const metadata = await response.json();
+    assert.equal(metadata.issuer, `${base}/idp`);
+    assert.equal(metadata.token_endpoint, `${base}/idp/token`);
+    assert.ok(metadata.code_challenge_methods_supported.includes('S256'));
+
+    const { status, body } = await postJson('/api/oauth/flows', { scheme: scheme() });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.flows).sort(), ['authorizationCode', 'clientCredentials', 'password']);
+    assert.equal(body.flows.authorizationCode.authorizationUrl, `${base}/idp/authorize`);
+    assert.equal(body.redirectUri, `${base}/api/oauth/callback`);
+});
+
+test('client credentials give a grant; a wrong secret is refused', async () => {
+    const granted = await postJson('/api/oauth/token', {
+        scheme: scheme(), flow: 'clientCredentials', clientId: 'editor', clientSecret: 'secret', scopes: 'read write',
+    });
+    assert.equal(granted.status, 200);
+    assert.equal(granted.body.flow, 'clientCredentials');
+    assert.equal(granted.body.scope, 'read write');
+    assert.equal(granted.body.tokenType, 'Bearer');
+    assert.equal(granted.body.accessToken, undefined);
+
+    const refused = await postJson('/api/oauth/token', {
+        scheme: scheme(), flow: 'clientCredentials', clientId: 'editor', clientSecret: 'wrong',
+    });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, 'invalid_client');
+});
+
+test('the authorization code flow with PKCE redirects back and completes', async () => {
+    const started = await postJson('/api/oauth/authorize', { scheme: scheme(), clientId: 'spa', scopes: ['openid'] });
+    assert.equal(started.status, 200);
+    const authorizationUrl = new URL(started.body.authorizationUrl);
+    assert.equal(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(authorizationUrl.searchParams.get('state'), started.body.state);
+
+    const redirect = await fetch(authorizationUrl, { redirect: 'manual' });
+    assert.equal(redirect.status, 302);
+    const callback = new URL(redirect.headers.get('location'));
+    assert.equal(`${callback.origin}${callback.pathname}`, `${base}/api/oauth/callback`);
+    assert.equal(callback.searchParams.get('state'), started.body.state);
+    assert.ok(callback.searchParams.get('code'));
+
+    const page = await fetch(callback);
+    assert.equal(page.status, 200);
+    const data = JSON.parse(/const data = (.*);/.exec(await page.text())[1]);
+    assert.equal(data.type, 'oauth-callback');
+    assert.equal(data.flow, 'authorizationCode');
+    assert.equal(data.refreshable, true);
+
+    const userinfo = await fetch(`${base}/api/proxy?url=${encodeURIComponent(`${base}/idp/userinfo`)}`, {
+        headers: { 'X-OAuth-Grant': data.grant },
+    });
+    assert.deepEqual(await userinfo.json(), { sub: 'alice' });
+
+    // The code was used up by the exchange
+    const replay = await fetch(callback);
+    assert.equal(replay.status, 400);
+});
+
+test('the identity provider rejects a code with the wrong verifier', async () => {
+    const challenge = crypto.createHash('sha256').update('right verifier').digest('base64url');
+    const authorize = new URL(`${base}/idp/authorize`);
+    Object.entries({
+        response_type: 'code',
+        client_id: 'spa',
+        redirect_uri: 'http://127.0.0.1/callback',
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+    }).forEach(([name, value]) => authorize.searchParams.set(name, value));
+    const redirect = await fetch(authorize, { redirect: 'manual' });
+    const code = new URL(redirect.headers.get('location')).searchParams.get('code');
+
+    const response = await fetch(`${base}/idp/token`, {
+        method: 'POST',
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            client_id: 'spa',
+            code,
+            redirect_uri: 'http://127.0.0.1/callback',
+            code_verifier: 'wrong verifier',
+        }),
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error_description, 'PKCE verification failed');
+});
+
+test('the proxy sends the access token of the grant named in X-OAuth-Grant', async () => {
+    const { body: grant } = await postJson('/api/oauth/token', {
+        scheme: scheme(), flow: 'clientCredentials', clientId: 'editor', clientSecret: 'secret',
+    });
+    const userinfo = encodeURIComponent(`${base}/idp/userinfo`);
+
+    const withGrant = await fetch(`${base}/api/proxy?url=${userinfo}`, { headers: { 'X-OAuth-Grant': grant.grant } });
+    assert.equal(withGrant.status, 200);
+    assert.deepEqual(await withGrant.json(), { sub: 'editor' });
+
+    const envelope = await postJson('/api/proxy', { url: `${base}/idp/userinfo`, method: 'GET', headers: { 'X-OAuth-Grant': grant.grant } });
+    assert.deepEqual(envelope, { status: 200, body: { sub: 'editor' } });
+
+    const without = await fetch(`${base}/api/proxy?url=${userinfo}`);
+    assert.equal(without.status, 401);
+
+    const unknown = await fetch(`${base}/api/proxy?url=${userinfo}`, { headers: { 'X-OAuth-Grant': 'nope' } });
+    assert.equal(unknown.status, 401);
+    assert.match((await unknown.json()).error, /Unknown OAuth grant/);
+});
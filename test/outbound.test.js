@@ -0,0 +1,78 @@
+/**
+ * checkOutboundUrl: protocols, private ranges and the allow/deny lists.
+ * Only IP literals and denied names are used, so nothing hits DNS.
+ */
+
+process.env.OUTBOUND_ALLOW = '10.1.0.0/16,fd00::1';
+process.env.OUTBOUND_DENY = '10.1.2.0/24,93.184.216.0/24,blocked.example,*.internal.example';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkOutboundUrl, OutboundError } = require('../server/lib/outbound');
+
+function rejectsWith(target, status) {
+    return assert.rejects(checkOutboundUrl(target), (err) => {
+        assert.ok(err instanceof OutboundError);
+        assert.equal(err.status, status);
+        return true;
+    });
+}
+
+test('rejects malformed URLs and other protocols', async () => {
+    await rejectsWith('not a url', 400);
+    await rejectsWith('ftp://198.51.99.1/spec.yaml', 400);
+    await rejectsWith('file:///etc/passwd', 400);
+});
+
+test('allows public addresses and pins the connection to them', async () => {
+    const checked = await checkOutboundUrl('http://8.8.8.8/openapi.json');
+    assert.equal(checked.address, '8.8.8.8');
+    assert.equal(checked.url.pathname, '/openapi.json');
+    checked.lookup('ignored.example', {}, (err, address) => assert.equal(address, '8.8.8.8'));
+});
+
+test('blocks loopback, private and link-local addresses', async () => {
+    for (const target of [
+        'http://127.0.0.1/',
+        'http://127.1.2.3:3000/',
+        'http://192.168.1.10/',
+        'http://172.16.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://0.0.0.0/',
+        'http://[::1]/',
+        'http://[fe80::1]/',
+        'http://[fc00::1]/',
+    ]) {
+        await rejectsWith(target, 403);
+    }
+});
+
+test('blocks decimal, octal and hex forms of private IPv4 addresses', async () => {
+    await rejectsWith('http://2130706433/', 403);
+    await rejectsWith('http://0177.0.0.1/', 403);
+    await rejectsWith('http://0x7f.0.0.1/', 403);
+});
+
+test('blocks IPv4-mapped IPv6 addresses in private ranges', async () => {
+    await rejectsWith('http://[::ffff:127.0.0.1]/', 403);
+    await rejectsWith('http://[::ffff:10.0.0.1]/', 403);
+    await rejectsWith('http://[::ffff:a9fe:a9fe]/', 403);
+});
+
+test('the allow list opens private addresses and CIDRs', async () => {
+    assert.equal((await checkOutboundUrl('http://10.1.200.7/')).address, '10.1.200.7');
+    assert.equal((await checkOutboundUrl('http://[fd00::1]/')).address, 'fd00::1');
+    await rejectsWith('http://10.2.0.1/', 403);
+    await rejectsWith('http://[fd00::2]/', 403);
+});
+
+test('the deny list wins over the allow list and covers public addresses', async () => {
+    await rejectsWith('http://10.1.2.5/', 403);
+    await rejectsWith('http://93.184.216.34/', 403);
+});
+
+test('denied host names are refused before they are resolved', async () => {
+    await rejectsWith('https://blocked.example/spec.yaml', 403);
+    await rejectsWith('https://BLOCKED.example./spec.yaml', 403);
+    await rejectsWith('https://api.internal.example/', 403);
+});
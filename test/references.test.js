@@ -0,0 +1,122 @@
+/**
+ * Component references: go-to-definition, find-references and the rename
+ * edit plan across the editor document and workspace files.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkspace } = require('../server/lib/workspace');
+const { createReferenceIndex, applyEdits, SymbolError } = require('../server/lib/references');
+
+const ACTIVE = [
+    'openapi: 3.0.3',
+    'info: { title: Pets, version: "1" }',
+    'paths:',
+    '  /pets:',
+    '    get:',
+    '      responses:',
+    '        "200":',
+    '          description: ok',
+    '          content:',
+    '            application/json:',
+    '              schema:',
+    '                $ref: "#/components/schemas/Pet"',
+    'components:',
+    '  schemas:',
+    '    Pet:',
+    '      type: object',
+    '    Pets:',
+    '      type: array',
+    '      items:',
+    "        $ref: '#/components/schemas/Pet'",
+    '',
+].join('\n');
+
+const SHARED = [
+    'components:',
+    '  schemas:',
+    '    Owner:',
+    '      properties:',
+    '        pet:',
+    '          $ref: "api.yaml#/components/schemas/Pet"',
+    '',
+].join('\n');
+
+/** A workspace with api.yaml (the editor document) and owner.yaml pointing into it */
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'references-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const workspace = createWorkspace(dir);
+    workspace.create('api.yaml', ACTIVE);
+    workspace.create('owner.yaml', SHARED);
+    const index = createReferenceIndex({ active: { path: 'api.yaml', content: ACTIVE }, workspace });
+    return { workspace, index };
+}
+
+test('definitionAt follows the $ref under the cursor', (t) => {
+    const { index } = setup(t);
+    const definition = index.definitionAt(12, 25);
+    assert.equal(definition.ref, '#/components/schemas/Pet');
+    assert.equal(definition.path, 'api.yaml');
+    assert.equal(definition.line, 15);
+    assert.equal(definition.lineText, '    Pet:');
+});
+
+test('symbolAt finds a component from its key or a reference to it', (t) => {
+    const { index } = setup(t);
+    const fromKey = index.symbolAt(15, 6);
+    assert.deepEqual(fromKey.path, ['components', 'schemas', 'Pet']);
+    assert.equal(fromKey.name, 'Pet');
+    assert.equal(fromKey.section, 'schemas');
+    assert.deepEqual(index.symbolAt(20, 20).path, fromKey.path);
+    assert.throws(() => index.symbolAt(1, 1), SymbolError);
+});
+
+test('findReferences lists usages in the document and the workspace', (t) => {
+    const { index } = setup(t);
+    const { references } = index.findReferences(index.symbolAt(15, 6));
+    assert.deepEqual(references.map((ref) => `${ref.path}:${ref.line}`), ['api.yaml:12', 'api.yaml:20', 'owner.yaml:6']);
+});
+
+test('planRename edits the key and every ref, keeping each one\'s quoting', (t) => {
+    const { index } = setup(t);
+    const plan = index.planRename(index.symbolAt(15, 6), 'Animal');
+    assert.equal(plan.references, 3);
+    assert.deepEqual(plan.files.map((file) => [file.path, file.open, file.edits.length]), [
+        ['api.yaml', true, 3],
+        ['owner.yaml', false, 1],
+    ]);
+
+    const active = applyEdits(ACTIVE, plan.files[0].edits);
+    assert.match(active, /\$ref: "#\/components\/schemas\/Animal"/);
+    assert.match(active, /\n {4}Animal:\n/);
+    assert.match(active, /\$ref: '#\/components\/schemas\/Animal'/);
+    assert.doesNotMatch(active, /schemas\/Pet\b|\n {4}Pet:/);
+    assert.match(active, /\n {4}Pets:\n/);
+
+    const shared = applyEdits(SHARED, plan.files[1].edits);
+    assert.match(shared, /\$ref: "api\.yaml#\/components\/schemas\/Animal"/);
+});
+
+test('planRename carries workspace versions and refuses clashes and bad names', (t) => {
+    const { workspace, index } = setup(t);
+    const symbol = index.symbolAt(15, 6);
+    const plan = index.planRename(symbol, 'Animal');
+    assert.equal(plan.files[1].version, workspace.read('owner.yaml').version);
+
+    assert.throws(() => index.planRename(symbol, 'Pets'), (err) => err.status === 409);
+    assert.throws(() => index.planRename(symbol, 'Bad Name'), (err) => err.status === 400);
+    assert.throws(() => index.planRename(symbol, 'Pet'), SymbolError);
+});
+
+test('applyEdits applies edits in any order by offset', () => {
+    const edits = [
+        { start: 0, end: 1, newText: 'A' },
+        { start: 4, end: 5, newText: 'EE' },
+        { start: 2, end: 2, newText: '+' },
+    ];
+    assert.equal(applyEdits('abcde', edits), 'Ab+cdEE');
+});
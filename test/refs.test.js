@@ -0,0 +1,39 @@
+/**
+ * $ref resolution against the document itself.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { checkRefs } = require('../server/lib/refs');
+
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {},
+    tags: [{ name: 'pets' }],
+    components: { schemas: { Pet: { type: 'object' } } },
+};
+
+function unresolved(ref) {
+    const document = { ...spec, paths: { '/pets': { get: { responses: { 200: { $ref: ref } } } } } };
+    const problems = checkRefs(document, { workspaceDir: os.tmpdir() });
+    return problems.filter((problem) => problem.code === 'unresolved-ref').map((problem) => problem.message);
+}
+
+test('refs to existing keys and array entries resolve', () => {
+    assert.deepEqual(unresolved('#/components/schemas/Pet'), []);
+    assert.deepEqual(unresolved('#/tags/0'), []);
+});
+
+test('refs do not resolve through Object.prototype', () => {
+    assert.equal(unresolved('#/components/schemas/constructor').length, 1);
+    assert.equal(unresolved('#/toString').length, 1);
+    assert.equal(unresolved('#/components/schemas/__proto__').length, 1);
+});
+
+test('array segments must be indexes within bounds', () => {
+    assert.equal(unresolved('#/tags/1').length, 1);
+    assert.equal(unresolved('#/tags/length').length, 1);
+    assert.equal(unresolved('#/tags/01').length, 1);
+});
@@ -0,0 +1,55 @@
+/**
+ * Sample generation for mocks: size caps, array keywords and what gets
+ * reported when a sample cannot satisfy its schema.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleFromSchema } = require('../server/lib/sample-data');
+
+function generate(schema) {
+    const unsatisfied = [];
+    const value = sampleFromSchema(schema, { onUnsatisfied: (keyword) => unsatisfied.push(keyword) });
+    return { value, unsatisfied };
+}
+
+test('huge minProperties and minItems stop at the cap and are reported', () => {
+    const object = generate({ type: 'object', minProperties: 1e9 });
+    assert.equal(Object.keys(object.value).length, 100);
+    assert.deepEqual(object.unsatisfied, ['minProperties']);
+
+    const array = generate({ type: 'array', minItems: 1e9, items: { type: 'integer' } });
+    assert.equal(array.value.length, 100);
+    assert.deepEqual(array.unsatisfied, ['minItems']);
+});
+
+test('minProperties pads with distinct keys', () => {
+    const { value, unsatisfied } = generate({
+        type: 'object',
+        minProperties: 3,
+        properties: { key: { type: 'integer' } },
+        additionalProperties: { type: 'boolean' },
+    });
+    assert.deepEqual(value, { key: 0, key2: true, key3: true });
+    assert.deepEqual(unsatisfied, []);
+});
+
+test('maxItems 0 gives an empty array', () => {
+    assert.deepEqual(generate({ type: 'array', maxItems: 0, items: { type: 'string' } }),
+        { value: [], unsatisfied: [] });
+});
+
+test('uniqueItems produces distinct items', () => {
+    assert.deepEqual(generate({ type: 'array', minItems: 3, uniqueItems: true, items: { type: 'integer', minimum: 5 } }).value,
+        [5, 6, 7]);
+    assert.deepEqual(generate({ type: 'array', minItems: 3, uniqueItems: true, items: { type: 'string' } }).value,
+        ['string', 'string2', 'string3']);
+    assert.deepEqual(generate({ type: 'array', minItems: 3, uniqueItems: true, items: { enum: ['a', 'b', 'c'], example: 'b' } }).value,
+        ['b', 'a', 'c']);
+});
+
+test('uniqueItems is reported when there are not enough distinct values', () => {
+    const { value, unsatisfied } = generate({ type: 'array', minItems: 3, uniqueItems: true, items: { enum: ['a', 'b'] } });
+    assert.deepEqual(value, ['a', 'b']);
+    assert.deepEqual(unsatisfied, ['uniqueItems']);
+});
@@ -0,0 +1,103 @@
+/**
+ * TextOperation: apply, compose and transform, including the convergence
+ * property collab relies on, checked over seeded random edits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TextOperation = require('../public/text-operation');
+
+const { apply, compose, transform, transformIndex } = TextOperation;
+
+/** Deterministic pseudo-random numbers (mulberry32) */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** A random operation over a document of `length` characters */
+function randomOperation(length, next) {
+    const ops = [];
+    let left = length;
+    while (left > 0) {
+        const n = 1 + Math.floor(next() * Math.min(left, 5));
+        if (next() < 0.25) TextOperation.insert(ops, 'xyz'.slice(0, 1 + Math.floor(next() * 3)));
+        if (next() < 0.6) TextOperation.retain(ops, n);
+        else TextOperation.remove(ops, n);
+        left -= n;
+    }
+    if (next() < 0.3) TextOperation.insert(ops, 'end');
+    return ops;
+}
+
+test('apply follows retain, insert and delete components', () => {
+    assert.equal(apply('abcdefghij', [3, 'x', -2, 5]), 'abcxfghij');
+    assert.equal(apply('', ['hello']), 'hello');
+    assert.throws(() => apply('abc', [2]));
+});
+
+test('compose has the effect of both operations in turn', () => {
+    const a = [3, 'x', -2, 5];
+    const b = [-1, 8, '!'];
+    assert.deepEqual(compose(a, b), [-1, 2, 'x', -2, 5, '!']);
+    assert.equal(apply('abcdefghij', compose(a, b)), apply(apply('abcdefghij', a), b));
+});
+
+test('compose drops text that is inserted and then deleted', () => {
+    assert.deepEqual(compose([2, 'xyz', 1], [2, -3, 1]), [3]);
+});
+
+test('compose refuses operations that do not follow each other', () => {
+    assert.throws(() => compose([3], [4]), /do not follow/);
+});
+
+test('transform makes concurrent edits converge', () => {
+    const doc = 'hello world';
+    const a = [5, ',', 6];
+    const b = [6, -5, 'there'];
+    const [a1, b1] = transform(a, b);
+    assert.equal(apply(apply(doc, a), b1), 'hello, there');
+    assert.equal(apply(apply(doc, b), a1), 'hello, there');
+});
+
+test('transform puts the first operation\'s insert first at the same place', () => {
+    const [a1, b1] = transform([1, 'A', 1], [1, 'B', 1]);
+    assert.equal(apply(apply('xy', [1, 'A', 1]), b1), 'xABy');
+    assert.equal(apply(apply('xy', [1, 'B', 1]), a1), 'xABy');
+});
+
+test('transform drops text both sides deleted', () => {
+    const [a1, b1] = transform([1, -3, 2], [2, -3, 1]);
+    assert.deepEqual(a1, [1, -1, 1]);
+    assert.deepEqual(b1, [1, -1, 1]);
+    assert.equal(apply(apply('abcdef', [1, -3, 2]), b1), 'af');
+});
+
+test('transform refuses operations on different documents', () => {
+    assert.throws(() => transform([3], [4]), /different documents/);
+});
+
+test('transform and compose agree on random edits', () => {
+    const next = random(42);
+    for (let round = 0; round < 500; round++) {
+        const doc = 'abcdefghijklmnopqrstuvwxyz'.slice(0, Math.floor(next() * 27));
+        const a = randomOperation(doc.length, next);
+        const b = randomOperation(doc.length, next);
+        const [a1, b1] = transform(a, b);
+        const viaA = apply(apply(doc, a), b1);
+        assert.equal(viaA, apply(apply(doc, b), a1), `diverged on ${JSON.stringify([doc, a, b])}`);
+        assert.equal(apply(doc, compose(a, b1)), viaA);
+        assert.equal(apply(doc, compose(b, a1)), viaA);
+    }
+});
+
+test('transformIndex moves a cursor past inserts and back over deletes', () => {
+    assert.equal(transformIndex(4, [2, 'xx', 8]), 6);
+    assert.equal(transformIndex(4, [1, -2, 7]), 2);
+    assert.equal(transformIndex(1, [3, 'x', 7]), 1);
+});
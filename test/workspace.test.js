@@ -0,0 +1,61 @@
+/**
+ * Workspace store: writing several specs at once, all or none.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkspace, WorkspaceError } = require('../server/lib/workspace');
+
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const workspace = createWorkspace(dir);
+    const a = workspace.create('a.yaml', 'a: 1\n');
+    const b = workspace.create('b.yaml', 'b: 1\n');
+    return { dir, workspace, a, b };
+}
+
+const leftovers = (dir) => fs.readdirSync(dir).filter((name) => name.endsWith('.tmp'));
+
+test('updateAll writes every spec and returns the new versions', (t) => {
+    const { dir, workspace, a, b } = setup(t);
+    const written = workspace.updateAll([
+        { path: 'a.yaml', content: 'a: 2\n', baseVersion: a.version },
+        { path: 'b.yaml', content: 'b: 2\n', baseVersion: b.version },
+    ]);
+    assert.deepEqual(written, [
+        { path: 'a.yaml', version: workspace.read('a.yaml').version },
+        { path: 'b.yaml', version: workspace.read('b.yaml').version },
+    ]);
+    assert.equal(workspace.read('a.yaml').content, 'a: 2\n');
+    assert.equal(workspace.read('b.yaml').content, 'b: 2\n');
+    assert.deepEqual(leftovers(dir), []);
+});
+
+test('updateAll writes nothing when one version is stale', (t) => {
+    const { dir, workspace, a } = setup(t);
+    assert.throws(() => workspace.updateAll([
+        { path: 'a.yaml', content: 'a: 2\n', baseVersion: a.version },
+        { path: 'b.yaml', content: 'b: 2\n', baseVersion: 'stale' },
+    ]), (err) => err instanceof WorkspaceError && err.status === 409);
+    assert.equal(workspace.read('a.yaml').content, 'a: 1\n');
+    assert.equal(workspace.read('b.yaml').content, 'b: 1\n');
+    assert.deepEqual(leftovers(dir), []);
+});
+
+test('updateAll puts back the specs already replaced when a later one fails', (t) => {
+    const { dir, workspace, a } = setup(t);
+    // A directory where a spec should go cannot be replaced by a file
+    fs.mkdirSync(path.join(dir, 'c.yaml'));
+    assert.throws(() => workspace.updateAll([
+        { path: 'a.yaml', content: 'a: 2\n', baseVersion: a.version },
+        { path: 'new.yaml', content: 'new: 1\n' },
+        { path: 'c.yaml', content: 'c: 1\n' },
+    ]));
+    assert.equal(workspace.read('a.yaml').content, 'a: 1\n');
+    assert.equal(fs.existsSync(path.join(dir, 'new.yaml')), false);
+    assert.deepEqual(leftovers(dir), []);
+});